@@ -0,0 +1,47 @@
+/**
+ * Balance game question deck – loads the A/B dilemmas CSV and deals random questions.
+ * Used when 방식 is "랜덤".
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CSV_PATH = path.join(__dirname, 'data', 'balance_questions.csv');
+
+// In-memory cache: [{ a, b }, ...]
+let questions = null;
+
+function loadQuestions() {
+  if (questions) return questions;
+  try {
+    const content = fs.readFileSync(CSV_PATH, 'utf8').replace(/^﻿/, '');
+    const lines = content.trim().split('\n').filter(line => line.trim());
+    questions = [];
+    for (let i = 1; i < lines.length; i++) {
+      const [a, b] = lines[i].split(',').map(s => (s || '').trim());
+      if (a && b) questions.push({ a, b });
+    }
+    return questions;
+  } catch (err) {
+    console.error('Failed to load balance questions CSV:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Get a random question, avoiding the ones already asked in this room when possible.
+ * @param {string[]} [askedKeys] - questionKey() of questions already asked
+ * @returns {{ a: string, b: string }|null} null if the deck is empty
+ */
+function getRandomQuestion(askedKeys = []) {
+  const deck = loadQuestions();
+  if (deck.length === 0) return null;
+  const fresh = deck.filter((q) => !askedKeys.includes(questionKey(q)));
+  const pool = fresh.length > 0 ? fresh : deck;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+function questionKey({ a, b }) {
+  return `${a}|${b}`;
+}
+
+module.exports = { getRandomQuestion, questionKey, loadQuestions };
@@ -5,7 +5,13 @@ const app = express();
 app.use(express.json());
 
 const storage = require('./storage');
-const { getRandomWord } = require('./liarWords');
+const { buildRoomView } = require('./roomView');
+const scheduler = require('./scheduler');
+const games = require('./games');
+const scoreboard = require('./games/scoreboard');
+const roundHistory = require('./games/roundHistory');
+const penalty = require('./games/penalty');
+const tally = require('./games/tally');
 
 const ADMIN_USERNAME = 'lsta-gm';
 
@@ -80,13 +86,221 @@ const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes = 300,000 ms
 //   - Removes inactive users and deletes empty/zombie rooms
 // ============================================================================
 
+// ============================================================================
+// 🔒 ROOM WRITES (optimistic concurrency)
+// ============================================================================
+// Every room change goes through mutateRoom(): storage.updateRoom re-reads the room, runs the
+// mutator and saves with a version check, retrying when another request saved in between.
+// A mutator may therefore run more than once - it only changes the room object and returns
+// { status?, body, save? }; writes to other keys (active users, markers, room deletion)
+// happen after mutateRoom resolves.
+// ============================================================================
+
+// Mutator outcome for a rejected request (nothing is saved)
+function rejectRoomUpdate(status, message) {
+  return { save: false, status, body: { success: false, message } };
+}
+
+async function mutateRoom(roomId, mutator) {
+  try {
+    return await storage.updateRoom(roomId, mutator);
+  } catch (err) {
+    if (err.code !== storage.ROOM_CONFLICT) throw err;
+    console.warn(`⚠️ ${err.message}`);
+    return { status: 409, body: { success: false, message: '요청이 몰려 처리하지 못했습니다. 다시 시도해주세요.' } };
+  }
+}
+
+function sendRoomOutcome(res, outcome) {
+  return res.status(outcome.status || 200).json(outcome.body);
+}
+
+// Remove a user (and their selection) from a room object, handing master over if needed
+function removeUserFromRoom(room, userId) {
+  const user = room.users.get(userId);
+  room.users.delete(userId);
+  room.selections.delete(userId);
+  if (room.masterId === userId && room.users.size > 0) {
+    const newMaster = Array.from(room.users.values())[0];
+    room.masterId = newMaster.id;
+    newMaster.isMaster = true;
+    room.users.set(newMaster.id, newMaster);
+    console.log(`   👑 Master handover: ${newMaster.displayName} is now master of ${room.roomName}`);
+  }
+  return user;
+}
+
+// Remove a user from a stored room; deletes the room (with an optional delete marker) once it is empty
+async function removeUserFromStoredRoom(roomId, userId, deleteReason = null) {
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room || !room.users.has(userId)) return { save: false, removed: false };
+    const user = removeUserFromRoom(room, userId);
+    return { removed: true, user, roomName: room.roomName, empty: room.users.size === 0 };
+  });
+  if (outcome.empty) {
+    if (deleteReason) await storage.setRoomDeleteMarker(roomId, deleteReason);
+    await storage.deleteRoom(roomId);
+  }
+  return outcome;
+}
+
+// ============================================================================
+// 🎫 PLAYER SESSIONS (signed tokens)
+// ============================================================================
+// create-room / join-room / join-room-qr / check-password hand the player a token signed with
+// HMAC-SHA256 over { roomId, userId, username, issuedAt }. Player actions go through requirePlayer(),
+// which takes the acting user from the token instead of trusting userId in the body.
+// Tokens expire after SESSION_TOKEN_TTL_MS; the heartbeat (/api/ping) renews them.
+// Secret: SESSION_SECRET env var, otherwise one generated once and kept in storage.
+// ============================================================================
+
+const SESSION_TOKEN_HEADER = 'x-session-token';
+// Tokens also travel in URLs (?sessionToken= on the event stream), so they don't live forever
+const SESSION_TOKEN_TTL_MS = 2 * 60 * 60 * 1000; // 2 hours, like ZOMBIE_ROOM_TIMEOUT
+
+let sessionSecretPromise = null;
+
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return Promise.resolve(process.env.SESSION_SECRET);
+  if (!sessionSecretPromise) {
+    sessionSecretPromise = storage.getOrCreateSessionSecret(() => crypto.randomBytes(32).toString('hex'))
+      .catch((err) => {
+        sessionSecretPromise = null;
+        throw err;
+      });
+  }
+  return sessionSecretPromise;
+}
+
+function signSessionPayload(encodedPayload, secret) {
+  return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+}
+
+async function issueSessionToken(roomId, user) {
+  const payload = { roomId, userId: user.id, username: user.username, issuedAt: Date.now() };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signSessionPayload(encodedPayload, await getSessionSecret())}`;
+}
+
+// Returns { roomId, userId, username } for a valid, unexpired token, null otherwise
+async function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+  const expected = Buffer.from(signSessionPayload(encodedPayload, await getSessionSecret()));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const { roomId, userId, username, issuedAt } = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!(Date.now() - issuedAt < SESSION_TOKEN_TTL_MS)) return null; // Expired, or no issuedAt at all
+    return roomId && userId ? { roomId, userId, username } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Header for fetch; body field for sendBeacon, query param for EventSource (neither can set headers)
+function getSessionToken(req) {
+  return req.get(SESSION_TOKEN_HEADER) || (req.body ? req.body.sessionToken : null) || req.query.sessionToken || null;
+}
+
+// Session of the requester, or null (for routes that also serve anonymous viewers)
+async function resolvePlayer(req) {
+  const token = getSessionToken(req);
+  return token ? verifySessionToken(token) : null;
+}
+
+// Middleware for player actions: sets req.player and rejects ids in the body that do not match the token
+async function requirePlayer(req, res, next) {
+  try {
+    const player = await resolvePlayer(req);
+    if (!player) {
+      return res.status(401).json({ success: false, message: '세션이 만료되었습니다. 방에 다시 입장해주세요.' });
+    }
+    const { roomId, userId, masterUserId } = req.body || {};
+    const mismatch = (roomId && roomId !== player.roomId)
+      || (userId && userId !== player.userId)
+      || (masterUserId && masterUserId !== player.userId);
+    if (mismatch) {
+      console.warn(`🚫 ${req.path}: session of ${player.username} used with another user/room`);
+      return res.status(403).json({ success: false, message: '다른 사용자로 요청할 수 없습니다.' });
+    }
+    req.player = player;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+// ============================================================================
+// 🎮 GAMES (modules in api/games)
+// ============================================================================
+// Routes don't branch per game: start/settings/actions/reset are looked up in the registry
+// by room.gameType. POST /api/game/:action runs an action of the room's game.
+// ============================================================================
+
+function getAttenders(room) {
+  return Array.from(room.users.values()).filter(user => (user.role || 'attender') === 'attender');
+}
+
+// Context handed to game module hooks (see api/games/index.js)
+// receivedAt: when the request reached the server (req.receivedAt, stamped before the routes), so real-time actions
+// keep their arrival order even when the room update waits on storage or is retried
+function buildGameContext(room, userId, body, receivedAt) {
+  const now = Date.now();
+  return {
+    userId,
+    user: room.users.get(userId) || null,
+    attenders: getAttenders(room),
+    body: body || {},
+    now,
+    receivedAt: receivedAt || now,
+    reject: rejectRoomUpdate
+  };
+}
+
+// Run a game action for the requesting player.
+// gameType pins the pre-registry routes (/api/select, /api/liar-*) to their own game.
+async function runGameAction(req, res, action, gameType = null) {
+  const { roomId, userId, username } = req.player;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    const game = games.getRoomGame(room);
+    const known = game && (!gameType || game.type === gameType)
+      && Object.prototype.hasOwnProperty.call(game.actions || {}, action);
+    if (!known) {
+      return rejectRoomUpdate(400, '잘못된 요청입니다.');
+    }
+    if (!room.users.has(userId)) {
+      return rejectRoomUpdate(404, '방에 참여하지 않은 사용자입니다.');
+    }
+    const result = game.actions[action](room, buildGameContext(room, userId, req.body, req.receivedAt));
+    if (result.save !== false) {
+      room.lastActivity = Date.now(); // Prevent room deletion during play
+      games.settleRound(room); // the action may have ended the round
+    }
+    return result;
+  });
+  
+  if (outcome.body && outcome.body.success) {
+    // Playing counts as activity: keep the player's session alive
+    const activeUser = await storage.getActiveUser(username);
+    if (activeUser) {
+      await storage.saveActiveUser(username, { ...activeUser, lastActivity: Date.now() });
+    }
+  }
+  
+  sendRoomOutcome(res, outcome);
+}
+
 // Helper function to clean up inactive users and empty rooms
 async function cleanupInactiveUsersAndRooms() {
   const now = Date.now();
   console.log('🧹 Running cleanup...');
   await processPendingRemovals();
   const activeUserEntries = await storage.listActiveUsers();
-  const processedRooms = new Map();
 
   for (const { username, roomId, userId, lastActivity } of activeUserEntries) {
     const inactiveTime = now - lastActivity;
@@ -99,45 +313,19 @@ async function cleanupInactiveUsersAndRooms() {
     // Set kick marker for inactivity
     await storage.setUserKickMarker(username, storage.KICK_REASONS.INACTIVITY);
     
-    const room = processedRooms.get(roomId) || (await storage.getRoomById(roomId));
-
-    if (room) {
-      const user = room.users.get(userId);
-      if (user) {
-        user.disconnected = true;
-        user.disconnectReason = 'inactivity';
-        room.users.set(userId, user);
+    if (roomId) {
+      const outcome = await removeUserFromStoredRoom(roomId, userId, storage.ROOM_DELETE_REASONS.EMPTY);
+      if (outcome.removed) {
+        console.log(`   ⚠️ User ${username} removed from room ${outcome.roomName} due to inactivity`);
       }
-
-      room.users.delete(userId);
-      room.selections.delete(userId);
-
-      console.log(`   ⚠️ User ${username} removed from room ${room.roomName} due to inactivity`);
-
-      if (room.masterId === userId && room.users.size > 0) {
-        const newMaster = Array.from(room.users.values())[0];
-        room.masterId = newMaster.id;
-        newMaster.isMaster = true;
-        room.users.set(newMaster.id, newMaster);
-        console.log(`   👑 Master handover: ${newMaster.displayName} is now master of ${room.roomName}`);
+      if (outcome.empty) {
+        console.log(`   🗑️ Room "${outcome.roomName}" deleted - all users left`);
       }
-
-      processedRooms.set(roomId, room);
     }
 
     await storage.deleteActiveUser(username);
   }
 
-  for (const [roomId, room] of processedRooms.entries()) {
-    if (room.users.size === 0) {
-      await storage.setRoomDeleteMarker(roomId, storage.ROOM_DELETE_REASONS.EMPTY);
-      await storage.deleteRoom(roomId);
-      console.log(`   🗑️ Room "${room.roomName}" deleted - all users left`);
-    } else {
-      await storage.saveRoom(room);
-    }
-  }
-
   await cleanupEmptyRooms(now);
 
   console.log('🧹 Cleanup complete.');
@@ -145,12 +333,10 @@ async function cleanupInactiveUsersAndRooms() {
 
 // Helper function to clean up empty and zombie rooms
 async function cleanupEmptyRooms(now) {
-  const roomIds = await storage.listRoomIds();
-
-  for (const roomId of roomIds) {
-    const room = await storage.getRoomById(roomId);
-    if (!room) continue;
+  const rooms = await storage.listRooms();
 
+  for (const room of rooms) {
+    const roomId = room.id;
     const lastActivityTime = room.lastActivity || (room.createdAt ? Date.parse(room.createdAt) : 0);
     const timeSinceActivity = now - lastActivityTime;
 
@@ -185,6 +371,17 @@ cleanupInactiveUsersAndRooms().catch((error) => {
   console.error('Cleanup error:', error);
 });
 
+// Phase timers: expired game phases advance even when nobody is polling
+scheduler.startScheduler();
+
+// Serverless instances freeze their intervals between requests, so every request also nudges the scheduler.
+// The arrival time is taken first: game actions are ordered by it (buildGameContext)
+app.use((req, res, next) => {
+  req.receivedAt = Date.now();
+  scheduler.kick();
+  next();
+});
+
 // Check username duplication (reclaim stale: alone+5min or 30min)
 app.post('/api/check-username', async (req, res) => {
   await processPendingRemovals();
@@ -206,18 +403,7 @@ app.post('/api/check-username', async (req, res) => {
   const isAloneInRoom = room && room.users.size === 1 && room.users.has(userData.userId);
   const reclaimThreshold = isAloneInRoom ? USER_RECLAIM_MS : USER_TIMEOUT_MS;
   if (inactiveMs > reclaimThreshold) {
-    if (room) {
-      room.users.delete(userData.userId);
-      room.selections.delete(userData.userId);
-      if (room.masterId === userData.userId && room.users.size > 0) {
-        const newMaster = Array.from(room.users.values())[0];
-        room.masterId = newMaster.id;
-        newMaster.isMaster = true;
-        room.users.set(newMaster.id, newMaster);
-      }
-      if (room.users.size === 0) await storage.deleteRoom(room.id);
-      else await storage.saveRoom(room);
-    }
+    if (room) await removeUserFromStoredRoom(room.id, userData.userId);
     await storage.deleteActiveUser(trimmedUsername);
     await storage.clearUserKickMarker(trimmedUsername);
     return res.json({ duplicate: false, available: true });
@@ -343,21 +529,7 @@ app.post('/api/create-room', async (req, res) => {
     const reclaimThreshold = isAloneInRoom ? USER_RECLAIM_MS : USER_TIMEOUT_MS; // 5 min if alone, else 30 min
     if (inactiveMs > reclaimThreshold) {
       // Stale record - remove so user can reclaim username (closed tab, long idle, or serverless cold)
-      if (room) {
-        room.users.delete(existingUser.userId);
-        room.selections.delete(existingUser.userId);
-        if (room.masterId === existingUser.userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        if (room.users.size === 0) {
-          await storage.deleteRoom(room.id);
-        } else {
-          await storage.saveRoom(room);
-        }
-      }
+      if (room) await removeUserFromStoredRoom(room.id, existingUser.userId);
       await storage.deleteActiveUser(trimmedUsername);
       await storage.clearUserKickMarker(trimmedUsername);
       console.log(`   🧹 Reclaimed stale username "${trimmedUsername}" (inactive ${Math.floor(inactiveMs / 60000)} min)`);
@@ -378,12 +550,14 @@ app.post('/api/create-room', async (req, res) => {
     memberLimit: parseInt(memberLimit),
     users: new Map(),
     selections: new Map(),
-    gameState: 'waiting', // waiting, linking, completed
-    gameType: 'telepathy', // telepathy | liar
-    liarSubject: '물건', // 주제
-    liarMethod: '커스텀', // 랜덤 | 커스텀
-    liarCustomSubject: null, // when 주제 is 커스텀주제 (<=16 chars)
+    gameState: 'waiting', // waiting, then the game's own states (api/games)
+    gameType: games.DEFAULT_GAME_TYPE, // any registered game type
+    ...games.defaultSettings(), // every game's settings, so switching game type keeps them
     matchResult: null,
+    roomScores: new Map(), // scoreboard across rounds and games (api/games/scoreboard.js)
+    roomHistory: [], // finished rounds, capped (api/games/roundHistory.js)
+    penaltyList: null, // penalty roulette (api/games/penalty.js); null = default penalties
+    roomTally: new Map(), // penalties taken per player over the evening (api/games/tally.js)
     returnedToWaiting: new Set(), // Track which users have returned to waiting room after results
     masterId: userId,
     createdAt: new Date().toISOString(),
@@ -414,6 +588,7 @@ app.post('/api/create-room', async (req, res) => {
     success: true,
     roomId,
     userId,
+    sessionToken: await issueSessionToken(roomId, user),
     users: Array.from(room.users.values()),
     isMaster: true,
     roomData: {
@@ -424,6 +599,58 @@ app.post('/api/create-room', async (req, res) => {
   });
 });
 
+// Why a room can't be joined right now (null when it can)
+function roomJoinError(room) {
+  if (!room) return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+  if (room.users.size >= room.memberLimit) return rejectRoomUpdate(400, '방이 가득 찼습니다.');
+  if (room.gameState !== 'waiting') return rejectRoomUpdate(400, '게임이 진행 중입니다.');
+  return null;
+}
+
+// Add a new attender to a room; capacity and game state are re-checked on every retry
+async function addUserToRoom(roomId, username) {
+  const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const outcome = await mutateRoom(roomId, (room) => {
+    const joinError = roomJoinError(room);
+    if (joinError) return joinError;
+    room.users.set(userId, {
+      id: userId,
+      username,
+      displayName: username,
+      joinedAt: new Date().toISOString(),
+      isMaster: false,
+      role: 'attender'
+    });
+    tally.reclaimTally(room, userId, username); // rejoining under the same name keeps the count
+    room.lastActivity = Date.now(); // Update room activity on join
+    return {
+      body: {
+        success: true,
+        roomId: room.id,
+        userId,
+        users: Array.from(room.users.values()),
+        isMaster: false,
+        role: 'attender',
+        roomData: {
+          roomName: room.roomName,
+          memberLimit: room.memberLimit,
+          hasPassword: !!room.roomPassword
+        }
+      }
+    };
+  });
+  if (outcome.body.success) {
+    await storage.saveActiveUser(username, {
+      roomId,
+      userId,
+      lastActivity: Date.now()
+    });
+    await storage.clearUserKickMarker(username);
+    outcome.body.sessionToken = await issueSessionToken(roomId, { id: userId, username });
+  }
+  return outcome;
+}
+
 // Join room
 app.post('/api/join-room', async (req, res) => {
   await processPendingRemovals();
@@ -473,18 +700,7 @@ app.post('/api/join-room', async (req, res) => {
     const isAloneInRoom = room && room.users.size === 1 && room.users.has(existingUser.userId);
     const reclaimThreshold = isAloneInRoom ? USER_RECLAIM_MS : USER_TIMEOUT_MS;
     if (inactiveMs > reclaimThreshold) {
-      if (room) {
-        room.users.delete(existingUser.userId);
-        room.selections.delete(existingUser.userId);
-        if (room.masterId === existingUser.userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        if (room.users.size === 0) await storage.deleteRoom(room.id);
-        else await storage.saveRoom(room);
-      }
+      if (room) await removeUserFromStoredRoom(room.id, existingUser.userId);
       await storage.deleteActiveUser(trimmedUsername);
       await storage.clearUserKickMarker(trimmedUsername);
     } else {
@@ -502,40 +718,9 @@ app.post('/api/join-room', async (req, res) => {
   }
   
   // Join room without password
-  const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const user = {
-    id: userId,
-    username: trimmedUsername,
-    displayName: trimmedUsername,
-    joinedAt: new Date().toISOString(),
-    isMaster: false,
-    role: 'attender'
-  };
-  
-  targetRoom.users.set(userId, user);
-  targetRoom.lastActivity = Date.now(); // Update room activity on join
-  await storage.saveRoom(targetRoom);
-  await storage.saveActiveUser(trimmedUsername, {
-    roomId: targetRoom.id,
-    userId,
-    lastActivity: Date.now()
-  });
-  await storage.clearUserKickMarker(trimmedUsername);
-  console.log(`User joined room: ${username} in ${roomName}`);
-  
-  res.json({
-    success: true,
-    roomId: targetRoom.id,
-    userId,
-    users: Array.from(targetRoom.users.values()),
-    isMaster: false,
-    role: 'attender',
-    roomData: {
-      roomName: targetRoom.roomName,
-      memberLimit: targetRoom.memberLimit,
-      hasPassword: !!targetRoom.roomPassword
-    }
-  });
+  const outcome = await addUserToRoom(targetRoom.id, trimmedUsername);
+  if (outcome.body.success) console.log(`User joined room: ${username} in ${roomName}`);
+  sendRoomOutcome(res, outcome);
 });
 
 // Check password
@@ -582,18 +767,7 @@ app.post('/api/check-password', async (req, res) => {
     const isAloneInRoom = room && room.users.size === 1 && room.users.has(existingUser.userId);
     const reclaimThreshold = isAloneInRoom ? USER_RECLAIM_MS : USER_TIMEOUT_MS;
     if (inactiveMs > reclaimThreshold) {
-      if (room) {
-        room.users.delete(existingUser.userId);
-        room.selections.delete(existingUser.userId);
-        if (room.masterId === existingUser.userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        if (room.users.size === 0) await storage.deleteRoom(room.id);
-        else await storage.saveRoom(room);
-      }
+      if (room) await removeUserFromStoredRoom(room.id, existingUser.userId);
       await storage.deleteActiveUser(trimmedUsername);
       await storage.clearUserKickMarker(trimmedUsername);
     } else {
@@ -602,40 +776,9 @@ app.post('/api/check-password', async (req, res) => {
   }
   
   // Join room
-  const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const user = {
-    id: userId,
-    username: trimmedUsername,
-    displayName: trimmedUsername,
-    joinedAt: new Date().toISOString(),
-    isMaster: false,
-    role: 'attender'
-  };
-  
-  targetRoom.users.set(userId, user);
-  targetRoom.lastActivity = Date.now(); // Update room activity on join
-  await storage.saveRoom(targetRoom);
-  await storage.saveActiveUser(trimmedUsername, {
-    roomId: targetRoom.id,
-    userId,
-    lastActivity: Date.now()
-  });
-  await storage.clearUserKickMarker(trimmedUsername);
-  console.log(`User joined room with password: ${username} in ${roomName}`);
-  
-  res.json({
-    success: true,
-    roomId: targetRoom.id,
-    userId,
-    users: Array.from(targetRoom.users.values()),
-    isMaster: false,
-    role: 'attender',
-    roomData: {
-      roomName: targetRoom.roomName,
-      memberLimit: targetRoom.memberLimit,
-      hasPassword: !!targetRoom.roomPassword
-    }
-  });
+  const outcome = await addUserToRoom(targetRoom.id, trimmedUsername);
+  if (outcome.body.success) console.log(`User joined room with password: ${username} in ${roomName}`);
+  sendRoomOutcome(res, outcome);
 });
 
 // Join room with QR
@@ -676,18 +819,7 @@ app.post('/api/join-room-qr', async (req, res) => {
     const isAloneInRoom = r && r.users.size === 1 && r.users.has(existingUser.userId);
     const reclaimThreshold = isAloneInRoom ? USER_RECLAIM_MS : USER_TIMEOUT_MS;
     if (inactiveMs > reclaimThreshold) {
-      if (r) {
-        r.users.delete(existingUser.userId);
-        r.selections.delete(existingUser.userId);
-        if (r.masterId === existingUser.userId && r.users.size > 0) {
-          const newMaster = Array.from(r.users.values())[0];
-          r.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          r.users.set(newMaster.id, newMaster);
-        }
-        if (r.users.size === 0) await storage.deleteRoom(r.id);
-        else await storage.saveRoom(r);
-      }
+      if (r) await removeUserFromStoredRoom(r.id, existingUser.userId);
       await storage.deleteActiveUser(trimmedUsername);
       await storage.clearUserKickMarker(trimmedUsername);
     } else {
@@ -696,275 +828,91 @@ app.post('/api/join-room-qr', async (req, res) => {
   }
   
   // Join room
-  const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const user = {
-    id: userId,
-    username: trimmedUsername,
-    displayName: trimmedUsername,
-    joinedAt: new Date().toISOString(),
-    isMaster: false,
-    role: 'attender'
-  };
-  
-  room.users.set(userId, user);
-  await storage.saveRoom(room);
-  await storage.saveActiveUser(trimmedUsername, {
-    roomId: room.id,
-    userId,
-    lastActivity: Date.now()
-  });
-  await storage.clearUserKickMarker(trimmedUsername);
-  console.log(`User joined room with QR: ${username} in ${room.roomName}`);
-  
-  res.json({
-    success: true,
-    roomId: room.id,
-    userId,
-    users: Array.from(room.users.values()),
-    isMaster: false,
-    role: 'attender',
-    roomData: {
-      roomName: room.roomName,
-      memberLimit: room.memberLimit,
-      hasPassword: !!room.roomPassword
-    }
-  });
+  const outcome = await addUserToRoom(room.id, trimmedUsername);
+  if (outcome.body.success) console.log(`User joined room with QR: ${username} in ${room.roomName}`);
+  sendRoomOutcome(res, outcome);
 });
 
 // Start game
-app.post('/api/start-game', async (req, res) => {
-  const { roomId, userId } = req.body;
-  
-  const room = await storage.getRoomById(roomId);
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  
-  // Check if user is master
-  if (room.masterId !== userId) {
-    return res.status(403).json({ success: false, message: '방장만 게임을 시작할 수 있습니다.' });
-  }
-  
-  // Check if room is in waiting state (all users must be back from results)
-  if (room.gameState !== 'waiting') {
-    return res.status(400).json({ 
-      success: false, 
-      message: '모든 사용자가 대기실로 돌아올 때까지 기다려주세요.' 
-    });
-  }
+app.post('/api/start-game', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
   
-  // Check minimum attenders
-  const attenders = Array.from(room.users.values()).filter(user => (user.role || 'attender') === 'attender');
-  if (room.gameType === 'liar') {
-    if (attenders.length < 3) {
-      return res.status(400).json({ success: false, message: '라이어 게임은 참가자 3명 이상 필요합니다.' });
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
     }
-  } else {
-    if (attenders.length < 2) {
-      return res.status(400).json({ success: false, message: '참가자는 최소 2명 이상 필요합니다.' });
+    
+    // Check if user is master
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 게임을 시작할 수 있습니다.');
     }
-  }
-  
-  // Start game
-  if (room.gameType === 'liar') {
-    room.gameState = room.liarMethod === '커스텀' ? 'liarWordInput' : 'liarPlay';
-    room.selections.clear();
-    room.matchResult = null;
-    if (room.returnedToWaiting) room.returnedToWaiting.clear();
-    else room.returnedToWaiting = new Set();
-    room.liarUserWords = new Map();
-    room.liarVotes = new Map();
-    room.liarArgumentChoices = new Map();
-    room.liarIdentifyVotes = new Map();
-    room.liarMainTimerExtendedBy = new Set();
-    room.liarDifficultClicks = new Set();
-    if (room.liarMethod === '랜덤') {
-      const category = room.liarSubject === '커스텀주제' ? '물건' : room.liarSubject;
-      const word = getRandomWord(category);
-      room.liarSecretWord = word || '비밀';
-      room.liarLiarUserId = attenders[Math.floor(Math.random() * attenders.length)].id;
-      room.liarState = 'play';
-      room.liarPlayStartedAt = Date.now();
-      const minutes = attenders.length * 2;
-      room.liarMainTimerEndsAt = Date.now() + minutes * 60 * 1000;
-    } else {
-      room.liarState = 'wordInput';
+    
+    // Check if room is in waiting state (all users must be back from results)
+    if (room.gameState !== 'waiting') {
+      return rejectRoomUpdate(400, '모든 사용자가 대기실로 돌아올 때까지 기다려주세요.');
     }
-    room.lastActivity = Date.now();
-    console.log(`Liar game started in room: ${room.roomName}, state: ${room.liarState}`);
-  } else {
-    room.gameState = 'linking';
+    
+    const game = games.getRoomGame(room);
+    if (!game) {
+      return rejectRoomUpdate(400, '잘못된 게임 종류입니다.');
+    }
+    
+    // Check attender count
+    const ctx = buildGameContext(room, userId, req.body);
+    if (ctx.attenders.length < game.minPlayers.count) {
+      return rejectRoomUpdate(400, game.minPlayers.message);
+    }
+    if (game.maxPlayers && ctx.attenders.length > game.maxPlayers.count) {
+      return rejectRoomUpdate(400, game.maxPlayers.message);
+    }
+    
+    // Start game
     room.selections.clear();
     room.matchResult = null;
     if (room.returnedToWaiting) room.returnedToWaiting.clear();
     else room.returnedToWaiting = new Set();
+    const refused = game.start(room, ctx);
+    if (refused && refused.save === false) return refused; // e.g. role settings don't fit the players
+    games.startRound(room);
     room.lastActivity = Date.now();
-  }
-  
-  await storage.saveRoom(room);
-  
-  res.json({
-    success: true,
-    message: '게임이 시작되었습니다!',
-    gameState: room.gameState
+    
+    return {
+      body: {
+        success: true,
+        message: '게임이 시작되었습니다!',
+        gameState: room.gameState
+      }
+    };
   });
+  sendRoomOutcome(res, outcome);
 });
 
-// Select user
-app.post('/api/select', async (req, res) => {
-  const { roomId, userId, selectedUserId } = req.body;
-  
-  console.log(`Selection attempt: ${userId} selects ${selectedUserId} in room ${roomId}`);
+// Select user (telepathy; same as POST /api/game/select)
+app.post('/api/select', requirePlayer, (req, res) => runGameAction(req, res, 'select', 'telepathy'));
+
+// Heartbeat/Ping endpoint to keep user connection alive
+app.post('/api/ping', async (req, res) => {
+  await processPendingRemovals(); // Execute any stale tab-close removals
+  const { username, userId } = req.body;
+  let sessionToken;
   
-  const room = await storage.getRoomById(roomId);
-  if (!room) {
-    console.log(`Room not found: ${roomId}`);
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
+  if (username) {
+    await storage.deletePendingRemoval(username); // Cancel own pending (refresh, not close)
+    const userData = await storage.getActiveUser(username);
+    if (userData && userData.userId === userId) {
+      await storage.saveActiveUser(username, {
+        ...userData,
+        lastActivity: Date.now()
+      });
+      // Renew the session token of a player still in the room it was issued for
+      const player = await resolvePlayer(req);
+      if (player && player.userId === userId && player.username === username && player.roomId === userData.roomId) {
+        sessionToken = await issueSessionToken(player.roomId, { id: userId, username });
+      }
+    }
   }
   
-  // Check if user exists in room and is an attender
-  if (!room.users.has(userId)) {
-    console.log(`User not found in room: ${userId}`);
-    return res.status(404).json({ success: false, message: '방에 참여하지 않은 사용자입니다.' });
-  }
-  
-  const user = room.users.get(userId);
-  if ((user.role || 'attender') !== 'attender') {
-    console.log(`User is not an attender: ${userId}, role: ${user.role}`);
-    return res.status(400).json({ success: false, message: '참가자만 투표할 수 있습니다.' });
-  }
-  
-  // Check if selected user exists in room
-  if (!room.users.has(selectedUserId)) {
-    console.log(`Selected user not found in room: ${selectedUserId}`);
-    return res.status(404).json({ success: false, message: '선택한 사용자를 찾을 수 없습니다.' });
-  }
-  
-  // Check if game is in linking phase
-  if (room.gameState !== 'linking') {
-    console.log(`Game not in linking phase. Current state: ${room.gameState}`);
-    return res.status(400).json({ success: false, message: '게임이 링킹 단계가 아닙니다.' });
-  }
-  
-  // Check if user already voted
-  if (room.selections.has(userId)) {
-    console.log(`User already voted: ${userId}`);
-    return res.status(400).json({ success: false, message: '이미 투표하셨습니다.' });
-  }
-  
-  // Record selection
-  room.selections.set(userId, selectedUserId);
-  room.lastActivity = Date.now(); // Prevent room deletion during voting
-
-  const selectingUser = room.users.get(userId);
-  if (selectingUser) {
-    const activeUser = await storage.getActiveUser(selectingUser.username);
-    if (activeUser) {
-      await storage.saveActiveUser(selectingUser.username, {
-        ...activeUser,
-        lastActivity: Date.now()
-      });
-    }
-  }
-  
-  console.log(`Selection: ${userId} selects ${selectedUserId} in room ${roomId}`);
-  console.log(`Selections so far: ${room.selections.size}/${room.users.size}`);
-  
-  // Check if all attenders have selected
-  const attenders = Array.from(room.users.values()).filter(user => (user.role || 'attender') === 'attender');
-  if (room.selections.size === attenders.length) {
-    console.log('All users have selected, processing matches...');
-    console.log(`Room users size: ${room.users.size}`);
-    console.log(`Room selections size: ${room.selections.size}`);
-    console.log('All users:', Array.from(room.users.keys()));
-    console.log('All selections:', Array.from(room.selections.keys()));
-    
-    const matches = [];
-    const unmatched = [];
-    const processedUsers = new Set();
-    
-    for (const [userId, selectedUserId] of room.selections) {
-      if (processedUsers.has(userId)) continue;
-      
-      const user = room.users.get(userId);
-      const selectedUser = room.users.get(selectedUserId);
-      
-      if (selectedUser && room.selections.get(selectedUserId) === userId) {
-        matches.push({
-          user1: user,
-          user2: selectedUser
-        });
-        processedUsers.add(userId);
-        processedUsers.add(selectedUserId);
-        console.log(`Match found: ${user.displayName} <-> ${selectedUser.displayName}`);
-      } else {
-        unmatched.push(user);
-        processedUsers.add(userId);
-        console.log(`No match for: ${user.displayName}`);
-      }
-    }
-    
-    // Update game state
-    room.gameState = 'completed';
-    room.matchResult = {
-      matches,
-      unmatched,
-      completedAt: new Date().toISOString()
-    };
-    
-    console.log(`✅ Results calculated: ${matches.length} matches, ${unmatched.length} unmatched`);
-    console.log(`✅ Game state changed to: ${room.gameState}`);
-    console.log(`✅ Match result stored in room object`);
-    await storage.saveRoom(room);
-    
-    // Return users with voting status even in final response
-    const usersWithVotingStatus = Array.from(room.users.values()).map(user => ({
-      ...user,
-      hasVoted: true, // All users have voted at this point
-      isMaster: user.id === room.masterId
-    }));
-    
-    res.json({
-      success: true,
-      matches,
-      unmatched,
-      users: usersWithVotingStatus
-    });
-  } else {
-    // Return updated users with voting status
-    const usersWithVotingStatus = Array.from(room.users.values()).map(user => ({
-      ...user,
-      hasVoted: room.selections.has(user.id),
-      isMaster: user.id === room.masterId
-    }));
-    
-    await storage.saveRoom(room);
-    
-    res.json({
-      success: true,
-      message: '선택이 기록되었습니다. 다른 참여자들의 선택을 기다리는 중...',
-      users: usersWithVotingStatus
-    });
-  }
-});
-
-// Heartbeat/Ping endpoint to keep user connection alive
-app.post('/api/ping', async (req, res) => {
-  await processPendingRemovals(); // Execute any stale tab-close removals
-  const { username, userId } = req.body;
-  
-  if (username) {
-    await storage.deletePendingRemoval(username); // Cancel own pending (refresh, not close)
-    const userData = await storage.getActiveUser(username);
-    if (userData && userData.userId === userId) {
-      await storage.saveActiveUser(username, {
-        ...userData,
-        lastActivity: Date.now()
-      });
-    }
-  }
-  
-  res.json({ success: true, timestamp: Date.now() });
+  res.json({ success: true, timestamp: Date.now(), sessionToken });
 });
 
 // Check if user or room needs warning
@@ -1063,18 +1011,16 @@ app.post('/api/keep-alive-user', async (req, res) => {
 });
 
 // Keep room alive (extend timeout)
-app.post('/api/keep-alive-room', async (req, res) => {
-  const { roomId } = req.body;
+app.post('/api/keep-alive-room', requirePlayer, async (req, res) => {
+  const { roomId } = req.player;
   
-  const room = await storage.getRoomById(roomId);
-  if (room) {
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
     room.lastActivity = Date.now();
-    await storage.saveRoom(room);
     console.log(`✅ Room "${room.roomName}" extended its lifetime`);
-    res.json({ success: true });
-  } else {
-    res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
+    return { body: { success: true } };
+  });
+  sendRoomOutcome(res, outcome);
 });
 
 const TAB_CLOSE_GRACE_MS = 10 * 1000; // 10 sec: refresh cancels, real close executes
@@ -1086,19 +1032,7 @@ async function executeSinglePendingRemoval(username) {
   const { roomId, userId } = pending;
   await storage.deletePendingRemoval(username);
   if (roomId && userId) {
-    const room = await storage.getRoomById(roomId);
-    if (room) {
-      room.users.delete(userId);
-      room.selections.delete(userId);
-      if (room.masterId === userId && room.users.size > 0) {
-        const newMaster = Array.from(room.users.values())[0];
-        room.masterId = newMaster.id;
-        newMaster.isMaster = true;
-        room.users.set(newMaster.id, newMaster);
-      }
-      if (room.users.size === 0) await storage.deleteRoom(roomId);
-      else await storage.saveRoom(room);
-    }
+    await removeUserFromStoredRoom(roomId, userId);
   }
   await storage.deleteActiveUser(username);
   await storage.clearUserKickMarker(username);
@@ -1112,19 +1046,7 @@ async function processPendingRemovals() {
     if (now - timestamp < TAB_CLOSE_GRACE_MS) continue;
     await storage.deletePendingRemoval(username);
     if (roomId && userId) {
-      const room = await storage.getRoomById(roomId);
-      if (room) {
-        room.users.delete(userId);
-        room.selections.delete(userId);
-        if (room.masterId === userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        if (room.users.size === 0) await storage.deleteRoom(roomId);
-        else await storage.saveRoom(room);
-      }
+      await removeUserFromStoredRoom(roomId, userId);
     }
     await storage.deleteActiveUser(username);
     console.log(`   🔓 Executed pending removal: ${username} (tab closed)`);
@@ -1133,29 +1055,38 @@ async function processPendingRemovals() {
 
 // Remove user from active users (immediate for button click, pending for tab-close beacon)
 app.post('/api/remove-user', async (req, res) => {
-  const { username, roomId, userId, immediate } = req.body;
+  const { username, immediate } = req.body;
   const trimmedUsername = (username || '').trim();
   if (!trimmedUsername) return res.json({ success: true });
+  // Only that user's own session frees the username or takes them out of a room
+  // (the tab-close beacon sends it in the body)
+  const player = await resolvePlayer(req);
+  if (!player || player.username !== trimmedUsername) {
+    console.warn(`🚫 remove-user: no matching session for ${trimmedUsername}, nothing removed`);
+    return res.json({ success: true });
+  }
+  let roomId = null;
+  let userId = null;
+  if (req.body.roomId || req.body.userId) {
+    if (player.roomId === req.body.roomId && player.userId === req.body.userId) {
+      ({ roomId, userId } = player);
+    } else {
+      console.warn(`🚫 remove-user: session of ${trimmedUsername} is for another room, room untouched`);
+    }
+  }
+  // The username may have been taken by someone else since this session was issued
+  const userData = await storage.getActiveUser(trimmedUsername);
+  const ownsUsername = !!userData && userData.userId === player.userId;
   if (immediate) {
     if (roomId && userId) {
-      const room = await storage.getRoomById(roomId);
-      if (room) {
-        room.users.delete(userId);
-        room.selections.delete(userId);
-        if (room.masterId === userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        if (room.users.size === 0) await storage.deleteRoom(roomId);
-        else await storage.saveRoom(room);
-      }
+      await removeUserFromStoredRoom(roomId, userId);
+    }
+    if (ownsUsername) {
+      await storage.deleteActiveUser(trimmedUsername);
+      await storage.clearUserKickMarker(trimmedUsername);
     }
-    await storage.deleteActiveUser(trimmedUsername);
-    await storage.clearUserKickMarker(trimmedUsername);
     console.log(`👋 User ${trimmedUsername} removed (immediate)`);
-  } else {
+  } else if (ownsUsername) {
     await storage.setPendingRemoval(trimmedUsername, roomId || null, userId || null);
     console.log(`📋 Pending removal for ${trimmedUsername} (grace ${TAB_CLOSE_GRACE_MS / 1000}s)`);
   }
@@ -1163,286 +1094,199 @@ app.post('/api/remove-user', async (req, res) => {
 });
 
 // Change user role (attender/observer)
-app.post('/api/change-role', async (req, res) => {
-  const { roomId, userId, role } = req.body;
-  const room = await storage.getRoomById(roomId);
-  
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  
-  // Block role changes during game (only allow in waiting state)
-  if (room.gameState !== 'waiting') {
-    return res.status(400).json({ success: false, message: '게임 중에는 역할을 변경할 수 없습니다.' });
-  }
-  
-  const user = room.users.get(userId);
-  if (!user) {
-    return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
-  }
-  
-  // Update user role
-  user.role = role;
-  room.users.set(userId, user);
-  
-  // Update lastActivity to keep user and room alive
-  const activeUserData = await storage.getActiveUser(user.username);
-  if (activeUserData) {
-    await storage.saveActiveUser(user.username, {
-      ...activeUserData,
-      lastActivity: Date.now()
-    });
-  }
-  room.lastActivity = Date.now(); // Prevent room deletion during active use
-  await storage.saveRoom(room);
-  
-  console.log(`🔄 User ${user.displayName} changed role to ${role}`);
-  
-  // Return updated users list
-  const usersWithVotingStatus = Array.from(room.users.values()).map(user => ({
-    ...user,
-    hasVoted: room.selections.has(user.id),
-    isMaster: user.id === room.masterId,
-    role: user.role || 'attender' // Default to attender if no role set
-  }));
-  
-  res.json({
-    success: true,
-    users: usersWithVotingStatus
-  });
-});
-
-// Return to waiting room after results
-app.post('/api/return-to-waiting', async (req, res) => {
-  const { roomId, userId } = req.body;
-  const room = await storage.getRoomById(roomId);
-  
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  
-  // Initialize returnedToWaiting Set if it doesn't exist (for rooms created before this update)
-  if (!room.returnedToWaiting) {
-    room.returnedToWaiting = new Set();
-  }
-  
-  // Mark this user as returned to waiting room
-  room.returnedToWaiting.add(userId);
-  
-  // Get all attenders (users who need to return)
-  const attenders = Array.from(room.users.values()).filter(user => (user.role || 'attender') === 'attender');
-  const allReturned = attenders.every(user => room.returnedToWaiting.has(user.id));
-  
-  // Only set gameState to 'waiting' when ALL attenders have returned
-  if (allReturned) {
-    room.gameState = 'waiting';
-    room.selections.clear();
-    room.matchResult = null;
-    room.returnedToWaiting.clear(); // Reset for next round; avoid stale IDs
-    if (room.gameType === 'liar') {
-      room.liarState = null;
-      room.liarLiarUserId = null;
-      room.liarSecretWord = null;
-      room.liarUserWords = null;
-      room.liarChosenWordAuthor = null;
-      room.liarVotes = null;
-      room.liarCondemnedUserId = null;
-      room.liarVoteTieTargets = null;
-      room.liarArgumentChoices = null;
-      room.liarArgumentEndsAt = null;
-      room.liarIdentifyVotes = null;
-      room.liarGuessedWord = null;
-      room.liarGuessEndsAt = null;
-      room.liarIdentifyEndsAt = null;
-      room.liarMainTimerEndsAt = null;
-      room.liarMainTimerExtendedBy = null;
-      room.liarLastTimeChange = null;
-      room.liarDifficultClicks = null;
-      room.liarAbortedByDifficult = null;
-      room.liarResultScenario = null;
-      room.liarResultData = null;
-    }
-    console.log(`🔄 Room ${room.roomName} - All users returned to waiting state`);
-  } else {
-    console.log(`🔄 Room ${room.roomName} - User returned, waiting for others (${room.returnedToWaiting.size}/${attenders.length})`);
-  }
-  
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  
-  res.json({ 
-    success: true,
-    allReturned,
-    returnedCount: room.returnedToWaiting.size,
-    totalAttenders: attenders.length
-  });
-});
-
-// Get room status
-app.get('/api/room/:roomId', async (req, res) => {
-  try {
-    const { roomId } = req.params;
-    const { username } = req.query; // Get requesting user's username for admin kick check
-    const room = await storage.getRoomById(roomId);
-    
+app.post('/api/change-role', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const { role } = req.body;
+  const outcome = await mutateRoom(roomId, (room) => {
     if (!room) {
-      // Check if room was deleted by admin (use marker directly)
-      let wasDeletedByAdmin = false;
-      let wasKickedByAdmin = false;
-      try {
-        const roomDeleteMarker = await storage.getRoomDeleteMarker(roomId);
-        wasDeletedByAdmin = roomDeleteMarker?.reason === storage.ROOM_DELETE_REASONS.ADMIN;
-        if (username) {
-          const kickMarker = await storage.getUserKickMarker(username);
-          wasKickedByAdmin = kickMarker?.reason === storage.KICK_REASONS.ADMIN;
-        }
-      } catch (e) {
-        console.warn('Marker check error (room not found):', e.message);
-      }
-      res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
-      return res.json({ 
-        success: false, 
-        message: '방을 찾을 수 없습니다.',
-        roomDeletedByAdmin: wasDeletedByAdmin,
-        kickedByAdmin: wasKickedByAdmin ? [username] : undefined
-      });
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
     }
     
-    // Initialize returnedToWaiting Set if it doesn't exist (for rooms created before this update)
-    if (!room.returnedToWaiting) {
-      room.returnedToWaiting = new Set();
+    // Block role changes during game (only allow in waiting state)
+    if (room.gameState !== 'waiting') {
+      return rejectRoomUpdate(400, '게임 중에는 역할을 변경할 수 없습니다.');
     }
     
-    // Liar: apply timer-based transitions when polling
-    if (room.gameType === 'liar') {
-      const now = Date.now();
-      if (room.liarState === 'play' && room.liarMainTimerEndsAt && now >= room.liarMainTimerEndsAt) {
-        room.liarState = 'vote';
-        room.gameState = 'liarVote';
-        room.liarVotes = room.liarVotes || new Map();
-        room.liarVotes.clear();
-        await storage.saveRoom(room);
-      } else if (room.liarState === 'argument' && room.liarArgumentEndsAt && now >= room.liarArgumentEndsAt) {
-        const voters = Array.from(room.liarVotes?.entries() || []).filter(([, tid]) => tid === room.liarCondemnedUserId).map(([uid]) => uid);
-        const forgives = Array.from(room.liarArgumentChoices?.values() || []).filter(c => c === 'forgive').length;
-        if (voters.length > 0 && forgives < Math.ceil(voters.length / 2)) {
-          room.liarState = 'identify';
-          room.gameState = 'liarIdentify';
-          room.liarIdentifyVotes = new Map();
-          if (room.liarCondemnedUserId === room.liarLiarUserId) {
-            room.liarGuessEndsAt = now + 30 * 1000;
-          } else {
-            room.liarIdentifyEndsAt = now + 10 * 1000;
-          }
-          await storage.saveRoom(room);
-        }
-      } else if (room.liarState === 'identify' && room.liarCondemnedUserId !== room.liarLiarUserId && room.liarIdentifyEndsAt && now >= room.liarIdentifyEndsAt) {
-        const liarUser = room.users.get(room.liarLiarUserId);
-        const condemnedUser = room.users.get(room.liarCondemnedUserId);
-        room.liarState = 'result';
-        room.gameState = 'liarResult';
-        room.liarResultScenario = 'C';
-        room.liarResultData = { liarNickname: liarUser?.displayName || liarUser?.nickname, condemnedNickname: condemnedUser?.displayName || condemnedUser?.nickname, secretWord: room.liarSecretWord, voteRankingSnapshot: buildLiarVoteRankingSnapshot(room) };
-        await storage.saveRoom(room);
-      } else if (room.liarState === 'identify' && room.liarCondemnedUserId === room.liarLiarUserId && room.liarGuessEndsAt && now >= room.liarGuessEndsAt && !room.liarGuessedWord) {
-        const liarUser = room.users.get(room.liarLiarUserId);
-        room.liarState = 'result';
-        room.gameState = 'liarResult';
-        room.liarResultScenario = 'B';
-        room.liarResultData = { liarNickname: liarUser?.displayName || liarUser?.nickname, secretWord: room.liarSecretWord, liarNoGuess: true, voteRankingSnapshot: buildLiarVoteRankingSnapshot(room) };
-        await storage.saveRoom(room);
-      }
+    const user = room.users.get(userId);
+    if (!user) {
+      return rejectRoomUpdate(404, '사용자를 찾을 수 없습니다.');
     }
     
-    // Add voting status, master status, role, and returned status to users
+    // Update user role
+    user.role = role;
+    room.users.set(userId, user);
+    room.lastActivity = Date.now(); // Prevent room deletion during active use
+    
+    // Return updated users list
     const usersWithVotingStatus = Array.from(room.users.values()).map(user => ({
       ...user,
       hasVoted: room.selections.has(user.id),
       isMaster: user.id === room.masterId,
-      role: user.role || 'attender', // Default to attender if no role set
-      hasReturnedToWaiting: room.returnedToWaiting.has(user.id) // Track if user returned from results
+      role: user.role || 'attender' // Default to attender if no role set
     }));
     
-    console.log(`📊 Room status request for ${room.roomName}:`);
-    console.log(`   Game state: ${room.gameState}`);
-    console.log(`   Users: ${room.users.size}, Selections: ${room.selections.size}`);
+    return {
+      user,
+      body: {
+        success: true,
+        users: usersWithVotingStatus
+      }
+    };
+  });
+  
+  if (outcome.user) {
+    // Update lastActivity to keep user and room alive
+    const activeUserData = await storage.getActiveUser(outcome.user.username);
+    if (activeUserData) {
+      await storage.saveActiveUser(outcome.user.username, {
+        ...activeUserData,
+        lastActivity: Date.now()
+      });
+    }
+    console.log(`🔄 User ${outcome.user.displayName} changed role to ${role}`);
+  }
+  
+  sendRoomOutcome(res, outcome);
+});
+
+// Return to waiting room after results
+app.post('/api/return-to-waiting', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    
+    // Mark this user as returned to waiting room
+    room.returnedToWaiting.add(userId);
     
-    // Check if requesting user was kicked by admin (use marker directly) - defensive to avoid 500
-    const kickedUsers = [];
+    // Get all attenders (users who need to return)
+    const attenders = Array.from(room.users.values()).filter(user => (user.role || 'attender') === 'attender');
+    const allReturned = attenders.every(user => room.returnedToWaiting.has(user.id));
+    
+    // Only set gameState to 'waiting' when ALL attenders have returned
+    if (allReturned) {
+      room.gameState = 'waiting';
+      room.selections.clear();
+      room.matchResult = null;
+      room.returnedToWaiting.clear(); // Reset for next round; avoid stale IDs
+      const game = games.getRoomGame(room);
+      if (game && game.reset) game.reset(room);
+      console.log(`🔄 Room ${room.roomName} - All users returned to waiting state`);
+    } else {
+      console.log(`🔄 Room ${room.roomName} - User returned, waiting for others (${room.returnedToWaiting.size}/${attenders.length})`);
+    }
+    
+    room.lastActivity = Date.now();
+    
+    return {
+      body: {
+        success: true,
+        allReturned,
+        returnedCount: room.returnedToWaiting.size,
+        totalAttenders: attenders.length
+      }
+    };
+  });
+  sendRoomOutcome(res, outcome);
+});
+
+// Load a room for status reads, applying any due timer transitions first
+// (the scheduler tick normally got there already; this covers a tick that hasn't run yet)
+async function loadRoomForStatus(roomId) {
+  const { room } = await scheduler.advanceRoom(roomId);
+  return room;
+}
+
+// Room version as an ETag (bumped by storage.saveRoom on every save)
+function roomEtag(room) {
+  return `"v${room.version || 0}"`;
+}
+
+// Username whose view of the room is sent: taken from the session token, never from the query
+async function resolveRoomViewer(req, roomId) {
+  try {
+    const player = await resolvePlayer(req);
+    return player && player.roomId === roomId ? player.username : null;
+  } catch (err) {
+    console.warn('Session check error:', err.message);
+    return null;
+  }
+}
+
+// Build the room status payload for one requesting user (shared by polling and the event stream)
+async function buildRoomStatus(roomId, username, room, viewerUsername) {
+  if (!room) {
+    // Check if room was deleted by admin (use marker directly)
+    let wasDeletedByAdmin = false;
+    let wasKickedByAdmin = false;
     try {
+      const roomDeleteMarker = await storage.getRoomDeleteMarker(roomId);
+      wasDeletedByAdmin = roomDeleteMarker?.reason === storage.ROOM_DELETE_REASONS.ADMIN;
       if (username) {
-        const m = await storage.getUserKickMarker(username);
-        if (m?.reason === storage.KICK_REASONS.ADMIN) kickedUsers.push(username);
-      }
-      for (const user of usersWithVotingStatus) {
-        const m = await storage.getUserKickMarker(user.username);
-        if (m?.reason === storage.KICK_REASONS.ADMIN && !kickedUsers.includes(user.username)) {
-          kickedUsers.push(user.username);
-        }
+        const kickMarker = await storage.getUserKickMarker(username);
+        wasKickedByAdmin = kickMarker?.reason === storage.KICK_REASONS.ADMIN;
       }
     } catch (e) {
-      console.warn('Kicked-users check error:', e.message);
+      console.warn('Marker check error (room not found):', e.message);
     }
-    
+    return { 
+      success: false, 
+      message: '방을 찾을 수 없습니다.',
+      roomDeletedByAdmin: wasDeletedByAdmin,
+      kickedByAdmin: wasKickedByAdmin ? [username] : undefined
+    };
+  }
+  
+  const view = buildRoomView(room, viewerUsername);
+  
+  // Runs on every push of every open stream, so only the requesting user's kick marker is read
+  // (an admin kick removes the user from the room, so nobody else needs it) - defensive to avoid 500
+  let wasKickedByAdmin = false;
+  try {
+    if (username) {
+      const m = await storage.getUserKickMarker(username);
+      wasKickedByAdmin = m?.reason === storage.KICK_REASONS.ADMIN;
+    }
+  } catch (e) {
+    console.warn('Kicked-user check error:', e.message);
+  }
+  
+  return {
+    success: true,
+    room: view.room,
+    ...view.privateFields, // e.g. liarMyWord
+    matchResult: room.matchResult,
+    kickedByAdmin: wasKickedByAdmin ? [username] : undefined,
+    roomDeletedByAdmin: false // Room still exists, so not deleted
+  };
+}
+
+// Get room status
+app.get('/api/room/:roomId', async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { username, sinceVersion } = req.query; // Get requesting user's username for admin kick check
+    const viewerUsername = await resolveRoomViewer(req, roomId);
+    const room = await loadRoomForStatus(roomId);
     res.set('Cache-Control', 'no-store, no-cache, must-revalidate');
     res.set('Pragma', 'no-cache');
-    const roomPayload = {
-      id: roomId,
-      roomName: room.roomName,
-      memberLimit: room.memberLimit,
-      users: usersWithVotingStatus,
-      selections: Object.fromEntries(room.selections),
-      gameState: room.gameState,
-      gameType: room.gameType || 'telepathy',
-      liarSubject: room.liarSubject || '물건',
-      liarMethod: room.liarMethod || '커스텀',
-      liarCustomSubject: room.liarCustomSubject || null,
-      masterId: room.masterId
-    };
-    if (room.gameType === 'liar' && room.liarState) {
-      roomPayload.liarState = room.liarState;
-      roomPayload.liarLiarUserId = room.liarLiarUserId || null;
-      roomPayload.liarSecretWord = null; // Never send to client (only reveal per-user in play/result)
-      if (room.liarState === 'wordInput') {
-        roomPayload.liarSubmittedCount = room.liarUserWords ? room.liarUserWords.size : 0;
-        roomPayload.liarSubmittedUserIds = room.liarUserWords ? Array.from(room.liarUserWords.keys()) : [];
-      } else {
-        roomPayload.liarUserWords = room.liarUserWords ? Object.fromEntries(room.liarUserWords) : {};
+    res.set('Vary', SESSION_TOKEN_HEADER); // Payload differs per player
+    
+    // Conditional GET: nothing changed since the client's last seen version
+    if (room) {
+      const etag = roomEtag(room);
+      res.set('ETag', etag);
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
       }
-      roomPayload.liarChosenWordAuthor = room.liarChosenWordAuthor || null;
-      roomPayload.liarVotes = room.liarVotes ? Object.fromEntries(room.liarVotes) : {};
-      roomPayload.liarCondemnedUserId = room.liarCondemnedUserId || null;
-      roomPayload.liarArgumentChoices = room.liarArgumentChoices ? Object.fromEntries(room.liarArgumentChoices) : {};
-      roomPayload.liarIdentifyVotes = room.liarIdentifyVotes ? Object.fromEntries(room.liarIdentifyVotes) : {};
-      roomPayload.liarGuessedWord = room.liarGuessedWord || null;
-      roomPayload.liarMainTimerEndsAt = room.liarMainTimerEndsAt || null;
-      roomPayload.liarPlayStartedAt = room.liarPlayStartedAt || null;
-      roomPayload.liarMainTimerExtendedBy = room.liarMainTimerExtendedBy ? Array.from(room.liarMainTimerExtendedBy) : [];
-      roomPayload.liarLastTimeChange = room.liarLastTimeChange || null;
-      roomPayload.liarDifficultClicks = room.liarDifficultClicks ? Array.from(room.liarDifficultClicks) : [];
-      roomPayload.liarAbortedByDifficult = room.liarAbortedByDifficult || false;
-      roomPayload.liarResultScenario = room.liarResultScenario || null;
-      roomPayload.liarResultData = room.liarResultData || null;
-      roomPayload.liarVoteTieTargets = room.liarVoteTieTargets || null;
-      roomPayload.liarArgumentEndsAt = room.liarArgumentEndsAt || null;
-      roomPayload.liarGuessEndsAt = room.liarGuessEndsAt || null;
-      roomPayload.liarIdentifyEndsAt = room.liarIdentifyEndsAt || null;
-    }
-    let liarMyWord = null;
-    if (room.gameType === 'liar' && room.liarSecretWord && username) {
-      const reqUser = usersWithVotingStatus.find(u => u.username === username);
-      if (reqUser && reqUser.id !== room.liarLiarUserId && (room.liarState === 'play' || room.liarState === 'result' || room.liarAbortedByDifficult)) {
-        liarMyWord = room.liarSecretWord;
+      if (sinceVersion !== undefined && Number(sinceVersion) === (room.version || 0)) {
+        return res.json({ success: true, unchanged: true, version: room.version || 0 });
       }
     }
-    return res.json({
-      success: true,
-      room: roomPayload,
-      liarMyWord,
-      matchResult: room.matchResult,
-      kickedByAdmin: kickedUsers.length > 0 ? kickedUsers : undefined,
-      roomDeletedByAdmin: false // Room still exists, so not deleted
-    });
+    
+    const status = await buildRoomStatus(roomId, username, room, viewerUsername);
+    return res.json(status);
   } catch (err) {
     console.error('Room status error:', err);
     res.set('Cache-Control', 'no-store');
@@ -1450,431 +1294,343 @@ app.get('/api/room/:roomId', async (req, res) => {
   }
 });
 
-// Kick user (master only)
-app.post('/api/kick-user', async (req, res) => {
-  const { roomId, masterUserId, targetUserId } = req.body;
-  
+// Finished rounds of the room, newest first (players of the room only)
+app.get('/api/room/:roomId/history', requirePlayer, async (req, res) => {
+  const { roomId } = req.params;
+  if (req.player.roomId !== roomId) {
+    return res.status(403).json({ success: false, message: '방에 참여한 사용자만 기록을 볼 수 있습니다.' });
+  }
   const room = await storage.getRoomById(roomId);
   if (!room) {
     return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
   }
+  res.set('Cache-Control', 'no-store');
+  return res.json({ success: true, history: roundHistory.buildHistoryView(room) });
+});
+
+// ───────────────────────────────────────────────────────────────────────────
+// Room event stream (Server-Sent Events)
+// Pushes the same per-user payload as GET /api/room/:roomId whenever the room version changes.
+// Local saves notify immediately; the stream also wakes at the room's next phase deadline,
+// and a slow refresh tick is the safety net for saves made by other instances.
+// ───────────────────────────────────────────────────────────────────────────
+const ROOM_STREAM_REFRESH_MS = 15 * 1000;
+const ROOM_STREAM_DEADLINE_SLACK_MS = 250; // Wake just after the deadline so the transition is due
+const ROOM_STREAM_KEEPALIVE_MS = 15 * 1000;
+const ROOM_STREAM_RETRY_MS = 3000; // EventSource reconnect delay sent to the client
+
+app.get('/api/room/:roomId/events', async (req, res) => {
+  const { roomId } = req.params;
+  const { username } = req.query;
+  const viewerUsername = await resolveRoomViewer(req, roomId); // EventSource sends the token as ?sessionToken=
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store, no-cache, must-revalidate',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${ROOM_STREAM_RETRY_MS}\n\n`);
+
+  let closed = false;
+  let sending = false;
+  let resendRequested = false;
+  let lastVersion = null;
+  let deadlineTimer = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(refreshTimer);
+    clearTimeout(deadlineTimer);
+    clearInterval(keepAliveTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  const push = async () => {
+    if (closed) return;
+    if (sending) {
+      resendRequested = true;
+      return;
+    }
+    sending = true;
+    try {
+      const room = await loadRoomForStatus(roomId);
+      scheduleDeadlineWake(room);
+      if (room && room.version === lastVersion) return; // Unchanged since the last event
+      const status = await buildRoomStatus(roomId, username, room, viewerUsername);
+      if (!closed) {
+        lastVersion = room ? room.version : null;
+        res.write(`event: room\ndata: ${JSON.stringify(status)}\n\n`);
+      }
+      if (!status.success) close(); // Room is gone - nothing more to stream
+    } catch (err) {
+      console.warn('Room stream error:', err.message);
+    } finally {
+      sending = false;
+      if (resendRequested && !closed) {
+        resendRequested = false;
+        push();
+      }
+    }
+  };
+
+  // Phase timers change the room without a save on this instance; wake for the next one
+  const scheduleDeadlineWake = (room) => {
+    clearTimeout(deadlineTimer);
+    deadlineTimer = null;
+    const dueAt = room && !closed ? scheduler.nextDeadline(room) : null;
+    if (dueAt && dueAt > Date.now()) {
+      deadlineTimer = setTimeout(push, dueAt - Date.now() + ROOM_STREAM_DEADLINE_SLACK_MS);
+    }
+  };
+
+  const unsubscribe = storage.subscribeRoom(roomId, push);
+  const refreshTimer = setInterval(push, ROOM_STREAM_REFRESH_MS);
+  const keepAliveTimer = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, ROOM_STREAM_KEEPALIVE_MS);
+
+  req.on('close', close);
+  push();
+});
+
+
+// Kick user (master only)
+app.post('/api/kick-user', requirePlayer, async (req, res) => {
+  const { roomId, userId: masterUserId } = req.player;
+  const { targetUserId } = req.body;
   
-  // Check if user is master
-  if (room.masterId !== masterUserId) {
-    return res.status(403).json({ success: false, message: '방장만 사용자를 추방할 수 있습니다.' });
-  }
-  
-  // Check if target user exists
-  const targetUser = room.users.get(targetUserId);
-  if (!targetUser) {
-    return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
-  }
-  
-  // Cannot kick yourself
-  if (targetUserId === masterUserId) {
-    return res.status(400).json({ success: false, message: '자신을 추방할 수 없습니다.' });
-  }
-  
-  // Set kick marker for master kick
-  await storage.setUserKickMarker(targetUser.username, storage.KICK_REASONS.MASTER);
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    
+    // Check if user is master
+    if (room.masterId !== masterUserId) {
+      return rejectRoomUpdate(403, '방장만 사용자를 추방할 수 있습니다.');
+    }
+    
+    // Check if target user exists
+    const targetUser = room.users.get(targetUserId);
+    if (!targetUser) {
+      return rejectRoomUpdate(404, '사용자를 찾을 수 없습니다.');
+    }
+    
+    // Cannot kick yourself
+    if (targetUserId === masterUserId) {
+      return rejectRoomUpdate(400, '자신을 추방할 수 없습니다.');
+    }
+    
+    // Remove user from room
+    room.users.delete(targetUserId);
+    room.selections.delete(targetUserId);
+    room.lastActivity = Date.now();
+    
+    console.log(`User kicked: ${targetUser.displayName} from ${room.roomName} by master`);
+    
+    return {
+      targetUser,
+      empty: room.users.size === 0,
+      body: {
+        success: true,
+        message: '사용자가 추방되었습니다.',
+        users: Array.from(room.users.values())
+      }
+    };
+  });
   
-  // Remove user from room
-  room.users.delete(targetUserId);
-  room.selections.delete(targetUserId);
-  await storage.deleteActiveUser(targetUser.username);
-  room.lastActivity = Date.now();
-  if (room.users.size === 0) {
-    await storage.setRoomDeleteMarker(roomId, storage.ROOM_DELETE_REASONS.EMPTY);
-    await storage.deleteRoom(roomId);
-  } else {
-    await storage.saveRoom(room);
+  if (outcome.targetUser) {
+    // Set kick marker for master kick
+    await storage.setUserKickMarker(outcome.targetUser.username, storage.KICK_REASONS.MASTER);
+    await storage.deleteActiveUser(outcome.targetUser.username);
+    if (outcome.empty) {
+      await storage.setRoomDeleteMarker(roomId, storage.ROOM_DELETE_REASONS.EMPTY);
+      await storage.deleteRoom(roomId);
+    }
   }
   
-  console.log(`User kicked: ${targetUser.displayName} from ${room.roomName} by master`);
-  
-  res.json({
-    success: true,
-    message: '사용자가 추방되었습니다.',
-    users: Array.from(room.users.values())
-  });
+  sendRoomOutcome(res, outcome);
 });
 
 // Set game type (master only)
-app.post('/api/set-game-type', async (req, res) => {
-  const { roomId, userId, gameType } = req.body;
-  if (!['telepathy', 'liar'].includes(gameType)) {
+app.post('/api/set-game-type', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const { gameType } = req.body;
+  if (!games.getGame(gameType)) {
     return res.status(400).json({ success: false, message: '잘못된 게임 종류입니다.' });
   }
-  const room = await storage.getRoomById(roomId);
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  if (room.masterId !== userId) {
-    return res.status(403).json({ success: false, message: '방장만 게임을 선택할 수 있습니다.' });
-  }
-  room.gameType = gameType;
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true, gameType });
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 게임을 선택할 수 있습니다.');
+    }
+    // Routes, views, timers and reset all follow room.gameType, so only switch between rounds
+    if (room.gameState !== 'waiting') {
+      return rejectRoomUpdate(400, '게임 중에는 게임을 바꿀 수 없습니다.');
+    }
+    room.gameType = gameType;
+    room.lastActivity = Date.now();
+    return { body: { success: true, gameType } };
+  });
+  sendRoomOutcome(res, outcome);
 });
 
-// Set Liar game settings (master only, when gameType is liar)
-app.post('/api/set-liar-settings', async (req, res) => {
-  const { roomId, userId, liarSubject, liarMethod, liarCustomSubject } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  if (room.masterId !== userId) {
-    return res.status(403).json({ success: false, message: '방장만 설정할 수 있습니다.' });
-  }
-  const subjects = ['물건', '동물', '스포츠', '요리', '장소', '직업', '국가', '인물', '영화', '드라마', '과일', '채소', '커스텀주제'];
-  if (!subjects.includes(liarSubject)) {
-    return res.status(400).json({ success: false, message: '잘못된 주제입니다.' });
-  }
-  if (!['랜덤', '커스텀'].includes(liarMethod)) {
-    return res.status(400).json({ success: false, message: '잘못된 방식입니다.' });
-  }
-  if (liarSubject === '커스텀주제') {
-    room.liarMethod = '커스텀';
-    room.liarCustomSubject = (liarCustomSubject || '').trim().slice(0, 16) || null;
-  } else {
-    room.liarMethod = liarMethod;
-    room.liarCustomSubject = null;
+// Set game settings (master only). gameType defaults to the room's current game;
+// settings of the other games can be changed too (the waiting room shows them before switching)
+async function applyGameSettings(req, res, gameType) {
+  const { roomId, userId } = req.player;
+  const game = games.getGame(gameType);
+  if (gameType && !(game && game.settings)) {
+    return res.status(400).json({ success: false, message: '잘못된 게임 종류입니다.' });
   }
-  room.liarSubject = liarSubject;
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true, liarSubject: room.liarSubject, liarMethod: room.liarMethod, liarCustomSubject: room.liarCustomSubject });
-});
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 설정할 수 있습니다.');
+    }
+    const target = game || games.getRoomGame(room);
+    if (!target || !target.settings) {
+      return rejectRoomUpdate(400, '설정할 수 있는 항목이 없습니다.');
+    }
+    const result = target.settings.apply(room, req.body, buildGameContext(room, userId, req.body));
+    if (result.save !== false) room.lastActivity = Date.now();
+    return result;
+  });
+  sendRoomOutcome(res, outcome);
+}
 
-// Liar: Submit word (word input state, custom mode only)
-app.post('/api/liar-submit-word', async (req, res) => {
-  const { roomId, userId, word } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.gameState !== 'liarWordInput') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  const user = room.users.get(userId);
-  if (!user || (user.role || 'attender') !== 'attender') {
-    return res.status(400).json({ success: false, message: '참가자만 단어를 제출할 수 있습니다.' });
-  }
-  const trimmed = (word || '').trim().slice(0, 16);
-  if (!trimmed) return res.status(400).json({ success: false, message: '단어를 입력하세요.' });
-  room.liarUserWords.set(userId, trimmed);
-  room.lastActivity = Date.now();
-  const attenders = Array.from(room.users.values()).filter(u => (u.role || 'attender') === 'attender');
-  if (room.liarUserWords.size === attenders.length) {
-    const liarIdx = Math.floor(Math.random() * attenders.length);
-    room.liarLiarUserId = attenders[liarIdx].id;
-    const words = Array.from(room.liarUserWords.values());
-    const liarWord = room.liarUserWords.get(room.liarLiarUserId);
-    const pool = words.filter(w => w !== liarWord);
-    room.liarSecretWord = pool.length > 0 ? pool[Math.floor(Math.random() * pool.length)] : words[0];
-    const authorEntry = Array.from(room.liarUserWords.entries()).find(([, w]) => w === room.liarSecretWord);
-    room.liarChosenWordAuthor = authorEntry ? authorEntry[0] : null;
-    room.liarUserWords.clear();
-    if (room.liarChosenWordAuthor) {
-      room.liarUserWords.set(room.liarChosenWordAuthor, room.liarSecretWord);
-    }
-    room.liarState = 'play';
-    room.gameState = 'liarPlay';
-    room.liarPlayStartedAt = Date.now();
-    const minutes = attenders.length * 2;
-    room.liarMainTimerEndsAt = Date.now() + minutes * 60 * 1000;
-    room.liarMainTimerExtendedBy = room.liarMainTimerExtendedBy || new Set();
-    room.liarDifficultClicks = room.liarDifficultClicks || new Set();
-  }
-  await storage.saveRoom(room);
-  res.json({ success: true });
-});
+app.post('/api/set-game-settings', requirePlayer, (req, res) => applyGameSettings(req, res, req.body.gameType || null));
 
-// Liar: Extend/shorten time (once per user)
-app.post('/api/liar-extend-time', async (req, res) => {
-  const { roomId, userId, action } = req.body; // action: 'extend' | 'shorten'
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'play') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (room.liarMainTimerExtendedBy.has(userId)) {
-    return res.status(400).json({ success: false, message: '이미 시간을 조절했습니다.' });
-  }
-  const user = room.users.get(userId);
-  const nickname = user?.displayName || user?.nickname || '누군가';
-  room.liarMainTimerExtendedBy.add(userId);
-  const delta = action === 'extend' ? 60 * 1000 : -60 * 1000;
-  room.liarMainTimerEndsAt = Math.max(Date.now() + 5000, (room.liarMainTimerEndsAt || Date.now()) + delta);
-  room.liarLastTimeChange = { userId, action, nickname };
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true });
-});
+// Set Liar game settings (same as set-game-settings with gameType liar)
+app.post('/api/set-liar-settings', requirePlayer, (req, res) => applyGameSettings(req, res, 'liar'));
 
-// Liar: Difficult word button (normal players, 30s window)
-app.post('/api/liar-difficult-word', async (req, res) => {
-  const { roomId, userId } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'play') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (userId === room.liarLiarUserId) return res.status(400).json({ success: false, message: '라이어는 누를 수 없습니다.' });
-  room.liarDifficultClicks = room.liarDifficultClicks || new Set();
-  room.liarDifficultClicks.add(userId);
-  const attenders = Array.from(room.users.values()).filter(u => (u.role || 'attender') === 'attender');
-  const normalCount = attenders.filter(u => u.id !== room.liarLiarUserId).length;
-  if (room.liarDifficultClicks.size >= Math.ceil(normalCount / 2)) {
-    room.liarAbortedByDifficult = true;
-    room.liarState = 'result';
-    room.gameState = 'liarResult';
-    const liarUser = room.users.get(room.liarLiarUserId);
-    const authorUser = room.liarChosenWordAuthor ? room.users.get(room.liarChosenWordAuthor) : null;
-    room.liarResultScenario = 'D';
-    room.liarResultData = {
-      liarNickname: liarUser?.displayName || liarUser?.nickname,
-      secretWord: room.liarSecretWord,
-      wordAuthorNickname: authorUser?.displayName || authorUser?.nickname,
-      voteRankingSnapshot: buildLiarVoteRankingSnapshot(room)
-    };
-  }
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true });
+// Reset the room scoreboard (master only)
+app.post('/api/reset-scoreboard', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 점수판을 초기화할 수 있습니다.');
+    }
+    scoreboard.resetScores(room);
+    room.lastActivity = Date.now();
+    return { body: { success: true, roomScoreboard: [] } };
+  });
+  sendRoomOutcome(res, outcome);
 });
 
-// Liar: Master starts vote or timer hit 0
-app.post('/api/liar-start-vote', async (req, res) => {
-  const { roomId, userId } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'play') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (room.masterId !== userId) {
-    return res.status(403).json({ success: false, message: '방장만 투표를 시작할 수 있습니다.' });
-  }
-  room.liarState = 'vote';
-  room.gameState = 'liarVote';
-  room.liarVotes = room.liarVotes || new Map();
-  room.liarVotes.clear();
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true });
+// Correct a player's drink tally by one (master only)
+app.post('/api/adjust-tally', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const { targetUserId, delta } = req.body;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 벌칙 기록을 고칠 수 있습니다.');
+    }
+    const result = tally.adjustTally(room, targetUserId, delta, { reject: rejectRoomUpdate });
+    if (result.save !== false) room.lastActivity = Date.now();
+    return result;
+  });
+  sendRoomOutcome(res, outcome);
 });
 
-// Liar: Vote for who is the liar
-app.post('/api/liar-vote', async (req, res) => {
-  const { roomId, userId, targetUserId } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'vote') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  const attenders = Array.from(room.users.values()).filter(u => (u.role || 'attender') === 'attender');
-  const validTargets = room.liarVoteTieTargets && room.liarVoteTieTargets.length > 0
-    ? room.liarVoteTieTargets
-    : attenders.map(u => u.id);
-  if (!attenders.find(u => u.id === userId) || !validTargets.includes(targetUserId)) {
-    return res.status(400).json({ success: false, message: '잘못된 투표입니다.' });
-  }
-  room.liarVotes.set(userId, targetUserId);
-  room.lastActivity = Date.now();
-  const voted = room.liarVotes.size;
-  if (voted === attenders.length) {
-    const counts = {};
-    for (const [, tid] of room.liarVotes) {
-      if (!validTargets.includes(tid)) continue;
-      counts[tid] = (counts[tid] || 0) + 1;
-    }
-    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
-    const top = sorted.filter(([, c]) => c === sorted[0][1]);
-    if (top.length === 1) {
-      room.liarCondemnedUserId = top[0][0];
-      room.liarVoteTieTargets = null;
-      room.liarState = 'argument';
-      room.gameState = 'liarArgument';
-      room.liarArgumentChoices = new Map();
-      room.liarArgumentEndsAt = Date.now() + 30 * 1000;
-    } else {
-      const tieTargets = top.map(([id]) => id);
-      room.liarVoteTieTargets = tieTargets;
-      room.liarVotes.clear();
+// Set the penalty roulette list (master only; empty list = defaults)
+app.post('/api/set-penalties', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
     }
-  }
-  await storage.saveRoom(room);
-  res.json({ success: true });
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 벌칙을 정할 수 있습니다.');
+    }
+    const result = penalty.applyPenaltyList(room, req.body.penalties ?? null, { reject: rejectRoomUpdate });
+    if (result.save !== false) room.lastActivity = Date.now();
+    return result;
+  });
+  sendRoomOutcome(res, outcome);
 });
 
-// Liar: Forgive or Execute (only voters of condemned)
-app.post('/api/liar-forgive-execute', async (req, res) => {
-  const { roomId, userId, choice } = req.body; // choice: 'forgive' | 'execute'
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'argument') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (!['forgive', 'execute'].includes(choice)) return res.status(400).json({ success: false });
-  if (userId === room.liarCondemnedUserId) return res.status(403).json({ success: false, message: '사형수는 사면/처형을 선택할 수 없습니다.' });
-  const allVotersOfCondemned = Array.from(room.liarVotes.entries()).filter(([, tid]) => tid === room.liarCondemnedUserId).map(([uid]) => uid);
-  const voters = allVotersOfCondemned.filter((uid) => uid !== room.liarCondemnedUserId);
-  if (!voters.includes(userId)) return res.status(403).json({ success: false, message: '투표한 사람만 선택할 수 있습니다.' });
-  room.liarArgumentChoices.set(userId, choice);
-  room.lastActivity = Date.now();
-  const forgivesThresh = Math.ceil(voters.length / 2);
-  const executesThresh = Math.floor(voters.length / 2) + 1;
-  const forgives = voters.filter((uid) => room.liarArgumentChoices.get(uid) === 'forgive').length;
-  const executes = voters.filter((uid) => room.liarArgumentChoices.get(uid) === 'execute').length;
-  if (voters.length > 0 && (forgives >= forgivesThresh || executes >= executesThresh)) {
-    if (forgives >= forgivesThresh) {
-      room.liarCondemnedUserId = null;
-      room.liarState = 'vote';
-      room.gameState = 'liarVote';
-      room.liarVotes.clear();
-      room.liarArgumentChoices.clear();
-    } else {
-      room.liarState = 'identify';
-      room.gameState = 'liarIdentify';
-      room.liarIdentifyVotes = new Map();
-      if (room.liarCondemnedUserId === room.liarLiarUserId) {
-        room.liarGuessEndsAt = Date.now() + 30 * 1000;
-      } else {
-        room.liarIdentifyEndsAt = Date.now() + 10 * 1000;
-      }
+// Spin the penalty roulette for the losers of the round (master only, on the result screen)
+app.post('/api/spin-penalty', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
     }
-  }
-  await storage.saveRoom(room);
-  res.json({ success: true });
+    if (room.masterId !== userId) {
+      return rejectRoomUpdate(403, '방장만 룰렛을 돌릴 수 있습니다.');
+    }
+    if (games.getRoomPhase(room) !== 'result') {
+      return rejectRoomUpdate(400, '결과 화면에서만 룰렛을 돌릴 수 있습니다.');
+    }
+    const result = penalty.spin(room, { now: Date.now(), reject: rejectRoomUpdate });
+    if (result.save !== false) room.lastActivity = Date.now();
+    return result;
+  });
+  sendRoomOutcome(res, outcome);
 });
 
-// Helper: build vote ranking snapshot (names at result time - like Telepathy matchResult)
-function buildLiarVoteRankingSnapshot(room) {
-  const votes = room.liarVotes || new Map();
-  const voteCounts = {};
-  const votersByTarget = {};
-  for (const [voterId, targetId] of votes) {
-    voteCounts[targetId] = (voteCounts[targetId] || 0) + 1;
-    (votersByTarget[targetId] = votersByTarget[targetId] || []).push(voterId);
-  }
-  const allTargetIds = [...new Set(Object.keys(voteCounts))];
-  return allTargetIds
-    .sort((a, b) => (voteCounts[b] || 0) - (voteCounts[a] || 0))
-    .map((id) => {
-      const u = room.users?.get(id);
-      const voterIds = votersByTarget[id] || [];
-      const voterNames = voterIds.map((vid) => {
-        const v = room.users?.get(vid);
-        return v?.displayName || v?.nickname || '?';
-      });
-      return { id, name: u?.displayName || u?.nickname || '?', voteCount: voteCounts[id] || 0, voterNames, voterIds };
-    });
-}
+// Game action of the room's current game (see the game's `actions` in api/games)
+app.post('/api/game/:action', requirePlayer, (req, res) => runGameAction(req, res, req.params.action));
 
-// Liar: Liar guesses the word (identify state, when condemned is liar)
-app.post('/api/liar-guess', async (req, res) => {
-  const { roomId, userId, guessedWord } = req.body;
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'identify') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (userId !== room.liarLiarUserId || room.liarCondemnedUserId !== room.liarLiarUserId) {
-    return res.status(403).json({ success: false, message: '사형수(라이어)만 추측할 수 있습니다.' });
-  }
-  if (room.liarGuessedWord) {
-    return res.status(400).json({ success: false, message: '이미 제출했습니다.' });
-  }
-  if (room.liarGuessEndsAt && Date.now() >= room.liarGuessEndsAt) {
-    return res.status(400).json({ success: false, message: '제한 시간이 지났습니다.' });
-  }
-  const normalized = (guessedWord || '').trim().replace(/\s+/g, '').toLowerCase();
-  const secretNorm = (room.liarSecretWord || '').replace(/\s+/g, '').toLowerCase();
-  if (normalized === secretNorm) {
-    const liarUser = room.users.get(room.liarLiarUserId);
-    room.liarState = 'result';
-    room.gameState = 'liarResult';
-    room.liarResultScenario = 'A';
-    room.liarResultData = { liarNickname: liarUser?.displayName || liarUser?.nickname, secretWord: room.liarSecretWord, voteRankingSnapshot: buildLiarVoteRankingSnapshot(room) };
-  } else {
-    room.liarGuessedWord = (guessedWord || '').trim();
-  }
-  room.lastActivity = Date.now();
-  await storage.saveRoom(room);
-  res.json({ success: true });
-});
-
-// Liar: Normal players vote 인정/노인정 (when liar guessed wrong)
-app.post('/api/liar-identify-vote', async (req, res) => {
-  const { roomId, userId, choice } = req.body; // choice: '인정' | '노인정'
-  const room = await storage.getRoomById(roomId);
-  if (!room || room.gameType !== 'liar' || room.liarState !== 'identify') {
-    return res.status(400).json({ success: false, message: '잘못된 요청입니다.' });
-  }
-  if (!room.liarGuessedWord) return res.status(400).json({ success: false });
-  const attenders = Array.from(room.users.values()).filter(u => (u.role || 'attender') === 'attender');
-  const normalPlayers = attenders.filter(u => u.id !== room.liarLiarUserId);
-  if (!normalPlayers.find(u => u.id === userId)) return res.status(403).json({ success: false });
-  if (!['인정', '노인정'].includes(choice)) return res.status(400).json({ success: false });
-  room.liarIdentifyVotes.set(userId, choice);
-  room.lastActivity = Date.now();
-  const injeong = Array.from(room.liarIdentifyVotes.values()).filter(c => c === '인정').length;
-  const noinjeong = Array.from(room.liarIdentifyVotes.values()).filter(c => c === '노인정').length;
-  const injeongThresh = Math.ceil(normalPlayers.length / 2);
-  const immediateInjeong = injeong >= injeongThresh;
-  const immediateNoinjeong = noinjeong > normalPlayers.length / 2;
-  if (immediateInjeong || immediateNoinjeong || room.liarIdentifyVotes.size === normalPlayers.length) {
-    const liarUser = room.users.get(room.liarLiarUserId);
-    if (injeong >= injeongThresh) {
-      room.liarState = 'result';
-      room.gameState = 'liarResult';
-      room.liarResultScenario = 'A';
-      room.liarResultData = { liarNickname: liarUser?.displayName || liarUser?.nickname, secretWord: room.liarSecretWord, voteRankingSnapshot: buildLiarVoteRankingSnapshot(room) };
-    } else {
-      room.liarState = 'result';
-      room.gameState = 'liarResult';
-      room.liarResultScenario = 'B';
-      room.liarResultData = { liarNickname: liarUser?.displayName || liarUser?.nickname, secretWord: room.liarSecretWord, guessedWord: room.liarGuessedWord, voteRankingSnapshot: buildLiarVoteRankingSnapshot(room) };
-    }
-  }
-  await storage.saveRoom(room);
-  res.json({ success: true });
-});
+// Liar actions under their original routes (same as POST /api/game/<action> in a liar room)
+for (const action of Object.keys(games.getGame('liar').actions)) {
+  app.post(`/api/liar-${action}`, requirePlayer, (req, res) => runGameAction(req, res, action, 'liar'));
+}
 
 // Leave room
-app.post('/api/leave-room', async (req, res) => {
-  const { roomId, userId } = req.body;
+app.post('/api/leave-room', requirePlayer, async (req, res) => {
+  const { roomId, userId } = req.player;
   
-  const room = await storage.getRoomById(roomId);
-  if (!room) {
-    return res.status(404).json({ success: false, message: '방을 찾을 수 없습니다.' });
-  }
-  
-  const user = room.users.get(userId);
-  if (!user) {
-    return res.status(404).json({ success: false, message: '사용자를 찾을 수 없습니다.' });
-  }
-  
-  // Remove user from room
-  room.users.delete(userId);
-  room.selections.delete(userId);
-  await storage.deleteActiveUser(user.username);
-  
-  // If user was master, assign new master
-  if (room.masterId === userId && room.users.size > 0) {
-    const newMaster = room.users.values().next().value;
-    room.masterId = newMaster.id;
-    newMaster.isMaster = true;
-    console.log(`New master assigned: ${newMaster.displayName}`);
-  }
+  const outcome = await mutateRoom(roomId, (room) => {
+    if (!room) {
+      return rejectRoomUpdate(404, '방을 찾을 수 없습니다.');
+    }
+    
+    const user = room.users.get(userId);
+    if (!user) {
+      return rejectRoomUpdate(404, '사용자를 찾을 수 없습니다.');
+    }
+    
+    // Remove user from room (assigns a new master if needed)
+    removeUserFromRoom(room, userId);
+    console.log(`User left room: ${user.displayName} from ${room.roomName}`);
+    
+    return {
+      user,
+      roomName: room.roomName,
+      empty: room.users.size === 0,
+      body: {
+        success: true,
+        message: '방을 나갔습니다.'
+      }
+    };
+  });
   
-  // If no users left, delete room
-  if (room.users.size === 0) {
-    await storage.deleteRoom(roomId);
-    console.log(`Room deleted: ${room.roomName}`);
-  } else {
-    await storage.saveRoom(room);
+  if (outcome.user) {
+    await storage.deleteActiveUser(outcome.user.username);
+    
+    // If no users left, delete room
+    if (outcome.empty) {
+      await storage.deleteRoom(roomId);
+      console.log(`Room deleted: ${outcome.roomName}`);
+    }
   }
   
-  console.log(`User left room: ${user.displayName} from ${room.roomName}`);
-  
-  res.json({
-    success: true,
-    message: '방을 나갔습니다.'
-  });
+  sendRoomOutcome(res, outcome);
 });
 
 // Health check
@@ -2000,14 +1756,7 @@ app.post('/api/admin-status', async (req, res) => {
   
   try {
     const adminSessions = await storage.listAdminSessions();
-    const allRooms = [];
-    const allRoomIds = await storage.listRoomIds();
-    for (const roomId of allRoomIds) {
-      const room = await storage.getRoomById(roomId);
-      if (room) {
-        allRooms.push(room);
-      }
-    }
+    const allRooms = await storage.listRooms();
     
     const allUsers = await storage.listActiveUsers();
     
@@ -2030,13 +1779,7 @@ app.post('/api/admin-status', async (req, res) => {
     
     // Categorize rooms
     for (const room of allRooms) {
-      if (room.gameState === 'waiting') {
-        roomCounts.waiting++;
-      } else if (room.gameState === 'linking') {
-        roomCounts.playing++;
-      } else if (room.gameState === 'completed') {
-        roomCounts.result++;
-      }
+      roomCounts[games.getRoomPhase(room)]++;
     }
     
     // Categorize users
@@ -2052,13 +1795,7 @@ app.post('/api/admin-status', async (req, res) => {
       if (!room) {
         userCounts.notInRoom++;
       } else {
-        if (room.gameState === 'waiting') {
-          userCounts.waiting++;
-        } else if (room.gameState === 'linking') {
-          userCounts.playing++;
-        } else if (room.gameState === 'completed') {
-          userCounts.result++;
-        }
+        userCounts[games.getRoomPhase(room)]++;
       }
     }
     
@@ -2085,14 +1822,7 @@ app.post('/api/admin-users', async (req, res) => {
   
   try {
     const allUsers = await storage.listActiveUsers();
-    const allRooms = [];
-    const allRoomIds = await storage.listRoomIds();
-    for (const roomId of allRoomIds) {
-      const room = await storage.getRoomById(roomId);
-      if (room) {
-        allRooms.push(room);
-      }
-    }
+    const allRooms = await storage.listRooms();
     
     // Build room map
     const roomMap = new Map();
@@ -2156,14 +1886,7 @@ app.post('/api/admin-rooms', async (req, res) => {
   if (!token) return;
   
   try {
-    const allRooms = [];
-    const allRoomIds = await storage.listRoomIds();
-    for (const roomId of allRoomIds) {
-      const room = await storage.getRoomById(roomId);
-      if (room) {
-        allRooms.push(room);
-      }
-    }
+    const allRooms = await storage.listRooms();
     
     let filteredRooms = [];
     
@@ -2216,29 +1939,9 @@ app.post('/api/admin-kick-user', async (req, res) => {
     // Set kick marker for admin kick (highest priority)
     await storage.setUserKickMarker(username, storage.KICK_REASONS.ADMIN);
     
-    // Remove from room if in a room
+    // Remove from room if in a room (deletes the room if it becomes empty)
     if (userData.roomId) {
-      const room = await storage.getRoomById(userData.roomId);
-      if (room) {
-        room.users.delete(userData.userId);
-        room.selections.delete(userData.userId);
-        
-        // If user was master, assign new master
-        if (room.masterId === userData.userId && room.users.size > 0) {
-          const newMaster = Array.from(room.users.values())[0];
-          room.masterId = newMaster.id;
-          newMaster.isMaster = true;
-          room.users.set(newMaster.id, newMaster);
-        }
-        
-        // Delete room if empty
-        if (room.users.size === 0) {
-          await storage.setRoomDeleteMarker(userData.roomId, storage.ROOM_DELETE_REASONS.EMPTY);
-          await storage.deleteRoom(userData.roomId);
-        } else {
-          await storage.saveRoom(room);
-        }
-      }
+      await removeUserFromStoredRoom(userData.roomId, userData.userId, storage.ROOM_DELETE_REASONS.EMPTY);
     }
     
     // Delete user
@@ -2410,28 +2113,9 @@ app.post('/api/manual-cleanup', async (req, res) => {
       if (userData) {
         await storage.deleteActiveUser(username);
         
-        // Also remove from room if user is in a room
+        // Also remove from room if user is in a room (deletes the room if it becomes empty)
         if (userData.roomId) {
-          const room = await storage.getRoomById(userData.roomId);
-          if (room) {
-            room.users.delete(userData.userId);
-            room.selections.delete(userData.userId);
-            
-            // If user was master, assign new master
-            if (room.masterId === userData.userId && room.users.size > 0) {
-              const newMaster = Array.from(room.users.values())[0];
-              room.masterId = newMaster.id;
-              newMaster.isMaster = true;
-              room.users.set(newMaster.id, newMaster);
-            }
-            
-            // Delete room if empty
-            if (room.users.size === 0) {
-              await storage.deleteRoom(userData.roomId);
-            } else {
-              await storage.saveRoom(room);
-            }
-          }
+          await removeUserFromStoredRoom(userData.roomId, userData.userId);
         }
         
         return res.json({ 
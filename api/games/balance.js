@@ -0,0 +1,173 @@
+/**
+ * Balance game (밸런스 게임) – an A-vs-B dilemma from the deck or typed by the master; every
+ * attender picks a side in secret, then the split is revealed with the minority side (who drinks).
+ * balanceState: pick → result
+ */
+const { getRandomQuestion, questionKey } = require('../balanceQuestions');
+
+const METHODS = ['랜덤', '커스텀'];
+const MAX_OPTION_LENGTH = 30;
+const CHOICES = ['A', 'B'];
+// Deck questions remembered per room so the next rounds don't repeat them
+const MAX_ASKED_KEYS = 30;
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = ['balanceState', 'balanceQuestion', 'balancePlayerIds', 'balancePicks', 'balanceResultData'];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+// Players of this round still in the room
+function activePlayerIds(room) {
+  return (room.balancePlayerIds || []).filter((id) => room.users.has(id));
+}
+
+// Helper: build the split snapshot (names at result time - like the liar vote ranking)
+function buildBalanceSplitSnapshot(room) {
+  const picks = room.balancePicks || new Map();
+  const sides = { A: [], B: [] };
+  for (const [userId, choice] of picks) {
+    const user = room.users.get(userId);
+    sides[choice].push({ id: userId, name: nicknameOf(user) || '?' });
+  }
+  const counts = { A: sides.A.length, B: sides.B.length };
+  // Minority side drinks; an even split (or nobody on one side) has no minority
+  let minority = null;
+  if (counts.A > 0 && counts.B > 0 && counts.A !== counts.B) minority = counts.A < counts.B ? 'A' : 'B';
+  return { counts, sides, minority };
+}
+
+function showResult(room) {
+  room.balanceState = 'result';
+  room.gameState = 'balanceResult';
+  room.balanceResultData = {
+    question: room.balanceQuestion,
+    ...buildBalanceSplitSnapshot(room)
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    balanceMethod: '랜덤', // 랜덤 (deck) | 커스텀 (master types the question)
+    balanceCustomA: null,
+    balanceCustomB: null
+  },
+  apply(room, { balanceMethod, balanceCustomA, balanceCustomB }, { reject }) {
+    if (!METHODS.includes(balanceMethod)) {
+      return reject(400, '잘못된 방식입니다.');
+    }
+    room.balanceMethod = balanceMethod;
+    room.balanceCustomA = (balanceCustomA || '').trim().slice(0, MAX_OPTION_LENGTH) || null;
+    room.balanceCustomB = (balanceCustomB || '').trim().slice(0, MAX_OPTION_LENGTH) || null;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      balanceMethod: room.balanceMethod || settings.defaults.balanceMethod,
+      balanceCustomA: room.balanceCustomA || null,
+      balanceCustomB: room.balanceCustomB || null
+    };
+  }
+};
+
+function start(room, { attenders, reject }) {
+  let question;
+  if (room.balanceMethod === '커스텀') {
+    if (!room.balanceCustomA || !room.balanceCustomB) {
+      return reject(400, 'A와 B 선택지를 모두 입력하세요.');
+    }
+    question = { a: room.balanceCustomA, b: room.balanceCustomB };
+  } else {
+    question = getRandomQuestion(room.balanceAskedKeys || []);
+    if (!question) return reject(500, '질문을 불러오지 못했습니다.');
+    room.balanceAskedKeys = [...(room.balanceAskedKeys || []), questionKey(question)].slice(-MAX_ASKED_KEYS);
+  }
+  room.balanceState = 'pick';
+  room.gameState = 'balancePick';
+  room.balanceQuestion = question;
+  room.balancePlayerIds = attenders.map((u) => u.id);
+  room.balancePicks = new Map();
+  room.balanceResultData = null;
+  console.log(`Balance game started in room: ${room.roomName} (${question.a} vs ${question.b})`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Pick a side (can be changed until everyone has picked)
+function pick(room, { userId, body, reject }) {
+  const { choice } = body;
+  if (room.balanceState !== 'pick') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!room.balancePlayerIds.includes(userId)) {
+    return reject(403, '참가자만 선택할 수 있습니다.');
+  }
+  if (!CHOICES.includes(choice)) {
+    return reject(400, '잘못된 선택입니다.');
+  }
+  room.balancePicks.set(userId, choice);
+  if (activePlayerIds(room).every((id) => room.balancePicks.has(id))) showResult(room);
+  return { body: { success: true } };
+}
+
+// Master reveals without waiting for the players who haven't picked
+function reveal(room, { userId, reject }) {
+  if (room.balanceState !== 'pick') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.masterId !== userId) {
+    return reject(403, '방장만 결과를 공개할 수 있습니다.');
+  }
+  if (room.balancePicks.size === 0) {
+    return reject(400, '아직 아무도 선택하지 않았습니다.');
+  }
+  showResult(room);
+  return { body: { success: true } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+// Picks stay secret until the result; everyone sees who has picked so far
+function view(room, viewer) {
+  if (!room.balanceState) return {};
+  const isResult = room.balanceState === 'result';
+  return {
+    balanceState: room.balanceState,
+    balanceQuestion: room.balanceQuestion,
+    balancePlayerIds: room.balancePlayerIds || [],
+    balancePickedUserIds: room.balancePicks ? Array.from(room.balancePicks.keys()) : [],
+    balanceMyPick: viewer && room.balancePicks ? (room.balancePicks.get(viewer.id) || null) : null,
+    balanceResultData: isResult ? (room.balanceResultData || null) : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+module.exports = {
+  type: 'balance',
+  minPlayers: { count: 2, message: '밸런스 게임은 참가자 2명 이상 필요합니다.' },
+  roomFields: {
+    maps: ['balancePicks']
+  },
+  settings,
+  start,
+  actions: {
+    'pick': pick,
+    'reveal': reveal
+  },
+  view,
+  resultStates: ['balanceResult'],
+  reset
+};
@@ -0,0 +1,245 @@
+/**
+ * Baskin Robbins 31 (베스킨라빈스 31) – players in a fixed turn order count up, each calling 1 to
+ * maxStep consecutive numbers; whoever has to say the target number loses. An optional bot seat plays
+ * the two-player strategy (always end on a number ≡ target − 1 mod maxStep + 1).
+ * br31State: play (turn after turn on a turn timer – a player who runs out of time calls 1; the bot moves
+ * on a short phase timer) → result
+ */
+const { shuffle, seatFrom, currentSeat } = require('./turns');
+
+const BOT_ID = 'br31-bot';
+const BOT_NAME = '봇 🤖';
+const BOT_DELAY_MS = 1200; // the bot "thinks" for a moment so its call can be followed
+const MIN_TARGET = 10;
+const MAX_TARGET = 100;
+const MIN_STEP = 2;
+const MAX_STEP = 5;
+const MIN_TURN_SECONDS = 5;
+const MAX_TURN_SECONDS = 60;
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'br31State', 'br31Order', 'br31TurnIndex', 'br31Count', 'br31History', 'br31BotMovesAt', 'br31TurnEndsAt', 'br31ResultData'
+];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function nameOf(room, id) {
+  return id === BOT_ID ? BOT_NAME : (nicknameOf(room.users.get(id)) || '?');
+}
+
+// Players who left the room lose their seat; the bot never leaves
+function isSeated(room) {
+  return (id) => id === BOT_ID || room.users.has(id);
+}
+
+function turnSeat(room) {
+  return room.br31Order ? currentSeat(room.br31Order, room.br31TurnIndex, isSeated(room)) : null;
+}
+
+function currentTurnId(room) {
+  const seat = turnSeat(room);
+  return seat === null ? null : room.br31Order[seat];
+}
+
+function target(room) {
+  return room.br31Target || settings.defaults.br31Target;
+}
+
+function maxStep(room) {
+  return room.br31MaxStep || settings.defaults.br31MaxStep;
+}
+
+function turnMs(room) {
+  return (room.br31TurnSeconds || settings.defaults.br31TurnSeconds) * 1000;
+}
+
+// Start the clock of the seat whose turn it is: the bot's short think, or a player's turn time
+function startTurn(room, now) {
+  const botTurn = currentTurnId(room) === BOT_ID;
+  room.br31BotMovesAt = botTurn ? now + BOT_DELAY_MS : null;
+  room.br31TurnEndsAt = botTurn ? null : now + turnMs(room);
+}
+
+// Two-player optimal move: reach the next number ≡ target − 1 (mod maxStep + 1); from a losing
+// position (or with the target in reach) call as few numbers as possible
+function botStep(count, targetNumber, step) {
+  const period = step + 1;
+  const goal = targetNumber - 1;
+  const toGoal = (((goal - count) % period) + period) % period;
+  return toGoal >= 1 && toGoal <= step ? toGoal : 1;
+}
+
+function showResult(room, loserId) {
+  room.br31State = 'result';
+  room.gameState = 'br31Result';
+  room.br31BotMovesAt = null;
+  room.br31TurnEndsAt = null;
+  room.br31ResultData = {
+    target: target(room),
+    loser: { id: loserId, name: nameOf(room, loserId), isBot: loserId === BOT_ID },
+    history: room.br31History.map((h) => ({ ...h, name: nameOf(room, h.seatId) }))
+  };
+}
+
+// Say `step` numbers for the seat whose turn it is; saying the target ends the round
+function callNumbers(room, step, now, timedOut = false) {
+  const seatId = currentTurnId(room);
+  const numbers = Array.from({ length: step }, (_, i) => room.br31Count + i + 1);
+  room.br31Count += step;
+  room.br31History = [...room.br31History, timedOut ? { seatId, numbers, timeout: true } : { seatId, numbers }];
+  if (room.br31Count >= target(room)) {
+    showResult(room, seatId);
+    return;
+  }
+  room.br31TurnIndex = seatFrom(room.br31Order, turnSeat(room), isSeated(room)) ?? room.br31TurnIndex;
+  startTurn(room, now);
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    br31Target: 31, // whoever says this number loses
+    br31MaxStep: 3, // numbers a player may call in one turn
+    br31Bot: false, // add a bot seat (for small groups)
+    br31TurnSeconds: 15 // out of time: the turn calls 1
+  },
+  apply(room, { br31Target, br31MaxStep, br31Bot, br31TurnSeconds }, { reject }) {
+    if (!Number.isInteger(br31Target) || br31Target < MIN_TARGET || br31Target > MAX_TARGET) {
+      return reject(400, `목표 숫자는 ${MIN_TARGET}~${MAX_TARGET}로 설정하세요.`);
+    }
+    if (!Number.isInteger(br31MaxStep) || br31MaxStep < MIN_STEP || br31MaxStep > MAX_STEP) {
+      return reject(400, `한 번에 부를 수 있는 숫자는 ${MIN_STEP}~${MAX_STEP}개로 설정하세요.`);
+    }
+    if (!Number.isInteger(br31TurnSeconds) || br31TurnSeconds < MIN_TURN_SECONDS || br31TurnSeconds > MAX_TURN_SECONDS) {
+      return reject(400, `차례 시간은 ${MIN_TURN_SECONDS}~${MAX_TURN_SECONDS}초로 설정하세요.`);
+    }
+    room.br31Target = br31Target;
+    room.br31MaxStep = br31MaxStep;
+    room.br31Bot = br31Bot === true;
+    room.br31TurnSeconds = br31TurnSeconds;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      br31Target: target(room),
+      br31MaxStep: maxStep(room),
+      br31Bot: room.br31Bot === true,
+      br31TurnSeconds: turnMs(room) / 1000
+    };
+  }
+};
+
+// Turn order is shuffled once per round; the bot takes a random seat in it
+function start(room, { attenders, now }) {
+  const order = shuffle(attenders.map((u) => u.id));
+  if (room.br31Bot) order.splice(Math.floor(Math.random() * (order.length + 1)), 0, BOT_ID);
+  room.br31State = 'play';
+  room.gameState = 'br31Play';
+  room.br31Order = order;
+  room.br31TurnIndex = 0;
+  room.br31Count = 0;
+  room.br31History = [];
+  room.br31ResultData = null;
+  startTurn(room, now);
+  console.log(`31 game started in room: ${room.roomName} (target ${target(room)}, up to ${maxStep(room)}${room.br31Bot ? ', with bot' : ''})`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Call the next `count` numbers on your turn
+function call(room, { userId, body, now, reject }) {
+  const { count } = body;
+  if (room.br31State !== 'play') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (userId !== currentTurnId(room)) {
+    return reject(403, '내 차례가 아닙니다.');
+  }
+  const left = target(room) - room.br31Count;
+  if (!Number.isInteger(count) || count < 1 || count > Math.min(maxStep(room), left)) {
+    return reject(400, `숫자는 1~${Math.min(maxStep(room), left)}개까지 부를 수 있습니다.`);
+  }
+  callNumbers(room, count, now);
+  return { body: { success: true, count: room.br31Count } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (see api/scheduler.js)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Bot's turn (also when it came to the bot because the player before it left)
+    name: 'bot',
+    deadline: (room) => (room.br31State === 'play' && currentTurnId(room) === BOT_ID
+      ? (room.br31BotMovesAt || room.lastActivity || 1)
+      : null),
+    expire: (room, now) => {
+      callNumbers(room, botStep(room.br31Count, target(room), maxStep(room)), now);
+      return true;
+    }
+  },
+  {
+    // A player's turn ran out: they call 1 (which loses if it is the target)
+    name: 'turn',
+    deadline: (room) => {
+      const turnId = room.br31State === 'play' ? currentTurnId(room) : null;
+      return turnId && turnId !== BOT_ID ? room.br31TurnEndsAt : null;
+    },
+    expire: (room, now) => {
+      callNumbers(room, 1, now, true);
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+function view(room) {
+  if (!room.br31State) return {};
+  return {
+    br31State: room.br31State,
+    br31Seats: (room.br31Order || []).map((id) => ({ id, name: nameOf(room, id), isBot: id === BOT_ID, left: !isSeated(room)(id) })),
+    br31TurnId: room.br31State === 'play' ? currentTurnId(room) : null,
+    br31Count: room.br31Count,
+    br31TurnEndsAt: room.br31State === 'play' ? room.br31TurnEndsAt || null : null,
+    br31History: (room.br31History || []).map((h) => ({ ...h, name: nameOf(room, h.seatId) })),
+    br31ResultData: room.br31State === 'result' ? room.br31ResultData : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+// Penalty roulette: whoever said the target (the bot seat can't drink)
+function losers(room) {
+  const loser = room.br31ResultData && room.br31ResultData.loser;
+  return loser && !loser.isBot ? [loser.id] : [];
+}
+
+module.exports = {
+  type: 'br31',
+  minPlayers: { count: 2, message: '31 게임은 참가자 2명 이상 필요합니다.' },
+  settings,
+  start,
+  actions: {
+    'call': call
+  },
+  timers,
+  view,
+  resultStates: ['br31Result'],
+  losers,
+  reset
+};
@@ -0,0 +1,283 @@
+/**
+ * Chosung quiz (초성 퀴즈) – a word from the liar word deck is shown only as its initial consonants
+ * (극한직업 → ㄱㅎㅈㅇ); the first player to type the word scores. Rounds follow each other until
+ * someone reaches the target score.
+ * chosungState: question (countdown) → reveal (answer shown briefly) → question … → result
+ */
+const { loadWords } = require('../liarWords');
+const { initialsOf, syllableCount, normalizeAnswer, isSameAnswer } = require('./hangul');
+
+const RANDOM_CATEGORY = '랜덤';
+const REVEAL_MS = 4000;
+const MIN_TARGET_SCORE = 1;
+const MAX_TARGET_SCORE = 10;
+const MIN_ROUND_SECONDS = 10;
+const MAX_ROUND_SECONDS = 120;
+const MAX_ANSWER_LENGTH = 30;
+const GUESS_FEED_SIZE = 20; // wrong answers shown to everyone, latest last
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'chosungState', 'chosungPlayerIds', 'chosungRound', 'chosungRoundCategory', 'chosungWord', 'chosungHint',
+  'chosungUsedWords', 'chosungEndsAt', 'chosungRevealEndsAt', 'chosungGuesses', 'chosungWinnerId',
+  'chosungScores', 'chosungHistory', 'chosungResultData'
+];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function nameOf(room, id) {
+  return nicknameOf(room.users.get(id)) || '?';
+}
+
+// Players of this game still in the room
+function activePlayerIds(room) {
+  return (room.chosungPlayerIds || []).filter((id) => room.users.has(id));
+}
+
+function targetScore(room) {
+  return room.chosungTargetScore || settings.defaults.chosungTargetScore;
+}
+
+function roundSeconds(room) {
+  return room.chosungRoundSeconds || settings.defaults.chosungRoundSeconds;
+}
+
+// Words with at least two syllables (a one-syllable or number-only hint gives the answer away)
+function quizWords(category) {
+  return (loadWords()[category] || []).filter((word) => syllableCount(word) >= 2);
+}
+
+// Random unused word of the set category (or of a random category each round); null when none are left
+function pickWord(room) {
+  const used = new Set(room.chosungUsedWords);
+  const categories = room.chosungCategory && room.chosungCategory !== RANDOM_CATEGORY
+    ? [room.chosungCategory]
+    : Object.keys(loadWords());
+  const candidates = categories.flatMap((category) => quizWords(category)
+    .filter((word) => !used.has(word))
+    .map((word) => ({ category, word })));
+  if (candidates.length === 0) return null;
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+// Scores of everyone who played, best first (players who left keep their points)
+function buildScoreboard(room) {
+  return (room.chosungPlayerIds || [])
+    .map((id) => ({ id, name: nameOf(room, id), score: room.chosungScores.get(id) || 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function showResult(room) {
+  const scoreboard = buildScoreboard(room);
+  const best = scoreboard.length > 0 ? scoreboard[0].score : 0;
+  room.chosungState = 'result';
+  room.gameState = 'chosungResult';
+  room.chosungEndsAt = null;
+  room.chosungRevealEndsAt = null;
+  room.chosungResultData = {
+    targetScore: targetScore(room),
+    winners: scoreboard.filter((s) => s.score === best && best > 0),
+    scoreboard,
+    history: room.chosungHistory
+  };
+}
+
+// Room scoreboard: 2 points for each winner of the quiz
+function score(room) {
+  return ((room.chosungResultData && room.chosungResultData.winners) || []).map((w) => ({ userId: w.id, points: 2 }));
+}
+
+// Round history: the winners and the words asked
+function history(room) {
+  const data = room.chosungResultData || {};
+  return {
+    winners: (data.winners || []).map((w) => w.name),
+    words: (data.history || []).map((h) => h.word)
+  };
+}
+
+function startQuestion(room, now) {
+  const picked = pickWord(room);
+  if (!picked) {
+    showResult(room);
+    return;
+  }
+  room.chosungState = 'question';
+  room.gameState = 'chosungQuestion';
+  room.chosungRound = (room.chosungRound || 0) + 1;
+  room.chosungRoundCategory = picked.category;
+  room.chosungWord = picked.word;
+  room.chosungHint = initialsOf(picked.word);
+  room.chosungUsedWords = [...room.chosungUsedWords, picked.word];
+  room.chosungEndsAt = now + roundSeconds(room) * 1000;
+  room.chosungRevealEndsAt = null;
+  room.chosungGuesses = [];
+  room.chosungWinnerId = null;
+}
+
+// Round over - answered, or the countdown ran out (winnerId null); the answer is shown for a moment
+function reveal(room, winnerId, now) {
+  if (winnerId) room.chosungScores.set(winnerId, (room.chosungScores.get(winnerId) || 0) + 1);
+  room.chosungState = 'reveal';
+  room.gameState = 'chosungReveal';
+  room.chosungWinnerId = winnerId;
+  room.chosungEndsAt = null;
+  room.chosungRevealEndsAt = now + REVEAL_MS;
+  room.chosungHistory = [...room.chosungHistory, {
+    round: room.chosungRound,
+    category: room.chosungRoundCategory,
+    hint: room.chosungHint,
+    word: room.chosungWord,
+    winner: winnerId ? { id: winnerId, name: nameOf(room, winnerId) } : null
+  }];
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    chosungCategory: RANDOM_CATEGORY, // a liar word category, or 랜덤 (a different one each round)
+    chosungTargetScore: 3, // 목표 점수
+    chosungRoundSeconds: 30 // 문제당 시간
+  },
+  apply(room, { chosungCategory, chosungTargetScore, chosungRoundSeconds }, { reject }) {
+    if (chosungCategory !== RANDOM_CATEGORY && quizWords(chosungCategory).length === 0) {
+      return reject(400, '잘못된 주제입니다.');
+    }
+    if (!Number.isInteger(chosungTargetScore) || chosungTargetScore < MIN_TARGET_SCORE || chosungTargetScore > MAX_TARGET_SCORE) {
+      return reject(400, `목표 점수는 ${MIN_TARGET_SCORE}~${MAX_TARGET_SCORE}점으로 설정하세요.`);
+    }
+    if (!Number.isInteger(chosungRoundSeconds) || chosungRoundSeconds < MIN_ROUND_SECONDS || chosungRoundSeconds > MAX_ROUND_SECONDS) {
+      return reject(400, `문제당 시간은 ${MIN_ROUND_SECONDS}~${MAX_ROUND_SECONDS}초로 설정하세요.`);
+    }
+    room.chosungCategory = chosungCategory;
+    room.chosungTargetScore = chosungTargetScore;
+    room.chosungRoundSeconds = chosungRoundSeconds;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      chosungCategory: room.chosungCategory || settings.defaults.chosungCategory,
+      chosungTargetScore: targetScore(room),
+      chosungRoundSeconds: roundSeconds(room)
+    };
+  }
+};
+
+function start(room, { attenders, now }) {
+  room.chosungPlayerIds = attenders.map((u) => u.id);
+  room.chosungScores = new Map();
+  room.chosungUsedWords = [];
+  room.chosungHistory = [];
+  room.chosungRound = 0;
+  room.chosungResultData = null;
+  startQuestion(room, now);
+  console.log(`Chosung quiz started in room: ${room.roomName} (${settings.view(room).chosungCategory}, first to ${targetScore(room)})`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Type an answer; the first correct one wins the round. Wrong answers go to the public feed,
+// with a note whether they at least fit the initials.
+function answer(room, { userId, body, now, reject }) {
+  const text = String(body.text || '').trim();
+  if (room.chosungState !== 'question') {
+    return reject(400, '이미 끝난 문제입니다.');
+  }
+  if (!activePlayerIds(room).includes(userId)) {
+    return reject(403, '참가자만 답할 수 있습니다.');
+  }
+  if (!normalizeAnswer(text) || text.length > MAX_ANSWER_LENGTH) {
+    return reject(400, `답은 1~${MAX_ANSWER_LENGTH}자로 입력하세요.`);
+  }
+  if (isSameAnswer(text, room.chosungWord)) {
+    reveal(room, userId, now);
+    return { body: { success: true, correct: true } };
+  }
+  const fitsHint = normalizeAnswer(initialsOf(text)) === normalizeAnswer(room.chosungHint);
+  room.chosungGuesses = [...room.chosungGuesses, { userId, text, fitsHint }].slice(-GUESS_FEED_SIZE);
+  return { body: { success: true, correct: false, fitsHint } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (see api/scheduler.js)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Nobody got it in time
+    name: 'question',
+    deadline: (room) => (room.chosungState === 'question' ? room.chosungEndsAt : null),
+    expire: (room, now) => {
+      reveal(room, null, now);
+      return true;
+    }
+  },
+  {
+    // Answer shown long enough: next question, or the result once someone reached the target score
+    name: 'reveal',
+    deadline: (room) => (room.chosungState === 'reveal' ? room.chosungRevealEndsAt : null),
+    expire: (room, now) => {
+      const reached = buildScoreboard(room).some((s) => s.score >= targetScore(room));
+      if (reached || activePlayerIds(room).length === 0) {
+        showResult(room);
+      } else {
+        startQuestion(room, now);
+      }
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+// The word itself only once the round is over
+function view(room) {
+  if (!room.chosungState) return {};
+  const answered = room.chosungState !== 'question';
+  return {
+    chosungState: room.chosungState,
+    chosungRound: room.chosungRound,
+    chosungRoundCategory: room.chosungRoundCategory,
+    chosungHint: room.chosungHint,
+    chosungEndsAt: room.chosungEndsAt,
+    chosungRevealEndsAt: room.chosungRevealEndsAt,
+    chosungGuesses: (room.chosungGuesses || []).map((g) => ({ ...g, name: nameOf(room, g.userId) })),
+    chosungAnswer: answered ? room.chosungWord : null,
+    chosungWinnerId: answered ? room.chosungWinnerId : null,
+    chosungScoreboard: buildScoreboard(room),
+    chosungResultData: room.chosungState === 'result' ? room.chosungResultData : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+module.exports = {
+  type: 'chosung',
+  minPlayers: { count: 2, message: '초성 퀴즈는 참가자 2명 이상 필요합니다.' },
+  roomFields: {
+    maps: ['chosungScores']
+  },
+  settings,
+  start,
+  actions: {
+    'answer': answer
+  },
+  timers,
+  view,
+  resultStates: ['chosungResult'],
+  score,
+  history,
+  reset
+};
@@ -0,0 +1,50 @@
+/**
+ * Hangul helpers for the word games (초성 퀴즈).
+ * A precomposed syllable (U+AC00–U+D7A3) is (initial × 21 + medial) × 28 + final, so its jamo are
+ * recovered arithmetically; other characters (digits, latin, spaces) are kept as they are.
+ */
+
+const SYLLABLE_FIRST = 0xac00;
+const SYLLABLE_LAST = 0xd7a3;
+const MEDIALS = 21;
+const FINALS = 28;
+
+// Initial consonants in syllable order, as compatibility jamo (what a keyboard types)
+const INITIALS = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+function isSyllable(ch) {
+  const code = ch.codePointAt(0);
+  return code >= SYLLABLE_FIRST && code <= SYLLABLE_LAST;
+}
+
+function initialIndex(ch) {
+  return Math.floor((ch.codePointAt(0) - SYLLABLE_FIRST) / (MEDIALS * FINALS));
+}
+
+/**
+ * Initial consonants of a word: '극한직업' → 'ㄱㅎㅈㅇ', '7번방의선물' → '7ㅂㅂㅇㅅㅁ'.
+ */
+function initialsOf(text) {
+  return Array.from(text.normalize('NFC'), (ch) => (isSyllable(ch) ? INITIALS[initialIndex(ch)] : ch)).join('');
+}
+
+function syllableCount(text) {
+  return Array.from(text.normalize('NFC')).filter(isSyllable).length;
+}
+
+// Comparable form of a typed answer: composed (some keyboards send decomposed jamo), no spaces, lower case
+function normalizeAnswer(text) {
+  return String(text || '').normalize('NFC').replace(/\s+/g, '').toLowerCase();
+}
+
+function isSameAnswer(answer, word) {
+  const typed = normalizeAnswer(answer);
+  return typed.length > 0 && typed === normalizeAnswer(word);
+}
+
+module.exports = {
+  initialsOf,
+  syllableCount,
+  normalizeAnswer,
+  isSameAnswer
+};
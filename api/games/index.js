@@ -0,0 +1,152 @@
+/**
+ * Game registry – every mini-game is a module registered here, and the routes in api/game.js
+ * dispatch to it by room.gameType instead of branching per game.
+ *
+ * A game module exports:
+ *   type                      - room.gameType value
+ *   minPlayers                - { count, message } attenders needed to start
+ *   maxPlayers                - optional { count, message }
+ *   roomFields                - { maps, sets }: room fields holding Map/Set state (kept through storage)
+ *   settings                  - { defaults, apply(room, body, ctx), view(room) } master-editable settings
+ *   start(room, ctx)          - set up a round (the room is already cleared of the previous one);
+ *                               may return ctx.reject(...) to refuse, e.g. when settings don't fit the players
+ *   actions                   - { [name]: (room, ctx) => outcome } player actions (POST /api/game/:action)
+ *   timers                    - phase timers, see api/scheduler.js
+ *   playerRole(room, viewer)  - hidden role of an attending viewer (e.g. 'liar'), null = citizen
+ *   view(room, viewer, roles) - per-viewer fields merged into the room payload
+ *   privateView(...)          - per-viewer fields sent next to the room payload (e.g. liarMyWord)
+ *   resultStates              - gameState values of the result screen
+ *   score(room)               - optional: [{ userId, points }] the room scoreboard awards for the round
+ *                               just ended (called once, when the room reaches a result state)
+ *   history(room)             - optional: details of the round just ended for the room's round history
+ *                               (votes, secret word, pairs… – only what the result screen revealed)
+ *   losers(room)              - optional: userIds who lost the round just ended (they spin the penalty roulette)
+ *   reset(room)               - clear round state once everyone is back in the waiting room
+ *
+ * Actions and settings.apply return outcomes like mutateRoom mutators: ctx.reject(status, message)
+ * or { body }. ctx carries { userId, user, attenders, body, now, receivedAt, reject } – receivedAt is
+ * when the request reached the server (use it to order taps in real-time games).
+ */
+const storage = require('../storage');
+const scheduler = require('../scheduler');
+const scoreboard = require('./scoreboard');
+const roundHistory = require('./roundHistory');
+const penalty = require('./penalty');
+const tally = require('./tally');
+
+const DEFAULT_GAME_TYPE = 'telepathy';
+
+const games = new Map();
+
+storage.registerRoomFields(scoreboard.ROOM_FIELDS);
+storage.registerRoomFields(tally.ROOM_FIELDS);
+
+function registerGame(game) {
+  games.set(game.type, game);
+  if (game.roomFields) storage.registerRoomFields(game.roomFields);
+  if (game.timers) scheduler.registerPhaseTimers(game.type, game.timers.map(withSettle));
+}
+
+// Rounds also end on timers (the scheduler doesn't know the games), so a timer that changed the
+// room settles the round like an action does
+function withSettle(timer) {
+  return {
+    ...timer,
+    expire(room, now) {
+      const changed = timer.expire(room, now);
+      if (changed) settleRound(room, now);
+      return changed;
+    }
+  };
+}
+
+// Once a round reaches its result: award its points (scoreboard.js), log it (roundHistory.js),
+// note who spins the penalty roulette (penalty.js) and count their penalty (tally.js). Safe to call
+// after any change to the room; returns true if it settled the round.
+function settleRound(room, now = Date.now()) {
+  const game = getRoomGame(room);
+  if (room.roundSettled || !game || !(game.resultStates || []).includes(room.gameState)) return false;
+  room.roundSettled = true;
+  scoreboard.awardRound(room, game);
+  roundHistory.recordRound(room, game, now);
+  penalty.prepareRound(room, game);
+  tally.countRound(room);
+  return true;
+}
+
+// A round starts: settle it again once it ends
+function startRound(room) {
+  room.roundSettled = false;
+  penalty.clearRound(room);
+}
+
+function getGame(gameType) {
+  return games.get(gameType) || null;
+}
+
+// Game module of a room (rooms created before game types existed are telepathy)
+function getRoomGame(room) {
+  return getGame((room && room.gameType) || DEFAULT_GAME_TYPE);
+}
+
+function listGameTypes() {
+  return Array.from(games.keys());
+}
+
+// Initial settings of every game, stored on new rooms so switching game type keeps them
+function defaultSettings() {
+  const settings = {};
+  for (const game of games.values()) {
+    if (game.settings) Object.assign(settings, game.settings.defaults);
+  }
+  return settings;
+}
+
+// Public settings of every game (the waiting room shows them before the game type is switched)
+function buildSettingsView(room) {
+  const view = {};
+  for (const game of games.values()) {
+    if (game.settings) Object.assign(view, game.settings.view(room));
+  }
+  return view;
+}
+
+// Per-viewer extras of every game; a game returns nulls for rooms that aren't playing it
+function buildPrivateView(room, viewer, roles) {
+  const view = {};
+  for (const game of games.values()) {
+    if (game.privateView) Object.assign(view, game.privateView(room, viewer, roles));
+  }
+  return view;
+}
+
+// 'waiting' | 'playing' | 'result' – game-independent phase of a room (admin stats)
+function getRoomPhase(room) {
+  if (room.gameState === 'waiting') return 'waiting';
+  const game = getRoomGame(room);
+  return game && (game.resultStates || []).includes(room.gameState) ? 'result' : 'playing';
+}
+
+registerGame(require('./telepathy'));
+registerGame(require('./liar'));
+registerGame(require('./mafia'));
+registerGame(require('./balance'));
+registerGame(require('./mostLikely'));
+registerGame(require('./nunchi'));
+registerGame(require('./upDown'));
+registerGame(require('./br31'));
+registerGame(require('./chosung'));
+
+module.exports = {
+  DEFAULT_GAME_TYPE,
+  registerGame,
+  getGame,
+  getRoomGame,
+  listGameTypes,
+  defaultSettings,
+  buildSettingsView,
+  buildPrivateView,
+  getRoomPhase,
+  settleRound,
+  startRound
+};
@@ -0,0 +1,703 @@
+/**
+ * Liar game (라이어 게임) – one attender doesn't know the secret word; the table discusses,
+ * votes the liar out, and a condemned liar gets one guess at the word.
+ * In 장소 mode (Spyfall style) the secret is a location and every citizen also gets a role there;
+ * the liar may interrupt at any point before the verdict to guess the location.
+ * In 바보 mode the liar doesn't know it: they get a decoy word from the same subject and find out
+ * only when condemned or on the result screen.
+ * With several liars, a caught liar who misses the word is out and the table votes again until every
+ * liar is caught, an innocent is executed, or a liar names the word.
+ * liarState: wordInput (custom only) → play → vote → argument → identify → (vote …) → result
+ */
+const { getRandomWord, loadWords } = require('../liarWords');
+const { getRandomLocation, getLocationNames } = require('../liarLocations');
+const { buildVoteRanking, tallyVotes, votersOf, decideTrial } = require('./voting');
+const { shuffle } = require('./turns');
+
+// Viewer role of the liar (VIEWER_ROLES.LIAR in api/roomView.js)
+const LIAR_ROLE = 'liar';
+
+const SUBJECTS = ['물건', '동물', '스포츠', '요리', '장소', '직업', '국가', '인물', '영화', '드라마', '과일', '채소', '커스텀주제'];
+const METHODS = ['랜덤', '커스텀'];
+const MODES = ['단어', '장소', '바보'];
+const LOCATION_MODE = '장소';
+const FOOL_MODE = '바보';
+const MAX_LIARS = 3;
+
+// Phases in which the liar of a 장소 round can interrupt with a guess at the location
+const INTERRUPT_STATES = new Set(['play', 'vote', 'argument']);
+
+// Liar phases in which the condemned player's identity has been revealed to the table
+const CONDEMNED_REVEAL_STATES = new Set(['identify', 'result']);
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'liarState', 'liarLiarUserIds', 'liarCaughtUserIds', 'liarSecretWord', 'liarUserWords', 'liarChosenWordAuthor',
+  'liarVotes', 'liarCondemnedUserId', 'liarVoteTieTargets', 'liarArgumentChoices', 'liarArgumentEndsAt',
+  'liarIdentifyVotes', 'liarGuessedWord', 'liarGuessEndsAt', 'liarIdentifyEndsAt', 'liarMainTimerEndsAt',
+  'liarMainTimerExtendedBy', 'liarLastTimeChange', 'liarDifficultClicks', 'liarAbortedByDifficult',
+  'liarResultScenario', 'liarResultData', 'liarLocationRoles', 'liarDecoyWord'
+];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function namesOf(room, ids) {
+  return ids.map((id) => nicknameOf(room.users.get(id)) || '?').join(', ');
+}
+
+function isLiar(room, id) {
+  return Boolean(id) && Boolean(room.liarLiarUserIds) && room.liarLiarUserIds.has(id);
+}
+
+// Liars not caught yet
+function remainingLiarIds(room) {
+  return Array.from(room.liarLiarUserIds || []).filter((id) => !(room.liarCaughtUserIds && room.liarCaughtUserIds.has(id)));
+}
+
+// Caught liars are out: they no longer vote nor can be voted for
+function activeAttenders(room, attenders) {
+  return attenders.filter((u) => !(room.liarCaughtUserIds && room.liarCaughtUserIds.has(u.id)));
+}
+
+function liarCount(room) {
+  return room.liarCount || settings.defaults.liarCount;
+}
+
+// Pick this round's liars, leaving out last round's liars while enough other players are left
+function pickLiars(room, attenders) {
+  const previous = new Set(room.liarPreviousLiarIds || []);
+  const count = Math.min(liarCount(room), attenders.length - 1);
+  const fresh = shuffle(attenders.filter((u) => !previous.has(u.id)));
+  const repeat = shuffle(attenders.filter((u) => previous.has(u.id)));
+  const picked = [...fresh, ...repeat].slice(0, count).map((u) => u.id);
+  room.liarLiarUserIds = new Set(picked);
+  room.liarPreviousLiarIds = picked; // kept across rounds (not a round field)
+}
+
+// Helper: build vote ranking snapshot (names at result time - like Telepathy matchResult)
+function buildLiarVoteRankingSnapshot(room) {
+  return buildVoteRanking(room.users, room.liarVotes || new Map());
+}
+
+function isLocationRound(room) {
+  return Boolean(room.liarLocationRoles);
+}
+
+function isFoolRound(room) {
+  return Boolean(room.liarDecoyWord);
+}
+
+// 바보 mode keeps a liar in the dark until they are condemned (identify), caught or the round is over
+function liarKnowsRole(room, viewerId) {
+  if (!isFoolRound(room)) return true;
+  if (room.liarState === 'result' || (room.liarCaughtUserIds && room.liarCaughtUserIds.has(viewerId))) return true;
+  return room.liarState === 'identify' && room.liarCondemnedUserId === viewerId;
+}
+
+// 바보 mode: a word of the same subject that isn't the secret – another player's word when they
+// wrote their own (커스텀), otherwise one from the word deck
+function pickDecoyWord(room, candidates = []) {
+  const pool = candidates.filter((w) => w !== room.liarSecretWord);
+  if (pool.length > 0) return pool[Math.floor(Math.random() * pool.length)];
+  const category = room.liarSubject === '커스텀주제' ? '물건' : room.liarSubject;
+  const deck = (loadWords()[category] || []).filter((w) => w !== room.liarSecretWord);
+  return deck.length > 0 ? deck[Math.floor(Math.random() * deck.length)] : '비밀?';
+}
+
+function showResult(room, scenario, data = {}) {
+  room.liarState = 'result';
+  room.gameState = 'liarResult';
+  room.liarResultScenario = scenario;
+  room.liarResultData = {
+    liarNickname: namesOf(room, Array.from(room.liarLiarUserIds || [])),
+    liarCount: room.liarLiarUserIds ? room.liarLiarUserIds.size : 1,
+    caughtNicknames: room.liarCaughtUserIds && room.liarCaughtUserIds.size > 0 ? namesOf(room, Array.from(room.liarCaughtUserIds)) : null,
+    secretWord: room.liarSecretWord,
+    decoyWord: room.liarDecoyWord || null, // 바보 mode: the word the liar was given
+    ...data,
+    // 장소 mode: every citizen's role card
+    locationRoles: isLocationRound(room)
+      ? Array.from(room.liarLocationRoles, ([id, role]) => ({ id, name: nicknameOf(room.users.get(id)) || '?', role }))
+      : null,
+    voteRankingSnapshot: buildLiarVoteRankingSnapshot(room)
+  };
+}
+
+// 장소 mode: one location for the table, a different role card for each citizen (roles repeat only
+// when there are more citizens than roles at the location)
+function dealLocation(room, attenders) {
+  const { location, roles } = getRandomLocation() || { location: '비밀', roles: ['시민'] };
+  room.liarSecretWord = location;
+  pickLiars(room, attenders);
+  const citizens = attenders.filter((u) => !isLiar(room, u.id));
+  let deck = [];
+  room.liarLocationRoles = new Map();
+  for (const citizen of citizens) {
+    if (deck.length === 0) deck = shuffle(roles);
+    room.liarLocationRoles.set(citizen.id, deck.pop());
+  }
+}
+
+function startPlay(room, attenders, now) {
+  room.liarState = 'play';
+  room.gameState = 'liarPlay';
+  room.liarPlayStartedAt = now;
+  const minutes = attenders.length * 2;
+  room.liarMainTimerEndsAt = now + minutes * 60 * 1000;
+}
+
+function startVote(room) {
+  room.liarState = 'vote';
+  room.gameState = 'liarVote';
+  room.liarVotes = room.liarVotes || new Map();
+  room.liarVotes.clear();
+}
+
+// Execution decided: a liar gets 30s to guess, anyone else is revealed for 10s
+function startIdentify(room, now) {
+  room.liarState = 'identify';
+  room.gameState = 'liarIdentify';
+  room.liarIdentifyVotes = new Map();
+  if (isLiar(room, room.liarCondemnedUserId)) {
+    room.liarGuessEndsAt = now + 30 * 1000;
+  } else {
+    room.liarIdentifyEndsAt = now + 10 * 1000;
+  }
+}
+
+// The condemned liar missed the word: they are out. Last liar → result B (all caught), otherwise
+// the table votes again for the rest.
+function catchLiar(room, data) {
+  room.liarCaughtUserIds = room.liarCaughtUserIds || new Set();
+  room.liarCaughtUserIds.add(room.liarCondemnedUserId);
+  if (remainingLiarIds(room).length === 0) {
+    showResult(room, 'B', data);
+    return;
+  }
+  room.liarCondemnedUserId = null;
+  room.liarVoteTieTargets = null;
+  room.liarGuessedWord = null;
+  room.liarGuessEndsAt = null;
+  room.liarIdentifyVotes = new Map();
+  room.liarArgumentChoices = new Map();
+  room.liarArgumentEndsAt = null;
+  startVote(room);
+}
+
+// An innocent was executed: the liars still free win – C when none was caught, E after a partial catch
+function showInnocentExecuted(room) {
+  const data = {
+    condemnedNickname: nicknameOf(room.users.get(room.liarCondemnedUserId)),
+    escapedNicknames: namesOf(room, remainingLiarIds(room))
+  };
+  showResult(room, room.liarCaughtUserIds && room.liarCaughtUserIds.size > 0 ? 'E' : 'C', data);
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    liarSubject: '물건', // 주제
+    liarMethod: '커스텀', // 랜덤 | 커스텀
+    liarCustomSubject: null, // when 주제 is 커스텀주제 (<=16 chars)
+    liarMode: '단어', // 단어 | 장소 (location + role cards; 주제 and 방식 don't apply) | 바보 (the liar gets a decoy word)
+    liarCount: 1 // 라이어 수 (1-3)
+  },
+  apply(room, { liarSubject, liarMethod, liarCustomSubject, liarMode, liarCount: count }, { reject }) {
+    // Clients from before 장소 mode and 라이어 수 don't send them: keep the current values
+    const mode = liarMode === undefined ? (room.liarMode || settings.defaults.liarMode) : liarMode;
+    const countValue = count === undefined ? liarCount(room) : count;
+    if (!MODES.includes(mode)) {
+      return reject(400, '잘못된 모드입니다.');
+    }
+    if (!Number.isInteger(countValue) || countValue < 1 || countValue > MAX_LIARS) {
+      return reject(400, `라이어는 1~${MAX_LIARS}명으로 설정하세요.`);
+    }
+    if (!SUBJECTS.includes(liarSubject)) {
+      return reject(400, '잘못된 주제입니다.');
+    }
+    if (!METHODS.includes(liarMethod)) {
+      return reject(400, '잘못된 방식입니다.');
+    }
+    if (liarSubject === '커스텀주제') {
+      room.liarMethod = '커스텀';
+      room.liarCustomSubject = (liarCustomSubject || '').trim().slice(0, 16) || null;
+    } else {
+      room.liarMethod = liarMethod;
+      room.liarCustomSubject = null;
+    }
+    room.liarSubject = liarSubject;
+    room.liarMode = mode;
+    room.liarCount = countValue;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      liarSubject: room.liarSubject || settings.defaults.liarSubject,
+      liarMethod: room.liarMethod || settings.defaults.liarMethod,
+      liarCustomSubject: room.liarCustomSubject || null,
+      liarMode: room.liarMode || settings.defaults.liarMode,
+      liarCount: liarCount(room)
+    };
+  }
+};
+
+function start(room, { attenders, now, reject }) {
+  const count = liarCount(room);
+  if (count * 2 >= attenders.length) {
+    return reject(400, `라이어 ${count}명이면 참가자가 ${count * 2 + 1}명 이상 필요합니다.`);
+  }
+  const locationMode = room.liarMode === LOCATION_MODE;
+  room.gameState = room.liarMethod === '커스텀' && !locationMode ? 'liarWordInput' : 'liarPlay';
+  room.liarUserWords = new Map();
+  room.liarVotes = new Map();
+  room.liarArgumentChoices = new Map();
+  room.liarIdentifyVotes = new Map();
+  room.liarMainTimerExtendedBy = new Set();
+  room.liarDifficultClicks = new Set();
+  room.liarCaughtUserIds = new Set();
+  room.liarLocationRoles = null;
+  room.liarDecoyWord = null;
+  if (locationMode) {
+    dealLocation(room, attenders);
+    startPlay(room, attenders, now);
+  } else if (room.liarMethod === '랜덤') {
+    const category = room.liarSubject === '커스텀주제' ? '물건' : room.liarSubject;
+    const word = getRandomWord(category);
+    room.liarSecretWord = word || '비밀';
+    pickLiars(room, attenders);
+    if (room.liarMode === FOOL_MODE) room.liarDecoyWord = pickDecoyWord(room);
+    startPlay(room, attenders, now);
+  } else {
+    room.liarState = 'wordInput';
+  }
+  console.log(`Liar game started in room: ${room.roomName}, state: ${room.liarState}, liars: ${count}`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Submit word (word input state, custom mode only)
+function submitWord(room, { userId, user, attenders, body, now, reject }) {
+  if (room.gameState !== 'liarWordInput') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if ((user.role || 'attender') !== 'attender') {
+    return reject(400, '참가자만 단어를 제출할 수 있습니다.');
+  }
+  const trimmed = (body.word || '').trim().slice(0, 16);
+  if (!trimmed) return reject(400, '단어를 입력하세요.');
+  room.liarUserWords.set(userId, trimmed);
+  if (room.liarUserWords.size === attenders.length) {
+    pickLiars(room, attenders);
+    const words = Array.from(room.liarUserWords.values());
+    const liarWords = new Set(Array.from(room.liarUserWords).filter(([id]) => isLiar(room, id)).map(([, w]) => w));
+    const pool = words.filter(w => !liarWords.has(w));
+    room.liarSecretWord = pool.length > 0 ? pool[Math.floor(Math.random() * pool.length)] : words[0];
+    const authorEntry = Array.from(room.liarUserWords.entries()).find(([, w]) => w === room.liarSecretWord);
+    room.liarChosenWordAuthor = authorEntry ? authorEntry[0] : null;
+    if (room.liarMode === FOOL_MODE) {
+      // Prefer a citizen's word so a liar doesn't get back their own
+      const others = words.filter(w => !liarWords.has(w));
+      room.liarDecoyWord = pickDecoyWord(room, others.some(w => w !== room.liarSecretWord) ? others : words);
+    }
+    room.liarUserWords.clear();
+    if (room.liarChosenWordAuthor) {
+      room.liarUserWords.set(room.liarChosenWordAuthor, room.liarSecretWord);
+    }
+    startPlay(room, attenders, now);
+    room.liarMainTimerExtendedBy = room.liarMainTimerExtendedBy || new Set();
+    room.liarDifficultClicks = room.liarDifficultClicks || new Set();
+  }
+  return { body: { success: true } };
+}
+
+// Extend/shorten time (once per user)
+function extendTime(room, { userId, user, body, now, reject }) {
+  const { action } = body; // action: 'extend' | 'shorten'
+  if (room.liarState !== 'play') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.liarMainTimerExtendedBy.has(userId)) {
+    return reject(400, '이미 시간을 조절했습니다.');
+  }
+  room.liarMainTimerExtendedBy.add(userId);
+  const delta = action === 'extend' ? 60 * 1000 : -60 * 1000;
+  room.liarMainTimerEndsAt = Math.max(now + 5000, (room.liarMainTimerEndsAt || now) + delta);
+  room.liarLastTimeChange = { userId, action, nickname: nicknameOf(user) || '누군가' };
+  return { body: { success: true } };
+}
+
+// Difficult word button (normal players, 30s window)
+function difficultWord(room, { userId, attenders, reject }) {
+  if (room.liarState !== 'play') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  // A 바보 liar can press it like anyone (refusing would give them away), but it doesn't count
+  if (isLiar(room, userId) && !isFoolRound(room)) return reject(400, '라이어는 누를 수 없습니다.');
+  if (isLocationRound(room)) return reject(400, '장소 모드에서는 사용할 수 없습니다.');
+  room.liarDifficultClicks = room.liarDifficultClicks || new Set();
+  room.liarDifficultClicks.add(userId);
+  const normalCount = attenders.filter(u => !isLiar(room, u.id)).length;
+  const normalClicks = Array.from(room.liarDifficultClicks).filter(id => !isLiar(room, id)).length;
+  if (normalClicks >= Math.ceil(normalCount / 2)) {
+    room.liarAbortedByDifficult = true;
+    const authorUser = room.liarChosenWordAuthor ? room.users.get(room.liarChosenWordAuthor) : null;
+    showResult(room, 'D', { wordAuthorNickname: nicknameOf(authorUser) });
+  }
+  return { body: { success: true } };
+}
+
+// Master starts vote or timer hit 0
+function startVoteAction(room, { userId, reject }) {
+  if (room.liarState !== 'play') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.masterId !== userId) {
+    return reject(403, '방장만 투표를 시작할 수 있습니다.');
+  }
+  startVote(room);
+  return { body: { success: true } };
+}
+
+// Vote for who is the liar
+function vote(room, { userId, attenders: allAttenders, body, now, reject }) {
+  const { targetUserId } = body;
+  if (room.liarState !== 'vote') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  const attenders = activeAttenders(room, allAttenders);
+  const validTargets = room.liarVoteTieTargets && room.liarVoteTieTargets.length > 0
+    ? room.liarVoteTieTargets
+    : attenders.map(u => u.id);
+  if (!attenders.find(u => u.id === userId) || !validTargets.includes(targetUserId)) {
+    return reject(400, '잘못된 투표입니다.');
+  }
+  room.liarVotes.set(userId, targetUserId);
+  const voted = room.liarVotes.size;
+  if (voted === attenders.length) {
+    const { condemnedUserId, tieTargets } = tallyVotes(room.liarVotes, validTargets);
+    if (condemnedUserId) {
+      room.liarCondemnedUserId = condemnedUserId;
+      room.liarVoteTieTargets = null;
+      room.liarState = 'argument';
+      room.gameState = 'liarArgument';
+      room.liarArgumentChoices = new Map();
+      room.liarArgumentEndsAt = now + 30 * 1000;
+    } else {
+      room.liarVoteTieTargets = tieTargets;
+      room.liarVotes.clear();
+    }
+  }
+  return { body: { success: true } };
+}
+
+// Forgive or Execute (only voters of condemned)
+function forgiveExecute(room, { userId, body, now, reject }) {
+  const { choice } = body; // choice: 'forgive' | 'execute'
+  if (room.liarState !== 'argument') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!['forgive', 'execute'].includes(choice)) return reject(400);
+  if (userId === room.liarCondemnedUserId) return reject(403, '사형수는 사면/처형을 선택할 수 없습니다.');
+  const voters = votersOf(room.liarVotes, room.liarCondemnedUserId);
+  if (!voters.includes(userId)) return reject(403, '투표한 사람만 선택할 수 있습니다.');
+  room.liarArgumentChoices.set(userId, choice);
+  const decision = decideTrial(voters, room.liarArgumentChoices);
+  if (decision === 'forgive') {
+    room.liarCondemnedUserId = null;
+    startVote(room);
+    room.liarArgumentChoices.clear();
+  } else if (decision === 'execute') {
+    startIdentify(room, now);
+  }
+  return { body: { success: true } };
+}
+
+// 장소 mode: a liar stops the round to name the location for all the liars – right wins (A), wrong loses (B)
+function interruptGuess(room, { userId, body, reject }) {
+  const guessedWord = (body.guessedWord || '').trim();
+  if (!remainingLiarIds(room).includes(userId)) {
+    return reject(403, '라이어만 장소를 맞힐 수 있습니다.');
+  }
+  if (!guessedWord) return reject(400, '장소를 입력하세요.');
+  const normalized = guessedWord.replace(/\s+/g, '').toLowerCase();
+  const secretNorm = (room.liarSecretWord || '').replace(/\s+/g, '').toLowerCase();
+  if (normalized === secretNorm) {
+    showResult(room, 'A', { interrupted: true });
+  } else {
+    showResult(room, 'B', { interrupted: true, guessedWord });
+  }
+  return { body: { success: true, correct: normalized === secretNorm } };
+}
+
+// Liar guesses the word (identify state, when condemned is a liar; any time before that in 장소 mode)
+function guess(room, ctx) {
+  const { userId, body, now, reject } = ctx;
+  const { guessedWord } = body;
+  if (isLocationRound(room) && INTERRUPT_STATES.has(room.liarState)) {
+    return interruptGuess(room, ctx);
+  }
+  if (room.liarState !== 'identify') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (userId !== room.liarCondemnedUserId || !isLiar(room, userId)) {
+    return reject(403, '사형수(라이어)만 추측할 수 있습니다.');
+  }
+  if (room.liarGuessedWord) {
+    return reject(400, '이미 제출했습니다.');
+  }
+  if (room.liarGuessEndsAt && now >= room.liarGuessEndsAt) {
+    return reject(400, '제한 시간이 지났습니다.');
+  }
+  const normalized = (guessedWord || '').trim().replace(/\s+/g, '').toLowerCase();
+  const secretNorm = (room.liarSecretWord || '').replace(/\s+/g, '').toLowerCase();
+  if (normalized === secretNorm) {
+    showResult(room, 'A');
+  } else {
+    room.liarGuessedWord = (guessedWord || '').trim();
+  }
+  return { body: { success: true } };
+}
+
+// Normal players vote 인정/노인정 (when liar guessed wrong)
+function identifyVote(room, { userId, attenders, body, reject }) {
+  const { choice } = body; // choice: '인정' | '노인정'
+  if (room.liarState !== 'identify') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!room.liarGuessedWord) return reject(400);
+  const normalPlayers = attenders.filter(u => !isLiar(room, u.id));
+  // A 바보 liar who doesn't know yet votes like anyone (refusing would give them away), but it doesn't count
+  const unawareLiar = isLiar(room, userId) && !liarKnowsRole(room, userId) && attenders.some(u => u.id === userId);
+  if (!normalPlayers.find(u => u.id === userId) && !unawareLiar) return reject(403);
+  if (!['인정', '노인정'].includes(choice)) return reject(400);
+  room.liarIdentifyVotes.set(userId, choice);
+  const counted = normalPlayers.filter(u => room.liarIdentifyVotes.has(u.id)).map(u => room.liarIdentifyVotes.get(u.id));
+  const injeong = counted.filter(c => c === '인정').length;
+  const noinjeong = counted.filter(c => c === '노인정').length;
+  const injeongThresh = Math.ceil(normalPlayers.length / 2);
+  const immediateInjeong = injeong >= injeongThresh;
+  const immediateNoinjeong = noinjeong > normalPlayers.length / 2;
+  if (immediateInjeong || immediateNoinjeong || counted.length === normalPlayers.length) {
+    if (injeong >= injeongThresh) {
+      showResult(room, 'A');
+    } else {
+      catchLiar(room, { guessedWord: room.liarGuessedWord });
+    }
+  }
+  return { body: { success: true } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (advanced by api/scheduler.js once a deadline passes, whether or not anyone polls)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Main discussion timer ran out → vote
+    name: 'play',
+    deadline: (room) => (room.liarState === 'play' ? room.liarMainTimerEndsAt : null),
+    expire: (room) => {
+      startVote(room);
+      return true;
+    }
+  },
+  {
+    // Forgive/execute window closed without a forgive majority → identify
+    name: 'argument',
+    deadline: (room) => (room.liarState === 'argument' ? room.liarArgumentEndsAt : null),
+    expire: (room, now) => {
+      const voters = votersOf(room.liarVotes || new Map(), room.liarCondemnedUserId);
+      if (decideTrial(voters, room.liarArgumentChoices || new Map(), { timeUp: true }) === 'execute') {
+        startIdentify(room, now);
+      } else {
+        room.liarArgumentEndsAt = null; // Nobody can decide - stop the timer instead of firing again
+      }
+      return true;
+    }
+  },
+  {
+    // Condemned was not a liar: reveal screen over → result C (or E after a partial catch)
+    name: 'identify',
+    deadline: (room) => (room.liarState === 'identify' && !isLiar(room, room.liarCondemnedUserId) ? room.liarIdentifyEndsAt : null),
+    expire: (room) => {
+      showInnocentExecuted(room);
+      return true;
+    }
+  },
+  {
+    // Liar never guessed → caught (result B once no liar is left)
+    name: 'guess',
+    deadline: (room) => (room.liarState === 'identify' && isLiar(room, room.liarCondemnedUserId) && !room.liarGuessedWord ? room.liarGuessEndsAt : null),
+    expire: (room) => {
+      catchLiar(room, { liarNoGuess: true });
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+// Room scoreboard: 2 points for each liar who got away when the liars win (A, C, E), 1 for every
+// citizen when all liars are caught (B), plus 1 for each citizen whose last vote named a liar.
+// A round ended by a difficult word (D) scores nothing.
+function score(room) {
+  if (!room.liarLiarUserIds || room.liarResultScenario === 'D') return [];
+  const awards = [];
+  if (room.liarResultScenario === 'B') {
+    for (const user of room.users.values()) {
+      if ((user.role || 'attender') === 'attender' && !isLiar(room, user.id)) awards.push({ userId: user.id, points: 1 });
+    }
+  } else {
+    for (const id of remainingLiarIds(room)) awards.push({ userId: id, points: 2 });
+  }
+  for (const [voterId, targetId] of room.liarVotes || new Map()) {
+    if (!isLiar(room, voterId) && isLiar(room, targetId)) awards.push({ userId: voterId, points: 1 });
+  }
+  return awards;
+}
+
+// Round history: the result screen's facts plus the last vote, voter by voter
+function history(room) {
+  const data = room.liarResultData || {};
+  const nameOf = (id) => nicknameOf(room.users.get(id)) || '?';
+  let mode = '단어';
+  if (isLocationRound(room)) mode = LOCATION_MODE;
+  else if (isFoolRound(room)) mode = FOOL_MODE;
+  return {
+    scenario: room.liarResultScenario,
+    mode,
+    secretWord: data.secretWord || null,
+    decoyWord: data.decoyWord || null,
+    liars: data.liarNickname || null,
+    caught: data.caughtNicknames || null,
+    votes: Array.from(room.liarVotes || new Map(), ([from, to]) => ({ from: nameOf(from), to: nameOf(to) }))
+  };
+}
+
+// Penalty roulette: the liars when they all lost (B), the executed innocent (C), both for a partial
+// catch (E), the table when a liar named the word (A), the author of an over-the-line word (D)
+function losers(room) {
+  const liarIds = Array.from(room.liarLiarUserIds || []);
+  const caughtIds = Array.from(room.liarCaughtUserIds || []);
+  switch (room.liarResultScenario) {
+    case 'A':
+      return Array.from(room.users.values())
+        .filter((u) => (u.role || 'attender') === 'attender' && !isLiar(room, u.id))
+        .map((u) => u.id);
+    case 'B':
+      return liarIds;
+    case 'C':
+      return room.liarCondemnedUserId ? [room.liarCondemnedUserId] : [];
+    case 'E':
+      return [...caughtIds, room.liarCondemnedUserId].filter(Boolean);
+    case 'D':
+      return room.liarChosenWordAuthor ? [room.liarChosenWordAuthor] : [];
+    default:
+      return [];
+  }
+}
+
+function playerRole(room, viewer) {
+  return isLiar(room, viewer.id) ? LIAR_ROLE : null;
+}
+
+function view(room, viewer, roles) {
+  if (!room.liarState) return {};
+  const isResult = room.liarState === 'result';
+  const isWordInput = room.liarState === 'wordInput';
+  return {
+    liarState: room.liarState,
+    liarAmILiar: roles.includes(LIAR_ROLE) && liarKnowsRole(room, viewer && viewer.id),
+    // Identity and authorship are revealed to everyone only on the result screen (caught liars as they fall)
+    liarLiarUserIds: isResult && room.liarLiarUserIds ? Array.from(room.liarLiarUserIds) : null,
+    liarCaughtUserIds: room.liarCaughtUserIds ? Array.from(room.liarCaughtUserIds) : [],
+    liarChosenWordAuthor: isResult ? (room.liarChosenWordAuthor || null) : null,
+    liarCondemnedIsLiar: CONDEMNED_REVEAL_STATES.has(room.liarState) && Boolean(room.liarCondemnedUserId)
+      ? isLiar(room, room.liarCondemnedUserId)
+      : null,
+    // Only while words are coming in: afterwards liarUserWords holds just the author of the secret word
+    liarSubmittedCount: isWordInput && room.liarUserWords ? room.liarUserWords.size : 0,
+    liarSubmittedUserIds: isWordInput && room.liarUserWords ? Array.from(room.liarUserWords.keys()) : null,
+    liarVotes: room.liarVotes ? Object.fromEntries(room.liarVotes) : {},
+    liarCondemnedUserId: room.liarCondemnedUserId || null,
+    liarArgumentChoices: room.liarArgumentChoices ? Object.fromEntries(room.liarArgumentChoices) : {},
+    liarIdentifyVotes: room.liarIdentifyVotes ? Object.fromEntries(room.liarIdentifyVotes) : {},
+    liarGuessedWord: room.liarGuessedWord || null,
+    liarMainTimerEndsAt: room.liarMainTimerEndsAt || null,
+    liarPlayStartedAt: room.liarPlayStartedAt || null,
+    liarMainTimerExtendedBy: room.liarMainTimerExtendedBy ? Array.from(room.liarMainTimerExtendedBy) : [],
+    liarLastTimeChange: room.liarLastTimeChange || null,
+    liarDifficultClicks: room.liarDifficultClicks ? Array.from(room.liarDifficultClicks) : [],
+    liarAbortedByDifficult: room.liarAbortedByDifficult || false,
+    liarResultScenario: isResult ? (room.liarResultScenario || null) : null,
+    liarResultData: isResult ? (room.liarResultData || null) : null,
+    liarVoteTieTargets: room.liarVoteTieTargets || null,
+    liarArgumentEndsAt: room.liarArgumentEndsAt || null,
+    liarGuessEndsAt: room.liarGuessEndsAt || null,
+    liarIdentifyEndsAt: room.liarIdentifyEndsAt || null,
+    // 장소 mode: the locations the liar can name (the same list for everyone, like the Spyfall card)
+    liarLocationNames: isLocationRound(room) ? getLocationNames() : null
+  };
+}
+
+// The secret word goes to citizens (and observers) while playing and on the result screen – never to the liar.
+// In 장소 mode citizens also get their own role card (observers only the location); in 바보 mode the liar
+// gets the decoy word in the same place.
+function privateView(room, viewer, roles) {
+  let liarMyWord = null;
+  let liarMyRole = null;
+  const showsCard = room.liarState === 'play' || room.liarState === 'result' || room.liarAbortedByDifficult;
+  if (room.gameType === 'liar' && room.liarSecretWord && viewer && showsCard) {
+    if (!roles.includes(LIAR_ROLE)) {
+      liarMyWord = room.liarSecretWord;
+      liarMyRole = isLocationRound(room) ? (room.liarLocationRoles.get(viewer.id) || null) : null;
+    } else if (isFoolRound(room)) {
+      liarMyWord = room.liarDecoyWord;
+    }
+  }
+  return { liarMyWord, liarMyRole };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+module.exports = {
+  type: 'liar',
+  minPlayers: { count: 3, message: '라이어 게임은 참가자 3명 이상 필요합니다.' },
+  roomFields: {
+    maps: ['liarUserWords', 'liarVotes', 'liarArgumentChoices', 'liarIdentifyVotes', 'liarLocationRoles'],
+    sets: ['liarLiarUserIds', 'liarCaughtUserIds', 'liarMainTimerExtendedBy', 'liarDifficultClicks']
+  },
+  settings,
+  start,
+  actions: {
+    'submit-word': submitWord,
+    'extend-time': extendTime,
+    'difficult-word': difficultWord,
+    'start-vote': startVoteAction,
+    'vote': vote,
+    'forgive-execute': forgiveExecute,
+    'guess': guess,
+    'identify-vote': identifyVote
+  },
+  timers,
+  playerRole,
+  view,
+  privateView,
+  resultStates: ['liarResult'],
+  score,
+  history,
+  losers,
+  reset
+};
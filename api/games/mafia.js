@@ -0,0 +1,422 @@
+/**
+ * Mafia (마피아) – hidden roles; the mafia kill at night, the town votes someone out by day.
+ * Roles: mafia, doctor (saves one player a night), police (checks one player a night), citizens.
+ * mafiaState: night → day (discussion timer) → vote → argument (forgive/execute) → night … → result
+ * The vote and the forgive/execute trial are the liar game's (api/games/voting.js).
+ */
+const { tallyVotes, votersOf, decideTrial } = require('./voting');
+const { shuffle } = require('./turns');
+
+const ROLES = {
+  MAFIA: 'mafia',
+  DOCTOR: 'doctor',
+  POLICE: 'police',
+  CITIZEN: 'citizen'
+};
+const NIGHT_ROLES = [ROLES.MAFIA, ROLES.DOCTOR, ROLES.POLICE];
+
+const MAX_MAFIA = 3;
+const MAX_DAY_MINUTES = 10;
+const NIGHT_SECONDS = 60;
+const ARGUMENT_SECONDS = 30;
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'mafiaState', 'mafiaRound', 'mafiaRoles', 'mafiaEliminated', 'mafiaNightActions', 'mafiaPoliceChecks',
+  'mafiaNightEndsAt', 'mafiaDayEndsAt', 'mafiaLastNight', 'mafiaLastExecution', 'mafiaVotes',
+  'mafiaVoteTieTargets', 'mafiaCondemnedUserId', 'mafiaArgumentChoices', 'mafiaArgumentEndsAt',
+  'mafiaWinner', 'mafiaResultData'
+];
+
+function roleOf(room, userId) {
+  return (room.mafiaRoles && room.mafiaRoles.get(userId)) || null;
+}
+
+// Players of this round still in the game (not eliminated, still in the room)
+function alivePlayerIds(room) {
+  if (!room.mafiaRoles) return [];
+  return Array.from(room.mafiaRoles.keys()).filter((id) => room.users.has(id) && !room.mafiaEliminated.has(id));
+}
+
+function eliminate(room, userId, cause) {
+  room.mafiaEliminated.set(userId, { cause, round: room.mafiaRound });
+}
+
+// 'citizens' when no mafia is left, 'mafia' once they are at least half of the living
+function winnerOf(room) {
+  const alive = alivePlayerIds(room);
+  const mafia = alive.filter((id) => roleOf(room, id) === ROLES.MAFIA).length;
+  if (mafia === 0) return 'citizens';
+  if (mafia >= alive.length - mafia) return 'mafia';
+  return null;
+}
+
+// Ends the game if a side has won; returns true if it did
+function showResultIfOver(room) {
+  const winner = winnerOf(room);
+  if (!winner) return false;
+  room.mafiaState = 'result';
+  room.gameState = 'mafiaResult';
+  room.mafiaWinner = winner;
+  room.mafiaNightEndsAt = null;
+  room.mafiaDayEndsAt = null;
+  room.mafiaArgumentEndsAt = null;
+  // Names at result time, so the reveal still reads right if someone leaves
+  room.mafiaResultData = {
+    players: Array.from(room.mafiaRoles.entries()).map(([id, role]) => {
+      const user = room.users.get(id);
+      return { id, name: user?.displayName || user?.nickname || '?', role, eliminated: room.mafiaEliminated.get(id) || null };
+    })
+  };
+  return true;
+}
+
+// Room scoreboard: 2 points for everyone on the winning side, eliminated or not
+function score(room) {
+  const mafiaWon = room.mafiaWinner === 'mafia';
+  return Array.from(room.mafiaRoles || new Map())
+    .filter(([, role]) => (role === ROLES.MAFIA) === mafiaWon)
+    .map(([userId]) => ({ userId, points: 2 }));
+}
+
+// Round history: the winning side and everyone's role
+function history(room) {
+  const players = (room.mafiaResultData && room.mafiaResultData.players) || [];
+  return {
+    winner: room.mafiaWinner,
+    roles: players.map((p) => ({ name: p.name, role: p.role, eliminated: Boolean(p.eliminated) }))
+  };
+}
+
+function startNight(room, now) {
+  room.mafiaState = 'night';
+  room.gameState = 'mafiaNight';
+  room.mafiaRound = (room.mafiaRound || 0) + 1;
+  room.mafiaNightActions = new Map();
+  room.mafiaNightEndsAt = now + NIGHT_SECONDS * 1000;
+  room.mafiaVotes = new Map();
+  room.mafiaVoteTieTargets = null;
+  room.mafiaCondemnedUserId = null;
+  room.mafiaArgumentChoices = new Map();
+  room.mafiaArgumentEndsAt = null;
+}
+
+function startDay(room, now) {
+  room.mafiaState = 'day';
+  room.gameState = 'mafiaDay';
+  room.mafiaDayEndsAt = now + (room.mafiaDayMinutes || settings.defaults.mafiaDayMinutes) * 60 * 1000;
+}
+
+function startVote(room) {
+  room.mafiaState = 'vote';
+  room.gameState = 'mafiaVote';
+  room.mafiaDayEndsAt = null;
+  room.mafiaVotes = new Map();
+}
+
+// Every living player with a night role has picked a target
+function nightDone(room) {
+  return alivePlayerIds(room)
+    .filter((id) => NIGHT_ROLES.includes(roleOf(room, id)))
+    .every((id) => room.mafiaNightActions.has(id));
+}
+
+// Target most picked by the mafia (a tie goes to the target picked first)
+function mafiaTarget(room, alive) {
+  const counts = new Map();
+  for (const [id, targetId] of room.mafiaNightActions) {
+    if (roleOf(room, id) !== ROLES.MAFIA || !alive.includes(id)) continue;
+    counts.set(targetId, (counts.get(targetId) || 0) + 1);
+  }
+  let target = null;
+  for (const [targetId, count] of counts) {
+    if (target === null || count > counts.get(target)) target = targetId;
+  }
+  return target;
+}
+
+// Night over: the mafia's target dies unless the doctor picked the same player
+function endNight(room, now) {
+  const alive = alivePlayerIds(room);
+  const target = mafiaTarget(room, alive);
+  const doctorId = alive.find((id) => roleOf(room, id) === ROLES.DOCTOR);
+  const saved = Boolean(target && doctorId && room.mafiaNightActions.get(doctorId) === target);
+  const killedUserId = target && !saved && alive.includes(target) ? target : null;
+  if (killedUserId) eliminate(room, killedUserId, 'night');
+  room.mafiaLastNight = { round: room.mafiaRound, killedUserId };
+  room.mafiaNightActions = new Map();
+  room.mafiaNightEndsAt = null;
+  if (!showResultIfOver(room)) startDay(room, now);
+}
+
+// Trial over: execute or spare the condemned, then night falls (unless a side has won)
+function resolveTrial(room, decision, now) {
+  const condemnedUserId = room.mafiaCondemnedUserId;
+  const executed = decision === 'execute';
+  if (executed) eliminate(room, condemnedUserId, 'vote');
+  room.mafiaLastExecution = { round: room.mafiaRound, userId: condemnedUserId, executed };
+  if (!showResultIfOver(room)) startNight(room, now);
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    mafiaCount: 1, // 마피아 수 (1-3)
+    mafiaDoctor: true, // 의사 포함
+    mafiaPolice: true, // 경찰 포함
+    mafiaDayMinutes: 3 // 낮 토론 시간 (분)
+  },
+  apply(room, { mafiaCount, mafiaDoctor, mafiaPolice, mafiaDayMinutes }, { reject }) {
+    if (!Number.isInteger(mafiaCount) || mafiaCount < 1 || mafiaCount > MAX_MAFIA) {
+      return reject(400, `마피아는 1~${MAX_MAFIA}명으로 설정하세요.`);
+    }
+    if (typeof mafiaDoctor !== 'boolean' || typeof mafiaPolice !== 'boolean') {
+      return reject(400, '잘못된 역할 설정입니다.');
+    }
+    if (!Number.isInteger(mafiaDayMinutes) || mafiaDayMinutes < 1 || mafiaDayMinutes > MAX_DAY_MINUTES) {
+      return reject(400, `토론 시간은 1~${MAX_DAY_MINUTES}분으로 설정하세요.`);
+    }
+    room.mafiaCount = mafiaCount;
+    room.mafiaDoctor = mafiaDoctor;
+    room.mafiaPolice = mafiaPolice;
+    room.mafiaDayMinutes = mafiaDayMinutes;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      mafiaCount: room.mafiaCount || settings.defaults.mafiaCount,
+      mafiaDoctor: room.mafiaDoctor !== undefined && room.mafiaDoctor !== null ? room.mafiaDoctor : settings.defaults.mafiaDoctor,
+      mafiaPolice: room.mafiaPolice !== undefined && room.mafiaPolice !== null ? room.mafiaPolice : settings.defaults.mafiaPolice,
+      mafiaDayMinutes: room.mafiaDayMinutes || settings.defaults.mafiaDayMinutes
+    };
+  }
+};
+
+function start(room, { attenders, now, reject }) {
+  const { mafiaCount, mafiaDoctor, mafiaPolice } = settings.view(room);
+  if (mafiaCount * 2 >= attenders.length) {
+    return reject(400, `마피아 ${mafiaCount}명이면 참가자가 ${mafiaCount * 2 + 1}명 이상 필요합니다.`);
+  }
+  const specialRoles = [
+    ...Array(mafiaCount).fill(ROLES.MAFIA),
+    ...(mafiaDoctor ? [ROLES.DOCTOR] : []),
+    ...(mafiaPolice ? [ROLES.POLICE] : [])
+  ];
+  if (specialRoles.length > attenders.length) {
+    return reject(400, '역할 수가 참가자 수보다 많습니다.');
+  }
+  room.mafiaRoles = new Map(shuffle(attenders).map((user, i) => [user.id, specialRoles[i] || ROLES.CITIZEN]));
+  room.mafiaEliminated = new Map();
+  room.mafiaPoliceChecks = [];
+  room.mafiaLastNight = null;
+  room.mafiaLastExecution = null;
+  room.mafiaWinner = null;
+  room.mafiaResultData = null;
+  room.mafiaRound = 0;
+  startNight(room, now);
+  console.log(`Mafia game started in room: ${room.roomName} (${attenders.length} players, ${mafiaCount} mafia)`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Night: mafia pick a victim, the doctor someone to save, the police someone to check
+function nightAction(room, { userId, body, now, reject }) {
+  const { targetUserId } = body;
+  if (room.mafiaState !== 'night') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  const alive = alivePlayerIds(room);
+  const role = roleOf(room, userId);
+  if (!alive.includes(userId) || !NIGHT_ROLES.includes(role)) {
+    return reject(403, '밤에 행동할 수 있는 역할이 아닙니다.');
+  }
+  if (!alive.includes(targetUserId)) {
+    return reject(400, '잘못된 대상입니다.');
+  }
+  if (role === ROLES.MAFIA && roleOf(room, targetUserId) === ROLES.MAFIA) {
+    return reject(400, '마피아끼리는 지목할 수 없습니다.');
+  }
+  if (role === ROLES.POLICE) {
+    if (targetUserId === userId) return reject(400, '자신은 조사할 수 없습니다.');
+    if (room.mafiaNightActions.has(userId)) return reject(400, '이미 조사했습니다.');
+    room.mafiaPoliceChecks.push({ round: room.mafiaRound, targetUserId, isMafia: roleOf(room, targetUserId) === ROLES.MAFIA });
+  }
+  room.mafiaNightActions.set(userId, targetUserId);
+  if (nightDone(room)) endNight(room, now);
+  return { body: { success: true } };
+}
+
+// Master ends the day discussion early (or the day timer hits 0)
+function startVoteAction(room, { userId, reject }) {
+  if (room.mafiaState !== 'day') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.masterId !== userId) {
+    return reject(403, '방장만 투표를 시작할 수 있습니다.');
+  }
+  startVote(room);
+  return { body: { success: true } };
+}
+
+// Living players vote whom to put on trial; a tie is voted again among the tied players
+function vote(room, { userId, body, now, reject }) {
+  const { targetUserId } = body;
+  if (room.mafiaState !== 'vote') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  const alive = alivePlayerIds(room);
+  const validTargets = room.mafiaVoteTieTargets && room.mafiaVoteTieTargets.length > 0
+    ? room.mafiaVoteTieTargets.filter((id) => alive.includes(id))
+    : alive;
+  if (!alive.includes(userId) || !validTargets.includes(targetUserId)) {
+    return reject(400, '잘못된 투표입니다.');
+  }
+  room.mafiaVotes.set(userId, targetUserId);
+  if (alive.every((id) => room.mafiaVotes.has(id))) {
+    const { condemnedUserId, tieTargets } = tallyVotes(room.mafiaVotes, validTargets);
+    if (condemnedUserId) {
+      room.mafiaCondemnedUserId = condemnedUserId;
+      room.mafiaVoteTieTargets = null;
+      room.mafiaState = 'argument';
+      room.gameState = 'mafiaArgument';
+      room.mafiaArgumentChoices = new Map();
+      room.mafiaArgumentEndsAt = now + ARGUMENT_SECONDS * 1000;
+    } else {
+      room.mafiaVoteTieTargets = tieTargets;
+      room.mafiaVotes.clear();
+    }
+  }
+  return { body: { success: true } };
+}
+
+// Forgive or execute the condemned (only their voters)
+function forgiveExecute(room, { userId, body, now, reject }) {
+  const { choice } = body; // choice: 'forgive' | 'execute'
+  if (room.mafiaState !== 'argument') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!['forgive', 'execute'].includes(choice)) return reject(400);
+  if (userId === room.mafiaCondemnedUserId) return reject(403, '사형수는 사면/처형을 선택할 수 없습니다.');
+  const voters = votersOf(room.mafiaVotes, room.mafiaCondemnedUserId);
+  if (!voters.includes(userId)) return reject(403, '투표한 사람만 선택할 수 있습니다.');
+  room.mafiaArgumentChoices.set(userId, choice);
+  const decision = decideTrial(voters, room.mafiaArgumentChoices);
+  if (decision) resolveTrial(room, decision, now);
+  return { body: { success: true } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (see api/scheduler.js)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Night over even if someone didn't act → resolve the kill
+    name: 'night',
+    deadline: (room) => (room.mafiaState === 'night' ? room.mafiaNightEndsAt : null),
+    expire: (room, now) => {
+      endNight(room, now);
+      return true;
+    }
+  },
+  {
+    // Day discussion over → vote
+    name: 'day',
+    deadline: (room) => (room.mafiaState === 'day' ? room.mafiaDayEndsAt : null),
+    expire: (room) => {
+      startVote(room);
+      return true;
+    }
+  },
+  {
+    // Trial window closed: anything short of a forgive majority executes
+    name: 'argument',
+    deadline: (room) => (room.mafiaState === 'argument' ? room.mafiaArgumentEndsAt : null),
+    expire: (room, now) => {
+      const voters = votersOf(room.mafiaVotes, room.mafiaCondemnedUserId);
+      const decision = decideTrial(voters, room.mafiaArgumentChoices, { timeUp: true });
+      resolveTrial(room, decision === 'execute' ? 'execute' : 'forgive', now);
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+function playerRole(room, viewer) {
+  const role = roleOf(room, viewer.id);
+  return role && role !== ROLES.CITIZEN ? role : null;
+}
+
+// Roles and night picks go only to living players who hold them; observers and eliminated
+// players watch the public side (deaths, votes, trials) until the result reveals everything
+function view(room, viewer) {
+  if (!room.mafiaState) return {};
+  const isResult = room.mafiaState === 'result';
+  const myRole = viewer ? roleOf(room, viewer.id) : null;
+  const amIAlive = Boolean(viewer) && alivePlayerIds(room).includes(viewer.id);
+  const seesSecrets = amIAlive && !isResult;
+  const isMafia = seesSecrets && myRole === ROLES.MAFIA;
+  const mafiaIds = Array.from(room.mafiaRoles.entries()).filter(([, role]) => role === ROLES.MAFIA).map(([id]) => id);
+  return {
+    mafiaState: room.mafiaState,
+    mafiaRound: room.mafiaRound || 0,
+    mafiaPlayerIds: Array.from(room.mafiaRoles.keys()),
+    mafiaMyRole: myRole,
+    mafiaAmIAlive: amIAlive,
+    mafiaTeammateIds: isMafia ? mafiaIds.filter((id) => id !== viewer.id) : [],
+    mafiaTeamPicks: isMafia
+      ? Object.fromEntries(Array.from(room.mafiaNightActions.entries()).filter(([id]) => mafiaIds.includes(id)))
+      : {},
+    mafiaMyNightTarget: seesSecrets ? (room.mafiaNightActions.get(viewer.id) || null) : null,
+    mafiaPoliceChecks: seesSecrets && myRole === ROLES.POLICE ? room.mafiaPoliceChecks : [],
+    mafiaEliminated: Object.fromEntries(room.mafiaEliminated),
+    mafiaLastNight: room.mafiaLastNight || null,
+    mafiaLastExecution: room.mafiaLastExecution || null,
+    mafiaVotes: Object.fromEntries(room.mafiaVotes),
+    mafiaVoteTieTargets: room.mafiaVoteTieTargets || null,
+    mafiaCondemnedUserId: room.mafiaCondemnedUserId || null,
+    mafiaArgumentChoices: Object.fromEntries(room.mafiaArgumentChoices),
+    mafiaNightEndsAt: room.mafiaNightEndsAt || null,
+    mafiaDayEndsAt: room.mafiaDayEndsAt || null,
+    mafiaArgumentEndsAt: room.mafiaArgumentEndsAt || null,
+    mafiaWinner: isResult ? room.mafiaWinner : null,
+    mafiaResultData: isResult ? room.mafiaResultData : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+module.exports = {
+  type: 'mafia',
+  minPlayers: { count: 4, message: '마피아 게임은 참가자 4명 이상 필요합니다.' },
+  roomFields: {
+    maps: ['mafiaRoles', 'mafiaEliminated', 'mafiaNightActions', 'mafiaVotes', 'mafiaArgumentChoices']
+  },
+  settings,
+  start,
+  actions: {
+    'night-action': nightAction,
+    'start-vote': startVoteAction,
+    'vote': vote,
+    'forgive-execute': forgiveExecute
+  },
+  timers,
+  playerRole,
+  view,
+  resultStates: ['mafiaResult'],
+  score,
+  history,
+  reset,
+  ROLES
+};
@@ -0,0 +1,79 @@
+/**
+ * Telepathy matching: every player ranks up to maxPicks others (one pick in the classic mode, where
+ * that pick is simply 1st). Two players who ranked each other are a pair, worth more the higher they
+ * ranked each other – 1st↔1st scores highest. Picks that weren't returned are one-sided, and the
+ * player with the most rank-weighted picks is the most wanted.
+ */
+
+// A pick at `rank` (1 = first) weighs maxPicks for 1st down to 1 for the last place
+function rankWeight(rank, maxPicks) {
+  return maxPicks - rank + 1;
+}
+
+// Picks as [targetId, rank]; self-picks, repeats and places past maxPicks don't count
+function picksOf(rankerId, ranking, maxPicks) {
+  const seen = new Set();
+  const picks = [];
+  for (const targetId of ranking || []) {
+    if (targetId === rankerId || seen.has(targetId) || picks.length === maxPicks) continue;
+    seen.add(targetId);
+    picks.push([targetId, picks.length + 1]);
+  }
+  return picks;
+}
+
+/**
+ * Match a round of rankings (Map rankerId -> [targetId, ...], best first).
+ * @returns {{
+ *   pairs: { ids: string[], ranks: number[], points: number }[],
+ *   oneSided: { from: string, to: string, rank: number }[],
+ *   unmatched: string[],
+ *   mostWanted: { ids: string[], points: number }|null
+ * }} pairs best first (ties in the order they were ranked), unmatched = rankers without a pair,
+ *   mostWanted lists every player tied at the top
+ */
+function matchRankings(rankings, maxPicks) {
+  const ranks = new Map(); // rankerId -> Map targetId -> rank
+  for (const [rankerId, ranking] of rankings) {
+    ranks.set(rankerId, new Map(picksOf(rankerId, ranking, maxPicks)));
+  }
+
+  const pairs = [];
+  const oneSided = [];
+  const paired = new Set();
+  const done = new Set(); // rankers whose pairs are listed already
+  const wanted = new Map();
+  for (const [from, picks] of ranks) {
+    for (const [to, rank] of picks) {
+      wanted.set(to, (wanted.get(to) || 0) + rankWeight(rank, maxPicks));
+      const back = ranks.get(to) && ranks.get(to).get(from);
+      if (!back) {
+        oneSided.push({ from, to, rank });
+      } else if (!done.has(to)) {
+        pairs.push({ ids: [from, to], ranks: [rank, back], points: rankWeight(rank, maxPicks) + rankWeight(back, maxPicks) });
+        paired.add(from);
+        paired.add(to);
+      }
+    }
+    done.add(from);
+  }
+  pairs.sort((a, b) => b.points - a.points);
+
+  let mostWanted = null;
+  for (const [id, points] of wanted) {
+    if (!mostWanted || points > mostWanted.points) mostWanted = { ids: [id], points };
+    else if (points === mostWanted.points) mostWanted.ids.push(id);
+  }
+
+  return {
+    pairs,
+    oneSided,
+    unmatched: Array.from(ranks.keys()).filter((id) => !paired.has(id)),
+    mostWanted
+  };
+}
+
+module.exports = {
+  rankWeight,
+  matchRankings
+};
@@ -0,0 +1,176 @@
+/**
+ * Most likely to (~할 것 같은 사람) – a prompt from the deck, everyone anonymously votes for a
+ * player, the round ranks players by votes. Votes are never shown per voter.
+ * mostLikelyState: vote → reveal → vote (next prompt) … → result
+ */
+const { getRandomPrompt } = require('../mostLikelyPrompts');
+const { buildVoteRanking } = require('./voting');
+
+const MAX_ROUNDS = 20;
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'mostLikelyState', 'mostLikelyRound', 'mostLikelyPrompt', 'mostLikelyUsedPrompts', 'mostLikelyPlayerIds',
+  'mostLikelyVotes', 'mostLikelyRanking', 'mostLikelyHistory', 'mostLikelyResultData'
+];
+
+// Players of this game still in the room
+function activePlayerIds(room) {
+  return (room.mostLikelyPlayerIds || []).filter((id) => room.users.has(id));
+}
+
+function startPrompt(room) {
+  const prompt = getRandomPrompt(room.mostLikelyUsedPrompts);
+  room.mostLikelyState = 'vote';
+  room.gameState = 'mostLikelyVote';
+  room.mostLikelyPrompt = prompt;
+  room.mostLikelyUsedPrompts = [...room.mostLikelyUsedPrompts, prompt];
+  room.mostLikelyVotes = new Map();
+  room.mostLikelyRanking = null;
+}
+
+function reveal(room) {
+  const ranking = buildVoteRanking(room.users, room.mostLikelyVotes, { anonymous: true });
+  room.mostLikelyState = 'reveal';
+  room.gameState = 'mostLikelyReveal';
+  room.mostLikelyRanking = ranking;
+  room.mostLikelyHistory = [...room.mostLikelyHistory, { round: room.mostLikelyRound, prompt: room.mostLikelyPrompt, ranking }];
+}
+
+// Final screen: every round's ranking plus the votes each player collected over the game
+function showResult(room) {
+  const totals = {};
+  for (const { ranking } of room.mostLikelyHistory) {
+    for (const { id, name, voteCount } of ranking) {
+      totals[id] = { id, name, voteCount: (totals[id]?.voteCount || 0) + voteCount };
+    }
+  }
+  room.mostLikelyState = 'result';
+  room.gameState = 'mostLikelyResult';
+  room.mostLikelyResultData = {
+    history: room.mostLikelyHistory,
+    totals: Object.values(totals).sort((a, b) => b.voteCount - a.voteCount)
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    mostLikelyRounds: 5 // 질문 수
+  },
+  apply(room, { mostLikelyRounds }, { reject }) {
+    if (!Number.isInteger(mostLikelyRounds) || mostLikelyRounds < 1 || mostLikelyRounds > MAX_ROUNDS) {
+      return reject(400, `질문 수는 1~${MAX_ROUNDS}개로 설정하세요.`);
+    }
+    room.mostLikelyRounds = mostLikelyRounds;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      mostLikelyRounds: room.mostLikelyRounds || settings.defaults.mostLikelyRounds
+    };
+  }
+};
+
+function start(room, { attenders }) {
+  room.mostLikelyRound = 1;
+  room.mostLikelyUsedPrompts = [];
+  room.mostLikelyHistory = [];
+  room.mostLikelyResultData = null;
+  room.mostLikelyPlayerIds = attenders.map((u) => u.id);
+  startPrompt(room);
+  console.log(`Most-likely game started in room: ${room.roomName} (${settings.view(room).mostLikelyRounds} prompts)`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Anonymous vote for any player (yourself included); can be changed until everyone voted
+function vote(room, { userId, body, reject }) {
+  const { targetUserId } = body;
+  if (room.mostLikelyState !== 'vote') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  const players = activePlayerIds(room);
+  if (!players.includes(userId) || !players.includes(targetUserId)) {
+    return reject(400, '잘못된 투표입니다.');
+  }
+  room.mostLikelyVotes.set(userId, targetUserId);
+  if (players.every((id) => room.mostLikelyVotes.has(id))) reveal(room);
+  return { body: { success: true } };
+}
+
+// Master swaps the prompt for another one (votes so far are dropped)
+function skip(room, { userId, reject }) {
+  if (room.mostLikelyState !== 'vote') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.masterId !== userId) {
+    return reject(403, '방장만 질문을 넘길 수 있습니다.');
+  }
+  startPrompt(room);
+  return { body: { success: true } };
+}
+
+// Master moves on from a round's ranking: next prompt, or the final screen after the last one
+function next(room, { userId, reject }) {
+  if (room.mostLikelyState !== 'reveal') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (room.masterId !== userId) {
+    return reject(403, '방장만 다음 질문으로 넘길 수 있습니다.');
+  }
+  if (room.mostLikelyRound >= settings.view(room).mostLikelyRounds) {
+    showResult(room);
+  } else {
+    room.mostLikelyRound += 1;
+    startPrompt(room);
+  }
+  return { body: { success: true } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+// Only counts are public: who has voted, never for whom (the viewer sees their own vote)
+function view(room, viewer) {
+  if (!room.mostLikelyState) return {};
+  return {
+    mostLikelyState: room.mostLikelyState,
+    mostLikelyRound: room.mostLikelyRound,
+    mostLikelyPrompt: room.mostLikelyPrompt,
+    mostLikelyPlayerIds: room.mostLikelyPlayerIds || [],
+    mostLikelyVotedUserIds: room.mostLikelyVotes ? Array.from(room.mostLikelyVotes.keys()) : [],
+    mostLikelyMyVote: viewer && room.mostLikelyVotes ? (room.mostLikelyVotes.get(viewer.id) || null) : null,
+    mostLikelyRanking: room.mostLikelyState === 'reveal' ? room.mostLikelyRanking : null,
+    mostLikelyResultData: room.mostLikelyState === 'result' ? room.mostLikelyResultData : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+module.exports = {
+  type: 'mostLikely',
+  minPlayers: { count: 3, message: '~할 것 같은 사람 게임은 참가자 3명 이상 필요합니다.' },
+  roomFields: {
+    maps: ['mostLikelyVotes']
+  },
+  settings,
+  start,
+  actions: {
+    'vote': vote,
+    'skip': skip,
+    'next': next
+  },
+  view,
+  resultStates: ['mostLikelyResult'],
+  reset
+};
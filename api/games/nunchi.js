@@ -0,0 +1,203 @@
+/**
+ * Nunchi game (눈치 게임) – after a countdown players tap to claim the next number 1, 2, 3, …
+ * Taps are ordered by when they reached the server (ctx.receivedAt), not by polling: two or more
+ * taps within the collision window claim the same number and all of them lose; otherwise the one
+ * player left without a number loses.
+ * nunchiState: play → result
+ */
+const COUNTDOWN_MS = 3000;
+const MIN_WINDOW_MS = 100;
+const MAX_WINDOW_MS = 2000;
+const IDLE_TIMEOUT_MS = 15000; // no tap for this long after the start or the last claim ends the round
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = ['nunchiState', 'nunchiPlayerIds', 'nunchiStartsAt', 'nunchiClaims', 'nunchiSettleAt', 'nunchiResultData'];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+// Players of this round still in the room
+function activePlayerIds(room) {
+  return (room.nunchiPlayerIds || []).filter((id) => room.users.has(id));
+}
+
+function windowMs(room) {
+  return room.nunchiWindowMs || settings.defaults.nunchiWindowMs;
+}
+
+function claimedUserIds(room) {
+  return (room.nunchiClaims || []).flatMap((claim) => claim.taps.map((tap) => tap.userId));
+}
+
+// When the round ends unless another tap lands in the window: a collision is final once its window
+// closes, and so is the number that leaves a single player without one (they could still collide with it)
+function settleTime(room) {
+  const claims = room.nunchiClaims;
+  const last = claims[claims.length - 1];
+  if (!last) return null;
+  const unclaimed = activePlayerIds(room).filter((id) => !claimedUserIds(room).includes(id));
+  if (last.taps.length > 1 || unclaimed.length <= 1) return last.at + windowMs(room);
+  return null;
+}
+
+// The round's deadline, from the players still in the room (someone leaving can leave a single
+// player without a number); a round where nobody taps any more times out
+function roundDeadline(room) {
+  const claims = room.nunchiClaims || [];
+  const last = claims[claims.length - 1];
+  const idleAt = (last ? last.at : room.nunchiStartsAt) + IDLE_TIMEOUT_MS;
+  const settleAt = settleTime(room);
+  return settleAt === null ? idleAt : Math.min(settleAt, idleAt);
+}
+
+function showResult(room, timedOut = false) {
+  const claims = room.nunchiClaims || [];
+  const last = claims[claims.length - 1];
+  const collided = last && last.taps.length > 1;
+  const claimed = claimedUserIds(room);
+  const loserIds = collided
+    ? last.taps.map((tap) => tap.userId)
+    : activePlayerIds(room).filter((id) => !claimed.includes(id));
+  const nameOf = (id) => nicknameOf(room.users.get(id)) || '?';
+  room.nunchiState = 'result';
+  room.gameState = 'nunchiResult';
+  room.nunchiSettleAt = null;
+  room.nunchiResultData = {
+    reason: collided ? 'collision' : (timedOut ? 'timeout' : 'last'),
+    losers: loserIds.map((id) => ({ id, name: nameOf(id) })),
+    // Timeline with each tap's time since the start, so close calls can be checked afterwards
+    claims: claims.map((claim) => ({
+      number: claim.number,
+      taps: claim.taps.map((tap) => ({ id: tap.userId, name: nameOf(tap.userId), elapsedMs: tap.at - room.nunchiStartsAt }))
+    }))
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    nunchiWindowMs: 500 // taps closer than this claim the same number
+  },
+  apply(room, { nunchiWindowMs }, { reject }) {
+    if (!Number.isInteger(nunchiWindowMs) || nunchiWindowMs < MIN_WINDOW_MS || nunchiWindowMs > MAX_WINDOW_MS) {
+      return reject(400, `동시 판정 시간은 ${MIN_WINDOW_MS}~${MAX_WINDOW_MS}ms로 설정하세요.`);
+    }
+    room.nunchiWindowMs = nunchiWindowMs;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      nunchiWindowMs: windowMs(room)
+    };
+  }
+};
+
+function start(room, { attenders, now }) {
+  room.nunchiState = 'play';
+  room.gameState = 'nunchiPlay';
+  room.nunchiPlayerIds = attenders.map((u) => u.id);
+  room.nunchiStartsAt = now + COUNTDOWN_MS;
+  room.nunchiClaims = [];
+  room.nunchiSettleAt = null;
+  room.nunchiResultData = null;
+  console.log(`Nunchi game started in room: ${room.roomName} (${windowMs(room)}ms window)`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Claim the next number. A tap within the window of the latest claim (either side - requests can
+// commit out of arrival order) shouts the same number: a collision.
+function tap(room, { userId, receivedAt, reject }) {
+  if (room.nunchiState !== 'play') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!activePlayerIds(room).includes(userId)) {
+    return reject(403, '참가자만 외칠 수 있습니다.');
+  }
+  if (receivedAt < room.nunchiStartsAt) {
+    return reject(400, '아직 시작하지 않았습니다.');
+  }
+  if (receivedAt >= roundDeadline(room)) {
+    return reject(400, '이미 끝났습니다.');
+  }
+  if (claimedUserIds(room).includes(userId)) {
+    return reject(400, '이미 숫자를 외쳤습니다.');
+  }
+  const claims = room.nunchiClaims;
+  const last = claims[claims.length - 1];
+  if (last && Math.abs(receivedAt - last.at) <= windowMs(room)) {
+    last.taps.push({ userId, at: receivedAt });
+    last.at = Math.min(last.at, receivedAt);
+  } else {
+    claims.push({ number: claims.length + 1, at: receivedAt, taps: [{ userId, at: receivedAt }] });
+  }
+  room.nunchiSettleAt = settleTime(room);
+  return { body: { success: true, number: claims[claims.length - 1].number } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (see api/scheduler.js)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Collision window closed, only one player is left without a number, or nobody tapped in time
+    name: 'settle',
+    deadline: (room) => (room.nunchiState === 'play' ? roundDeadline(room) : null),
+    expire: (room, now) => {
+      const settleAt = settleTime(room);
+      showResult(room, settleAt === null || now < settleAt);
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+// Everything is shouted out loud anyway: claims are public
+function view(room) {
+  if (!room.nunchiState) return {};
+  return {
+    nunchiState: room.nunchiState,
+    nunchiPlayerIds: room.nunchiPlayerIds || [],
+    nunchiStartsAt: room.nunchiStartsAt,
+    nunchiClaims: (room.nunchiClaims || []).map((claim) => ({
+      number: claim.number,
+      userIds: claim.taps.map((t) => t.userId)
+    })),
+    nunchiResultData: room.nunchiState === 'result' ? room.nunchiResultData : null
+  };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+// Penalty roulette: the players who collided, or the last one who never called a number
+function losers(room) {
+  return ((room.nunchiResultData && room.nunchiResultData.losers) || []).map((loser) => loser.id);
+}
+
+module.exports = {
+  type: 'nunchi',
+  minPlayers: { count: 3, message: '눈치 게임은 참가자 3명 이상 필요합니다.' },
+  settings,
+  start,
+  actions: {
+    'tap': tap
+  },
+  timers,
+  view,
+  resultStates: ['nunchiResult'],
+  losers,
+  reset
+};
@@ -0,0 +1,107 @@
+/**
+ * Penalty roulette (벌칙 룰렛) – after a round, the players who lost it spin for a penalty.
+ * Each game names its losers (`losers(room)` of the game module) when the round is settled; the
+ * master then spins, the server picks the penalty, and every phone animates the same spin
+ * (startedAt/endsAt) onto that penalty. The outcome is added to the round history.
+ *
+ * room.penaltyList: penalties set by the master (null = DEFAULT_PENALTIES)
+ * room.penaltyLoserIds: losers of the round just settled
+ * room.penaltySpin: { penalty, index, options, losers, startedAt, endsAt } once spun
+ */
+
+const DEFAULT_PENALTIES = ['원샷', '러브샷', '노래 한 소절', '애교 한 번', '흑역사 공개', '다음 판 술 따르기', '통과!', '옆 사람 벌칙 대신'];
+const MAX_PENALTIES = 12;
+const MAX_PENALTY_LENGTH = 20;
+const SPIN_MS = 4000;
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function penaltiesOf(room) {
+  return room.penaltyList && room.penaltyList.length > 0 ? room.penaltyList : DEFAULT_PENALTIES;
+}
+
+/**
+ * Set the room's penalty list (master). An empty list or null goes back to the defaults.
+ * Returns an outcome like the game settings: ctx.reject(...) or { body }.
+ */
+function applyPenaltyList(room, penalties, { reject }) {
+  if (penalties !== null && !Array.isArray(penalties)) {
+    return reject(400, '벌칙 목록이 올바르지 않습니다.');
+  }
+  const list = (penalties || []).map((p) => (typeof p === 'string' ? p.trim() : '')).filter(Boolean);
+  if (list.length > MAX_PENALTIES) {
+    return reject(400, `벌칙은 ${MAX_PENALTIES}개까지 정할 수 있습니다.`);
+  }
+  if (list.some((p) => p.length > MAX_PENALTY_LENGTH)) {
+    return reject(400, `벌칙은 ${MAX_PENALTY_LENGTH}자 이내로 입력하세요.`);
+  }
+  if (list.length === 1) {
+    return reject(400, '벌칙은 2개 이상 입력하세요.');
+  }
+  room.penaltyList = list.length > 0 ? list : null;
+  return { body: { success: true, ...buildPenaltyView(room) } };
+}
+
+// The round just ended: note its losers for the spin
+function prepareRound(room, game) {
+  room.penaltyLoserIds = game.losers ? game.losers(room) : [];
+  room.penaltySpin = null;
+}
+
+function clearRound(room) {
+  room.penaltyLoserIds = null;
+  room.penaltySpin = null;
+}
+
+/**
+ * Spin the roulette for the losers of the round just settled (once per round; the route checks
+ * the room is on its result screen). The penalty is picked here, so every client shows the same outcome.
+ */
+function spin(room, { now, reject }) {
+  if (room.penaltySpin) {
+    return reject(400, '이미 룰렛을 돌렸습니다.');
+  }
+  const loserIds = room.penaltyLoserIds || [];
+  if (loserIds.length === 0) {
+    return reject(400, '벌칙 받을 사람이 없습니다.');
+  }
+  const options = penaltiesOf(room).slice();
+  const index = Math.floor(Math.random() * options.length);
+  room.penaltySpin = {
+    penalty: options[index],
+    index,
+    options,
+    losers: loserIds.map((id) => nicknameOf(room.users.get(id)) || '?'),
+    startedAt: now,
+    endsAt: now + SPIN_MS
+  };
+  // The round is already in the history (settled when it ended): add the outcome to it
+  const log = room.roomHistory || [];
+  if (log.length > 0) {
+    log[log.length - 1].penalty = { penalty: room.penaltySpin.penalty, losers: room.penaltySpin.losers };
+  }
+  return { body: { success: true, penaltySpin: room.penaltySpin } };
+}
+
+// Room payload fields (everyone sees the list, the losers and the spin)
+function buildPenaltyView(room) {
+  return {
+    penaltyList: penaltiesOf(room),
+    penaltyIsDefault: !(room.penaltyList && room.penaltyList.length > 0),
+    penaltyLosers: (room.penaltyLoserIds || []).map((id) => ({ id, name: nicknameOf(room.users.get(id)) || '?' })),
+    penaltySpin: room.penaltySpin || null
+  };
+}
+
+module.exports = {
+  DEFAULT_PENALTIES,
+  MAX_PENALTIES,
+  SPIN_MS,
+  applyPenaltyList,
+  prepareRound,
+  clearRound,
+  spin,
+  buildPenaltyView
+};
@@ -0,0 +1,42 @@
+/**
+ * Round history – an append-only log of the finished rounds of a room, for settling "who voted
+ * for whom two rounds ago". The registry records a round once, when it reaches one of its game's
+ * result states (settleRound), with the details from the game's `history(room)`. Only the last
+ * MAX_ROUNDS are kept, and the log is part of the room, so it goes when the room is deleted.
+ * Served by GET /api/room/:roomId/history – never part of the room payload.
+ *
+ * room.roomHistory: [{ round, gameType, endedAt, participants: [name], ...details }], oldest first
+ */
+
+const MAX_ROUNDS = 30;
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function recordRound(room, game, now = Date.now()) {
+  const log = room.roomHistory || [];
+  const last = log[log.length - 1];
+  const participants = Array.from(room.users.values())
+    .filter((user) => (user.role || 'attender') === 'attender')
+    .map((user) => nicknameOf(user) || '?');
+  log.push({
+    round: last ? last.round + 1 : 1, // keeps counting after old rounds are dropped
+    gameType: game.type,
+    endedAt: new Date(now).toISOString(),
+    participants,
+    ...(game.history ? game.history(room) : {})
+  });
+  room.roomHistory = log.slice(-MAX_ROUNDS);
+}
+
+// Newest first
+function buildHistoryView(room) {
+  return (room.roomHistory || []).slice().reverse();
+}
+
+module.exports = {
+  MAX_ROUNDS,
+  recordRound,
+  buildHistoryView
+};
@@ -0,0 +1,49 @@
+/**
+ * Room scoreboard – points that add up over every round played in a room, across game switches,
+ * until the master resets it. Each game scores its own rounds (`score(room)` of the game module);
+ * the registry awards a round once, when it reaches one of the game's result states (settleRound).
+ *
+ * room.roomScores: Map userId -> { name, points, byGame: { [gameType]: points } }
+ */
+
+const ROOM_FIELDS = { maps: ['roomScores'] };
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+// Add the points of the round that just ended
+function awardRound(room, game) {
+  const awards = (game.score ? game.score(room) : []).filter((award) => award.points > 0);
+  room.roomScores = room.roomScores || new Map();
+  for (const { userId, points } of awards) {
+    const entry = room.roomScores.get(userId) || { name: '?', points: 0, byGame: {} };
+    // Names as of the last points, so players who left still read right
+    entry.name = nicknameOf(room.users.get(userId)) || entry.name;
+    entry.points += points;
+    entry.byGame[game.type] = (entry.byGame[game.type] || 0) + points;
+    room.roomScores.set(userId, entry);
+  }
+}
+
+function resetScores(room) {
+  room.roomScores = new Map();
+}
+
+// Best first; ties keep the order players first scored in
+function buildScoreboardView(room) {
+  return Array.from(room.roomScores || new Map(), ([id, entry]) => ({
+    id,
+    name: entry.name,
+    points: entry.points,
+    byGame: entry.byGame,
+    inRoom: room.users.has(id)
+  })).sort((a, b) => b.points - a.points);
+}
+
+module.exports = {
+  ROOM_FIELDS,
+  awardRound,
+  resetScores,
+  buildScoreboardView
+};
@@ -0,0 +1,80 @@
+/**
+ * Drink tally (벌칙 기록) – how many penalties each player took over the evening. Every loser of a
+ * round counts one when the registry settles it (the same losers as the penalty roulette, penalty.js);
+ * the master corrects it by hand (+1/-1). Kept with the room per player id, so it survives a
+ * refresh, and handed back to a player who drops out and rejoins under the same name.
+ *
+ * room.roomTally: Map userId -> { name, username, count }
+ */
+
+const ROOM_FIELDS = { maps: ['roomTally'] };
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function addToTally(room, userId, delta) {
+  room.roomTally = room.roomTally || new Map();
+  const user = room.users.get(userId);
+  const entry = room.roomTally.get(userId) || { name: '?', username: null, count: 0 };
+  // Names as of the last change, so players who left still read right
+  entry.name = nicknameOf(user) || entry.name;
+  entry.username = user?.username || entry.username;
+  entry.count = Math.max(0, entry.count + delta);
+  room.roomTally.set(userId, entry);
+}
+
+// The round just settled: one for each of its losers
+function countRound(room) {
+  for (const userId of room.penaltyLoserIds || []) addToTally(room, userId, 1);
+}
+
+/**
+ * Master's correction of one player's count by one. Returns an outcome like the game settings:
+ * ctx.reject(...) or { body }.
+ */
+function adjustTally(room, targetUserId, delta, { reject }) {
+  if (delta !== 1 && delta !== -1) {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (!room.users.has(targetUserId) && !(room.roomTally && room.roomTally.has(targetUserId))) {
+    return reject(404, '사용자를 찾을 수 없습니다.');
+  }
+  addToTally(room, targetUserId, delta);
+  return { body: { success: true, roomTally: buildTallyView(room) } };
+}
+
+// A player joined: give back the count they left with under the same name
+function reclaimTally(room, userId, username) {
+  if (!room.roomTally) return;
+  for (const [oldId, entry] of room.roomTally) {
+    if (entry.username === username && !room.users.has(oldId)) {
+      room.roomTally.delete(oldId);
+      room.roomTally.set(userId, entry);
+      return;
+    }
+  }
+}
+
+// Everyone in the room plus those who left with a count; most first
+function buildTallyView(room) {
+  const tally = room.roomTally || new Map();
+  const rows = Array.from(room.users.values()).map((user) => ({
+    id: user.id,
+    name: nicknameOf(user) || '?',
+    count: tally.has(user.id) ? tally.get(user.id).count : 0,
+    inRoom: true
+  }));
+  for (const [id, entry] of tally) {
+    if (!room.users.has(id) && entry.count > 0) rows.push({ id, name: entry.name, count: entry.count, inRoom: false });
+  }
+  return rows.sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  ROOM_FIELDS,
+  countRound,
+  adjustTally,
+  reclaimTally,
+  buildTallyView
+};
@@ -0,0 +1,229 @@
+/**
+ * Telepathy (텔레파시) – every attender secretly picks another player; mutual picks are a match.
+ * In 순위 mode each attender ranks up to telepathyPicks players instead, and mutual rankings score
+ * by how high they ranked each other (matching.js).
+ * gameState: waiting → linking → completed
+ *
+ * room.selections: Map userId -> picked userId (한 명) or [userId, ...] best first (순위)
+ * room.telepathyRoundMode / telepathyRoundPicks: the mode and places of the round, fixed at start
+ */
+const { matchRankings } = require('./matching');
+
+const MODES = ['한 명', '순위'];
+const RANKED_MODE = '순위';
+const MIN_PICKS = 2;
+const MAX_PICKS = 5;
+
+const settings = {
+  defaults: {
+    telepathyMode: '한 명',
+    telepathyPicks: 3 // places to rank in 순위 mode
+  },
+  apply(room, { telepathyMode, telepathyPicks }, { reject }) {
+    if (!MODES.includes(telepathyMode)) {
+      return reject(400, '텔레파시 방식이 올바르지 않습니다.');
+    }
+    if (!Number.isInteger(telepathyPicks) || telepathyPicks < MIN_PICKS || telepathyPicks > MAX_PICKS) {
+      return reject(400, `순위는 ${MIN_PICKS}~${MAX_PICKS}명까지 정할 수 있습니다.`);
+    }
+    room.telepathyMode = telepathyMode;
+    room.telepathyPicks = telepathyPicks;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      telepathyMode: room.telepathyMode || settings.defaults.telepathyMode,
+      telepathyPicks: room.telepathyPicks || settings.defaults.telepathyPicks
+    };
+  }
+};
+
+// Rounds started before the 순위 mode existed have no round mode: one pick each
+function isRankedRound(room) {
+  return room.telepathyRoundMode === RANKED_MODE;
+}
+
+// Places each player ranks this round (the one pick of the classic mode is 1st)
+function maxPicksOf(room) {
+  return isRankedRound(room) ? room.telepathyRoundPicks : 1;
+}
+
+function start(room) {
+  const { telepathyMode, telepathyPicks } = settings.view(room);
+  room.telepathyRoundMode = telepathyMode;
+  room.telepathyRoundPicks = telepathyMode === RANKED_MODE ? telepathyPicks : 1;
+  room.gameState = 'linking';
+}
+
+// The round's mode for the picking screen (the settings may change under it)
+function view(room) {
+  return {
+    telepathyRoundMode: room.telepathyRoundMode || '한 명',
+    telepathyRoundPicks: maxPicksOf(room)
+  };
+}
+
+function rankingOf(selection) {
+  return Array.isArray(selection) ? selection : [selection];
+}
+
+// Users with voting status (select responses update the client's user list right away)
+function usersWithVotingStatus(room) {
+  return Array.from(room.users.values()).map(user => ({
+    ...user,
+    hasVoted: room.selections.has(user.id),
+    isMaster: user.id === room.masterId
+  }));
+}
+
+// Match result of the round, with users in place of ids (players who left are skipped)
+function computeMatches(room) {
+  const rankings = new Map(Array.from(room.selections, ([userId, selection]) => [userId, rankingOf(selection)]));
+  const { pairs, oneSided, unmatched, mostWanted } = matchRankings(rankings, maxPicksOf(room));
+  const userOf = (id) => room.users.get(id);
+
+  const matches = pairs
+    .filter(({ ids }) => ids.every(userOf))
+    .map(({ ids: [id1, id2], ranks: [rank1, rank2], points }) => {
+      console.log(`Match found: ${userOf(id1).displayName} <-> ${userOf(id2).displayName}`);
+      return { user1: userOf(id1), user2: userOf(id2), rank1, rank2, points };
+    });
+  return {
+    matches,
+    unmatched: unmatched.map(userOf).filter(Boolean),
+    oneSided: oneSided
+      .filter(({ from, to }) => userOf(from) && userOf(to))
+      .map(({ from, to, rank }) => ({ from: userOf(from), to: userOf(to), rank })),
+    mostWanted: mostWanted && { users: mostWanted.ids.map(userOf).filter(Boolean), points: mostWanted.points }
+  };
+}
+
+// Picks of this round from the request: one id, or up to telepathyPicks ids best first in 순위 mode
+function readSelection(room, userId, body, reject) {
+  const picked = isRankedRound(room) ? body.selectedUserIds : [body.selectedUserId];
+  if (!Array.isArray(picked) || picked.length === 0 || picked.length > maxPicksOf(room)) {
+    return { error: reject(400, `${maxPicksOf(room)}명까지 순서대로 선택하세요.`) };
+  }
+  if (new Set(picked).size !== picked.length) {
+    return { error: reject(400, '같은 사람을 두 번 고를 수 없습니다.') };
+  }
+  if (picked.includes(userId)) {
+    return { error: reject(400, '자기 자신은 선택할 수 없습니다.') };
+  }
+  // Check if selected users exist in room
+  const missing = picked.filter((id) => !room.users.has(id));
+  if (missing.length > 0) {
+    console.log(`Selected user not found in room: ${missing.join(', ')}`);
+    return { error: reject(404, '선택한 사용자를 찾을 수 없습니다.') };
+  }
+  return { selection: isRankedRound(room) ? picked : picked[0] };
+}
+
+// Select user
+function select(room, { userId, user, attenders, body, reject }) {
+  if ((user.role || 'attender') !== 'attender') {
+    console.log(`User is not an attender: ${userId}, role: ${user.role}`);
+    return reject(400, '참가자만 투표할 수 있습니다.');
+  }
+
+  // Check if game is in linking phase
+  if (room.gameState !== 'linking') {
+    console.log(`Game not in linking phase. Current state: ${room.gameState}`);
+    return reject(400, '게임이 링킹 단계가 아닙니다.');
+  }
+
+  // Check if user already voted
+  if (room.selections.has(userId)) {
+    console.log(`User already voted: ${userId}`);
+    return reject(400, '이미 투표하셨습니다.');
+  }
+
+  const { selection, error } = readSelection(room, userId, body, reject);
+  if (error) return error;
+
+  // Record selection
+  room.selections.set(userId, selection);
+
+  console.log(`Selection: ${userId} selects ${selection} in room ${room.id}`);
+  console.log(`Selections so far: ${room.selections.size}/${room.users.size}`);
+
+  // Check if all attenders have selected
+  if (room.selections.size === attenders.length) {
+    console.log('All users have selected, processing matches...');
+    const { matches, unmatched, oneSided, mostWanted } = computeMatches(room);
+
+    // Update game state
+    room.gameState = 'completed';
+    room.matchResult = {
+      mode: view(room).telepathyRoundMode,
+      matches,
+      unmatched,
+      oneSided,
+      mostWanted,
+      completedAt: new Date().toISOString()
+    };
+
+    console.log(`✅ Results calculated: ${matches.length} matches, ${unmatched.length} unmatched`);
+    console.log(`✅ Game state changed to: ${room.gameState}`);
+
+    return {
+      body: {
+        success: true,
+        matches,
+        unmatched,
+        users: usersWithVotingStatus(room) // All users have voted at this point
+      }
+    };
+  }
+
+  return {
+    body: {
+      success: true,
+      message: '선택이 기록되었습니다. 다른 참여자들의 선택을 기다리는 중...',
+      users: usersWithVotingStatus(room)
+    }
+  };
+}
+
+// Room scoreboard: each player of a mutual pick gets 1 point, or the pair's points in 순위 mode
+// (so 1st↔1st is worth the most)
+function score(room) {
+  const { matches = [], mode } = room.matchResult || {};
+  return matches.flatMap(({ user1, user2, points }) => {
+    const each = mode === RANKED_MODE ? points : 1;
+    return [{ userId: user1.id, points: each }, { userId: user2.id, points: each }];
+  });
+}
+
+// Round history: who picked whom (with the place in 순위 mode) and the mutual pairs (all shown on the result screen)
+function history(room) {
+  const nameOf = (id) => room.users.get(id)?.displayName || '?';
+  const matches = (room.matchResult && room.matchResult.matches) || [];
+  const picks = Array.from(room.selections, ([from, selection]) => (Array.isArray(selection)
+    ? selection.map((to, i) => ({ from: nameOf(from), to: nameOf(to), rank: i + 1 }))
+    : [{ from: nameOf(from), to: nameOf(selection) }]));
+  return {
+    picks: picks.flat(),
+    pairs: matches.map(({ user1, user2 }) => [user1.displayName, user2.displayName])
+  };
+}
+
+// Penalty roulette: everyone left without a mutual pick
+function losers(room) {
+  return ((room.matchResult && room.matchResult.unmatched) || []).map((user) => user.id);
+}
+
+module.exports = {
+  type: 'telepathy',
+  minPlayers: { count: 2, message: '참가자는 최소 2명 이상 필요합니다.' },
+  settings,
+  start,
+  actions: {
+    select
+  },
+  view,
+  resultStates: ['completed'],
+  score,
+  history,
+  losers
+};
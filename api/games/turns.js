@@ -0,0 +1,35 @@
+/**
+ * Turn order shared by the turn-based games (up and down, 31).
+ * The order is a plain array of seat ids stored on the room plus the index of the seat to play;
+ * seats whose player left the room are skipped (`isSeated` decides, e.g. bots are always seated).
+ */
+
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Next (direction 1) or previous (-1) seated index from `index`, around the order; null if nobody is seated
+function seatFrom(order, index, isSeated, direction = 1) {
+  for (let step = 1; step <= order.length; step++) {
+    const candidate = (index + direction * step + order.length * step) % order.length;
+    if (isSeated(order[candidate])) return candidate;
+  }
+  return null;
+}
+
+// Seat whose turn it is: `index` itself, or the next seated one if that player left
+function currentSeat(order, index, isSeated) {
+  if (!order || order.length === 0) return null;
+  return isSeated(order[index]) ? index : seatFrom(order, index, isSeated);
+}
+
+module.exports = {
+  shuffle,
+  seatFrom,
+  currentSeat
+};
@@ -0,0 +1,266 @@
+/**
+ * Up and down (업다운) – a randomly chosen attender secretly picks a number in 1..max, the others
+ * guess in turns and the server answers up or down until someone hits it. Depending on the house
+ * rule the hitter drinks, or the player whose turn came just before.
+ * upDownState: pick → guess (one timed turn after another) → result
+ */
+const { shuffle, seatFrom, currentSeat } = require('./turns');
+
+const PICKER_ROLE = 'picker';
+const RANGE_OPTIONS = [50, 100, 500, 1000];
+const MIN_TURN_SECONDS = 5;
+const MAX_TURN_SECONDS = 60;
+const PICK_SECONDS = 30;
+const LOSER_RULES = ['맞힌 사람', '앞 사람'];
+
+// Round state, cleared when everyone is back in the waiting room
+const ROUND_FIELDS = [
+  'upDownState', 'upDownPickerId', 'upDownSecret', 'upDownPickEndsAt', 'upDownOrder', 'upDownTurnIndex',
+  'upDownTurnEndsAt', 'upDownLow', 'upDownHigh', 'upDownHistory', 'upDownResultData'
+];
+
+function nicknameOf(user) {
+  return user?.displayName || user?.nickname;
+}
+
+function turnMs(room) {
+  return (room.upDownTurnSeconds || settings.defaults.upDownTurnSeconds) * 1000;
+}
+
+// Guessers who left the room lose their seat in the turn order
+function isSeated(room) {
+  return (id) => room.users.has(id);
+}
+
+function turnSeat(room) {
+  return room.upDownOrder ? currentSeat(room.upDownOrder, room.upDownTurnIndex, isSeated(room)) : null;
+}
+
+function currentTurnUserId(room) {
+  const seat = turnSeat(room);
+  return seat === null ? null : room.upDownOrder[seat];
+}
+
+function startGuessing(room, secret, now) {
+  room.upDownSecret = secret;
+  room.upDownPickEndsAt = null;
+  room.upDownState = 'guess';
+  room.gameState = 'upDownGuess';
+  room.upDownTurnIndex = 0;
+  room.upDownTurnEndsAt = now + turnMs(room);
+}
+
+function passTurn(room, now) {
+  const seat = turnSeat(room) ?? room.upDownTurnIndex;
+  room.upDownTurnIndex = seatFrom(room.upDownOrder, seat, isSeated(room)) ?? seat;
+  room.upDownTurnEndsAt = now + turnMs(room);
+}
+
+function showResult(room) {
+  const hitterId = currentTurnUserId(room);
+  // House rule '앞 사람': the guesser whose turn came right before the hitter's drinks
+  let loserId = hitterId;
+  if (room.upDownLoserRule === '앞 사람') {
+    const before = seatFrom(room.upDownOrder, turnSeat(room), isSeated(room), -1);
+    if (before !== null) loserId = room.upDownOrder[before];
+  }
+  const person = (id) => ({ id, name: nicknameOf(room.users.get(id)) || '?' });
+  room.upDownState = 'result';
+  room.gameState = 'upDownResult';
+  room.upDownTurnEndsAt = null;
+  room.upDownResultData = {
+    secret: room.upDownSecret,
+    picker: person(room.upDownPickerId),
+    hitter: person(hitterId),
+    loser: person(loserId),
+    loserRule: room.upDownLoserRule || settings.defaults.upDownLoserRule,
+    history: room.upDownHistory.map((h) => ({ ...h, name: nicknameOf(room.users.get(h.userId)) || '?' }))
+  };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Settings
+// ───────────────────────────────────────────────────────────────────────────
+
+const settings = {
+  defaults: {
+    upDownMax: 100, // secret number range 1..upDownMax
+    upDownTurnSeconds: 15,
+    upDownLoserRule: '맞힌 사람' // 맞힌 사람 (hitter drinks) | 앞 사람 (the guesser before drinks)
+  },
+  apply(room, { upDownMax, upDownTurnSeconds, upDownLoserRule }, { reject }) {
+    if (!RANGE_OPTIONS.includes(upDownMax)) {
+      return reject(400, '잘못된 숫자 범위입니다.');
+    }
+    if (!Number.isInteger(upDownTurnSeconds) || upDownTurnSeconds < MIN_TURN_SECONDS || upDownTurnSeconds > MAX_TURN_SECONDS) {
+      return reject(400, `차례 시간은 ${MIN_TURN_SECONDS}~${MAX_TURN_SECONDS}초로 설정하세요.`);
+    }
+    if (!LOSER_RULES.includes(upDownLoserRule)) {
+      return reject(400, '잘못된 벌칙 규칙입니다.');
+    }
+    room.upDownMax = upDownMax;
+    room.upDownTurnSeconds = upDownTurnSeconds;
+    room.upDownLoserRule = upDownLoserRule;
+    return { body: { success: true, ...settings.view(room) } };
+  },
+  view(room) {
+    return {
+      upDownMax: room.upDownMax || settings.defaults.upDownMax,
+      upDownTurnSeconds: room.upDownTurnSeconds || settings.defaults.upDownTurnSeconds,
+      upDownLoserRule: room.upDownLoserRule || settings.defaults.upDownLoserRule
+    };
+  }
+};
+
+// Picker chosen at random (like the liar); the others guess in a shuffled order
+function start(room, { attenders, now }) {
+  const pickerIdx = Math.floor(Math.random() * attenders.length);
+  room.upDownPickerId = attenders[pickerIdx].id;
+  room.upDownOrder = shuffle(attenders.filter((_, i) => i !== pickerIdx).map((u) => u.id));
+  room.upDownTurnIndex = 0;
+  room.upDownTurnEndsAt = null;
+  room.upDownSecret = null;
+  room.upDownLow = 1;
+  room.upDownHigh = settings.view(room).upDownMax;
+  room.upDownHistory = [];
+  room.upDownResultData = null;
+  room.upDownState = 'pick';
+  room.gameState = 'upDownPick';
+  room.upDownPickEndsAt = now + PICK_SECONDS * 1000;
+  console.log(`Up-and-down game started in room: ${room.roomName} (1~${room.upDownHigh})`);
+  return null;
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Actions
+// ───────────────────────────────────────────────────────────────────────────
+
+// Picker sets the secret number
+function pickNumber(room, { userId, body, now, reject }) {
+  const { number } = body;
+  if (room.upDownState !== 'pick') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (userId !== room.upDownPickerId) {
+    return reject(403, '숫자를 정하는 사람만 고를 수 있습니다.');
+  }
+  if (!Number.isInteger(number) || number < room.upDownLow || number > room.upDownHigh) {
+    return reject(400, `${room.upDownLow}~${room.upDownHigh} 사이의 숫자를 고르세요.`);
+  }
+  startGuessing(room, number, now);
+  return { body: { success: true } };
+}
+
+// Guess on your turn: the server answers up/down and narrows the range, or ends the round on a hit
+function guess(room, { userId, body, now, reject }) {
+  const { number } = body;
+  if (room.upDownState !== 'guess') {
+    return reject(400, '잘못된 요청입니다.');
+  }
+  if (userId !== currentTurnUserId(room)) {
+    return reject(403, '내 차례가 아닙니다.');
+  }
+  if (!Number.isInteger(number) || number < room.upDownLow || number > room.upDownHigh) {
+    return reject(400, `${room.upDownLow}~${room.upDownHigh} 사이의 숫자를 말하세요.`);
+  }
+  if (number === room.upDownSecret) {
+    room.upDownHistory = [...room.upDownHistory, { userId, number, hint: 'hit' }];
+    showResult(room);
+    return { body: { success: true, hint: 'hit' } };
+  }
+  const hint = number < room.upDownSecret ? 'up' : 'down';
+  if (hint === 'up') room.upDownLow = number + 1;
+  else room.upDownHigh = number - 1;
+  room.upDownHistory = [...room.upDownHistory, { userId, number, hint }];
+  passTurn(room, now);
+  return { body: { success: true, hint } };
+}
+
+// ───────────────────────────────────────────────────────────────────────────
+// Phase timers (see api/scheduler.js)
+// ───────────────────────────────────────────────────────────────────────────
+
+const timers = [
+  {
+    // Picker took too long → a random number in the range
+    name: 'pick',
+    deadline: (room) => (room.upDownState === 'pick' ? room.upDownPickEndsAt : null),
+    expire: (room, now) => {
+      const secret = room.upDownLow + Math.floor(Math.random() * (room.upDownHigh - room.upDownLow + 1));
+      startGuessing(room, secret, now);
+      return true;
+    }
+  },
+  {
+    // Guesser ran out of time → the turn passes (recorded, no hint)
+    name: 'turn',
+    // Nobody seated (every guesser left): no turn to run out
+    deadline: (room) => (room.upDownState === 'guess' && currentTurnUserId(room) ? room.upDownTurnEndsAt : null),
+    expire: (room, now) => {
+      room.upDownHistory = [...room.upDownHistory, { userId: currentTurnUserId(room), number: null, hint: 'timeout' }];
+      passTurn(room, now);
+      return true;
+    }
+  }
+];
+
+// ───────────────────────────────────────────────────────────────────────────
+// Views
+// ───────────────────────────────────────────────────────────────────────────
+
+function playerRole(room, viewer) {
+  return room.upDownPickerId && viewer.id === room.upDownPickerId ? PICKER_ROLE : null;
+}
+
+// Everything but the secret number is public: picker, turn order, range and hints
+function view(room) {
+  if (!room.upDownState) return {};
+  return {
+    upDownState: room.upDownState,
+    upDownPickerId: room.upDownPickerId,
+    upDownOrder: room.upDownOrder || [],
+    upDownTurnUserId: room.upDownState === 'guess' ? currentTurnUserId(room) : null,
+    upDownTurnEndsAt: room.upDownTurnEndsAt || null,
+    upDownPickEndsAt: room.upDownPickEndsAt || null,
+    upDownLow: room.upDownLow,
+    upDownHigh: room.upDownHigh,
+    upDownHistory: room.upDownHistory || [],
+    upDownResultData: room.upDownState === 'result' ? room.upDownResultData : null
+  };
+}
+
+// The secret number goes only to the picker until the result
+function privateView(room, viewer, roles) {
+  let upDownMySecret = null;
+  if (room.gameType === 'upDown' && room.upDownState === 'guess' && viewer && roles.includes(PICKER_ROLE)) {
+    upDownMySecret = room.upDownSecret;
+  }
+  return { upDownMySecret };
+}
+
+function reset(room) {
+  for (const field of ROUND_FIELDS) room[field] = null;
+}
+
+// Penalty roulette: the loser of the house rule (the hitter, or the guesser before them)
+function losers(room) {
+  return room.upDownResultData ? [room.upDownResultData.loser.id] : [];
+}
+
+module.exports = {
+  type: 'upDown',
+  minPlayers: { count: 3, message: '업다운 게임은 참가자 3명 이상 필요합니다.' },
+  settings,
+  start,
+  actions: {
+    'pick-number': pickNumber,
+    'guess': guess
+  },
+  timers,
+  playerRole,
+  view,
+  privateView,
+  resultStates: ['upDownResult'],
+  losers,
+  reset
+};
@@ -0,0 +1,79 @@
+/**
+ * Votes shared by the games (liar, mafia, most-likely):
+ * everyone votes, ties are re-voted among the tied players, and the condemned player's voters
+ * then decide between forgiving (사면) and executing (처형). Results are shown as a ranking.
+ */
+
+/**
+ * Result of a completed vote round (votes: Map voterId -> targetId).
+ * @returns {{ condemnedUserId: string|null, tieTargets: string[]|null }} the single most-voted
+ *   player, or the tied players to vote on again
+ */
+function tallyVotes(votes, validTargets) {
+  const counts = {};
+  for (const [, targetId] of votes) {
+    if (!validTargets.includes(targetId)) continue;
+    counts[targetId] = (counts[targetId] || 0) + 1;
+  }
+  const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (sorted.length === 0) return { condemnedUserId: null, tieTargets: null };
+  const top = sorted.filter(([, c]) => c === sorted[0][1]);
+  if (top.length === 1) return { condemnedUserId: top[0][0], tieTargets: null };
+  return { condemnedUserId: null, tieTargets: top.map(([id]) => id) };
+}
+
+// Players who voted for the condemned (they alone decide forgive/execute; never the condemned)
+function votersOf(votes, condemnedUserId) {
+  return Array.from(votes.entries())
+    .filter(([voterId, targetId]) => targetId === condemnedUserId && voterId !== condemnedUserId)
+    .map(([voterId]) => voterId);
+}
+
+/**
+ * Decision of the condemned's voters (choices: Map voterId -> 'forgive' | 'execute'):
+ * 'forgive' once half of them forgive, 'execute' once a majority executes. When time is up
+ * (`timeUp`), anything short of a forgive majority executes.
+ * @returns {'forgive'|'execute'|null} null while undecided, or when nobody is left to decide
+ */
+function decideTrial(voters, choices, { timeUp = false } = {}) {
+  if (voters.length === 0) return null;
+  const forgives = voters.filter((uid) => choices.get(uid) === 'forgive').length;
+  const executes = voters.filter((uid) => choices.get(uid) === 'execute').length;
+  if (forgives >= Math.ceil(voters.length / 2)) return 'forgive';
+  if (timeUp || executes >= Math.floor(voters.length / 2) + 1) return 'execute';
+  return null;
+}
+
+/**
+ * Vote ranking for the result screen, most votes first, with names at result time (they stay
+ * right if someone leaves later). users: room.users; votes: Map voterId -> targetId.
+ * `anonymous` leaves out who voted for whom.
+ * @returns {{ id, name, voteCount, voterNames?, voterIds? }[]}
+ */
+function buildVoteRanking(users, votes, { anonymous = false } = {}) {
+  const voteCounts = {};
+  const votersByTarget = {};
+  for (const [voterId, targetId] of votes) {
+    voteCounts[targetId] = (voteCounts[targetId] || 0) + 1;
+    (votersByTarget[targetId] = votersByTarget[targetId] || []).push(voterId);
+  }
+  const nameOf = (id) => {
+    const u = users?.get(id);
+    return u?.displayName || u?.nickname || '?';
+  };
+  return Object.keys(voteCounts)
+    .sort((a, b) => voteCounts[b] - voteCounts[a])
+    .map((id) => {
+      const entry = { id, name: nameOf(id), voteCount: voteCounts[id] };
+      if (anonymous) return entry;
+      const voterIds = votersByTarget[id];
+      return { ...entry, voterNames: voterIds.map(nameOf), voterIds };
+    });
+}
+
+module.exports = {
+  buildVoteRanking,
+  tallyVotes,
+  votersOf,
+  decideTrial
+};
@@ -0,0 +1,51 @@
+/**
+ * Liar Game location cards – loads the location → roles CSV for the 장소 mode (Spyfall style):
+ * citizens get the same location plus a role at it, the liar gets nothing.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CSV_PATH = path.join(__dirname, 'data', 'liar_locations.csv');
+
+// In-memory cache: { location: [role1, role2, ...] }
+let rolesByLocation = null;
+
+function loadLocations() {
+  if (rolesByLocation) return rolesByLocation;
+  try {
+    const content = fs.readFileSync(CSV_PATH, 'utf8').replace(/^﻿/, '');
+    const lines = content.trim().split('\n').filter(line => line.trim());
+    rolesByLocation = {};
+    for (let i = 1; i < lines.length; i++) {
+      const [location, role] = lines[i].split(',').map(s => (s || '').trim());
+      if (location && role) {
+        if (!rolesByLocation[location]) rolesByLocation[location] = [];
+        rolesByLocation[location].push(role);
+      }
+    }
+    return rolesByLocation;
+  } catch (err) {
+    console.error('Failed to load liar locations CSV:', err.message);
+    return {};
+  }
+}
+
+/**
+ * Get a random location with its roles.
+ * @returns {{ location: string, roles: string[] }|null} null if the CSV has no locations
+ */
+function getRandomLocation() {
+  const names = getLocationNames();
+  if (names.length === 0) return null;
+  const location = names[Math.floor(Math.random() * names.length)];
+  return { location, roles: loadLocations()[location] };
+}
+
+/**
+ * All location names (the list the liar picks a guess from).
+ */
+function getLocationNames() {
+  return Object.keys(loadLocations());
+}
+
+module.exports = { getRandomLocation, getLocationNames, loadLocations };
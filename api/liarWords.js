@@ -1,6 +1,6 @@
 /**
  * Liar Game word utility – loads CSV and provides random word by category.
- * Used when 방식 is "랜덤".
+ * Used when 방식 is "랜덤", and as the word deck of the chosung quiz (api/games/chosung.js).
  */
 const fs = require('fs');
 const path = require('path');
@@ -0,0 +1,38 @@
+/**
+ * "Most likely to" prompt deck – loads the prompts CSV and deals random prompts.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CSV_PATH = path.join(__dirname, 'data', 'most_likely_prompts.csv');
+
+// In-memory cache: [prompt, ...]
+let prompts = null;
+
+function loadPrompts() {
+  if (prompts) return prompts;
+  try {
+    const content = fs.readFileSync(CSV_PATH, 'utf8').replace(/^﻿/, '');
+    const lines = content.trim().split('\n').filter(line => line.trim());
+    prompts = lines.slice(1).map(line => line.trim()).filter(Boolean);
+    return prompts;
+  } catch (err) {
+    console.error('Failed to load most-likely prompts CSV:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Get a random prompt, avoiding the ones already used when possible.
+ * @param {string[]} [used] - Prompts already shown
+ * @returns {string|null} null if the deck is empty
+ */
+function getRandomPrompt(used = []) {
+  const deck = loadPrompts();
+  if (deck.length === 0) return null;
+  const fresh = deck.filter((p) => !used.includes(p));
+  const pool = fresh.length > 0 ? fresh : deck;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+module.exports = { getRandomPrompt, loadPrompts };
@@ -0,0 +1,96 @@
+/**
+ * Room view builder – projects stored room state into the payload a single viewer may see.
+ * Used by GET /api/room/:roomId and the room event stream. Hidden state (who the liar is,
+ * the secret word, who wrote it, who picked whom) never leaves the server before its reveal.
+ * Game-specific fields come from the room's game module (api/games).
+ */
+const games = require('./games');
+const scoreboard = require('./games/scoreboard');
+const penalty = require('./games/penalty');
+const tally = require('./games/tally');
+
+const VIEWER_ROLES = {
+  LIAR: 'liar',
+  CITIZEN: 'citizen',
+  OBSERVER: 'observer',
+  MASTER: 'master'
+};
+
+function findViewer(room, viewerUsername) {
+  if (!viewerUsername) return null;
+  return Array.from(room.users.values()).find(u => u.username === viewerUsername) || null;
+}
+
+/**
+ * Roles of the viewer in this room: observer, citizen or a hidden role of the game (e.g. liar), plus master.
+ * Viewers who are not in the room are treated as observers.
+ */
+function getViewerRoles(room, viewer) {
+  const roles = [];
+  if (!viewer || (viewer.role || 'attender') !== 'attender') {
+    roles.push(VIEWER_ROLES.OBSERVER);
+  } else {
+    const game = games.getRoomGame(room);
+    roles.push((game && game.playerRole && game.playerRole(room, viewer)) || VIEWER_ROLES.CITIZEN);
+  }
+  if (viewer && viewer.id === room.masterId) roles.push(VIEWER_ROLES.MASTER);
+  return roles;
+}
+
+// Telepathy picks stay private until the round is revealed; each player only sees their own
+function buildSelectionsView(room, viewer) {
+  if (room.gameState === 'completed') return Object.fromEntries(room.selections);
+  if (viewer && room.selections.has(viewer.id)) return { [viewer.id]: room.selections.get(viewer.id) };
+  return {};
+}
+
+/**
+ * Build what one viewer sees of a room.
+ * @param {object} room - Deserialized room (Maps/Sets), as returned by storage.getRoomById
+ * @param {string|null} viewerUsername - Requesting user's username (null = anonymous observer)
+ * @returns {{ room: object, privateFields: object, viewerRoles: string[] }} privateFields are sent next
+ *   to the room payload (e.g. liarMyWord)
+ */
+function buildRoomView(room, viewerUsername) {
+  const viewer = findViewer(room, viewerUsername);
+  const roles = getViewerRoles(room, viewer);
+  const game = games.getRoomGame(room);
+
+  const users = Array.from(room.users.values()).map(user => ({
+    ...user,
+    hasVoted: room.selections.has(user.id),
+    isMaster: user.id === room.masterId,
+    role: user.role || 'attender', // Default to attender if no role set
+    hasReturnedToWaiting: room.returnedToWaiting.has(user.id) // Track if user returned from results
+  }));
+
+  const payload = {
+    id: room.id,
+    version: room.version || 0,
+    roomName: room.roomName,
+    memberLimit: room.memberLimit,
+    users,
+    selections: buildSelectionsView(room, viewer),
+    gameState: room.gameState,
+    gameType: room.gameType || games.DEFAULT_GAME_TYPE,
+    ...games.buildSettingsView(room),
+    roomScoreboard: scoreboard.buildScoreboardView(room),
+    ...penalty.buildPenaltyView(room),
+    roomTally: tally.buildTallyView(room),
+    masterId: room.masterId
+  };
+  if (game && game.view) {
+    Object.assign(payload, game.view(room, viewer, roles));
+  }
+
+  return {
+    room: payload,
+    privateFields: games.buildPrivateView(room, viewer, roles),
+    viewerRoles: roles
+  };
+}
+
+module.exports = {
+  VIEWER_ROLES,
+  buildRoomView
+};
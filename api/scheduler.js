@@ -0,0 +1,112 @@
+/**
+ * Phase scheduler – owns game phase deadlines and advances rooms when they expire.
+ * Games register their timers per game type; every room save indexes the room's earliest
+ * deadline in storage, and a tick (interval + opportunistic runs on incoming requests) advances
+ * the rooms that are due. Transitions go through storage.updateRoom, so when several instances
+ * race on the same expired timer exactly one of them commits it and the others see it is no longer due.
+ */
+const storage = require('./storage');
+
+const SCHEDULER_TICK_MS = 1000;
+
+// gameType -> [{ name, deadline(room) => ms|null, expire(room, now) => boolean }]
+const phaseTimers = new Map();
+
+let lastRunAt = 0;
+let running = null;
+
+/**
+ * Register the phase timers of a game type.
+ * `deadline(room)` returns when the timer fires (null while it doesn't apply to the room's phase);
+ * `expire(room, now)` applies the transition to the room object and returns true if it changed it.
+ * It must also move the room out of the timer's phase (or clear the deadline) so it fires only once.
+ */
+function registerPhaseTimers(gameType, timers) {
+  phaseTimers.set(gameType, timers);
+}
+
+function timersFor(room) {
+  return (room && phaseTimers.get(room.gameType)) || [];
+}
+
+// Earliest pending deadline of a room (null if none)
+function nextDeadline(room) {
+  let earliest = null;
+  for (const timer of timersFor(room)) {
+    const dueAt = timer.deadline(room);
+    if (dueAt && (earliest === null || dueAt < earliest)) earliest = dueAt;
+  }
+  return earliest;
+}
+
+// Apply every expired timer to the room object; returns the names of the timers that fired
+function applyDueTimers(room, now) {
+  const fired = [];
+  for (const timer of timersFor(room)) {
+    const dueAt = timer.deadline(room);
+    if (dueAt && now >= dueAt && timer.expire(room, now)) fired.push(timer.name);
+  }
+  return fired;
+}
+
+/**
+ * Advance one room if any of its timers expired. Resolves to { room, fired }.
+ * Safe to call from anywhere (status reads, the tick, several instances at once).
+ */
+async function advanceRoom(roomId, now = Date.now()) {
+  const outcome = await storage.updateRoom(roomId, (room) => {
+    if (!room) return { room: null, fired: [], save: false };
+    const fired = applyDueTimers(room, now);
+    return { room, fired, save: fired.length > 0 };
+  });
+  if (outcome.fired.length > 0) {
+    console.log(`⏱️ Room "${outcome.room.roomName}" timer expired: ${outcome.fired.join(', ')} → ${outcome.room.gameState}`);
+  }
+  return outcome;
+}
+
+// Advance every room whose indexed deadline has passed
+async function runDueTimers(now = Date.now()) {
+  const roomIds = await storage.listDueRoomIds(now);
+  for (const roomId of roomIds) {
+    try {
+      const { room, fired } = await advanceRoom(roomId, now);
+      // Nothing fired: the index entry was stale (room deleted, or another instance got there first)
+      if (fired.length === 0) await storage.indexRoomDeadline(roomId, room ? nextDeadline(room) : null);
+    } catch (err) {
+      console.warn(`Scheduler error (${roomId}):`, err.message);
+    }
+  }
+}
+
+// Run the due timers unless a run is in progress or happened less than a tick ago.
+// Called on incoming requests so serverless instances (whose intervals freeze between requests) keep up.
+function kick() {
+  const now = Date.now();
+  if (running || now - lastRunAt < SCHEDULER_TICK_MS) return running;
+  lastRunAt = now;
+  running = runDueTimers(now)
+    .catch((err) => console.warn('Scheduler error:', err.message))
+    .finally(() => {
+      running = null;
+    });
+  return running;
+}
+
+function startScheduler() {
+  if (globalThis.__linkStationSchedulerInterval) return;
+  globalThis.__linkStationSchedulerInterval = setInterval(kick, SCHEDULER_TICK_MS);
+  console.log(`⏱️ Started phase scheduler (every ${SCHEDULER_TICK_MS / 1000}s)`);
+}
+
+storage.setRoomDeadlineResolver(nextDeadline);
+
+module.exports = {
+  registerPhaseTimers,
+  nextDeadline,
+  applyDueTimers,
+  advanceRoom,
+  runDueTimers,
+  kick,
+  startScheduler
+};
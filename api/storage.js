@@ -1,14 +1,9 @@
-const fetchFn = globalThis.fetch;
+const { createAdapterFromEnv } = require('./storageAdapters');
 
-if (typeof fetchFn !== 'function') {
-  throw new Error('Fetch API is not available in this runtime. Please use Node 18+.');
-}
-
-const REST_URL = process.env.UPSTASH_REDIS_KV_REST_API_URL;
-const REST_TOKEN = process.env.UPSTASH_REDIS_KV_REST_API_TOKEN;
-const REDIS_ENABLED = Boolean(REST_URL && REST_TOKEN);
+// Key/value backend (memory, file or Redis – see api/storageAdapters/index.js)
+let db = createAdapterFromEnv();
 
-// Redis key helpers
+// Key helpers
 const ROOM_KEY = (roomId) => `room:${roomId}`;
 const ROOM_NAME_KEY = (roomNameLower) => `room:name:${roomNameLower}`;
 const ROOM_SET_KEY = 'rooms:ids';
@@ -44,162 +39,427 @@ const MARKER_TTL_SECONDS = 60;
 const PENDING_REMOVAL_KEY = (username) => `pending:remove:${username}`;
 const PENDING_REMOVALS_SET_KEY = 'pending:removals:set';
 const PENDING_REMOVAL_TTL_SECONDS = 60;
+const ROOM_DEADLINE_SET_KEY = 'rooms:deadlines'; // sorted set: roomId scored by its next phase deadline
+
+// Listings read their keys with MGET/mttl in batches of this size (one round-trip per batch)
+const BULK_READ_BATCH_SIZE = 100;
+
+// Optimistic concurrency for room writes (see updateRoom)
+const ROOM_CONFLICT = 'ROOM_CONFLICT';
+const ROOM_UPDATE_MAX_ATTEMPTS = 8;
+const ROOM_UPDATE_BACKOFF_MS = 15;
+
+// Dev/test only: simulated round-trip delay for room reads/writes, so concurrent requests
+// interleave against the in-process adapters like they do against Redis
+// (e.g. STORAGE_LATENCY_MS=20 node dev-server.js)
+const SIMULATED_LATENCY_MS = Number(process.env.STORAGE_LATENCY_MS) || 0;
+const simulateLatency = () => (SIMULATED_LATENCY_MS > 0
+  ? new Promise((resolve) => setTimeout(resolve, Math.random() * SIMULATED_LATENCY_MS))
+  : Promise.resolve());
+
+/**
+ * Swap the storage backend (conformance tests run the storage functions against every adapter).
+ * @param {object} adapter - See api/storageAdapters/index.js
+ */
+function setStorageAdapter(adapter) {
+  db = adapter;
+}
 
-// In-memory fallback (for local development with no Redis credentials)
-const memoryStore = {
-  rooms: new Map(),
-  roomNameIndex: new Map(),
-  activeUsers: new Map(),
-  deletedRooms: new Map(),
-  appShutdown: false,
-  adminPassword: null,
-  adminTokens: new Map(),
-  userKickMarkers: new Map(),
-  roomDeleteMarkers: new Map(),
-  pendingRemovals: new Map() // { username: { roomId?, userId?, timestamp } }
-};
+function getStorageAdapterName() {
+  return db.name;
+}
+
+// Map/Set room fields besides users/selections/returnedToWaiting, registered by the game
+// modules (api/games) so their round state survives JSON serialization
+const roomMapFields = new Set();
+const roomSetFields = new Set();
+
+function registerRoomFields({ maps = [], sets = [] }) {
+  maps.forEach((field) => roomMapFields.add(field));
+  sets.forEach((field) => roomSetFields.add(field));
+}
+
+// ---------- Room schema migrations ----------
+// Stored rooms carry the schemaVersion they were written with (none = 0). Rooms read from storage
+// are upgraded one step at a time, so rooms that were live during a deploy that changed the room
+// shape keep working; the upgraded shape is written back on the room's next save.
+// Migrations work on the stored JSON (Maps/Sets still as arrays) and never change once released -
+// a later change of shape gets a new entry at the end instead.
+const ROOM_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'users have a role; rooms track who is back in the waiting room',
+    migrate(room) {
+      room.users = (room.users || []).map(([id, user]) => [id, { ...user, role: user.role || 'attender' }]);
+      room.selections = room.selections || [];
+      room.returnedToWaiting = room.returnedToWaiting || [];
+      room.gameState = room.gameState || 'waiting';
+      if (room.matchResult === undefined) room.matchResult = null;
+    }
+  },
+  {
+    version: 2,
+    description: 'game type and liar settings',
+    migrate(room) {
+      room.gameType = room.gameType || 'telepathy';
+      room.liarSubject = room.liarSubject || '물건';
+      room.liarMethod = room.liarMethod || '커스텀';
+      if (room.liarCustomSubject === undefined) room.liarCustomSubject = null;
+    }
+  },
+  {
+    version: 3,
+    description: 'mafia settings',
+    migrate(room) {
+      room.mafiaCount = room.mafiaCount || 1;
+      if (room.mafiaDoctor === undefined) room.mafiaDoctor = true;
+      if (room.mafiaPolice === undefined) room.mafiaPolice = true;
+      room.mafiaDayMinutes = room.mafiaDayMinutes || 3;
+    }
+  },
+  {
+    version: 4,
+    description: 'balance game settings',
+    migrate(room) {
+      room.balanceMethod = room.balanceMethod || '랜덤';
+      if (room.balanceCustomA === undefined) room.balanceCustomA = null;
+      if (room.balanceCustomB === undefined) room.balanceCustomB = null;
+    }
+  },
+  {
+    version: 5,
+    description: 'most-likely game settings',
+    migrate(room) {
+      room.mostLikelyRounds = room.mostLikelyRounds || 5;
+    }
+  },
+  {
+    version: 6,
+    description: 'nunchi game settings',
+    migrate(room) {
+      room.nunchiWindowMs = room.nunchiWindowMs || 500;
+    }
+  },
+  {
+    version: 7,
+    description: 'up-and-down game settings',
+    migrate(room) {
+      room.upDownMax = room.upDownMax || 100;
+      room.upDownTurnSeconds = room.upDownTurnSeconds || 15;
+      room.upDownLoserRule = room.upDownLoserRule || '맞힌 사람';
+    }
+  },
+  {
+    version: 8,
+    description: '31 game settings',
+    migrate(room) {
+      room.br31Target = room.br31Target || 31;
+      room.br31MaxStep = room.br31MaxStep || 3;
+      if (room.br31Bot === undefined) room.br31Bot = false;
+    }
+  },
+  {
+    version: 9,
+    description: 'chosung quiz settings',
+    migrate(room) {
+      room.chosungCategory = room.chosungCategory || '랜덤';
+      room.chosungTargetScore = room.chosungTargetScore || 3;
+      room.chosungRoundSeconds = room.chosungRoundSeconds || 30;
+    }
+  },
+  {
+    version: 10,
+    description: 'liar location mode',
+    migrate(room) {
+      room.liarMode = room.liarMode || '단어';
+    }
+  },
+  {
+    version: 11,
+    description: 'several liars per round',
+    migrate(room) {
+      room.liarCount = room.liarCount || 1;
+      if (room.liarLiarUserId) {
+        room.liarLiarUserIds = [room.liarLiarUserId];
+        room.liarCaughtUserIds = room.liarCaughtUserIds || [];
+      }
+      delete room.liarLiarUserId;
+    }
+  },
+  {
+    version: 12,
+    description: 'room scoreboard',
+    migrate(room) {
+      room.roomScores = room.roomScores || [];
+    }
+  },
+  {
+    version: 13,
+    description: 'round history',
+    migrate(room) {
+      room.roomHistory = room.roomHistory || [];
+    }
+  },
+  {
+    version: 14,
+    description: 'penalty roulette',
+    migrate(room) {
+      if (room.penaltyList === undefined) room.penaltyList = null;
+    }
+  },
+  {
+    version: 15,
+    description: 'drink tally',
+    migrate(room) {
+      room.roomTally = room.roomTally || [];
+    }
+  },
+  {
+    version: 16,
+    description: 'telepathy ranked mode',
+    migrate(room) {
+      room.telepathyMode = room.telepathyMode || '한 명';
+      room.telepathyPicks = room.telepathyPicks || 3;
+    }
+  },
+  {
+    version: 17,
+    description: '31 game turn timer',
+    migrate(room) {
+      room.br31TurnSeconds = room.br31TurnSeconds || 15;
+      // A round in play gets a clock for the turn it is on, counted from the room's last activity
+      if (room.br31State === 'play' && !room.br31TurnEndsAt) {
+        room.br31TurnEndsAt = (room.lastActivity || 0) + room.br31TurnSeconds * 1000;
+      }
+    }
+  }
+];
+
+const ROOM_SCHEMA_VERSION = ROOM_MIGRATIONS[ROOM_MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrade a stored room (JSON shape) to ROOM_SCHEMA_VERSION. Returns a new object; rooms already
+ * current - or written by a newer deploy - are returned as they are.
+ */
+function migrateRoom(stored) {
+  const fromVersion = stored.schemaVersion || 0;
+  if (fromVersion >= ROOM_SCHEMA_VERSION) return stored;
+  const room = { ...stored };
+  for (const migration of ROOM_MIGRATIONS) {
+    if (migration.version > fromVersion) migration.migrate(room);
+  }
+  room.schemaVersion = ROOM_SCHEMA_VERSION;
+  return room;
+}
 
 const toSerializableRoom = (room) => {
   const r = { ...room };
   r.users = Array.from((room.users || new Map()).entries());
   r.selections = Array.from((room.selections || new Map()).entries());
   r.returnedToWaiting = room.returnedToWaiting ? Array.from(room.returnedToWaiting) : [];
-  if (room.liarUserWords) r.liarUserWords = Array.from(room.liarUserWords.entries());
-  if (room.liarVotes) r.liarVotes = Array.from(room.liarVotes.entries());
-  if (room.liarArgumentChoices) r.liarArgumentChoices = Array.from(room.liarArgumentChoices.entries());
-  if (room.liarIdentifyVotes) r.liarIdentifyVotes = Array.from(room.liarIdentifyVotes.entries());
-  if (room.liarMainTimerExtendedBy) r.liarMainTimerExtendedBy = Array.from(room.liarMainTimerExtendedBy);
-  if (room.liarDifficultClicks) r.liarDifficultClicks = Array.from(room.liarDifficultClicks);
+  for (const field of roomMapFields) {
+    if (room[field]) r[field] = Array.from(room[field].entries());
+  }
+  for (const field of roomSetFields) {
+    if (room[field]) r[field] = Array.from(room[field]);
+  }
   return r;
 };
 
-const fromSerializableRoom = (room) => {
-  if (!room) return null;
+const fromSerializableRoom = (stored) => {
+  if (!stored) return null;
+  const room = migrateRoom(stored);
   const r = {
     ...room,
-    users: new Map(room.users || []),
-    selections: new Map(room.selections || []),
-    returnedToWaiting: room.returnedToWaiting ? new Set(room.returnedToWaiting) : new Set()
+    users: new Map(room.users),
+    selections: new Map(room.selections),
+    returnedToWaiting: new Set(room.returnedToWaiting)
   };
-  if (room.liarUserWords) r.liarUserWords = new Map(room.liarUserWords);
-  if (room.liarVotes) r.liarVotes = new Map(room.liarVotes);
-  if (room.liarArgumentChoices) r.liarArgumentChoices = new Map(room.liarArgumentChoices);
-  if (room.liarIdentifyVotes) r.liarIdentifyVotes = new Map(room.liarIdentifyVotes);
-  if (room.liarMainTimerExtendedBy) r.liarMainTimerExtendedBy = new Set(room.liarMainTimerExtendedBy || []);
-  if (room.liarDifficultClicks) r.liarDifficultClicks = new Set(room.liarDifficultClicks || []);
+  for (const field of roomMapFields) {
+    if (room[field]) r[field] = new Map(room[field]);
+  }
+  for (const field of roomSetFields) {
+    if (room[field]) r[field] = new Set(room[field]);
+  }
   return r;
 };
 
-async function redisRequest(command, args = [], options = {}) {
-  const { method = 'GET', body } = options;
-  const url = `${REST_URL}/${command}/${args.map((arg) => encodeURIComponent(arg)).join('/')}`;
-  const response = await fetchFn(url, {
-    method,
-    headers: {
-      Authorization: `Bearer ${REST_TOKEN}`
-    },
-    body
-  });
-  const data = await response.json();
-  if ('error' in data) {
-    throw new Error(`Redis error (${command}): ${data.error}`);
+// JSON value of a key (null if missing or expired)
+async function getJSON(key) {
+  const result = await db.get(key);
+  return result ? JSON.parse(result) : null;
+}
+
+// Values of many keys, in order (null for missing ones), one round-trip per batch
+async function getMany(keys, read = (batch) => db.mget(batch)) {
+  const values = [];
+  for (let i = 0; i < keys.length; i += BULK_READ_BATCH_SIZE) {
+    values.push(...await read(keys.slice(i, i + BULK_READ_BATCH_SIZE)));
+  }
+  return values;
+}
+
+// JSON values of many keys, in order (null for missing ones)
+async function getJSONMany(keys) {
+  const values = await getMany(keys);
+  return values.map((value) => (value ? JSON.parse(value) : null));
+}
+
+// ---------- Room change notifications ----------
+// In-process only: lets open room event streams react as soon as this instance saves a room.
+// Saves made by other serverless instances are picked up by the stream's slower refresh tick.
+const roomListeners = new Map(); // roomId -> Set<listener>
+
+function subscribeRoom(roomId, listener) {
+  if (!roomListeners.has(roomId)) roomListeners.set(roomId, new Set());
+  roomListeners.get(roomId).add(listener);
+  return () => {
+    const listeners = roomListeners.get(roomId);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) roomListeners.delete(roomId);
+  };
+}
+
+function notifyRoomChange(roomId) {
+  const listeners = roomListeners.get(roomId);
+  if (!listeners) return;
+  for (const listener of Array.from(listeners)) {
+    try {
+      listener(roomId);
+    } catch (err) {
+      console.warn('Room listener error:', err.message);
+    }
   }
-  return data.result;
+}
+
+// ---------- Phase deadline index ----------
+// Each room's earliest pending phase deadline (see api/scheduler.js) is indexed on every save,
+// so any instance can find rooms with expired timers without loading every room.
+let resolveRoomDeadline = () => null;
+
+function setRoomDeadlineResolver(resolver) {
+  resolveRoomDeadline = resolver;
+}
+
+async function indexRoomDeadline(roomId, dueAt) {
+  if (!roomId) return;
+  if (dueAt) {
+    await db.zadd(ROOM_DEADLINE_SET_KEY, dueAt, roomId);
+  } else {
+    await db.zrem(ROOM_DEADLINE_SET_KEY, roomId);
+  }
+}
+
+async function listDueRoomIds(now) {
+  return db.zrangebyscore(ROOM_DEADLINE_SET_KEY, now);
 }
 
 // ---------- Room helpers ----------
 
 async function getRoomById(roomId) {
   if (!roomId) return null;
-  if (!REDIS_ENABLED) {
-    return memoryStore.rooms.get(roomId) || null;
-  }
-  const result = await redisRequest('get', [ROOM_KEY(roomId)]);
-  if (!result) return null;
-  return fromSerializableRoom(JSON.parse(result));
+  await simulateLatency();
+  return fromSerializableRoom(await getJSON(ROOM_KEY(roomId)));
 }
 
 async function getRoomByName(roomNameLower) {
   if (!roomNameLower) return null;
-  if (!REDIS_ENABLED) {
-    const roomId = memoryStore.roomNameIndex.get(roomNameLower);
-    if (!roomId) return null;
-    return memoryStore.rooms.get(roomId) || null;
-  }
-  const roomId = await redisRequest('get', [ROOM_NAME_KEY(roomNameLower)]);
+  const roomId = await db.get(ROOM_NAME_KEY(roomNameLower));
   if (!roomId) return null;
   return getRoomById(roomId);
 }
 
-async function saveRoom(room) {
-  if (!room || !room.id) return;
-  const serializable = JSON.stringify(toSerializableRoom(room));
+/**
+ * Save a room. With `expectedVersion`, the write only happens if the stored room is still at
+ * that version (compare-and-swap); returns false when another write got there first.
+ */
+async function saveRoom(room, options = {}) {
+  if (!room || !room.id) return false;
+  const { expectedVersion } = options;
+  // Monotonic revision: clients use it for conditional GETs and the event stream to skip unchanged rooms
+  const nextVersion = (room.version || 0) + 1;
+  const serializable = JSON.stringify({ ...toSerializableRoom(room), schemaVersion: ROOM_SCHEMA_VERSION, version: nextVersion });
   const roomNameLower = room.roomName.toLowerCase();
+  const deadline = resolveRoomDeadline(room);
+
+  await simulateLatency();
+  if (expectedVersion !== undefined) {
+    const swapped = await db.setIfVersion(ROOM_KEY(room.id), expectedVersion, serializable, {
+      key: ROOM_DEADLINE_SET_KEY,
+      member: room.id,
+      score: deadline || null
+    });
+    if (!swapped) return false;
+  } else {
+    await db.set(ROOM_KEY(room.id), serializable);
+    await indexRoomDeadline(room.id, deadline);
+  }
+  await db.sadd(ROOM_SET_KEY, room.id);
+  await db.set(ROOM_NAME_KEY(roomNameLower), room.id);
+  room.version = nextVersion;
+  room.schemaVersion = ROOM_SCHEMA_VERSION;
+  notifyRoomChange(room.id);
+  return true;
+}
 
-  if (!REDIS_ENABLED) {
-    memoryStore.rooms.set(room.id, room);
-    memoryStore.roomNameIndex.set(roomNameLower, room.id);
-    return;
-  }
-
-  await redisRequest('set', [ROOM_KEY(room.id), serializable], { method: 'POST' });
-  await redisRequest('sadd', [ROOM_SET_KEY, room.id], { method: 'POST' });
-  await redisRequest('set', [ROOM_NAME_KEY(roomNameLower), room.id], { method: 'POST' });
+/**
+ * Read-modify-write a room with optimistic concurrency.
+ * `mutator(room)` gets a fresh copy (null if the room doesn't exist) and returns an outcome object;
+ * the room is saved unless the outcome has `save: false`. If another request saved the room in
+ * between, the mutator runs again on the newer copy, so it must not write other keys itself.
+ * Resolves to the mutator's outcome; throws an error with code ROOM_CONFLICT after too many retries.
+ */
+async function updateRoom(roomId, mutator, options = {}) {
+  const maxAttempts = options.maxAttempts || ROOM_UPDATE_MAX_ATTEMPTS;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const room = await getRoomById(roomId);
+    const outcome = (await mutator(room)) || {};
+    if (!room || outcome.save === false) return outcome;
+    const saved = await saveRoom(room, { expectedVersion: room.version || 0 });
+    if (saved) return outcome;
+    // Lost the race - back off a little (with jitter) and retry on the newer room
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * ROOM_UPDATE_BACKOFF_MS * attempt));
+  }
+  const err = new Error(`Room update conflict: ${roomId} (gave up after ${maxAttempts} attempts)`);
+  err.code = ROOM_CONFLICT;
+  throw err;
 }
 
 async function deleteRoom(roomId) {
   if (!roomId) return;
 
-  if (!REDIS_ENABLED) {
-    const room = memoryStore.rooms.get(roomId);
-    if (room) {
-      memoryStore.rooms.delete(roomId);
-      memoryStore.roomNameIndex.delete(room.roomName.toLowerCase());
-      memoryStore.deletedRooms.set(roomId, Date.now());
-    }
-    return;
-  }
-
   const room = await getRoomById(roomId);
-  await redisRequest('del', [ROOM_KEY(roomId)], { method: 'POST' });
-  await redisRequest('srem', [ROOM_SET_KEY, roomId], { method: 'POST' });
+  await db.del(ROOM_KEY(roomId));
+  await db.srem(ROOM_SET_KEY, roomId);
+  await db.zrem(ROOM_DEADLINE_SET_KEY, roomId);
   if (room) {
-    await redisRequest('del', [ROOM_NAME_KEY(room.roomName.toLowerCase())], { method: 'POST' });
+    await db.del(ROOM_NAME_KEY(room.roomName.toLowerCase()));
   }
-  await redisRequest('setex', [DELETED_ROOM_KEY(roomId), DELETED_ROOM_TTL_SECONDS, Date.now().toString()], { method: 'POST' });
+  await markRoomDeleted(roomId);
+  notifyRoomChange(roomId);
 }
 
 async function listRoomIds() {
-  if (!REDIS_ENABLED) {
-    return Array.from(memoryStore.rooms.keys());
-  }
-  const result = await redisRequest('smembers', [ROOM_SET_KEY]);
-  if (!result) return [];
-  return Array.isArray(result) ? result : [result];
+  return db.smembers(ROOM_SET_KEY);
+}
+
+// Every stored room (admin listings, cleanup) – read in bulk rather than one request per room
+async function listRooms() {
+  const roomIds = await listRoomIds();
+  await simulateLatency();
+  const rooms = await getJSONMany(roomIds.map(ROOM_KEY));
+  return rooms.filter(Boolean).map(fromSerializableRoom);
 }
 
 async function markRoomDeleted(roomId) {
   if (!roomId) return;
-  if (!REDIS_ENABLED) {
-    memoryStore.deletedRooms.set(roomId, Date.now());
-    return;
-  }
-  await redisRequest('setex', [DELETED_ROOM_KEY(roomId), DELETED_ROOM_TTL_SECONDS, Date.now().toString()], { method: 'POST' });
+  await db.set(DELETED_ROOM_KEY(roomId), Date.now().toString(), { ttlSeconds: DELETED_ROOM_TTL_SECONDS });
 }
 
 async function wasRoomDeleted(roomId) {
   if (!roomId) return false;
-  if (!REDIS_ENABLED) {
-    const deletedAt = memoryStore.deletedRooms.get(roomId);
-    if (!deletedAt) return false;
-    if (Date.now() - deletedAt > DELETED_ROOM_TTL_SECONDS * 1000) {
-      memoryStore.deletedRooms.delete(roomId);
-      return false;
-    }
-    return true;
-  }
-
-  const result = await redisRequest('get', [DELETED_ROOM_KEY(roomId)]);
+  const result = await db.get(DELETED_ROOM_KEY(roomId));
   return Boolean(result);
 }
 
@@ -207,58 +467,30 @@ async function wasRoomDeleted(roomId) {
 
 async function getActiveUser(username) {
   if (!username) return null;
-  if (!REDIS_ENABLED) {
-    return memoryStore.activeUsers.get(username) || null;
-  }
-  const result = await redisRequest('get', [ACTIVE_USER_KEY(username)]);
-  if (!result) return null;
-  return JSON.parse(result);
+  return getJSON(ACTIVE_USER_KEY(username));
 }
 
 async function saveActiveUser(username, userData) {
   if (!username) return;
-  const serializable = JSON.stringify(userData);
-
-  if (!REDIS_ENABLED) {
-    memoryStore.activeUsers.set(username, userData);
-    return;
-  }
-
-  await redisRequest('set', [ACTIVE_USER_KEY(username), serializable], { method: 'POST' });
-  await redisRequest('sadd', [ACTIVE_USER_SET_KEY, username], { method: 'POST' });
+  await db.set(ACTIVE_USER_KEY(username), JSON.stringify(userData));
+  await db.sadd(ACTIVE_USER_SET_KEY, username);
 }
 
 async function deleteActiveUser(username) {
   if (!username) return;
-
-  if (!REDIS_ENABLED) {
-    memoryStore.activeUsers.delete(username);
-    return;
-  }
-
-  await redisRequest('del', [ACTIVE_USER_KEY(username)], { method: 'POST' });
-  await redisRequest('srem', [ACTIVE_USER_SET_KEY, username], { method: 'POST' });
+  await db.del(ACTIVE_USER_KEY(username));
+  await db.srem(ACTIVE_USER_SET_KEY, username);
 }
 
 async function listActiveUsers() {
-  if (!REDIS_ENABLED) {
-    return Array.from(memoryStore.activeUsers.entries()).map(([username, data]) => ({
-      username,
-      ...data
-    }));
-  }
-
-  const usernames = await redisRequest('smembers', [ACTIVE_USER_SET_KEY]);
+  const usernames = await db.smembers(ACTIVE_USER_SET_KEY);
+  const users = await getJSONMany(usernames.map(ACTIVE_USER_KEY));
   const list = [];
-  if (!usernames) return list;
-
-  const normalized = Array.isArray(usernames) ? usernames : [usernames];
-  for (const username of normalized) {
-    const data = await getActiveUser(username);
-    if (data) {
-      list.push({ username, ...data });
+  usernames.forEach((username, i) => {
+    if (users[i]) {
+      list.push({ username, ...users[i] });
     }
-  }
+  });
   return list;
 }
 
@@ -266,111 +498,73 @@ async function listActiveUsers() {
 
 const APP_SHUTDOWN_KEY = 'app:shutdown';
 const ADMIN_PASSWORD_KEY = 'app:admin:password';
+const SESSION_SECRET_KEY = 'app:session:secret';
 const ADMIN_TOKEN_TTL_SECONDS = 30 * 60; // 30 minutes
 
 async function getAppShutdown() {
-  if (!REDIS_ENABLED) {
-    return memoryStore.appShutdown || false;
-  }
-  const result = await redisRequest('get', [APP_SHUTDOWN_KEY]);
-  return result === 'true' || result === true;
+  const result = await db.get(APP_SHUTDOWN_KEY);
+  return result === 'true';
 }
 
 async function setAppShutdown(shutdown) {
-  if (!REDIS_ENABLED) {
-    memoryStore.appShutdown = shutdown;
-    return;
-  }
-  await redisRequest('set', [APP_SHUTDOWN_KEY, shutdown ? 'true' : 'false'], { method: 'POST' });
+  await db.set(APP_SHUTDOWN_KEY, shutdown ? 'true' : 'false');
 }
 
 async function getAdminPassword() {
-  // First check Redis/storage, then fall back to env var
-  if (!REDIS_ENABLED) {
-    return memoryStore.adminPassword || process.env.ADMIN_SECRET_KEY || null;
-  }
-  const result = await redisRequest('get', [ADMIN_PASSWORD_KEY]);
-  // If not in Redis, use env var as default
+  // Stored password first; if none was set yet, use the env var as default
+  const result = await db.get(ADMIN_PASSWORD_KEY);
   return result || process.env.ADMIN_SECRET_KEY || null;
 }
 
 async function setAdminPassword(password) {
-  if (!REDIS_ENABLED) {
-    memoryStore.adminPassword = password;
-    return;
-  }
-  await redisRequest('set', [ADMIN_PASSWORD_KEY, password], { method: 'POST' });
+  await db.set(ADMIN_PASSWORD_KEY, password);
+}
+
+/**
+ * Secret used to sign player session tokens (when SESSION_SECRET is not set).
+ * Created once with SET NX so every serverless instance signs with the same secret.
+ * @param {() => string} generate - Creates a new secret if none is stored yet
+ */
+async function getOrCreateSessionSecret(generate) {
+  const existing = await db.get(SESSION_SECRET_KEY);
+  if (existing) return existing;
+  await db.set(SESSION_SECRET_KEY, generate(), { onlyIfAbsent: true });
+  return db.get(SESSION_SECRET_KEY);
 }
 
 async function storeAdminToken(token) {
   if (!token) return;
-  if (!REDIS_ENABLED) {
-    memoryStore.adminTokens.set(token, Date.now() + ADMIN_TOKEN_TTL_SECONDS * 1000);
-    return;
-  }
-  await redisRequest('sadd', [ADMIN_SESSION_SET_KEY, token], { method: 'POST' });
-  await redisRequest('setex', [ADMIN_TOKEN_KEY(token), ADMIN_TOKEN_TTL_SECONDS, '1'], { method: 'POST' });
+  await db.sadd(ADMIN_SESSION_SET_KEY, token);
+  await db.set(ADMIN_TOKEN_KEY(token), '1', { ttlSeconds: ADMIN_TOKEN_TTL_SECONDS });
 }
 
 async function isAdminTokenValid(token) {
   if (!token) return false;
-  if (!REDIS_ENABLED) {
-    const expiresAt = memoryStore.adminTokens.get(token);
-    if (!expiresAt) return false;
-    if (Date.now() > expiresAt) {
-      memoryStore.adminTokens.delete(token);
-      return false;
-    }
-    return true;
-  }
-  const result = await redisRequest('get', [ADMIN_TOKEN_KEY(token)]);
+  const result = await db.get(ADMIN_TOKEN_KEY(token));
   return Boolean(result);
 }
 
 async function deleteAdminToken(token) {
   if (!token) return;
-  if (!REDIS_ENABLED) {
-    memoryStore.adminTokens.delete(token);
-    return;
-  }
-  await redisRequest('srem', [ADMIN_SESSION_SET_KEY, token], { method: 'POST' });
-  await redisRequest('del', [ADMIN_TOKEN_KEY(token)], { method: 'POST' });
+  await db.srem(ADMIN_SESSION_SET_KEY, token);
+  await db.del(ADMIN_TOKEN_KEY(token));
 }
 
 async function getAdminTokenTtlSeconds(token) {
   if (!token) return 0;
-  if (!REDIS_ENABLED) {
-    const expiresAt = memoryStore.adminTokens.get(token);
-    if (!expiresAt) return 0;
-    const remainingMs = expiresAt - Date.now();
-    return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
-  }
-  const result = await redisRequest('ttl', [ADMIN_TOKEN_KEY(token)]);
-  if (typeof result !== 'number' || result < 0) {
-    return 0;
-  }
-  return result;
+  const result = await db.ttl(ADMIN_TOKEN_KEY(token));
+  return result > 0 ? result : 0;
 }
 
 async function listAdminSessions() {
-  if (!REDIS_ENABLED) {
-    return Array.from(memoryStore.adminTokens.entries())
-      .map(([token, expiresAt]) => ({
-        token,
-        remainingSeconds: Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000))
-      }))
-      .filter((session) => session.remainingSeconds > 0);
-  }
-
-  const tokens = await redisRequest('smembers', [ADMIN_SESSION_SET_KEY]);
-  if (!tokens) return [];
-  const normalized = Array.isArray(tokens) ? tokens : [tokens];
+  const tokens = await db.smembers(ADMIN_SESSION_SET_KEY);
+  const ttls = await getMany(tokens.map(ADMIN_TOKEN_KEY), (batch) => db.mttl(batch));
   const sessions = [];
 
-  for (const token of normalized) {
-    const ttl = await redisRequest('ttl', [ADMIN_TOKEN_KEY(token)]);
-    if (typeof ttl !== 'number' || ttl <= 0) {
-      await redisRequest('srem', [ADMIN_SESSION_SET_KEY, token], { method: 'POST' });
+  for (const [i, token] of tokens.entries()) {
+    const ttl = ttls[i];
+    if (ttl <= 0) {
+      await db.srem(ADMIN_SESSION_SET_KEY, token);
       continue;
     }
     sessions.push({ token, remainingSeconds: ttl });
@@ -382,172 +576,110 @@ async function listAdminSessions() {
 
 async function setUserKickMarker(username, reason, roomDeleteReason = null) {
   if (!username || !reason) return;
-  
-  const now = Date.now();
-  const marker = { reason, timestamp: now };
+
+  const marker = { reason, timestamp: Date.now() };
   if (roomDeleteReason) marker.roomDeleteReason = roomDeleteReason;
-  
-  if (!REDIS_ENABLED) {
-    const existing = memoryStore.userKickMarkers.get(username);
-    if (existing && existing.expiresAt > now) {
-      const existingPriority = KICK_PRIORITY.indexOf(existing.reason);
-      const newPriority = KICK_PRIORITY.indexOf(reason);
-      if (existingPriority >= newPriority) return;
-    }
-    memoryStore.userKickMarkers.set(username, { ...marker, expiresAt: now + MARKER_TTL_SECONDS * 1000 });
-    return;
-  }
-  
-  const existingRaw = await redisRequest('get', [USER_KICK_MARKER_KEY(username)]);
-  if (existingRaw) {
-    const existing = JSON.parse(existingRaw);
+
+  const existing = await getJSON(USER_KICK_MARKER_KEY(username));
+  if (existing) {
     const existingPriority = KICK_PRIORITY.indexOf(existing.reason);
     const newPriority = KICK_PRIORITY.indexOf(reason);
     if (existingPriority >= newPriority) return;
   }
-  
-  await redisRequest('setex', [USER_KICK_MARKER_KEY(username), MARKER_TTL_SECONDS, JSON.stringify(marker)], { method: 'POST' });
+
+  await db.set(USER_KICK_MARKER_KEY(username), JSON.stringify(marker), { ttlSeconds: MARKER_TTL_SECONDS });
 }
 
 async function getUserKickMarker(username) {
   if (!username) return null;
-  
-  if (!REDIS_ENABLED) {
-    const marker = memoryStore.userKickMarkers.get(username);
-    if (!marker) return null;
-    if (Date.now() > marker.expiresAt) {
-      memoryStore.userKickMarkers.delete(username);
-      return null;
-    }
-    return { reason: marker.reason, timestamp: marker.timestamp, roomDeleteReason: marker.roomDeleteReason };
-  }
-  
-  const result = await redisRequest('get', [USER_KICK_MARKER_KEY(username)]);
-  if (!result) return null;
-  return JSON.parse(result);
+  return getJSON(USER_KICK_MARKER_KEY(username));
 }
 
 async function clearUserKickMarker(username) {
   if (!username) return;
-  if (!REDIS_ENABLED) {
-    memoryStore.userKickMarkers.delete(username);
-    return;
-  }
-  await redisRequest('del', [USER_KICK_MARKER_KEY(username)], { method: 'POST' });
+  await db.del(USER_KICK_MARKER_KEY(username));
 }
 
 async function setRoomDeleteMarker(roomId, reason) {
   if (!roomId || !reason) return;
-  
-  const now = Date.now();
-  const marker = { reason, timestamp: now };
-  
-  if (!REDIS_ENABLED) {
-    const existing = memoryStore.roomDeleteMarkers.get(roomId);
-    if (existing && existing.expiresAt > now) {
-      const existingPriority = ROOM_DELETE_PRIORITY.indexOf(existing.reason);
-      const newPriority = ROOM_DELETE_PRIORITY.indexOf(reason);
-      if (existingPriority >= newPriority) return;
-    }
-    memoryStore.roomDeleteMarkers.set(roomId, { ...marker, expiresAt: now + MARKER_TTL_SECONDS * 1000 });
-    return;
-  }
-  
-  const existingRaw = await redisRequest('get', [ROOM_DELETE_MARKER_KEY(roomId)]);
-  if (existingRaw) {
-    const existing = JSON.parse(existingRaw);
+
+  const marker = { reason, timestamp: Date.now() };
+
+  const existing = await getJSON(ROOM_DELETE_MARKER_KEY(roomId));
+  if (existing) {
     const existingPriority = ROOM_DELETE_PRIORITY.indexOf(existing.reason);
     const newPriority = ROOM_DELETE_PRIORITY.indexOf(reason);
     if (existingPriority >= newPriority) return;
   }
-  
-  await redisRequest('setex', [ROOM_DELETE_MARKER_KEY(roomId), MARKER_TTL_SECONDS, JSON.stringify(marker)], { method: 'POST' });
+
+  await db.set(ROOM_DELETE_MARKER_KEY(roomId), JSON.stringify(marker), { ttlSeconds: MARKER_TTL_SECONDS });
 }
 
 async function getRoomDeleteMarker(roomId) {
   if (!roomId) return null;
-  
-  if (!REDIS_ENABLED) {
-    const marker = memoryStore.roomDeleteMarkers.get(roomId);
-    if (!marker) return null;
-    if (Date.now() > marker.expiresAt) {
-      memoryStore.roomDeleteMarkers.delete(roomId);
-      return null;
-    }
-    return { reason: marker.reason, timestamp: marker.timestamp };
-  }
-  
-  const result = await redisRequest('get', [ROOM_DELETE_MARKER_KEY(roomId)]);
-  if (!result) return null;
-  return JSON.parse(result);
+  return getJSON(ROOM_DELETE_MARKER_KEY(roomId));
 }
 
 // Pending removal (tab-close grace period: refresh cancels, real close executes after 10 sec)
 async function setPendingRemoval(username, roomId = null, userId = null) {
   if (!username) return;
   const data = { roomId, userId, timestamp: Date.now() };
-  if (!REDIS_ENABLED) {
-    memoryStore.pendingRemovals.set(username, data);
-    return;
-  }
-  await redisRequest('setex', [PENDING_REMOVAL_KEY(username), PENDING_REMOVAL_TTL_SECONDS, JSON.stringify(data)], { method: 'POST' });
-  await redisRequest('sadd', [PENDING_REMOVALS_SET_KEY, username], { method: 'POST' });
+  await db.set(PENDING_REMOVAL_KEY(username), JSON.stringify(data), { ttlSeconds: PENDING_REMOVAL_TTL_SECONDS });
+  await db.sadd(PENDING_REMOVALS_SET_KEY, username);
 }
 
 async function getPendingRemoval(username) {
   if (!username) return null;
-  if (!REDIS_ENABLED) {
-    return memoryStore.pendingRemovals.get(username) || null;
-  }
-  const result = await redisRequest('get', [PENDING_REMOVAL_KEY(username)]);
-  if (!result) return null;
-  return JSON.parse(result);
+  return getJSON(PENDING_REMOVAL_KEY(username));
 }
 
 async function deletePendingRemoval(username) {
   if (!username) return;
-  if (!REDIS_ENABLED) {
-    memoryStore.pendingRemovals.delete(username);
-    return;
-  }
-  await redisRequest('del', [PENDING_REMOVAL_KEY(username)], { method: 'POST' });
-  await redisRequest('srem', [PENDING_REMOVALS_SET_KEY, username], { method: 'POST' });
+  await db.del(PENDING_REMOVAL_KEY(username));
+  await db.srem(PENDING_REMOVALS_SET_KEY, username);
 }
 
 async function listPendingRemovals() {
-  if (!REDIS_ENABLED) {
-    return Array.from(memoryStore.pendingRemovals.entries()).map(([username, data]) => ({ username, ...data }));
-  }
-  const usernames = await redisRequest('smembers', [PENDING_REMOVALS_SET_KEY]);
-  if (!usernames) return [];
+  const usernames = await db.smembers(PENDING_REMOVALS_SET_KEY);
+  const removals = await getJSONMany(usernames.map(PENDING_REMOVAL_KEY));
   const list = [];
-  const normalized = Array.isArray(usernames) ? usernames : [usernames];
-  for (const u of normalized) {
-    const data = await getPendingRemoval(u);
-    if (data) list.push({ username: u, ...data });
-  }
+  usernames.forEach((u, i) => {
+    if (removals[i]) list.push({ username: u, ...removals[i] });
+  });
   return list;
 }
 
 module.exports = {
-  REDIS_ENABLED,
+  setStorageAdapter,
+  getStorageAdapterName,
   getRoomById,
   getRoomByName,
   saveRoom,
+  updateRoom,
+  ROOM_CONFLICT,
   deleteRoom,
   listRoomIds,
+  listRooms,
+  subscribeRoom,
+  setRoomDeadlineResolver,
+  indexRoomDeadline,
+  listDueRoomIds,
   markRoomDeleted,
   wasRoomDeleted,
   getActiveUser,
   saveActiveUser,
   deleteActiveUser,
   listActiveUsers,
+  registerRoomFields,
+  ROOM_SCHEMA_VERSION,
+  migrateRoom,
   fromSerializableRoom,
   toSerializableRoom,
   getAppShutdown,
   setAppShutdown,
   getAdminPassword,
   setAdminPassword,
+  getOrCreateSessionSecret,
   storeAdminToken,
   isAdminTokenValid,
   deleteAdminToken,
@@ -565,4 +697,3 @@ module.exports = {
   deletePendingRemoval,
   listPendingRemovals
 };
-
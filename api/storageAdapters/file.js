@@ -0,0 +1,91 @@
+/**
+ * File storage adapter – the in-memory adapter, persisted to a local JSON file.
+ * For a single self-hosted process: rooms, users and markers survive restarts and redeploys.
+ * Writes are coalesced and flushed atomically (temp file + rename); pending writes are also
+ * flushed synchronously when the process exits. TTLs are stored as absolute expiry times,
+ * so keys that expired while the server was down are gone after the restart.
+ * Not safe for several processes sharing one file – use Redis for that.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+
+const FILE_FORMAT_VERSION = 1;
+
+function loadEntries(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const data = JSON.parse(raw);
+  if (data.format !== FILE_FORMAT_VERSION) {
+    throw new Error(`Unsupported storage file format in ${filePath}: ${data.format}`);
+  }
+  return data.entries || [];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file to load from and persist to (created if missing)
+ * @param {() => number} [options.now] - Clock in ms (tests)
+ */
+function createFileAdapter({ filePath, now }) {
+  const resolvedPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+  let dirty = false;
+  let flushTimer = null;
+
+  const memory = createMemoryAdapter({
+    entries: loadEntries(resolvedPath),
+    now,
+    onChange: () => {
+      dirty = true;
+      if (!flushTimer) flushTimer = setImmediate(flushNow);
+    }
+  });
+
+  function serialize() {
+    return JSON.stringify({ format: FILE_FORMAT_VERSION, savedAt: Date.now(), entries: memory.exportEntries() });
+  }
+
+  function flushNow() {
+    flushTimer = null;
+    if (!dirty) return;
+    dirty = false;
+    const tmpPath = `${resolvedPath}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, serialize());
+      fs.renameSync(tmpPath, resolvedPath);
+    } catch (err) {
+      dirty = true; // keep the changes for the next flush
+      console.error(`Storage file write failed (${resolvedPath}):`, err.message);
+    }
+  }
+
+  const flushOnExit = () => flushNow();
+  process.on('exit', flushOnExit);
+
+  return {
+    ...memory,
+    name: 'file',
+    filePath: resolvedPath,
+
+    // Write pending changes now (normally they go out on the next tick)
+    async flush() {
+      if (flushTimer) clearImmediate(flushTimer);
+      flushNow();
+    },
+
+    // Flush and stop persisting (tests open several adapters on the same file)
+    async close() {
+      await this.flush();
+      process.removeListener('exit', flushOnExit);
+    }
+  };
+}
+
+module.exports = { createFileAdapter };
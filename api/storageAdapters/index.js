@@ -0,0 +1,56 @@
+/**
+ * Storage adapters – the key/value backends behind api/storage.js.
+ *
+ * Every adapter implements the same Redis-like interface (all methods async):
+ *   get(key) / mget(keys) / set(key, value, { ttlSeconds, onlyIfAbsent }) → set? / del(key)
+ *   ttl(key) / mttl(keys)             - seconds left (mget/mttl are one round-trip on the Redis adapters)
+ *   sadd / srem / smembers            - string sets
+ *   zadd / zrem / zrangebyscore(max)  - sorted sets
+ *   setIfVersion(key, expectedVersion, value, index) - compare-and-swap of a versioned JSON document
+ * TTLs behave like Redis: expired keys read as missing, ttl() is -2 for missing and -1 for no expiry.
+ * scripts/test-storage-adapters.js is the conformance suite every adapter must pass.
+ *
+ * Selected with STORAGE_ADAPTER (memory | file | redis | redis-tcp); without it, redis (Upstash REST)
+ * when the Upstash variables are set, redis-tcp when REDIS_URL is set, and memory otherwise.
+ */
+const path = require('path');
+const { createMemoryAdapter } = require('./memory');
+const { createFileAdapter } = require('./file');
+const { createRedisRestAdapter } = require('./redisRest');
+const { createRedisTcpAdapter } = require('./redisTcp');
+
+const DEFAULT_STORAGE_FILE = path.join(__dirname, '..', '..', 'data', 'storage.json');
+
+function createAdapterFromEnv(env = process.env) {
+  const redisUrl = env.UPSTASH_REDIS_KV_REST_API_URL;
+  const redisToken = env.UPSTASH_REDIS_KV_REST_API_TOKEN;
+  const defaultKind = redisUrl && redisToken ? 'redis' : (env.REDIS_URL ? 'redis-tcp' : 'memory');
+  const kind = (env.STORAGE_ADAPTER || defaultKind).toLowerCase();
+
+  switch (kind) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'file':
+      return createFileAdapter({ filePath: env.STORAGE_FILE || DEFAULT_STORAGE_FILE });
+    case 'redis':
+      if (!redisUrl || !redisToken) {
+        throw new Error('STORAGE_ADAPTER=redis needs UPSTASH_REDIS_KV_REST_API_URL and UPSTASH_REDIS_KV_REST_API_TOKEN');
+      }
+      return createRedisRestAdapter({ url: redisUrl, token: redisToken });
+    case 'redis-tcp':
+      if (!env.REDIS_URL) {
+        throw new Error('STORAGE_ADAPTER=redis-tcp needs REDIS_URL (redis://[:password@]host:port[/db])');
+      }
+      return createRedisTcpAdapter({ url: env.REDIS_URL });
+    default:
+      throw new Error(`Unknown STORAGE_ADAPTER "${kind}" (use memory, file, redis or redis-tcp)`);
+  }
+}
+
+module.exports = {
+  createAdapterFromEnv,
+  createMemoryAdapter,
+  createFileAdapter,
+  createRedisRestAdapter,
+  createRedisTcpAdapter
+};
@@ -0,0 +1,164 @@
+/**
+ * In-memory storage adapter – Redis-like strings, sets and sorted sets kept in a Map, with key TTLs.
+ * Default for local development when no Redis is configured (everything is lost on restart);
+ * also the engine of the file adapter, which persists this state to disk.
+ *
+ * Values are stored as strings, so every read is an independent copy and concurrent requests
+ * can't mutate each other's objects.
+ */
+
+/**
+ * @param {object} [options]
+ * @param {Array} [options.entries] - Initial [key, entry] pairs (see exportEntries)
+ * @param {() => number} [options.now] - Clock in ms (tests advance it to check TTLs)
+ * @param {() => void} [options.onChange] - Called after every write
+ */
+function createMemoryAdapter(options = {}) {
+  const now = options.now || Date.now;
+  const onChange = options.onChange || (() => {});
+  // key -> { type: 'string' | 'set' | 'zset', value, expiresAt: ms | null }
+  const entries = new Map();
+  for (const [key, entry] of options.entries || []) {
+    if (entry.type === 'set') entries.set(key, { ...entry, value: new Set(entry.value) });
+    else if (entry.type === 'zset') entries.set(key, { ...entry, value: new Map(entry.value) });
+    else entries.set(key, { ...entry });
+  }
+
+  function getEntry(key, type) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) throw new Error(`WRONGTYPE ${key} holds a ${entry.type}, not a ${type}`);
+    return entry;
+  }
+
+  function getOrCreate(key, type, createValue) {
+    let entry = getEntry(key, type);
+    if (!entry) {
+      entry = { type, value: createValue(), expiresAt: null };
+      entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  function writeString(key, value, ttlSeconds) {
+    entries.set(key, {
+      type: 'string',
+      value: String(value),
+      expiresAt: ttlSeconds ? now() + ttlSeconds * 1000 : null
+    });
+  }
+
+  const adapter = {
+    name: 'memory',
+
+    async get(key) {
+      const entry = getEntry(key, 'string');
+      return entry ? entry.value : null;
+    },
+
+    async mget(keys) {
+      return keys.map((key) => {
+        const entry = getEntry(key, 'string');
+        return entry ? entry.value : null;
+      });
+    },
+
+    async set(key, value, { ttlSeconds, onlyIfAbsent } = {}) {
+      if (onlyIfAbsent && getEntry(key)) return false;
+      writeString(key, value, ttlSeconds);
+      onChange();
+      return true;
+    },
+
+    async del(key) {
+      entries.delete(key);
+      onChange();
+    },
+
+    // Seconds left: -2 when the key doesn't exist, -1 when it has no expiry (like Redis TTL)
+    async ttl(key) {
+      const entry = getEntry(key);
+      if (!entry) return -2;
+      if (entry.expiresAt === null) return -1;
+      return Math.ceil((entry.expiresAt - now()) / 1000);
+    },
+
+    async mttl(keys) {
+      return Promise.all(keys.map((key) => adapter.ttl(key)));
+    },
+
+    async sadd(key, member) {
+      getOrCreate(key, 'set', () => new Set()).value.add(String(member));
+      onChange();
+    },
+
+    async srem(key, member) {
+      const entry = getEntry(key, 'set');
+      if (entry) entry.value.delete(String(member));
+      onChange();
+    },
+
+    async smembers(key) {
+      const entry = getEntry(key, 'set');
+      return entry ? Array.from(entry.value) : [];
+    },
+
+    async zadd(key, score, member) {
+      getOrCreate(key, 'zset', () => new Map()).value.set(String(member), Number(score));
+      onChange();
+    },
+
+    async zrem(key, member) {
+      const entry = getEntry(key, 'zset');
+      if (entry) entry.value.delete(String(member));
+      onChange();
+    },
+
+    // Members scored <= max, lowest score first
+    async zrangebyscore(key, max) {
+      const entry = getEntry(key, 'zset');
+      if (!entry) return [];
+      return Array.from(entry.value.entries())
+        .filter(([, score]) => score <= max)
+        .sort((a, b) => a[1] - b[1])
+        .map(([member]) => member);
+    },
+
+    /**
+     * Compare-and-swap for versioned JSON documents: write `value` only if the stored document's
+     * `version` (0 when missing) equals expectedVersion. The sorted-set entry `index`
+     * ({ key, member, score | null to remove }) is updated in the same step.
+     */
+    async setIfVersion(key, expectedVersion, value, index) {
+      const entry = getEntry(key, 'string');
+      const version = entry ? (JSON.parse(entry.value).version || 0) : 0;
+      if (version !== expectedVersion) return false;
+      writeString(key, value);
+      if (index) {
+        if (index.score) getOrCreate(index.key, 'zset', () => new Map()).value.set(String(index.member), Number(index.score));
+        else getEntry(index.key, 'zset')?.value.delete(String(index.member));
+      }
+      onChange();
+      return true;
+    },
+
+    // Snapshot of every live entry as JSON-friendly [key, entry] pairs (file adapter)
+    exportEntries() {
+      const snapshot = [];
+      for (const key of Array.from(entries.keys())) {
+        const entry = getEntry(key);
+        if (!entry) continue;
+        const value = entry.type === 'string' ? entry.value : Array.from(entry.value);
+        snapshot.push([key, { type: entry.type, value, expiresAt: entry.expiresAt }]);
+      }
+      return snapshot;
+    }
+  };
+  return adapter;
+}
+
+module.exports = { createMemoryAdapter };
@@ -0,0 +1,152 @@
+/**
+ * Upstash Redis REST storage adapter – shared state for serverless instances (Vercel).
+ * Each adapter call is one HTTP request; EVAL/SET NX go as a JSON command body, and bulk
+ * reads (MGET, mttl) are a single request too.
+ */
+const { SET_IF_VERSION_SCRIPT, setIfVersionArgs } = require('./redisScripts');
+
+const fetchFn = globalThis.fetch;
+
+function toArray(result) {
+  if (!result) return [];
+  return Array.isArray(result) ? result : [result];
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.url - Upstash REST endpoint
+ * @param {string} options.token - Upstash REST token
+ */
+function createRedisRestAdapter({ url, token }) {
+  if (typeof fetchFn !== 'function') {
+    throw new Error('Fetch API is not available in this runtime. Please use Node 18+.');
+  }
+
+  async function redisRequest(command, args = [], options = {}) {
+    const { method = 'GET', body } = options;
+    const requestUrl = `${url}/${command}/${args.map((arg) => encodeURIComponent(arg)).join('/')}`;
+    const response = await fetchFn(requestUrl, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      body
+    });
+    const data = await response.json();
+    if ('error' in data) {
+      throw new Error(`Redis error (${command}): ${data.error}`);
+    }
+    return data.result;
+  }
+
+  // Full command as a JSON body (for commands with long or structured arguments, e.g. EVAL)
+  async function redisCommand(args) {
+    const response = await fetchFn(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(args)
+    });
+    const data = await response.json();
+    if ('error' in data) {
+      throw new Error(`Redis error (${args[0]}): ${data.error}`);
+    }
+    return data.result;
+  }
+
+  // Several commands in one HTTP request (Upstash /pipeline); resolves to their results in order
+  async function redisPipeline(commands) {
+    const response = await fetchFn(`${url}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(commands)
+    });
+    const data = await response.json();
+    if (!Array.isArray(data)) {
+      throw new Error(`Redis error (pipeline): ${data.error || 'unexpected response'}`);
+    }
+    return data.map((reply, i) => {
+      if ('error' in reply) throw new Error(`Redis error (${commands[i][0]}): ${reply.error}`);
+      return reply.result;
+    });
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const result = await redisRequest('get', [key]);
+      return result === null || result === undefined ? null : String(result);
+    },
+
+    async mget(keys) {
+      if (keys.length === 0) return [];
+      const result = await redisCommand(['MGET', ...keys]);
+      return toArray(result).map((value) => (value === null || value === undefined ? null : String(value)));
+    },
+
+    async set(key, value, { ttlSeconds, onlyIfAbsent } = {}) {
+      if (!ttlSeconds && !onlyIfAbsent) {
+        await redisRequest('set', [key, value], { method: 'POST' });
+        return true;
+      }
+      if (ttlSeconds && !onlyIfAbsent) {
+        await redisRequest('setex', [key, ttlSeconds, value], { method: 'POST' });
+        return true;
+      }
+      const args = ['SET', key, String(value)];
+      if (ttlSeconds) args.push('EX', String(ttlSeconds));
+      args.push('NX');
+      return (await redisCommand(args)) === 'OK';
+    },
+
+    async del(key) {
+      await redisRequest('del', [key], { method: 'POST' });
+    },
+
+    async ttl(key) {
+      const result = await redisRequest('ttl', [key]);
+      return typeof result === 'number' ? result : -2;
+    },
+
+    async mttl(keys) {
+      if (keys.length === 0) return [];
+      const results = await redisPipeline(keys.map((key) => ['TTL', key]));
+      return results.map((result) => (typeof result === 'number' ? result : -2));
+    },
+
+    async sadd(key, member) {
+      await redisRequest('sadd', [key, member], { method: 'POST' });
+    },
+
+    async srem(key, member) {
+      await redisRequest('srem', [key, member], { method: 'POST' });
+    },
+
+    async smembers(key) {
+      return toArray(await redisRequest('smembers', [key]));
+    },
+
+    async zadd(key, score, member) {
+      await redisRequest('zadd', [key, score, member], { method: 'POST' });
+    },
+
+    async zrem(key, member) {
+      await redisRequest('zrem', [key, member], { method: 'POST' });
+    },
+
+    async zrangebyscore(key, max) {
+      return toArray(await redisRequest('zrangebyscore', [key, '-inf', max]));
+    },
+
+    async setIfVersion(key, expectedVersion, value, index) {
+      const swapped = await redisCommand(['EVAL', SET_IF_VERSION_SCRIPT, ...setIfVersionArgs(key, expectedVersion, value, index)]);
+      return Number(swapped) === 1;
+    }
+  };
+}
+
+module.exports = { createRedisRestAdapter };
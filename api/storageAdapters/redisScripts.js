@@ -0,0 +1,35 @@
+/**
+ * Lua scripts shared by the Redis adapters (REST and TCP).
+ */
+
+// Compare-and-swap: write the document only if the stored version still matches ARGV[1].
+// The sorted-set entry (KEYS[2], member ARGV[3], score ARGV[4] or '' to remove) is updated
+// in the same step so it can never be overwritten by an older save.
+const SET_IF_VERSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+local version = 0
+if current then
+  local ok, decoded = pcall(cjson.decode, current)
+  if ok and decoded.version then version = tonumber(decoded.version) end
+end
+if version ~= tonumber(ARGV[1]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+if KEYS[2] ~= '' then
+  if ARGV[4] == '' then
+    redis.call('ZREM', KEYS[2], ARGV[3])
+  else
+    redis.call('ZADD', KEYS[2], ARGV[4], ARGV[3])
+  end
+end
+return 1
+`;
+
+// EVAL arguments for SET_IF_VERSION_SCRIPT (see setIfVersion in memory.js for the semantics)
+function setIfVersionArgs(key, expectedVersion, value, index) {
+  return [
+    '2', key, index ? index.key : '',
+    String(expectedVersion), value, index ? index.member : '', index && index.score ? String(index.score) : ''
+  ];
+}
+
+module.exports = { SET_IF_VERSION_SCRIPT, setIfVersionArgs };
@@ -0,0 +1,308 @@
+/**
+ * Redis storage adapter over the native protocol (RESP on TCP) – for self-hosted Redis.
+ * One connection is opened lazily and reused for every call. Commands issued in the same tick
+ * are written together and their replies matched in order (pipelining), so concurrent requests
+ * and bulk reads (MGET, mttl) cost one round-trip instead of one per key.
+ *
+ * A dropped connection fails the commands still waiting for a reply (they may or may not have
+ * run, so they are not retried); the next command reconnects.
+ */
+const crypto = require('crypto');
+const net = require('net');
+const tls = require('tls');
+const { SET_IF_VERSION_SCRIPT, setIfVersionArgs } = require('./redisScripts');
+
+const DEFAULT_PORT = 6379;
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_COMMAND_TIMEOUT_MS = 10000;
+const SET_IF_VERSION_SHA = crypto.createHash('sha1').update(SET_IF_VERSION_SCRIPT).digest('hex');
+
+// Error reply from the server (the connection stays usable)
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+// ---------- RESP encoding / decoding ----------
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Incremental RESP2 reply parser: feed it socket chunks, it calls onReply once per complete reply.
+ * Bulk strings decode to UTF-8 strings, nil to null, error replies to RedisReplyError values.
+ */
+function createReplyParser(onReply) {
+  let buffer = Buffer.alloc(0);
+
+  // Reply starting at `offset` as { value, offset: end }, or null if it isn't complete yet
+  function parseReply(offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new RedisReplyError(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = parseReply(position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new Error(`Redis protocol error: unexpected reply type "${type}"`);
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      while (offset < buffer.length) {
+        const reply = parseReply(offset);
+        if (!reply) break;
+        offset = reply.offset;
+        onReply(reply.value);
+      }
+      buffer = buffer.subarray(offset);
+    },
+
+    reset() {
+      buffer = Buffer.alloc(0);
+    }
+  };
+}
+
+// ---------- Adapter ----------
+
+/**
+ * @param {object} options
+ * @param {string} options.url - redis://[[user]:password@]host[:port][/db] (rediss:// for TLS)
+ * @param {number} [options.connectTimeoutMs]
+ * @param {number} [options.commandTimeoutMs] - Drop the connection when a reply takes longer
+ */
+function createRedisTcpAdapter({ url, connectTimeoutMs = DEFAULT_CONNECT_TIMEOUT_MS, commandTimeoutMs = DEFAULT_COMMAND_TIMEOUT_MS }) {
+  const target = new URL(url);
+  if (target.protocol !== 'redis:' && target.protocol !== 'rediss:') {
+    throw new Error(`REDIS_URL must start with redis:// or rediss:// (got ${target.protocol})`);
+  }
+  const useTls = target.protocol === 'rediss:';
+  const host = target.hostname || '127.0.0.1';
+  const port = Number(target.port) || DEFAULT_PORT;
+  const username = decodeURIComponent(target.username);
+  const password = decodeURIComponent(target.password);
+  const database = Number(target.pathname.slice(1)) || 0;
+
+  let socket = null;
+  let connected = false;
+  let pending = []; // { command, resolve, reject } waiting for a reply, in send order
+  let outgoing = []; // encoded commands not yet written
+  let flushScheduled = false;
+
+  function failPending(err) {
+    const waiting = pending;
+    pending = [];
+    outgoing = [];
+    waiting.forEach(({ reject }) => reject(err));
+  }
+
+  // Keep the process alive (and watch for a stalled server) only while replies are outstanding
+  function updateIdleState() {
+    if (!socket) return;
+    if (pending.length > 0) {
+      socket.ref();
+      socket.setTimeout(connected ? commandTimeoutMs : connectTimeoutMs);
+    } else {
+      socket.unref();
+      socket.setTimeout(0);
+    }
+  }
+
+  function handleReply(value) {
+    const entry = pending.shift();
+    if (!entry) return;
+    if (value instanceof RedisReplyError) {
+      entry.reject(new RedisReplyError(`Redis error (${entry.command}): ${value.message}`));
+    } else {
+      entry.resolve(value);
+    }
+    updateIdleState();
+  }
+
+  function connect() {
+    const parser = createReplyParser(handleReply);
+    const options = { host, port };
+    const current = useTls ? tls.connect({ ...options, servername: host }) : net.connect(options);
+    current.setNoDelay(true);
+    current.on(useTls ? 'secureConnect' : 'connect', () => {
+      connected = true;
+      updateIdleState();
+    });
+    current.on('data', (chunk) => {
+      try {
+        parser.push(chunk);
+      } catch (err) {
+        current.destroy(err);
+      }
+    });
+    current.on('timeout', () => {
+      current.destroy(new Error(connected ? 'Redis command timed out' : 'Redis connect timed out'));
+    });
+    let lastError = null;
+    current.on('error', (err) => {
+      lastError = err; // reported through 'close'
+    });
+    current.on('close', () => {
+      if (socket !== current) return;
+      socket = null;
+      connected = false;
+      parser.reset();
+      failPending(new Error(`Redis connection to ${host}:${port} closed${lastError ? `: ${lastError.message}` : ''}`));
+    });
+    socket = current;
+
+    // Handshake goes first in the pipeline; a failure surfaces on the commands queued behind it
+    const handshake = [];
+    if (password) handshake.push(username ? ['AUTH', username, password] : ['AUTH', password]);
+    if (database) handshake.push(['SELECT', database]);
+    handshake.forEach((args) => {
+      enqueue(args).catch((err) => {
+        console.error(`Redis ${args[0]} failed:`, err.message);
+        current.destroy();
+      });
+    });
+  }
+
+  function enqueue(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ command: args[0], resolve, reject });
+      outgoing.push(encodeCommand(args));
+      if (!flushScheduled) {
+        flushScheduled = true;
+        process.nextTick(flush);
+      }
+      updateIdleState();
+    });
+  }
+
+  function flush() {
+    flushScheduled = false;
+    if (!socket || outgoing.length === 0) return;
+    socket.write(outgoing.join(''));
+    outgoing = [];
+  }
+
+  function command(args) {
+    if (!socket) connect();
+    return enqueue(args);
+  }
+
+  return {
+    name: 'redis-tcp',
+
+    async get(key) {
+      return command(['GET', key]);
+    },
+
+    async mget(keys) {
+      if (keys.length === 0) return [];
+      return command(['MGET', ...keys]);
+    },
+
+    async set(key, value, { ttlSeconds, onlyIfAbsent } = {}) {
+      const args = ['SET', key, value];
+      if (ttlSeconds) args.push('EX', ttlSeconds);
+      if (onlyIfAbsent) args.push('NX');
+      return (await command(args)) === 'OK';
+    },
+
+    async del(key) {
+      await command(['DEL', key]);
+    },
+
+    async ttl(key) {
+      return command(['TTL', key]);
+    },
+
+    async mttl(keys) {
+      return Promise.all(keys.map((key) => command(['TTL', key])));
+    },
+
+    async sadd(key, member) {
+      await command(['SADD', key, member]);
+    },
+
+    async srem(key, member) {
+      await command(['SREM', key, member]);
+    },
+
+    async smembers(key) {
+      return command(['SMEMBERS', key]);
+    },
+
+    async zadd(key, score, member) {
+      await command(['ZADD', key, score, member]);
+    },
+
+    async zrem(key, member) {
+      await command(['ZREM', key, member]);
+    },
+
+    async zrangebyscore(key, max) {
+      return command(['ZRANGEBYSCORE', key, '-inf', max]);
+    },
+
+    // The script is sent once per server (EVALSHA, falling back to EVAL when it isn't cached yet)
+    async setIfVersion(key, expectedVersion, value, index) {
+      const args = setIfVersionArgs(key, expectedVersion, value, index);
+      let swapped;
+      try {
+        swapped = await command(['EVALSHA', SET_IF_VERSION_SHA, ...args]);
+      } catch (err) {
+        if (!(err instanceof RedisReplyError) || !err.message.includes('NOSCRIPT')) throw err;
+        swapped = await command(['EVAL', SET_IF_VERSION_SCRIPT, ...args]);
+      }
+      return Number(swapped) === 1;
+    },
+
+    // Close the connection after the outstanding replies (tests, graceful shutdown)
+    async close() {
+      if (!socket) return;
+      const current = socket;
+      await command(['QUIT']).catch(() => {});
+      if (!current.destroyed) {
+        await new Promise((resolve) => current.once('close', resolve));
+      }
+    }
+  };
+}
+
+module.exports = { createRedisTcpAdapter, encodeCommand, createReplyParser, RedisReplyError };
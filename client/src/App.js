@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './App.css';
-import { API_URL } from './shared/api/client.js';
-import { saveSession, loadSession, clearSession } from './shared/session/index.js';
+import { API_URL, sessionHeaders, gameActionUrl } from './shared/api/client.js';
+import { saveSession, loadSession, clearSession, getSessionToken } from './shared/session/index.js';
 import { checkUsernameDuplication } from './shared/api/checkUsername.js';
 import { validateUsername } from './shared/utils/validateUsername.js';
 import { RegisterName } from './features/user';
@@ -11,7 +11,8 @@ import {
   JoinRoom,
   CheckPassword,
   JoinRoomWithQR,
-  WaitingRoom
+  WaitingRoom,
+  PenaltyRoulette
 } from './features/room';
 import { TelepathyPlay, TelepathyResult } from './features/telepathy/TelepathyComponents.jsx';
 import {
@@ -20,10 +21,69 @@ import {
   LiarVote,
   LiarArgument,
   LiarIdentify,
-  LiarResult
+  LiarResult,
+  LiarLocationGuess
 } from './features/liar/LiarComponents.jsx';
+import { MafiaNight, MafiaDay, MafiaVote, MafiaArgument, MafiaResult } from './features/mafia/MafiaComponents.jsx';
+import { BalancePick, BalanceResult } from './features/balance/BalanceComponents.jsx';
+import { MostLikelyVote, MostLikelyReveal, MostLikelyResult } from './features/mostLikely/MostLikelyComponents.jsx';
+import { NunchiPlay, NunchiResult } from './features/nunchi/NunchiComponents.jsx';
+import { UpDownPick, UpDownGuess, UpDownResult } from './features/upDown/UpDownComponents.jsx';
+import { Br31Play, Br31Result } from './features/br31/Br31Components.jsx';
+import { ChosungQuestion, ChosungReveal, ChosungResult } from './features/chosung/ChosungComponents.jsx';
 import { playStateChange, playPhaseAdvance, playResult } from './shared/sound/playSound.js';
 
+// Games with one screen (currentState = game type) that follows room.gameState:
+// states - every gameState of the round, resultState - shown until the player returns to the lobby,
+// phaseStates - played with the phase-advance sound
+const SCREEN_GAMES = {
+  mafia: {
+    states: ['mafiaNight', 'mafiaDay', 'mafiaVote', 'mafiaArgument', 'mafiaResult'],
+    resultState: 'mafiaResult',
+    phaseStates: ['mafiaVote', 'mafiaArgument']
+  },
+  balance: {
+    states: ['balancePick', 'balanceResult'],
+    resultState: 'balanceResult',
+    phaseStates: []
+  },
+  mostLikely: {
+    states: ['mostLikelyVote', 'mostLikelyReveal', 'mostLikelyResult'],
+    resultState: 'mostLikelyResult',
+    phaseStates: ['mostLikelyReveal']
+  },
+  nunchi: {
+    states: ['nunchiPlay', 'nunchiResult'],
+    resultState: 'nunchiResult',
+    phaseStates: []
+  },
+  upDown: {
+    states: ['upDownPick', 'upDownGuess', 'upDownResult'],
+    resultState: 'upDownResult',
+    phaseStates: ['upDownGuess']
+  },
+  br31: {
+    states: ['br31Play', 'br31Result'],
+    resultState: 'br31Result',
+    phaseStates: []
+  },
+  chosung: {
+    states: ['chosungQuestion', 'chosungReveal', 'chosungResult'],
+    resultState: 'chosungResult',
+    phaseStates: ['chosungQuestion']
+  }
+};
+
+// Screens of a running game (heartbeat, warnings and the game stream stay on for these)
+const GAME_SCREENS = ['telepathy', 'telepathyResult', 'liar', ...Object.keys(SCREEN_GAMES)];
+
+// Room states of a finished round (the penalty roulette shows under their result screens)
+const RESULT_STATES = ['completed', 'liarResult', ...Object.values(SCREEN_GAMES).map((g) => g.resultState)];
+
+// Screen game whose round is at gameState (null for the lobby, telepathy and liar)
+const screenGameOf = (gameState) =>
+  Object.keys(SCREEN_GAMES).find((type) => SCREEN_GAMES[type].states.includes(gameState)) || null;
+
 function App() {
   // VERSION: Session 22 - 2026-03-10 (check console to verify deployment)
   const VERSION = 'v3.0.7';
@@ -74,6 +134,7 @@ function App() {
   // Game data
   const [matches, setMatches] = useState([]);
   const [unmatched, setUnmatched] = useState([]);
+  const [matchDetails, setMatchDetails] = useState(null); // rest of the telepathy matchResult (mode, one-sided picks, most wanted)
   const [selectedUser, setSelectedUser] = useState(null);
   const [hasVoted, setHasVoted] = useState(false);
   const [userRole, setUserRole] = useState('attender'); // 'attender' or 'observer'
@@ -96,12 +157,15 @@ function App() {
   // Game selection (telepathy | liar)
   const [gameType, setGameType] = useState('telepathy');
   const [showGameSelect, setShowGameSelect] = useState(false);
+  const [roundHistory, setRoundHistory] = useState(null); // null = history closed
   const [kickTargetUser, setKickTargetUser] = useState(null); // For kick confirmation modal
   // Liar game settings (when gameType is liar)
   const [liarSubject, setLiarSubject] = useState('물건');
   const [liarMethod, setLiarMethod] = useState('커스텀');
   const [liarCustomSubject, setLiarCustomSubject] = useState('');
   const [liarMyWord, setLiarMyWord] = useState(null); // Secret word for non-liar (from API)
+  const [liarMyRole, setLiarMyRole] = useState(null); // 장소 mode: own role card at the location
+  const [upDownMySecret, setUpDownMySecret] = useState(null); // Up-and-down number, only sent to its picker
   
   // Warning state
   const [showUserWarning, setShowUserWarning] = useState(false);
@@ -114,6 +178,8 @@ function App() {
   
   // Polling
   const pollingInterval = useRef(null);
+  const roomStream = useRef(null); // EventSource for the room push channel
+  const lastRoomVersion = useRef(null); // Last room version seen (sent as sinceVersion so unchanged polls stay tiny)
   const heartbeatInterval = useRef(null);
   const warningInterval = useRef(null);
   const adminWarningInterval = useRef(null);
@@ -122,7 +188,10 @@ function App() {
   // Refs to hold the latest polling callbacks (fixes stale closure issue)
   const pollWaitingRoomStatusRef = useRef(null);
   const pollRoomStatusRef = useRef(null);
+  const applyWaitingRoomStatusRef = useRef(null);
+  const applyRoomStatusRef = useRef(null);
   const prevLiarGameStateRef = useRef(null); // For sound on liar state change
+  const prevScreenGameStateRef = useRef(null); // For sound on mafia/balance/... state change
   const liarCustomSubjectInputFocusedRef = useRef(false); // Prevent poll from overwriting while typing
   const unloadRef = useRef({ username: '', roomId: '', userId: '' });
 
@@ -137,6 +206,9 @@ function App() {
       if (pollingInterval.current) {
         clearInterval(pollingInterval.current);
       }
+      if (roomStream.current) {
+        roomStream.current.close();
+      }
       if (heartbeatInterval.current) {
         clearInterval(heartbeatInterval.current);
       }
@@ -161,7 +233,7 @@ function App() {
       const session = loadSession();
       console.log('📦 Loaded session:', session);
       
-      if (!session || !session.username || !session.roomId || !session.userId) {
+      if (!session || !session.username || !session.roomId || !session.userId || !session.sessionToken) {
         console.log('❌ No valid session found');
         return;
       }
@@ -170,7 +242,9 @@ function App() {
 
       try {
         // Check if the room still exists and user is still in it
-        const response = await fetch(`${API_URL}/api/room/${session.roomId}?username=${encodeURIComponent(session.username || '')}`);
+        const response = await fetch(`${API_URL}/api/room/${session.roomId}?username=${encodeURIComponent(session.username || '')}`, {
+          headers: sessionHeaders()
+        });
         const data = await response.json();
         console.log('📡 Room API response:', data.success, 'users:', data.room?.users?.length);
 
@@ -204,7 +278,11 @@ function App() {
               console.log('🎉 Restoring to telepathyResult state (user has not returned)');
               setMatches(data.matchResult.matches || []);
               setUnmatched(data.matchResult.unmatched || []);
+              setMatchDetails(data.matchResult);
               setCurrentState('telepathyResult');
+            } else if (screenGameOf(data.room.gameState) && !(data.room.gameState === SCREEN_GAMES[screenGameOf(data.room.gameState)].resultState && hasReturned)) {
+              console.log(`🎮 Restoring to ${screenGameOf(data.room.gameState)} state`);
+              setCurrentState(screenGameOf(data.room.gameState));
             } else {
               // waiting, or completed but user already returned, or all returned (matchResult cleared)
               console.log('⏳ Restoring to waitingroom state');
@@ -235,7 +313,8 @@ function App() {
     const freeUsername = () => {
       const { username: u, roomId: r, userId: i } = unloadRef.current;
       if (!u) return;
-      const payload = JSON.stringify({ username: u, roomId: r || undefined, userId: i || undefined });
+      // Session token goes in the body: sendBeacon cannot set headers
+      const payload = JSON.stringify({ username: u, roomId: r || undefined, userId: i || undefined, sessionToken: getSessionToken() || undefined });
       const url = `${API_URL}/api/remove-user`;
       try {
         // fetch with keepalive outlives page unload (often more reliable than sendBeacon)
@@ -300,11 +379,17 @@ function App() {
     if (!username || !userId) return;
     
     try {
-      await fetch(`${API_URL}/api/ping`, {
+      const response = await fetch(`${API_URL}/api/ping`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ username, userId })
       });
+      const data = await response.json();
+      // Session tokens expire; the server renews them on every heartbeat
+      const session = loadSession();
+      if (data.sessionToken && session) {
+        saveSession({ ...session, sessionToken: data.sessionToken });
+      }
     } catch (error) {
       console.error('Heartbeat error:', error);
     }
@@ -327,6 +412,22 @@ function App() {
     }
   };
 
+  const stopFallbackPolling = useCallback(() => {
+    if (pollingInterval.current) {
+      clearInterval(pollingInterval.current);
+      pollingInterval.current = null;
+    }
+  }, []);
+
+  // Stops every room update source (event stream and fallback polling)
+  const stopPolling = useCallback(() => {
+    if (roomStream.current) {
+      roomStream.current.close();
+      roomStream.current = null;
+    }
+    stopFallbackPolling();
+  }, [stopFallbackPolling]);
+
   // ========== UNIFIED KICK HANDLER ==========
   // Handles all kick scenarios with proper alerts and state transitions
   // Priority: ADMIN > MASTER > ROOM_DELETED > INACTIVITY
@@ -376,6 +477,7 @@ function App() {
     setRoomData(null);
     setMatches([]);
     setUnmatched([]);
+    setMatchDetails(null);
     setSelectedUser(null);
     setHasVoted(false);
     stopPolling();
@@ -387,7 +489,7 @@ function App() {
     } else {
       setCurrentState('makeOrJoinRoom');
     }
-  }, []);
+  }, [stopPolling]);
 
   // Warning check function
   const checkWarning = useCallback(async () => {
@@ -555,26 +657,64 @@ function App() {
     stopAdminWarningCheck();
   }, [adminToken, currentState, startAdminWarningCheck, stopAdminWarningCheck]);
 
-  // Polling functions
-  const pollRoomStatus = useCallback(async () => {
-    if (!roomId) return;
-    
-    console.log('🔄 Polling room status...', { roomId, currentState, userId, hasVoted });
+  // Room status handlers (fed by the room event stream, or by polling when the stream is down)
+  const applyRoomStatus = useCallback((data) => {
+    // Handle room not found (deleted or user kicked)
+    if (!data.success) {
+      console.log('❌ Room not found or access denied', data);
+      if (!isLeavingRoom.current) {
+        // Use unified marker system - roomDeleteReason tells us why
+        handleKickByReason('ROOM_DELETED', data.roomDeleteReason);
+      } else {
+        // User left voluntarily, just clean up state
+        setRoomId('');
+        setUserId('');
+        setUsers([]);
+        setIsMaster(false);
+        setRoomData(null);
+        setMatches([]);
+        setUnmatched([]);
+        setMatchDetails(null);
+        setSelectedUser(null);
+        setHasVoted(false);
+        stopPolling();
+        stopWarningCheck();
+      }
+      isLeavingRoom.current = false;
+      return;
+    }
     
-    try {
-      const response = await fetch(`${API_URL}/api/room/${roomId}?username=${encodeURIComponent(username || '')}&t=${Date.now()}`, {
-        cache: 'no-store'
+    if (data.success && data.room) {
+      console.log('📊 Polling response:', {
+        gameState: data.room.gameState,
+        userCount: data.room.users.length,
+        hasMatchResult: !!data.matchResult,
+        currentUserVoted: data.room.users.find(u => u.id === userId)?.hasVoted,
+        allUsersVotingStatus: data.room.users.map(u => ({ name: u.displayName, voted: u.hasVoted, id: u.id }))
       });
-      const data = await response.json();
       
-      // Handle room not found (deleted or user kicked)
-      if (!data.success) {
-        console.log('❌ Room not found or access denied', data);
+      // ========== UNIFIED MARKER CHECK ==========
+      // Check if current user has a kick marker
+      if (data.userKickMarkers && data.userKickMarkers[username]) {
+        const kickMarker = data.userKickMarkers[username];
+        console.log('❌ User has kick marker:', kickMarker);
+        if (!isLeavingRoom.current) {
+          handleKickByReason(kickMarker.reason, kickMarker.roomDeleteReason);
+        }
+        isLeavingRoom.current = false;
+        return;
+      }
+      
+      // Check if current user is still in the room
+      const currentUserInRoom = data.room.users.find(user => user.id === userId);
+      if (!currentUserInRoom) {
+        // User has been kicked or removed
         if (!isLeavingRoom.current) {
-          // Use unified marker system - roomDeleteReason tells us why
-          handleKickByReason('ROOM_DELETED', data.roomDeleteReason);
+          console.log('❌ User not in room (kicked), redirecting...');
+          // Fallback: assume master kick if no marker
+          handleKickByReason('MASTER');
         } else {
-          // User left voluntarily, just clean up state
+          console.log('✅ User left voluntarily, no alert needed');
           setRoomId('');
           setUserId('');
           setUsers([]);
@@ -582,6 +722,7 @@ function App() {
           setRoomData(null);
           setMatches([]);
           setUnmatched([]);
+          setMatchDetails(null);
           setSelectedUser(null);
           setHasVoted(false);
           stopPolling();
@@ -591,110 +732,103 @@ function App() {
         return;
       }
       
-      if (data.success && data.room) {
-        console.log('📊 Polling response:', {
-          gameState: data.room.gameState,
-          userCount: data.room.users.length,
-          hasMatchResult: !!data.matchResult,
-          currentUserVoted: data.room.users.find(u => u.id === userId)?.hasVoted,
-          allUsersVotingStatus: data.room.users.map(u => ({ name: u.displayName, voted: u.hasVoted, id: u.id }))
-        });
-        
-        // ========== UNIFIED MARKER CHECK ==========
-        // Check if current user has a kick marker
-        if (data.userKickMarkers && data.userKickMarkers[username]) {
-          const kickMarker = data.userKickMarkers[username];
-          console.log('❌ User has kick marker:', kickMarker);
-          if (!isLeavingRoom.current) {
-            handleKickByReason(kickMarker.reason, kickMarker.roomDeleteReason);
-          }
-          isLeavingRoom.current = false;
-          return;
-        }
-        
-        // Check if current user is still in the room
-        const currentUserInRoom = data.room.users.find(user => user.id === userId);
-        if (!currentUserInRoom) {
-          // User has been kicked or removed
-          if (!isLeavingRoom.current) {
-            console.log('❌ User not in room (kicked), redirecting...');
-            // Fallback: assume master kick if no marker
-            handleKickByReason('MASTER');
-          } else {
-            console.log('✅ User left voluntarily, no alert needed');
-            setRoomId('');
-            setUserId('');
-            setUsers([]);
-            setIsMaster(false);
-            setRoomData(null);
-            setMatches([]);
-            setUnmatched([]);
-            setSelectedUser(null);
-            setHasVoted(false);
-            stopPolling();
-            stopWarningCheck();
-          }
-          isLeavingRoom.current = false;
-          return;
+      // Update users with voting status
+      console.log('👥 Users update:', data.room.users.map(u => ({ name: u.displayName, voted: u.hasVoted })));
+      console.log('🔄 Setting users state with voting status...');
+      setUsers(data.room.users);
+      setGameState(data.room.gameState || 'waiting');
+      setGameType(data.room.gameType || 'telepathy');
+      setLiarSubject(data.room.liarSubject || '물건');
+      setLiarMethod(data.room.liarMethod || '커스텀');
+      if (!liarCustomSubjectInputFocusedRef.current) {
+        setLiarCustomSubject(data.room.liarCustomSubject || '');
+      }
+      setRoomData(data.room);
+      if (data.liarMyWord !== undefined) setLiarMyWord(data.liarMyWord);
+      if (data.liarMyRole !== undefined) setLiarMyRole(data.liarMyRole);
+      if (data.upDownMySecret !== undefined) setUpDownMySecret(data.upDownMySecret);
+      
+      // Check if current user has returned to waiting room
+      const currentUserData = data.room.users.find(u => u.id === userId);
+      const hasCurrentUserReturned = currentUserData?.hasReturnedToWaiting || false;
+      
+      // Liar game flow
+      if (data.room.gameType === 'liar') {
+        const newLiarState = data.room.gameState;
+        if (prevLiarGameStateRef.current !== newLiarState) {
+          if (newLiarState === 'liarResult') playResult();
+          else if (['liarVote', 'liarArgument', 'liarIdentify'].includes(newLiarState)) playPhaseAdvance();
+          else playStateChange();
+          prevLiarGameStateRef.current = newLiarState;
         }
-        
-        // Update users with voting status
-        console.log('👥 Users update:', data.room.users.map(u => ({ name: u.displayName, voted: u.hasVoted })));
-        console.log('🔄 Setting users state with voting status...');
-        setUsers(data.room.users);
-        setGameState(data.room.gameState || 'waiting');
-        setGameType(data.room.gameType || 'telepathy');
-        setLiarSubject(data.room.liarSubject || '물건');
-        setLiarMethod(data.room.liarMethod || '커스텀');
-        if (!liarCustomSubjectInputFocusedRef.current) {
-          setLiarCustomSubject(data.room.liarCustomSubject || '');
+        if (newLiarState === 'waiting') {
+          console.log('👤 Liar: back to waitingroom');
+          prevLiarGameStateRef.current = null;
+          setCurrentState('waitingroom');
         }
-        setRoomData(data.room);
-        if (data.liarMyWord !== undefined) setLiarMyWord(data.liarMyWord);
-        
-        // Check if current user has returned to waiting room
-        const currentUserData = data.room.users.find(u => u.id === userId);
-        const hasCurrentUserReturned = currentUserData?.hasReturnedToWaiting || false;
-        
-        // Liar game flow
-        if (data.room.gameType === 'liar') {
-          const newLiarState = data.room.gameState;
-          if (prevLiarGameStateRef.current !== newLiarState) {
-            if (newLiarState === 'liarResult') playResult();
-            else if (['liarVote', 'liarArgument', 'liarIdentify'].includes(newLiarState)) playPhaseAdvance();
-            else playStateChange();
-            prevLiarGameStateRef.current = newLiarState;
-          }
-          if (newLiarState === 'waiting') {
-            console.log('👤 Liar: back to waitingroom');
-            prevLiarGameStateRef.current = null;
-            setCurrentState('waitingroom');
-          }
-          return;
+        return;
+      }
+
+      // Screen game flow (mafia, balance, ...)
+      const screenGame = SCREEN_GAMES[data.room.gameType];
+      if (screenGame) {
+        const newGameState = data.room.gameState;
+        if (prevScreenGameStateRef.current !== newGameState) {
+          if (newGameState === screenGame.resultState) playResult();
+          else if (screenGame.phaseStates.includes(newGameState)) playPhaseAdvance();
+          else playStateChange();
+          prevScreenGameStateRef.current = newGameState;
         }
-        
-        // Telepathy flow
-        if (data.matchResult && !hasCurrentUserReturned) {
-          console.log('✅ Match results found, showing results to user');
-          setMatches(data.matchResult.matches || []);
-          setUnmatched(data.matchResult.unmatched || []);
-          if (currentState !== 'telepathyResult') {
-            playResult();
-            setCurrentState('telepathyResult');
-          }
-        } else if (hasCurrentUserReturned || (!data.matchResult && data.room.gameState === 'waiting')) {
-          console.log('👤 User has returned (or all returned), switching to waitingroom');
+        if (newGameState === 'waiting' || (newGameState === screenGame.resultState && hasCurrentUserReturned)) {
+          console.log(`👤 ${data.room.gameType}: back to waitingroom`);
+          prevScreenGameStateRef.current = null;
           setCurrentState('waitingroom');
         }
-      } else {
-        console.log('❌ Polling failed:', data);
+        return;
       }
+      
+      // Telepathy flow
+      if (data.matchResult && !hasCurrentUserReturned) {
+        console.log('✅ Match results found, showing results to user');
+        setMatches(data.matchResult.matches || []);
+        setUnmatched(data.matchResult.unmatched || []);
+        setMatchDetails(data.matchResult);
+        if (currentState !== 'telepathyResult') {
+          playResult();
+          setCurrentState('telepathyResult');
+        }
+      } else if (hasCurrentUserReturned || (!data.matchResult && data.room.gameState === 'waiting')) {
+        console.log('👤 User has returned (or all returned), switching to waitingroom');
+        setCurrentState('waitingroom');
+      }
+    } else {
+      console.log('❌ Polling failed:', data);
+    }
+  }, [currentState, userId, username, handleKickByReason, stopPolling]);
+
+  // Polling functions
+  const pollRoomStatus = useCallback(async () => {
+    if (!roomId) return;
+    
+    console.log('🔄 Polling room status...', { roomId, currentState, userId, hasVoted });
+    
+    try {
+      const sinceVersion = lastRoomVersion.current !== null ? `&sinceVersion=${lastRoomVersion.current}` : '';
+      const response = await fetch(`${API_URL}/api/room/${roomId}?username=${encodeURIComponent(username || '')}${sinceVersion}&t=${Date.now()}`, {
+        cache: 'no-store',
+        headers: sessionHeaders()
+      });
+      const data = await response.json();
+      if (data.unchanged) return;
+      lastRoomVersion.current = data.room?.version ?? null;
+      if (applyRoomStatusRef.current) applyRoomStatusRef.current(data);
     } catch (error) {
       console.error('❌ Error polling room status:', error);
     }
-  }, [roomId, currentState, userId, hasVoted, username, handleKickByReason]);
+  }, [roomId, currentState, userId, hasVoted, username]);
 
-  // Update ref synchronously during render (not in useEffect) to avoid stale closure
+  // Update refs synchronously during render (not in useEffect) to avoid stale closure
+  applyRoomStatusRef.current = applyRoomStatus;
   pollRoomStatusRef.current = pollRoomStatus;
 
   const startPolling = useCallback(() => {
@@ -702,6 +836,7 @@ function App() {
     if (pollingInterval.current) {
       clearInterval(pollingInterval.current);
     }
+    lastRoomVersion.current = null; // First poll after (re)start always gets the full payload
     // Do an immediate poll, then start interval
     // Use ref to always call the latest version of the callback
     if (pollRoomStatusRef.current) {
@@ -714,28 +849,47 @@ function App() {
     }, 2000);
   }, [roomId]); // Include roomId to restart polling when room changes
 
-  const pollWaitingRoomStatus = useCallback(async () => {
-    if (!roomId) {
-      console.log('⏸️ pollWaitingRoomStatus: no roomId, skipping');
+  const applyWaitingRoomStatus = useCallback((data) => {
+    console.log('📡 Room update:', data.success ? `${data.room?.users?.length} users` : 'failed');
+    
+    // Handle room not found (deleted or user kicked)
+    if (!data.success) {
+      console.log('❌ Room not found or access denied', data);
+      if (!isLeavingRoom.current) {
+        // Use unified marker system
+        handleKickByReason('ROOM_DELETED', data.roomDeleteReason);
+      } else {
+        setRoomId('');
+        setUserId('');
+        setUsers([]);
+        setIsMaster(false);
+        setRoomData(null);
+        stopPolling();
+        stopWarningCheck();
+      }
+      isLeavingRoom.current = false;
       return;
     }
     
-    console.log('🔄 pollWaitingRoomStatus running for room:', roomId);
-    
-    try {
-      const response = await fetch(`${API_URL}/api/room/${roomId}?username=${encodeURIComponent(username || '')}&t=${Date.now()}`, {
-        cache: 'no-store'
-      });
-      const data = await response.json();
-      
-      console.log('📡 Poll response:', data.success ? `${data.room?.users?.length} users` : 'failed');
+    if (data.success && data.room) {
+      // ========== UNIFIED MARKER CHECK ==========
+      // Check if current user has a kick marker
+      if (data.userKickMarkers && data.userKickMarkers[username]) {
+        const kickMarker = data.userKickMarkers[username];
+        console.log('❌ User has kick marker:', kickMarker);
+        if (!isLeavingRoom.current) {
+          handleKickByReason(kickMarker.reason, kickMarker.roomDeleteReason);
+        }
+        isLeavingRoom.current = false;
+        return;
+      }
       
-      // Handle room not found (deleted or user kicked)
-      if (!data.success) {
-        console.log('❌ Room not found or access denied', data);
+      // Check if current user is still in the room
+      const currentUserInRoom = data.room.users.find(user => user.id === userId);
+      if (!currentUserInRoom) {
         if (!isLeavingRoom.current) {
-          // Use unified marker system
-          handleKickByReason('ROOM_DELETED', data.roomDeleteReason);
+          // Fallback: assume master kick if no marker
+          handleKickByReason('MASTER');
         } else {
           setRoomId('');
           setUserId('');
@@ -749,76 +903,74 @@ function App() {
         return;
       }
       
-      if (data.success && data.room) {
-        // ========== UNIFIED MARKER CHECK ==========
-        // Check if current user has a kick marker
-        if (data.userKickMarkers && data.userKickMarkers[username]) {
-          const kickMarker = data.userKickMarkers[username];
-          console.log('❌ User has kick marker:', kickMarker);
-          if (!isLeavingRoom.current) {
-            handleKickByReason(kickMarker.reason, kickMarker.roomDeleteReason);
-          }
-          isLeavingRoom.current = false;
-          return;
-        }
-        
-        // Check if current user is still in the room
-        const currentUserInRoom = data.room.users.find(user => user.id === userId);
-        if (!currentUserInRoom) {
-          if (!isLeavingRoom.current) {
-            // Fallback: assume master kick if no marker
-            handleKickByReason('MASTER');
-          } else {
-            setRoomId('');
-            setUserId('');
-            setUsers([]);
-            setIsMaster(false);
-            setRoomData(null);
-            stopPolling();
-            stopWarningCheck();
-          }
-          isLeavingRoom.current = false;
-          return;
-        }
-        
-        // Update users and master status
-        setUsers(data.room.users);
-        setIsMaster(data.room.masterId === userId);
-        setGameState(data.room.gameState || 'waiting');
-        setGameType(data.room.gameType || 'telepathy');
-        setLiarSubject(data.room.liarSubject || '물건');
-        setLiarMethod(data.room.liarMethod || '커스텀');
-        setRoomData(data.room);
-        if (!liarCustomSubjectInputFocusedRef.current) {
-          setLiarCustomSubject(data.room.liarCustomSubject || '');
-        }
+      // Update users and master status
+      setUsers(data.room.users);
+      setIsMaster(data.room.masterId === userId);
+      setGameState(data.room.gameState || 'waiting');
+      setGameType(data.room.gameType || 'telepathy');
+      setLiarSubject(data.room.liarSubject || '물건');
+      setLiarMethod(data.room.liarMethod || '커스텀');
+      setRoomData(data.room);
+      if (!liarCustomSubjectInputFocusedRef.current) {
+        setLiarCustomSubject(data.room.liarCustomSubject || '');
+      }
 
-        // Check if game started (don't switch back to liar if user already returned)
-        const currentUserData = data.room.users?.find((u) => u.id === userId);
-        const hasReturned = currentUserData?.hasReturnedToWaiting || false;
-        if (data.room.gameState === 'linking') {
-          console.log('🎮 Game state changed to telepathy, switching to game polling...');
+      // Check if game started (don't switch back to liar if user already returned)
+      const currentUserData = data.room.users?.find((u) => u.id === userId);
+      const hasReturned = currentUserData?.hasReturnedToWaiting || false;
+      // The currentState effect reopens the room stream for the game screens
+      if (data.room.gameState === 'linking') {
+        console.log('🎮 Game state changed to telepathy, switching to game updates...');
+        playStateChange();
+        setCurrentState('telepathy');
+      } else if (['liarWordInput', 'liarPlay', 'liarVote', 'liarArgument', 'liarIdentify', 'liarResult'].includes(data.room.gameState)) {
+        if (data.room.gameState === 'liarResult' && hasReturned) {
+          // User returned to waiting; stay in waitingroom, don't bounce back
+        } else {
+          console.log('🎮 Liar game started, switching to liar updates...');
           playStateChange();
-          setCurrentState('telepathy');
-          startPolling();
-        } else if (['liarWordInput', 'liarPlay', 'liarVote', 'liarArgument', 'liarIdentify', 'liarResult'].includes(data.room.gameState)) {
-          if (data.room.gameState === 'liarResult' && hasReturned) {
-            // User returned to waiting; stay in waitingroom, don't bounce back
-          } else {
-            console.log('🎮 Liar game started, switching to liar polling...');
-            playStateChange();
-            prevLiarGameStateRef.current = data.room.gameState;
-            setCurrentState('liar');
-            startPolling();
-          }
+          prevLiarGameStateRef.current = data.room.gameState;
+          setCurrentState('liar');
+        }
+      } else if (screenGameOf(data.room.gameState)) {
+        const startedGame = screenGameOf(data.room.gameState);
+        if (data.room.gameState === SCREEN_GAMES[startedGame].resultState && hasReturned) {
+          // User returned to waiting; stay in waitingroom, don't bounce back
+        } else {
+          console.log(`🎮 ${startedGame} game started, switching to game updates...`);
+          playStateChange();
+          prevScreenGameStateRef.current = data.room.gameState;
+          setCurrentState(startedGame);
         }
       }
+    }
+  }, [userId, username, handleKickByReason, stopPolling]);
+
+  const pollWaitingRoomStatus = useCallback(async () => {
+    if (!roomId) {
+      console.log('⏸️ pollWaitingRoomStatus: no roomId, skipping');
+      return;
+    }
+    
+    console.log('🔄 pollWaitingRoomStatus running for room:', roomId);
+    
+    try {
+      const sinceVersion = lastRoomVersion.current !== null ? `&sinceVersion=${lastRoomVersion.current}` : '';
+      const response = await fetch(`${API_URL}/api/room/${roomId}?username=${encodeURIComponent(username || '')}${sinceVersion}&t=${Date.now()}`, {
+        cache: 'no-store',
+        headers: sessionHeaders()
+      });
+      const data = await response.json();
+      if (data.unchanged) return;
+      lastRoomVersion.current = data.room?.version ?? null;
+      if (applyWaitingRoomStatusRef.current) applyWaitingRoomStatusRef.current(data);
     } catch (error) {
       console.error('Error polling waiting room status:', error);
     }
-  }, [roomId, userId, startPolling, username, handleKickByReason]);
+  }, [roomId, username]);
 
-  // Update ref synchronously during render (not in useEffect) to avoid stale closure
+  // Update refs synchronously during render (not in useEffect) to avoid stale closure
+  applyWaitingRoomStatusRef.current = applyWaitingRoomStatus;
   pollWaitingRoomStatusRef.current = pollWaitingRoomStatus;
 
   const startWaitingRoomPolling = useCallback(() => {
@@ -826,6 +978,7 @@ function App() {
     if (pollingInterval.current) {
       clearInterval(pollingInterval.current);
     }
+    lastRoomVersion.current = null; // First poll after (re)start always gets the full payload
     // Do an immediate poll, then start interval
     // Use ref to always call the latest version of the callback
     if (pollWaitingRoomStatusRef.current) {
@@ -838,16 +991,57 @@ function App() {
     }, 1500); // 1.5s - balance sync speed vs Vercel usage (was 500ms)
   }, [roomId]); // Include roomId to restart polling when room changes
 
-  const stopPolling = () => {
-    if (pollingInterval.current) {
-      clearInterval(pollingInterval.current);
-      pollingInterval.current = null;
+  // Room push channel: the server sends a fresh room snapshot on every change.
+  // Interval polling only runs while the stream is down; EventSource reconnects on its own
+  // and polling stops again once the stream is back.
+  const startRoomStream = useCallback((mode) => {
+    const startFallback = mode === 'waiting' ? startWaitingRoomPolling : startPolling;
+    if (roomStream.current) {
+      roomStream.current.close();
+      roomStream.current = null;
+    }
+    if (!roomId || typeof window.EventSource !== 'function') {
+      startFallback();
+      return;
     }
-  };
+    console.log('📡 Opening room stream:', { roomId, mode });
+    // EventSource cannot set headers, so the session token goes in the query string
+    const streamToken = getSessionToken();
+    const source = new EventSource(`${API_URL}/api/room/${roomId}/events?username=${encodeURIComponent(username || '')}&sessionToken=${encodeURIComponent(streamToken || '')}`);
+    roomStream.current = source;
+    source.onopen = () => {
+      console.log('📡 Room stream connected');
+      stopFallbackPolling();
+    };
+    source.addEventListener('room', (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        console.warn('Room stream: invalid payload');
+        return;
+      }
+      lastRoomVersion.current = data.room?.version ?? null;
+      const apply = mode === 'waiting' ? applyWaitingRoomStatusRef.current : applyRoomStatusRef.current;
+      if (apply) apply(data);
+    });
+    source.onerror = () => {
+      if (roomStream.current !== source) return;
+      if (streamToken !== getSessionToken()) {
+        // Token renewed since the stream opened: don't let EventSource reconnect with the expired one
+        source.close();
+        roomStream.current = null;
+      }
+      if (!pollingInterval.current) {
+        console.log('📡 Room stream dropped, falling back to polling');
+        startFallback();
+      }
+    };
+  }, [roomId, username, startWaitingRoomPolling, startPolling, stopFallbackPolling]);
 
   // Start/stop heartbeat based on state
   useEffect(() => {
-    if (currentState === 'waitingroom' || currentState === 'telepathy' || currentState === 'telepathyResult' || currentState === 'liar') {
+    if (currentState === 'waitingroom' || GAME_SCREENS.includes(currentState)) {
       startHeartbeat();
     } else {
       stopHeartbeat();
@@ -859,12 +1053,12 @@ function App() {
   // Send heartbeat + immediate poll when tab becomes visible (syncs user list after tab switch)
   useEffect(() => {
     const handleVisibilityChange = () => {
-      if (!document.hidden && (currentState === 'waitingroom' || currentState === 'telepathy' || currentState === 'telepathyResult' || currentState === 'liar')) {
+      if (!document.hidden && (currentState === 'waitingroom' || GAME_SCREENS.includes(currentState))) {
         console.log('Tab became visible, heartbeat + poll...');
         sendHeartbeat();
         if (currentState === 'waitingroom' && pollWaitingRoomStatusRef.current) {
           pollWaitingRoomStatusRef.current();
-        } else if ((currentState === 'telepathy' || currentState === 'telepathyResult' || currentState === 'liar') && pollRoomStatusRef.current) {
+        } else if (GAME_SCREENS.includes(currentState) && pollRoomStatusRef.current) {
           pollRoomStatusRef.current();
         }
       }
@@ -876,7 +1070,7 @@ function App() {
 
   // Start/stop warning check based on state
   useEffect(() => {
-    if (currentState === 'waitingroom' || currentState === 'telepathy' || currentState === 'telepathyResult' || currentState === 'liar') {
+    if (currentState === 'waitingroom' || GAME_SCREENS.includes(currentState)) {
       startWarningCheck();
     } else {
       stopWarningCheck();
@@ -885,21 +1079,21 @@ function App() {
     return () => stopWarningCheck();
   }, [currentState, startWarningCheck]);
 
-  // SIMPLE FIX: Start polling for any state that needs real-time updates
-  // Also restart polling when roomId changes (fixes issue where new members aren't visible)
+  // Open the room stream for any state that needs real-time updates
+  // Also reopen it when roomId changes (fixes issue where new members aren't visible)
   useEffect(() => {
     if (currentState === 'waitingroom') {
-      console.log('🔄 Starting waiting room polling for room:', roomId);
-      startWaitingRoomPolling();
-    } else if (currentState === 'telepathy' || currentState === 'telepathyResult' || currentState === 'liar') {
-      console.log('🔄 Starting game polling for room:', roomId);
-      startPolling(); // Start polling for linking, result, and liar states
+      console.log('🔄 Starting waiting room updates for room:', roomId);
+      startRoomStream('waiting');
+    } else if (GAME_SCREENS.includes(currentState)) {
+      console.log('🔄 Starting game updates for room:', roomId);
+      startRoomStream('game'); // Linking, result, liar and the screen games
     } else {
-      stopPolling(); // Stop polling for other states
+      stopPolling(); // Stop updates for other states
     }
     
     return () => stopPolling();
-  }, [currentState, roomId, startWaitingRoomPolling, startPolling]);
+  }, [currentState, roomId, startRoomStream, stopPolling]);
 
   useEffect(() => {
     if (currentState !== 'adminShutdown') return;
@@ -942,7 +1136,7 @@ function App() {
       }).catch(() => {});
       fetch(`${API_URL}/api/keep-alive-room`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId })
       }).catch(() => {});
     };
@@ -1016,7 +1210,8 @@ function App() {
           username,
           roomId: data.roomId,
           userId: data.userId,
-          roomData: data.roomData
+          roomData: data.roomData,
+          sessionToken: data.sessionToken
         });
       } else {
         setError(data.message || '방 생성에 실패했습니다.');
@@ -1057,7 +1252,8 @@ function App() {
             username,
             roomId: data.roomId,
             userId: data.userId,
-            roomData: data.roomData
+            roomData: data.roomData,
+            sessionToken: data.sessionToken
           });
         }
       } else {
@@ -1096,7 +1292,8 @@ function App() {
           username,
           roomId: data.roomId,
           userId: data.userId,
-          roomData: data.roomData
+          roomData: data.roomData,
+          sessionToken: data.sessionToken
         });
       } else {
         setError(data.message || '비밀번호가 올바르지 않습니다.');
@@ -1132,7 +1329,8 @@ function App() {
           username,
           roomId: roomId,
           userId: data.userId,
-          roomData: data.roomData
+          roomData: data.roomData,
+          sessionToken: data.sessionToken
         });
       } else {
         setError(data.message || '방 참여에 실패했습니다.');
@@ -1160,7 +1358,7 @@ function App() {
       // Call API to remove user from active users (immediate - not tab-close beacon)
       fetch(`${API_URL}/api/remove-user`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ username, roomId, userId, immediate: true })
       }).catch(error => console.error('Error removing user:', error));
     }
@@ -1250,7 +1448,7 @@ function App() {
       const timeoutId = setTimeout(() => controller.abort(), 15000);
       const response = await fetch(`${API_URL}/api/start-game`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId }),
         signal: controller.signal
       });
@@ -1258,9 +1456,8 @@ function App() {
       const data = await response.json();
       
       if (data.success) {
-        setCurrentState(gameType === 'liar' ? 'liar' : 'telepathy');
-        console.log('🎮 Game started, starting polling...');
-        startPolling();
+        setCurrentState(gameType === 'liar' || SCREEN_GAMES[gameType] ? gameType : 'telepathy');
+        console.log('🎮 Game started, switching to game updates...');
       } else {
         setError(data.message || '게임 시작에 실패했습니다.');
       }
@@ -1276,24 +1473,25 @@ function App() {
     }
   };
 
-  const handleSelectUser = async (selectedUserId) => {
+  // selection: a user id, or the ranked ids (best first) in the 순위 mode
+  const handleSelectUser = async (selection) => {
     if (hasVoted) return;
     
     setIsLoading(true);
     try {
-      const response = await fetch(`${API_URL}/api/select`, {
+      const response = await fetch(gameActionUrl('select'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({
           roomId,
           userId,
-          selectedUserId
+          ...(Array.isArray(selection) ? { selectedUserIds: selection } : { selectedUserId: selection })
         })
       });
       const data = await response.json();
       
       if (data.success) {
-        setSelectedUser(selectedUserId);
+        setSelectedUser(selection);
         setHasVoted(true);
         
         // Update users list immediately with voting status
@@ -1330,7 +1528,7 @@ function App() {
     try {
       await fetch(`${API_URL}/api/set-game-type`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, gameType: newGameType })
       });
     } catch (err) {
@@ -1338,21 +1536,25 @@ function App() {
     }
   };
 
-  const handleSetLiarSettings = async (subject, method, customSubject) => {
+  const handleSetLiarSettings = async (subject, method, customSubject, mode = roomData?.liarMode || '단어', count = roomData?.liarCount || 1) => {
     if (!isMaster || !roomId || !userId || gameType !== 'liar') return;
     setLiarSubject(subject);
     setLiarMethod(method);
     setLiarCustomSubject(customSubject || '');
+    setRoomData((prev) => (prev ? { ...prev, liarMode: mode, liarCount: count } : prev));
     try {
-      await fetch(`${API_URL}/api/set-liar-settings`, {
+      await fetch(`${API_URL}/api/set-game-settings`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({
           roomId,
           userId,
+          gameType: 'liar',
           liarSubject: subject,
           liarMethod: subject === '커스텀주제' ? '커스텀' : method,
-          liarCustomSubject: subject === '커스텀주제' ? (customSubject || '').trim().slice(0, 16) : null
+          liarCustomSubject: subject === '커스텀주제' ? (customSubject || '').trim().slice(0, 16) : null,
+          liarMode: mode,
+          liarCount: count
         })
       });
     } catch (err) {
@@ -1360,6 +1562,101 @@ function App() {
     }
   };
 
+  // Settings of any game with a settings panel (the server validates them)
+  const handleSetGameSettings = async (settingsGameType, settings) => {
+    if (!isMaster || !roomId || !userId) return;
+    setRoomData((prev) => (prev ? { ...prev, ...settings } : prev));
+    try {
+      const res = await fetch(`${API_URL}/api/set-game-settings`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId, gameType: settingsGameType, ...settings })
+      });
+      const data = await res.json();
+      if (!data.success) setError(data.message || '설정 변경 실패');
+    } catch (err) {
+      console.error('Error setting game settings:', err);
+    }
+  };
+
+  const handleResetScoreboard = async () => {
+    if (!isMaster || !roomId || !userId) return;
+    if (!window.confirm('점수판을 초기화하시겠습니까?')) return;
+    try {
+      const res = await fetch(`${API_URL}/api/reset-scoreboard`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId })
+      });
+      const data = await res.json();
+      if (data.success) setRoomData((prev) => (prev ? { ...prev, roomScoreboard: [] } : prev));
+      else setError(data.message || '점수판 초기화 실패');
+    } catch (err) {
+      console.error('Error resetting scoreboard:', err);
+    }
+  };
+
+  const handleAdjustTally = async (targetUserId, delta) => {
+    if (!isMaster || !roomId || !userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/adjust-tally`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId, targetUserId, delta })
+      });
+      const data = await res.json();
+      if (data.success) setRoomData((prev) => (prev ? { ...prev, roomTally: data.roomTally } : prev));
+      else setError(data.message || '벌칙 기록 수정 실패');
+    } catch (err) {
+      console.error('Error adjusting drink tally:', err);
+    }
+  };
+
+  // Penalty list for the roulette (null = the defaults)
+  const handleSetPenalties = async (penalties) => {
+    if (!isMaster || !roomId || !userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/set-penalties`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId, penalties })
+      });
+      const data = await res.json();
+      if (data.success) setRoomData((prev) => (prev ? { ...prev, penaltyList: data.penaltyList, penaltyIsDefault: data.penaltyIsDefault } : prev));
+      else setError(data.message || '벌칙 저장 실패');
+    } catch (err) {
+      console.error('Error setting penalties:', err);
+    }
+  };
+
+  const handleSpinPenalty = async () => {
+    if (!isMaster || !roomId || !userId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/spin-penalty`, {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId })
+      });
+      const data = await res.json();
+      if (data.success) setRoomData((prev) => (prev ? { ...prev, penaltySpin: data.penaltySpin } : prev));
+      else setError(data.message || '룰렛 돌리기 실패');
+    } catch (err) {
+      console.error('Error spinning penalty roulette:', err);
+    }
+  };
+
+  const handleShowRoundHistory = async () => {
+    if (!roomId) return;
+    try {
+      const res = await fetch(`${API_URL}/api/room/${roomId}/history`, { headers: sessionHeaders() });
+      const data = await res.json();
+      if (data.success) setRoundHistory(data.history);
+      else setError(data.message || '기록을 불러오지 못했습니다.');
+    } catch (err) {
+      console.error('Error loading round history:', err);
+    }
+  };
+
   const handleKickUserClick = (user) => {
     if (!isMaster) return;
     setKickTargetUser(user);
@@ -1373,7 +1670,7 @@ function App() {
     try {
       const response = await fetch(`${API_URL}/api/kick-user`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({
           roomId,
           masterUserId: userId,
@@ -1402,9 +1699,9 @@ function App() {
   const handleLiarSubmitWord = async (word) => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-submit-word`, {
+      const res = await fetch(gameActionUrl('submit-word'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, word: (word || '').trim().slice(0, 16) })
       });
       const data = await res.json();
@@ -1419,9 +1716,9 @@ function App() {
   const handleLiarExtendTime = async (action) => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-extend-time`, {
+      const res = await fetch(gameActionUrl('extend-time'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, action })
       });
       const data = await res.json();
@@ -1438,9 +1735,9 @@ function App() {
   const handleLiarDifficultWord = async () => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-difficult-word`, {
+      const res = await fetch(gameActionUrl('difficult-word'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId })
       });
       const data = await res.json();
@@ -1453,9 +1750,9 @@ function App() {
   const handleLiarStartVote = async () => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-start-vote`, {
+      const res = await fetch(gameActionUrl('start-vote'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId })
       });
       const data = await res.json();
@@ -1468,9 +1765,9 @@ function App() {
   const handleLiarVote = async (targetUserId) => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-vote`, {
+      const res = await fetch(gameActionUrl('vote'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, targetUserId })
       });
       const data = await res.json();
@@ -1483,9 +1780,9 @@ function App() {
   const handleLiarForgiveExecute = async (choice) => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-forgive-execute`, {
+      const res = await fetch(gameActionUrl('forgive-execute'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, choice })
       });
       const data = await res.json();
@@ -1498,9 +1795,9 @@ function App() {
   const handleLiarGuess = async (guessedWord) => {
     if (!roomId || !userId) return false;
     try {
-      const res = await fetch(`${API_URL}/api/liar-guess`, {
+      const res = await fetch(gameActionUrl('guess'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, guessedWord: (guessedWord || '').trim() })
       });
       const data = await res.json();
@@ -1516,9 +1813,9 @@ function App() {
   const handleLiarIdentifyVote = async (choice) => {
     if (!roomId || !userId) return;
     try {
-      const res = await fetch(`${API_URL}/api/liar-identify-vote`, {
+      const res = await fetch(gameActionUrl('identify-vote'), {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, choice })
       });
       const data = await res.json();
@@ -1529,6 +1826,39 @@ function App() {
     }
   };
 
+  // Player action of the current game; the room stream brings the result
+  const sendGameAction = async (action, payload, failMessage) => {
+    if (!roomId || !userId) return false;
+    try {
+      const res = await fetch(gameActionUrl(action), {
+        method: 'POST',
+        headers: sessionHeaders(),
+        body: JSON.stringify({ roomId, userId, ...payload })
+      });
+      const data = await res.json();
+      if (!data.success) setError(data.message || failMessage);
+      return !!data.success;
+    } catch (e) {
+      setError('네트워크 오류');
+      return false;
+    }
+  };
+
+  const handleMafiaNightAction = (targetUserId) => sendGameAction('night-action', { targetUserId }, '선택 실패');
+  const handleMafiaStartVote = () => sendGameAction('start-vote', {}, '투표 시작 실패');
+  const handleMafiaVote = (targetUserId) => sendGameAction('vote', { targetUserId }, '투표 실패');
+  const handleMafiaForgiveExecute = (choice) => sendGameAction('forgive-execute', { choice }, '선택 실패');
+  const handleBalancePick = (choice) => sendGameAction('pick', { choice }, '선택 실패');
+  const handleBalanceReveal = () => sendGameAction('reveal', {}, '결과 공개 실패');
+  const handleMostLikelyVote = (targetUserId) => sendGameAction('vote', { targetUserId }, '투표 실패');
+  const handleMostLikelySkip = () => sendGameAction('skip', {}, '질문 넘기기 실패');
+  const handleMostLikelyNext = () => sendGameAction('next', {}, '다음 질문 실패');
+  const handleNunchiTap = () => sendGameAction('tap', {}, '외치기 실패');
+  const handleUpDownPickNumber = (number) => sendGameAction('pick-number', { number }, '숫자 선택 실패');
+  const handleUpDownGuess = (number) => sendGameAction('guess', { number }, '추측 실패');
+  const handleBr31Call = (count) => sendGameAction('call', { count }, '숫자 부르기 실패');
+  const handleChosungAnswer = (text) => sendGameAction('answer', { text }, '답 제출 실패');
+
   const handleLeaveRoom = async () => {
     // Set flag to prevent "kicked" alert when user leaves voluntarily
     isLeavingRoom.current = true;
@@ -1542,7 +1872,7 @@ function App() {
       if (roomId && userId) {
         await fetch(`${API_URL}/api/leave-room`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: sessionHeaders(),
           body: JSON.stringify({ roomId, userId })
         });
       }
@@ -1561,9 +1891,12 @@ function App() {
     setRoomData(null);
     setMatches([]);
     setUnmatched([]);
+    setMatchDetails(null);
     setSelectedUser(null);
     setHasVoted(false);
     setLiarMyWord(null);
+    setLiarMyRole(null);
+    setUpDownMySecret(null);
     
     // Go back to makeOrJoinRoom state (user keeps their username)
     setCurrentState('makeOrJoinRoom');
@@ -1576,10 +1909,13 @@ function App() {
     // Reset local state
     setMatches([]);
     setUnmatched([]);
+    setMatchDetails(null);
     setSelectedUser(null);
     setHasVoted(false);
     setGameState('waiting');
     setLiarMyWord(null);
+    setLiarMyRole(null);
+    setUpDownMySecret(null);
     
     // Change state to waitingroom BEFORE API call
     setCurrentState('waitingroom');
@@ -1589,7 +1925,7 @@ function App() {
       if (roomId && userId) {
         await fetch(`${API_URL}/api/return-to-waiting`, {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: sessionHeaders(),
           body: JSON.stringify({ roomId, userId })
         });
         // Optimistic: mark current user as returned so badges render correctly before next poll
@@ -1599,8 +1935,8 @@ function App() {
       console.error('Error returning to waiting room:', error);
     }
     
-    // Start waiting room polling (this will now use pollWaitingRoomStatus, not pollRoomStatus)
-    startWaitingRoomPolling();
+    // Immediate waiting room poll (the room stream reopens via the currentState effect)
+    if (pollWaitingRoomStatusRef.current) pollWaitingRoomStatusRef.current();
   };
 
   const handleRoleChange = async (newRole) => {
@@ -1611,7 +1947,7 @@ function App() {
       const timeoutId = setTimeout(() => controller.abort(), 15000);
       const response = await fetch(`${API_URL}/api/change-role`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId, userId, role: newRole }),
         signal: controller.signal
       });
@@ -1653,7 +1989,7 @@ function App() {
     try {
       await fetch(`${API_URL}/api/keep-alive-room`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders(),
         body: JSON.stringify({ roomId })
       });
       setShowRoomWarning(false);
@@ -2053,6 +2389,8 @@ function App() {
       hasVoted={hasVoted}
       selectedUser={selectedUser}
       userRole={userRole}
+      mode={roomData?.telepathyRoundMode}
+      maxPicks={roomData?.telepathyRoundPicks ?? 1}
       onSelectUser={handleSelectUser}
       isLoading={isLoading}
     />
@@ -2062,6 +2400,7 @@ function App() {
     <TelepathyResult
       matches={matches}
       unmatched={unmatched}
+      details={matchDetails}
       onReturnToWaiting={handleReturnToWaitingRoom}
       onLeave={handleLeaveRoom}
     />
@@ -2072,11 +2411,11 @@ function App() {
     const gs = rd.gameState || gameState || 'liarWordInput';
     const ls = rd.liarState || rd.gameState;
     const attenders = users.filter(u => (u.role || 'attender') === 'attender');
-    const amILiar = rd.liarLiarUserId === userId;
+    const amILiar = Boolean(rd.liarAmILiar);
+    const locationMode = rd.liarMode === '장소';
+    const foolMode = rd.liarMode === '바보';
     const subjectDisplay = rd.liarSubject === '커스텀주제' ? (rd.liarCustomSubject || '(입력 대기)') : (rd.liarSubject || '물건');
-    const submittedCount = (gs === 'liarWordInput' || rd.liarState === 'wordInput')
-      ? (rd.liarSubmittedCount ?? 0)
-      : (rd.liarUserWords ? Object.keys(rd.liarUserWords).length : 0);
+    const submittedCount = rd.liarSubmittedCount ?? 0;
     const submittedUserIds = rd.liarSubmittedUserIds || [];
     const notSubmittedList = attenders
       .filter((a) => !submittedUserIds.includes(a.id))
@@ -2085,16 +2424,24 @@ function App() {
       ? Object.entries(rd.liarVotes).filter(([, tid]) => tid === rd.liarCondemnedUserId).map(([uid]) => uid)
       : [];
     const iVotedCondemned = votersOfCondemned.includes(userId);
-    const canGuess = amILiar && rd.liarCondemnedUserId === rd.liarLiarUserId;
-    const condemnedIsLiar = rd.liarCondemnedUserId === rd.liarLiarUserId;
+    const condemnedIsLiar = Boolean(rd.liarCondemnedIsLiar);
+    // With several liars only the condemned one guesses; caught liars are out of the vote
+    const canGuess = amILiar && condemnedIsLiar && rd.liarCondemnedUserId === userId;
+    const caughtIds = rd.liarCaughtUserIds || [];
+    const amICaught = caughtIds.includes(userId);
+    const caughtNames = caughtIds.map((id) => users.find((u) => u.id === id)).filter(Boolean).map((u) => u.displayName || u.nickname);
 
     return (
       <div className="liar-container">
         <div className="liar-header">
           <h2>🎭 라이어 게임</h2>
-          <p className="liar-subject">주제: {subjectDisplay}</p>
+          <p className="liar-subject">{locationMode ? '장소 모드' : `주제: ${subjectDisplay}${foolMode ? ' · 바보 라이어' : ''}`}</p>
         </div>
 
+        {locationMode && amILiar && !amICaught && ['play', 'vote', 'argument'].includes(ls) && (
+          <LiarLocationGuess locationNames={rd.liarLocationNames || []} onGuess={handleLiarGuess} />
+        )}
+
         {gs === 'liarWordInput' && (
           <LiarWordInput
             attenders={attenders}
@@ -2114,6 +2461,9 @@ function App() {
             attenders={attenders}
             amILiar={amILiar}
             liarMyWord={liarMyWord}
+            liarMyRole={liarMyRole}
+            locationMode={locationMode}
+            liarCount={rd.liarCount || 1}
             mainTimerEndsAt={rd.liarMainTimerEndsAt}
             playStartedAt={rd.liarPlayStartedAt}
             extendedBy={rd.liarMainTimerExtendedBy || []}
@@ -2129,7 +2479,9 @@ function App() {
 
         {(gs === 'liarVote' || ls === 'vote') && (
           <LiarVote
-            attenders={attenders}
+            attenders={attenders.filter((a) => !caughtIds.includes(a.id))}
+            caughtNames={caughtNames}
+            amICaught={amICaught}
             votes={rd.liarVotes || {}}
             tieTargets={rd.liarVoteTieTargets}
             onVote={handleLiarVote}
@@ -2177,7 +2529,370 @@ function App() {
             attenders={attenders}
             votes={rd.liarVotes || {}}
             userId={userId}
-            liarId={rd.liarLiarUserId}
+            liarIds={rd.liarLiarUserIds || []}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderMafia = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const players = (rd.mafiaPlayerIds || [])
+      .map((id) => users.find((u) => u.id === id))
+      .filter(Boolean);
+    const eliminated = rd.mafiaEliminated || {};
+    const alivePlayers = players.filter((u) => !eliminated[u.id]);
+    const nameOf = (id) => {
+      const u = users.find((x) => x.id === id);
+      return u ? (u.displayName || u.nickname) : '?';
+    };
+    const votersOfCondemned = rd.mafiaCondemnedUserId && rd.mafiaVotes
+      ? Object.entries(rd.mafiaVotes).filter(([voterId, tid]) => tid === rd.mafiaCondemnedUserId && voterId !== tid).map(([voterId]) => voterId)
+      : [];
+
+    return (
+      <div className="liar-container mafia-container">
+        <div className="liar-header">
+          <h2>🌙 마피아 게임</h2>
+          {gs !== 'mafiaResult' && <p className="liar-subject">{rd.mafiaRound || 1}일차</p>}
+        </div>
+
+        {gs === 'mafiaNight' && (
+          <MafiaNight
+            myRole={rd.mafiaMyRole}
+            amIAlive={rd.mafiaAmIAlive}
+            alivePlayers={alivePlayers}
+            teammateIds={rd.mafiaTeammateIds || []}
+            teamPicks={rd.mafiaTeamPicks || {}}
+            myTarget={rd.mafiaMyNightTarget}
+            policeChecks={rd.mafiaPoliceChecks || []}
+            nightEndsAt={rd.mafiaNightEndsAt}
+            nameOf={nameOf}
+            onNightAction={handleMafiaNightAction}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'mafiaDay' && (
+          <MafiaDay
+            myRole={rd.mafiaMyRole}
+            amIAlive={rd.mafiaAmIAlive}
+            players={players}
+            eliminated={eliminated}
+            lastNight={rd.mafiaLastNight}
+            lastExecution={rd.mafiaLastExecution}
+            policeChecks={rd.mafiaPoliceChecks || []}
+            dayEndsAt={rd.mafiaDayEndsAt}
+            nameOf={nameOf}
+            isMaster={isMaster}
+            onStartVote={handleMafiaStartVote}
+          />
+        )}
+
+        {gs === 'mafiaVote' && (
+          <MafiaVote
+            amIAlive={rd.mafiaAmIAlive}
+            alivePlayers={alivePlayers}
+            votes={rd.mafiaVotes || {}}
+            tieTargets={rd.mafiaVoteTieTargets}
+            onVote={handleMafiaVote}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'mafiaArgument' && (
+          <MafiaArgument
+            condemnedUserId={rd.mafiaCondemnedUserId}
+            choices={rd.mafiaArgumentChoices || {}}
+            canChoose={votersOfCondemned.includes(userId)}
+            argumentEndsAt={rd.mafiaArgumentEndsAt}
+            voterNames={votersOfCondemned.map(nameOf)}
+            nameOf={nameOf}
+            onForgiveExecute={handleMafiaForgiveExecute}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'mafiaResult' && (
+          <MafiaResult
+            winner={rd.mafiaWinner}
+            data={rd.mafiaResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderBalance = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const players = (rd.balancePlayerIds || [])
+      .map((id) => users.find((u) => u.id === id))
+      .filter(Boolean);
+
+    return (
+      <div className="liar-container balance-container">
+        <div className="liar-header">
+          <h2>⚖️ 밸런스 게임</h2>
+        </div>
+
+        {gs === 'balancePick' && (
+          <BalancePick
+            question={rd.balanceQuestion}
+            myPick={rd.balanceMyPick}
+            players={players}
+            pickedUserIds={rd.balancePickedUserIds || []}
+            canPick={players.some((u) => u.id === userId)}
+            isMaster={isMaster}
+            onPick={handleBalancePick}
+            onReveal={handleBalanceReveal}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'balanceResult' && (
+          <BalanceResult
+            data={rd.balanceResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderMostLikely = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const players = (rd.mostLikelyPlayerIds || [])
+      .map((id) => users.find((u) => u.id === id))
+      .filter(Boolean);
+    const rounds = rd.mostLikelyRounds || 5;
+
+    return (
+      <div className="liar-container most-likely-container">
+        <div className="liar-header">
+          <h2>👉 ~할 것 같은 사람</h2>
+        </div>
+
+        {gs === 'mostLikelyVote' && (
+          <MostLikelyVote
+            prompt={rd.mostLikelyPrompt}
+            round={rd.mostLikelyRound}
+            rounds={rounds}
+            players={players}
+            votedUserIds={rd.mostLikelyVotedUserIds || []}
+            myVote={rd.mostLikelyMyVote}
+            canVote={players.some((u) => u.id === userId)}
+            isMaster={isMaster}
+            onVote={handleMostLikelyVote}
+            onSkip={handleMostLikelySkip}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'mostLikelyReveal' && (
+          <MostLikelyReveal
+            prompt={rd.mostLikelyPrompt}
+            round={rd.mostLikelyRound}
+            rounds={rounds}
+            ranking={rd.mostLikelyRanking}
+            isMaster={isMaster}
+            onNext={handleMostLikelyNext}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'mostLikelyResult' && (
+          <MostLikelyResult
+            data={rd.mostLikelyResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderNunchi = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const players = (rd.nunchiPlayerIds || [])
+      .map((id) => users.find((u) => u.id === id))
+      .filter(Boolean);
+
+    return (
+      <div className="liar-container nunchi-container">
+        <div className="liar-header">
+          <h2>👀 눈치 게임</h2>
+        </div>
+
+        {gs === 'nunchiPlay' && (
+          <NunchiPlay
+            startsAt={rd.nunchiStartsAt}
+            claims={rd.nunchiClaims || []}
+            players={players}
+            canTap={players.some((u) => u.id === userId)}
+            onTap={handleNunchiTap}
+            windowMs={rd.nunchiWindowMs || 500}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'nunchiResult' && (
+          <NunchiResult
+            data={rd.nunchiResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderUpDown = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const nameOf = (id) => {
+      const u = users.find((p) => p.id === id);
+      return u ? (u.displayName || u.nickname) : '?';
+    };
+
+    return (
+      <div className="liar-container up-down-container">
+        <div className="liar-header">
+          <h2>🔢 업다운</h2>
+        </div>
+
+        {gs === 'upDownPick' && (
+          <UpDownPick
+            pickerName={nameOf(rd.upDownPickerId)}
+            isPicker={rd.upDownPickerId === userId}
+            low={rd.upDownLow}
+            high={rd.upDownHigh}
+            pickEndsAt={rd.upDownPickEndsAt}
+            onPickNumber={handleUpDownPickNumber}
+          />
+        )}
+
+        {gs === 'upDownGuess' && (
+          <UpDownGuess
+            pickerName={nameOf(rd.upDownPickerId)}
+            mySecret={upDownMySecret}
+            low={rd.upDownLow}
+            high={rd.upDownHigh}
+            turnUserId={rd.upDownTurnUserId}
+            turnEndsAt={rd.upDownTurnEndsAt}
+            order={rd.upDownOrder || []}
+            history={rd.upDownHistory || []}
+            nameOf={nameOf}
+            onGuess={handleUpDownGuess}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'upDownResult' && (
+          <UpDownResult
+            data={rd.upDownResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderBr31 = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+
+    return (
+      <div className="liar-container br31-container">
+        <div className="liar-header">
+          <h2>🍦 베스킨라빈스 31</h2>
+        </div>
+
+        {gs === 'br31Play' && (
+          <Br31Play
+            target={rd.br31Target}
+            maxStep={rd.br31MaxStep}
+            count={rd.br31Count || 0}
+            seats={rd.br31Seats || []}
+            turnId={rd.br31TurnId}
+            turnEndsAt={rd.br31TurnEndsAt}
+            history={rd.br31History || []}
+            onCall={handleBr31Call}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'br31Result' && (
+          <Br31Result
+            data={rd.br31ResultData || {}}
+            userId={userId}
+            onReturnToWaiting={handleReturnToWaitingRoom}
+            onLeave={handleLeaveRoom}
+          />
+        )}
+      </div>
+    );
+  };
+
+  const renderChosung = () => {
+    const rd = roomData || {};
+    const gs = rd.gameState || gameState;
+    const scoreboard = rd.chosungScoreboard || [];
+    const nameOf = (id) => scoreboard.find((s) => s.id === id)?.name || '?';
+
+    return (
+      <div className="liar-container chosung-container">
+        <div className="liar-header">
+          <h2>🔤 초성 퀴즈</h2>
+        </div>
+
+        {gs === 'chosungQuestion' && (
+          <ChosungQuestion
+            round={rd.chosungRound}
+            category={rd.chosungRoundCategory}
+            hint={rd.chosungHint}
+            endsAt={rd.chosungEndsAt}
+            guesses={rd.chosungGuesses || []}
+            scoreboard={scoreboard}
+            targetScore={rd.chosungTargetScore}
+            isPlayer={scoreboard.some((s) => s.id === userId)}
+            onAnswer={handleChosungAnswer}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'chosungReveal' && (
+          <ChosungReveal
+            category={rd.chosungRoundCategory}
+            hint={rd.chosungHint}
+            answer={rd.chosungAnswer}
+            winnerName={rd.chosungWinnerId ? nameOf(rd.chosungWinnerId) : null}
+            revealEndsAt={rd.chosungRevealEndsAt}
+            scoreboard={scoreboard}
+            targetScore={rd.chosungTargetScore}
+            userId={userId}
+          />
+        )}
+
+        {gs === 'chosungResult' && (
+          <ChosungResult
+            data={rd.chosungResultData || {}}
+            userId={userId}
             onReturnToWaiting={handleReturnToWaitingRoom}
             onLeave={handleLeaveRoom}
           />
@@ -2949,13 +3664,30 @@ function App() {
           onKickUserClick={handleKickUserClick}
           onSetGameType={handleSetGameType}
           onSetLiarSettings={handleSetLiarSettings}
+          onSetGameSettings={handleSetGameSettings}
           onStartGame={handleStartGame}
+          onResetScoreboard={handleResetScoreboard}
+          onSetPenalties={handleSetPenalties}
+          onAdjustTally={handleAdjustTally}
+          roundHistory={roundHistory}
+          onShowRoundHistory={handleShowRoundHistory}
+          onCloseRoundHistory={() => setRoundHistory(null)}
           onLeaveRoom={handleLeaveRoom}
         />
       )}
       {currentState === 'telepathy' && renderTelepathy()}
       {currentState === 'telepathyResult' && renderTelepathyResult()}
       {currentState === 'liar' && renderLiar()}
+      {currentState === 'mafia' && renderMafia()}
+      {currentState === 'balance' && renderBalance()}
+      {currentState === 'mostLikely' && renderMostLikely()}
+      {currentState === 'nunchi' && renderNunchi()}
+      {currentState === 'upDown' && renderUpDown()}
+      {currentState === 'br31' && renderBr31()}
+      {currentState === 'chosung' && renderChosung()}
+      {GAME_SCREENS.includes(currentState) && RESULT_STATES.includes(roomData?.gameState) && (
+        <PenaltyRoulette roomData={roomData} isMaster={isMaster} onSpin={handleSpinPenalty} />
+      )}
       {currentState === 'adminPassword' && renderAdminPassword()}
       {currentState === 'adminDashboard' && renderAdminDashboard()}
       {currentState === 'adminStatus' && renderAdminStatus()}
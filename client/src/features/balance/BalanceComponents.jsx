@@ -0,0 +1,82 @@
+import React from 'react';
+
+export function BalancePick({ question, myPick, players, pickedUserIds, canPick, isMaster, onPick, onReveal, userId }) {
+  if (!question) return null;
+  const notPickedList = players.filter((u) => !pickedUserIds.includes(u.id));
+
+  return (
+    <div className="balance-pick">
+      <p className="liar-vote-header">{canPick ? '둘 중 하나만 고르세요' : '참가자들이 고르는 중입니다...'}</p>
+      <div className="balance-options">
+        {[['A', question.a], ['B', question.b]].map(([side, label]) => (
+          <button
+            key={side}
+            className={`balance-option balance-option-${side.toLowerCase()} ${myPick === side ? 'selected' : ''}`}
+            onClick={() => onPick(side)}
+            disabled={!canPick}
+          >
+            <span className="balance-option-side">{side}</span>
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="balance-progress">선택 완료 {pickedUserIds.length}/{players.length}</p>
+      {notPickedList.length > 0 && (
+        <div className="liar-pending-badge">
+          <span className="liar-pending-label">아직 고르지 않은 사람들</span>
+          <span className="liar-pending-names">
+            {notPickedList.map((u, i) => (
+              <React.Fragment key={u.id}>
+                <span className={u.id === userId ? 'liar-pending-self' : ''}>{u.displayName || u.nickname}</span>
+                {i < notPickedList.length - 1 && ', '}
+              </React.Fragment>
+            ))}
+          </span>
+        </div>
+      )}
+      {isMaster && pickedUserIds.length > 0 && notPickedList.length > 0 && (
+        <button className="liar-start-vote-btn" onClick={onReveal}>지금 결과 공개</button>
+      )}
+    </div>
+  );
+}
+
+export function BalanceResult({ data, userId, onReturnToWaiting, onLeave }) {
+  const { question, counts = { A: 0, B: 0 }, sides = { A: [], B: [] }, minority } = data;
+  const total = counts.A + counts.B;
+  const percent = (side) => (total > 0 ? Math.round((counts[side] / total) * 100) : 0);
+
+  return (
+    <div className="liar-result balance-result">
+      <h3>결과</h3>
+      {question && (
+        <div className="balance-split">
+          {[['A', question.a], ['B', question.b]].map(([side, label]) => (
+            <div key={side} className={`balance-split-side ${minority === side ? 'balance-minority' : ''}`}>
+              <div className="balance-split-label">{side}. {label}</div>
+              <div className="balance-split-bar">
+                <div className={`balance-split-fill balance-option-${side.toLowerCase()}`} style={{ width: `${percent(side)}%` }} />
+              </div>
+              <div className="balance-split-count">{counts[side]}명 ({percent(side)}%)</div>
+              <div className="balance-split-names">
+                {sides[side].map((p, i) => (
+                  <span key={p.id} className={p.id === userId ? 'liar-voter-self' : ''}>
+                    {p.name}{i < sides[side].length - 1 ? ', ' : ''}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="balance-verdict">
+        {minority && `🍺 소수파 ${minority} (${sides[minority].map((p) => p.name).join(', ')}) 마시세요!`}
+        {!minority && (counts.A === counts.B ? '반반! 아무도 안 마셔도 됩니다' : '만장일치! 아무도 안 마셔도 됩니다')}
+      </p>
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+
+function useSecondsLeft(endsAt) {
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!endsAt) {
+      setSecondsLeft(null);
+      return;
+    }
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  return secondsLeft;
+}
+
+function CallHistory({ history, userId }) {
+  if (history.length === 0) return null;
+  return (
+    <ol className="br31-history">
+      {history.map((h, i) => (
+        <li key={i}>
+          <span className={h.seatId === userId ? 'liar-voter-self' : ''}>{h.name}</span>
+          <span className="br31-numbers">{h.numbers.join(' ')}{h.timeout ? ' (시간 초과)' : ''}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function Br31Play({ target, maxStep, count, seats, turnId, turnEndsAt, history, onCall, userId }) {
+  const isMyTurn = turnId === userId;
+  const turnSeat = seats.find((s) => s.id === turnId);
+  const secondsLeft = useSecondsLeft(turnEndsAt);
+  const steps = Array.from({ length: Math.min(maxStep, target - count) }, (_, i) => i + 1);
+
+  return (
+    <div className="br31-play">
+      <div className="br31-count">
+        <span className="br31-current">{count}</span>
+        <span className="br31-target">/ {target}</span>
+      </div>
+      <p className="liar-vote-header">
+        {isMyTurn ? '내 차례! 부를 숫자를 고르세요' : `${turnSeat?.name || '?'}${turnSeat?.isBot ? '' : '님'} 차례`}
+        {turnEndsAt && ` · ${secondsLeft ?? '--'}초`}
+      </p>
+      {isMyTurn && (
+        <div className="br31-steps">
+          {steps.map((step) => (
+            <button key={step} className="liar-start-vote-btn" onClick={() => onCall(step)}>
+              {Array.from({ length: step }, (_, i) => count + i + 1).join(' ')}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="up-down-order">
+        {seats.map((s) => (
+          <span
+            key={s.id}
+            className={`up-down-order-item ${s.id === turnId ? 'up-down-current' : ''} ${s.left ? 'br31-left' : ''}`}
+          >
+            {s.name}
+          </span>
+        ))}
+      </div>
+      <CallHistory history={history} userId={userId} />
+      <p className="liar-setting-note">한 번에 1~{maxStep}개, {target}을(를) 말하는 사람이 걸립니다 · 시간이 지나면 1개를 부른 것으로 넘어갑니다</p>
+    </div>
+  );
+}
+
+export function Br31Result({ data, userId, onReturnToWaiting, onLeave }) {
+  const { target, loser, history = [] } = data;
+
+  return (
+    <div className="liar-result br31-result">
+      <h3>결과</h3>
+      <p className="up-down-verdict">
+        {loser?.isBot ? `🤖 봇이 ${target}을(를) 말했습니다!` : `🍺 ${loser?.name} 마시세요! (${target})`}
+      </p>
+      <CallHistory history={history} userId={userId} />
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+
+function useSecondsLeft(endsAt) {
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!endsAt) {
+      setSecondsLeft(null);
+      return;
+    }
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  return secondsLeft;
+}
+
+function Scoreboard({ scoreboard, targetScore, userId }) {
+  return (
+    <ul className="chosung-scoreboard">
+      {scoreboard.map((s) => (
+        <li key={s.id}>
+          <span className={s.id === userId ? 'liar-voter-self' : ''}>{s.name}</span>
+          <span className="chosung-score">{s.score}{targetScore ? ` / ${targetScore}` : ''}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function Hint({ category, hint }) {
+  return (
+    <div className="chosung-hint-box">
+      <span className="chosung-category">{category}</span>
+      <span className="chosung-hint">{hint}</span>
+    </div>
+  );
+}
+
+export function ChosungQuestion({ round, category, hint, endsAt, guesses, scoreboard, targetScore, isPlayer, onAnswer, userId }) {
+  const secondsLeft = useSecondsLeft(endsAt);
+  const [text, setText] = useState('');
+
+  useEffect(() => setText(''), [round]);
+
+  const submit = async () => {
+    if (!text.trim()) return;
+    const ok = await onAnswer(text);
+    if (ok) setText('');
+  };
+
+  return (
+    <div className="chosung-question">
+      <p className="liar-vote-header">{round}번째 문제 · {secondsLeft ?? '--'}초</p>
+      <Hint category={category} hint={hint} />
+      {isPlayer && (
+        <div className="up-down-form">
+          <input
+            type="text"
+            value={text}
+            maxLength={30}
+            placeholder="정답 입력"
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && !e.nativeEvent.isComposing && submit()}
+          />
+          <button className="liar-start-vote-btn" onClick={submit} disabled={!text.trim()}>제출</button>
+        </div>
+      )}
+      {guesses.length > 0 && (
+        <ul className="chosung-guesses">
+          {guesses.map((g, i) => (
+            <li key={i} className={g.fitsHint ? 'chosung-guess-close' : ''}>
+              <span className={g.userId === userId ? 'liar-voter-self' : ''}>{g.name}</span>
+              <span>{g.text}{g.fitsHint && <span className="chosung-guess-tag">초성 일치</span>}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Scoreboard scoreboard={scoreboard} targetScore={targetScore} userId={userId} />
+    </div>
+  );
+}
+
+export function ChosungReveal({ category, hint, answer, winnerName, revealEndsAt, scoreboard, targetScore, userId }) {
+  const secondsLeft = useSecondsLeft(revealEndsAt);
+
+  return (
+    <div className="chosung-reveal">
+      <Hint category={category} hint={hint} />
+      <p className="chosung-answer">정답: <strong>{answer}</strong></p>
+      <p className="liar-vote-header">{winnerName ? `🎉 ${winnerName}님 정답!` : '⏰ 아무도 맞히지 못했습니다'}</p>
+      <Scoreboard scoreboard={scoreboard} targetScore={targetScore} userId={userId} />
+      <p className="liar-setting-note">{secondsLeft ?? '--'}초 후 다음으로 넘어갑니다</p>
+    </div>
+  );
+}
+
+export function ChosungResult({ data, userId, onReturnToWaiting, onLeave }) {
+  const { winners = [], scoreboard = [], history = [] } = data;
+
+  return (
+    <div className="liar-result chosung-result">
+      <h3>결과</h3>
+      <p className="up-down-verdict">
+        {winners.length > 0 ? `🏆 ${winners.map((w) => w.name).join(', ')}` : '맞힌 사람이 없습니다'}
+      </p>
+      <Scoreboard scoreboard={scoreboard} userId={userId} />
+      <ol className="chosung-history">
+        {history.map((h) => (
+          <li key={h.round}>
+            <span className="chosung-history-hint">{h.hint}</span>
+            <span>{h.word}</span>
+            <span className="chosung-history-winner">{h.winner ? h.winner.name : '-'}</span>
+          </li>
+        ))}
+      </ol>
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
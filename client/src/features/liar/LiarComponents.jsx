@@ -66,6 +66,9 @@ export function LiarPlay({
   attenders,
   amILiar,
   liarMyWord,
+  liarMyRole,
+  locationMode,
+  liarCount = 1,
   mainTimerEndsAt,
   playStartedAt,
   extendedBy,
@@ -115,7 +118,7 @@ export function LiarPlay({
   const usedExtend = Array.isArray(extendedBy) && extendedBy.includes(userId);
   const fmt = (s) => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
   const difficultWordExpired = difficultWordTimeLeft !== null && difficultWordTimeLeft <= 0;
-  const hideDifficultRow = difficultClicked || difficultWordExpired;
+  const hideDifficultRow = difficultClicked || difficultWordExpired || locationMode;
 
   const handleDifficultWord = () => {
     setDifficultClicked(true);
@@ -124,8 +127,12 @@ export function LiarPlay({
 
   return (
     <div className="liar-play">
-      <p className="liar-play-header">평화로운 마을에 라이어가 침입했습니다.</p>
-      <p className="liar-play-subheader">카드 뒷면의 비밀 단어를 숨긴 채 라이어를 색출해주세요!</p>
+      <p className="liar-play-header">
+        {liarCount > 1 ? `평화로운 마을에 라이어 ${liarCount}명이 침입했습니다.` : '평화로운 마을에 라이어가 침입했습니다.'}
+      </p>
+      <p className="liar-play-subheader">
+        {locationMode ? '카드 뒷면의 장소와 역할을 숨긴 채 라이어를 색출해주세요!' : '카드 뒷면의 비밀 단어를 숨긴 채 라이어를 색출해주세요!'}
+      </p>
       <div className={`liar-timer ${timerAnimating ? 'liar-timer-animate' : ''}`}>{timeLeft !== null ? fmt(timeLeft) : '--:--'}</div>
       <div
         className={`liar-card ${cardFlipped ? 'flipped' : ''}`}
@@ -140,7 +147,15 @@ export function LiarPlay({
         <div className="liar-card-inner">
           {cardFlipped ? (
             <div className="liar-card-front">
-              {amILiar ? '당신은 라이어입니다' : (liarMyWord || '?')}
+              {/* A 바보 liar is not told (amILiar stays false): their decoy word shows like anyone's */}
+              {amILiar ? '당신은 라이어입니다' : (
+                locationMode ? (
+                  <span className="liar-card-location">
+                    장소: {liarMyWord || '?'}
+                    {liarMyRole && <span className="liar-card-role">역할: {liarMyRole}</span>}
+                  </span>
+                ) : (liarMyWord || '?')
+              )}
             </div>
           ) : (
             <div className="liar-card-back">
@@ -150,7 +165,9 @@ export function LiarPlay({
         </div>
       </div>
       <p className="liar-role-hint">
-        {(amILiar && !hideDifficultRow) ? '단어를 맞혀보세요!' : '카드를 눌러 단어를 확인하세요'}
+        {locationMode
+          ? (amILiar ? '언제든 장소를 맞혀 이길 수 있습니다. 틀리면 패배!' : '카드를 눌러 장소와 역할을 확인하세요')
+          : ((amILiar && !hideDifficultRow) ? '단어를 맞혀보세요!' : '카드를 눌러 단어를 확인하세요')}
       </p>
       {!amILiar && !hideDifficultRow && (
         <div className="liar-difficult-row">
@@ -186,7 +203,38 @@ export function LiarPlay({
   );
 }
 
-export function LiarVote({ attenders, votes, tieTargets, onVote, userId, setError }) {
+// 장소 mode: the liar can stop the round at any time (play, vote, argument) and name the location
+export function LiarLocationGuess({ locationNames = [], onGuess }) {
+  const [open, setOpen] = useState(false);
+  const [choice, setChoice] = useState('');
+
+  const submit = async () => {
+    if (!choice) return;
+    if (!window.confirm(`"${choice}"(으)로 승부하시겠습니까? 틀리면 바로 패배합니다.`)) return;
+    await onGuess(choice);
+  };
+
+  if (!open) {
+    return (
+      <button className="liar-location-guess-open" onClick={() => setOpen(true)}>
+        🕵️ 장소 맞히기
+      </button>
+    );
+  }
+
+  return (
+    <div className="liar-location-guess">
+      <select value={choice} onChange={(e) => setChoice(e.target.value)}>
+        <option value="">장소 선택</option>
+        {locationNames.map((name) => <option key={name} value={name}>{name}</option>)}
+      </select>
+      <button className="liar-guess-submit" onClick={submit} disabled={!choice}>승부</button>
+      <button className="game-select-cancel" onClick={() => setOpen(false)}>취소</button>
+    </div>
+  );
+}
+
+export function LiarVote({ attenders, caughtNames = [], amICaught, votes, tieTargets, onVote, userId, setError }) {
   const targets = tieTargets && tieTargets.length > 0
     ? attenders.filter((u) => tieTargets.includes(u.id))
     : attenders;
@@ -200,6 +248,9 @@ export function LiarVote({ attenders, votes, tieTargets, onVote, userId, setErro
       <span className={`liar-vote-status ${voted ? 'voted' : ''}`}>
         {voted ? '투표완료' : '투표중'}
       </span>
+      {caughtNames.length > 0 && (
+        <p className="liar-caught-banner">잡힌 라이어: {caughtNames.join(', ')} · 남은 라이어를 찾으세요!</p>
+      )}
       <p className="liar-vote-header">
         {tieTargets?.length ? '동점! 아래 중에서 다시 투표하세요' : '당신의 라이어에 투표하세요'}
       </p>
@@ -216,17 +267,21 @@ export function LiarVote({ attenders, votes, tieTargets, onVote, userId, setErro
           </span>
         </div>
       )}
-      <div className="liar-vote-list">
-        {targets.map((u) => (
-          <button
-            key={u.id}
-            className={`liar-vote-option ${u.id === myVote ? 'selected' : ''} ${u.id === userId ? 'liar-vote-self' : ''}`}
-            onClick={() => onVote(u.id)}
-          >
-            {u.displayName || u.nickname}
-          </button>
-        ))}
-      </div>
+      {amICaught ? (
+        <p className="liar-setting-note">잡힌 라이어는 투표할 수 없습니다</p>
+      ) : (
+        <div className="liar-vote-list">
+          {targets.map((u) => (
+            <button
+              key={u.id}
+              className={`liar-vote-option ${u.id === myVote ? 'selected' : ''} ${u.id === userId ? 'liar-vote-self' : ''}`}
+              onClick={() => onVote(u.id)}
+            >
+              {u.displayName || u.nickname}
+            </button>
+          ))}
+        </div>
+      )}
     </div>
   );
 }
@@ -355,7 +410,7 @@ export function LiarIdentify({
     );
   }
 
-  if (!amILiar && condemnedIsLiar && !guessedWord) {
+  if (condemnedIsLiar && !guessedWord) {
     return (
       <div className="liar-identify-wait-liar">
         <p>처형된 <span className="liar-highlight">&quot;{condemnedNickname}&quot;</span>은(는) 라이어가 맞습니다.</p>
@@ -384,7 +439,7 @@ export function LiarIdentify({
   return <p>결과를 기다리는 중...</p>;
 }
 
-export function LiarResult({ scenario, data, liarMethod, attenders = [], votes = {}, userId, liarId, onReturnToWaiting, onLeave }) {
+export function LiarResult({ scenario, data, liarMethod, attenders = [], votes = {}, userId, liarIds = [], onReturnToWaiting, onLeave }) {
   const [revealedCount, setRevealedCount] = useState(1);
   const liar = data?.liarNickname || '라이어';
   const word = data?.secretWord || '';
@@ -392,6 +447,10 @@ export function LiarResult({ scenario, data, liarMethod, attenders = [], votes =
   const liarNoGuess = data?.liarNoGuess;
   const condemned = data?.condemnedNickname || '';
   const author = data?.wordAuthorNickname || '';
+  const decoy = data?.decoyWord || ''; // 바보 mode: the liar held this word without knowing
+  const iWasLiar = Boolean(decoy) && liarIds.includes(userId);
+  const caught = data?.caughtNicknames || ''; // several liars: the ones caught along the way
+  const escaped = data?.escapedNicknames || '';
 
   const scenarioKey = scenario && String(scenario).toUpperCase();
   let messages = [];
@@ -410,10 +469,17 @@ export function LiarResult({ scenario, data, liarMethod, attenders = [], votes =
     ];
   } else if (scenarioKey === 'C') {
     messages = [
-      <>라이어 {liar}이(가) 음흉한 미소를 지으며<br />쓰러진 {condemned} 주머니를 뒤적거립니다.</>,
+      decoy
+        ? <>영문도 모르던 라이어 {liar}이(가)<br />쓰러진 {condemned} 주머니를 뒤적거립니다.</>
+        : <>라이어 {liar}이(가) 음흉한 미소를 지으며<br />쓰러진 {condemned} 주머니를 뒤적거립니다.</>,
       <>{liar}는 주머니 속 쪽지에 쓰여진 <span className="liar-result-highlight">&quot;{word}&quot;</span>를 읊조리며<br />강력한 힘을 얻었습니다</>,
       <>{liar}은(는) <span className="liar-result-highlight">&quot;{word}&quot;</span>을(를) 연신 외치며<br />마을 주민들을 모두 학살했습니다!</>
     ];
+  } else if (scenarioKey === 'E') {
+    messages = [
+      <>라이어 {caught}은(는) 붙잡혔지만<br />처형된 {condemned}은(는) 라이어가 아니었습니다.</>,
+      <>살아남은 라이어 {escaped}은(는) <span className="liar-result-highlight">&quot;{word}&quot;</span>을(를) 연신 외치며<br />마을 주민들을 모두 학살했습니다!</>
+    ];
   } else if (scenarioKey === 'D') {
     if (liarMethod === '랜덤') {
       messages = [
@@ -430,6 +496,21 @@ export function LiarResult({ scenario, data, liarMethod, attenders = [], votes =
   } else {
     messages = [<>게임 종료</>];
   }
+  if (scenarioKey === 'B' && (data?.liarCount || 1) > 1) {
+    messages = [<>마을 주민들이 라이어 {caught || liar}을(를) 모두 붙잡았습니다!</>, ...messages];
+  }
+  if (decoy) {
+    messages = [
+      iWasLiar
+        ? <>사실 당신이 라이어였습니다!<br />당신의 <span className="liar-result-highlight">&quot;{decoy}&quot;</span>은(는) 가짜 단어였습니다.</>
+        : <>{liar}은(는) 자신이 라이어인 줄도 모르고<br /><span className="liar-result-highlight">&quot;{decoy}&quot;</span>을(를) 굳게 믿고 있었습니다.</>,
+      ...messages
+    ];
+  }
+  if (data?.interrupted) {
+    messages = [<>{liar}이(가) 토론을 멈추고 정체를 드러냈습니다!</>, ...messages];
+  }
+  const locationRoles = data?.locationRoles || [];
 
   useEffect(() => {
     const timers = [];
@@ -479,13 +560,26 @@ export function LiarResult({ scenario, data, liarMethod, attenders = [], votes =
           <p key={i} className={`liar-result-msg ${i < revealedCount ? '' : 'liar-result-msg-mosaic'}`}>{msg}</p>
         ))}
       </div>
+      {locationRoles.length > 0 && (
+        <div className="liar-result-status">
+          <h4>{word}의 역할</h4>
+          <ul className="liar-location-roles">
+            {locationRoles.map((r) => (
+              <li key={r.id}>
+                <span className={r.id === userId ? 'liar-voter-self' : ''}>{r.name}</span>
+                <span>{r.role}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       {ranked.length > 0 && (
         <div className="liar-result-status">
           <h4>투표 결과</h4>
           <table className="liar-vote-table">
             <tbody>
               {ranked.map((r) => {
-                const isLiar = r.id === liarId;
+                const isLiar = liarIds.includes(r.id);
                 const voterIds = r.voterIds || [];
                 const voterNames = r.voterNames || [];
                 return (
@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+
+const ROLE_LABELS = {
+  mafia: '마피아',
+  doctor: '의사',
+  police: '경찰',
+  citizen: '시민'
+};
+
+const NIGHT_PROMPTS = {
+  mafia: '오늘 밤 제거할 사람을 고르세요',
+  doctor: '오늘 밤 살릴 사람을 고르세요',
+  police: '조사할 사람을 고르세요'
+};
+
+function useSecondsLeft(endsAt) {
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!endsAt) {
+      setSecondsLeft(null);
+      return;
+    }
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  return secondsLeft;
+}
+
+function formatSeconds(seconds) {
+  if (seconds === null) return '--';
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  return m > 0 ? `${m}:${String(s).padStart(2, '0')}` : `${s}초`;
+}
+
+function PoliceChecks({ checks, nameOf }) {
+  if (checks.length === 0) return null;
+  return (
+    <ul className="mafia-police-checks">
+      {checks.map((c) => (
+        <li key={`${c.round}-${c.targetUserId}`}>
+          {c.round}일차: {nameOf(c.targetUserId)} → {c.isMafia ? '마피아입니다' : '마피아가 아닙니다'}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function RoleBadge({ myRole, amIAlive }) {
+  if (!myRole) return <p className="mafia-role-badge">관전 중입니다</p>;
+  return (
+    <p className={`mafia-role-badge mafia-role-${myRole}`}>
+      당신은 <strong>{ROLE_LABELS[myRole]}</strong>입니다{!amIAlive && ' (사망 – 관전 중)'}
+    </p>
+  );
+}
+
+export function MafiaNight({
+  myRole,
+  amIAlive,
+  alivePlayers,
+  teammateIds,
+  teamPicks,
+  myTarget,
+  policeChecks,
+  nightEndsAt,
+  nameOf,
+  onNightAction,
+  userId
+}) {
+  const secondsLeft = useSecondsLeft(nightEndsAt);
+  const canAct = amIAlive && Boolean(NIGHT_PROMPTS[myRole]);
+  const policeDone = myRole === 'police' && Boolean(myTarget);
+  const targets = alivePlayers.filter((u) => {
+    if (myRole === 'mafia') return u.id !== userId && !teammateIds.includes(u.id);
+    if (myRole === 'police') return u.id !== userId;
+    return true;
+  });
+
+  return (
+    <div className="mafia-night">
+      <div className="liar-argument-timer">{formatSeconds(secondsLeft)}</div>
+      <p className="mafia-phase-title">🌙 밤이 되었습니다</p>
+      <RoleBadge myRole={myRole} amIAlive={amIAlive} />
+      {myRole === 'mafia' && amIAlive && teammateIds.length > 0 && (
+        <p className="mafia-teammates">동료 마피아: {teammateIds.map(nameOf).join(', ')}</p>
+      )}
+      {canAct ? (
+        <>
+          <p className="liar-vote-header">{NIGHT_PROMPTS[myRole]}</p>
+          <div className="liar-vote-list">
+            {targets.map((u) => (
+              <button
+                key={u.id}
+                className={`liar-vote-option ${u.id === myTarget ? 'selected' : ''}`}
+                onClick={() => onNightAction(u.id)}
+                disabled={policeDone}
+              >
+                {u.displayName || u.nickname}
+                {myRole === 'mafia' && Object.entries(teamPicks).some(([id, t]) => t === u.id && id !== userId) && ' 🔪'}
+              </button>
+            ))}
+          </div>
+          {myRole === 'police' && <PoliceChecks checks={policeChecks} nameOf={nameOf} />}
+        </>
+      ) : (
+        <p className="waiting-message">밤에 행동하는 사람들을 기다리는 중입니다...</p>
+      )}
+    </div>
+  );
+}
+
+export function MafiaDay({
+  myRole,
+  amIAlive,
+  players,
+  eliminated,
+  lastNight,
+  lastExecution,
+  policeChecks,
+  dayEndsAt,
+  nameOf,
+  isMaster,
+  onStartVote
+}) {
+  const secondsLeft = useSecondsLeft(dayEndsAt);
+
+  return (
+    <div className="mafia-day">
+      <div className="liar-argument-timer">{formatSeconds(secondsLeft)}</div>
+      <p className="mafia-phase-title">☀️ 낮이 되었습니다</p>
+      {lastNight && (
+        <p className="mafia-announcement">
+          {lastNight.killedUserId ? `지난 밤 ${nameOf(lastNight.killedUserId)}님이 마피아에게 당했습니다.` : '지난 밤에는 아무도 죽지 않았습니다.'}
+        </p>
+      )}
+      {lastExecution && lastExecution.round === (lastNight?.round ?? 0) - 1 && !lastExecution.executed && (
+        <p className="mafia-announcement">어제 {nameOf(lastExecution.userId)}님은 사면되었습니다.</p>
+      )}
+      <RoleBadge myRole={myRole} amIAlive={amIAlive} />
+      {myRole === 'police' && amIAlive && <PoliceChecks checks={policeChecks} nameOf={nameOf} />}
+      <ul className="mafia-player-list">
+        {players.map((u) => (
+          <li key={u.id} className={eliminated[u.id] ? 'mafia-player-dead' : ''}>
+            {u.displayName || u.nickname}
+            {eliminated[u.id] && (eliminated[u.id].cause === 'night' ? ' (밤에 사망)' : ' (처형)')}
+          </li>
+        ))}
+      </ul>
+      <p>토론 후 투표로 마피아로 의심되는 사람을 지목하세요.</p>
+      {isMaster && (
+        <button className="liar-start-vote-btn" onClick={onStartVote}>지금 투표 시작</button>
+      )}
+    </div>
+  );
+}
+
+export function MafiaVote({ amIAlive, alivePlayers, votes, tieTargets, onVote, userId }) {
+  const targets = tieTargets && tieTargets.length > 0
+    ? alivePlayers.filter((u) => tieTargets.includes(u.id))
+    : alivePlayers;
+  const myVote = votes && votes[userId];
+  const notVotedList = alivePlayers.filter((u) => !(u.id in votes))
+    .map((u) => ({ id: u.id, name: u.displayName || u.nickname }));
+
+  return (
+    <div className="liar-vote">
+      {amIAlive && (
+        <span className={`liar-vote-status ${myVote ? 'voted' : ''}`}>
+          {myVote ? '투표완료' : '투표중'}
+        </span>
+      )}
+      <p className="liar-vote-header">
+        {tieTargets?.length ? '동점! 아래 중에서 다시 투표하세요' : '마피아로 의심되는 사람에게 투표하세요'}
+      </p>
+      {notVotedList.length > 0 && (
+        <div className="liar-pending-badge liar-vote-pending-badge">
+          <span className="liar-pending-label">아직 투표하지 않은 사람들</span>
+          <span className="liar-pending-names">
+            {notVotedList.map(({ id, name }, i) => (
+              <React.Fragment key={id}>
+                <span className={id === userId ? 'liar-pending-self' : ''}>{name}</span>
+                {i < notVotedList.length - 1 && ', '}
+              </React.Fragment>
+            ))}
+          </span>
+        </div>
+      )}
+      <div className="liar-vote-list">
+        {targets.map((u) => (
+          <button
+            key={u.id}
+            className={`liar-vote-option ${u.id === myVote ? 'selected' : ''} ${u.id === userId ? 'liar-vote-self' : ''}`}
+            onClick={() => onVote(u.id)}
+            disabled={!amIAlive}
+          >
+            {u.displayName || u.nickname}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function MafiaArgument({ condemnedUserId, choices, canChoose, argumentEndsAt, voterNames, nameOf, onForgiveExecute, userId }) {
+  const secondsLeft = useSecondsLeft(argumentEndsAt);
+  const myChoice = choices && choices[userId];
+
+  return (
+    <div className={canChoose ? 'liar-argument' : 'liar-argument-wait'}>
+      <div className="liar-argument-timer">{formatSeconds(secondsLeft)}</div>
+      <p className="liar-argument-header">사형수: {nameOf(condemnedUserId)}</p>
+      <p>{userId === condemnedUserId ? '최후의 변론을 하세요' : '최후의 변론'}</p>
+      {voterNames.length > 0 && (
+        <span className="liar-argument-voters-badge">투표한 사람: {voterNames.join(', ')}</span>
+      )}
+      {!canChoose && <p>사형수를 지목한 사람들이 사면/처형을 결정합니다...</p>}
+      {canChoose && (myChoice ? (
+        <p>선택: {myChoice === 'forgive' ? '사면하기' : '처형하기'}</p>
+      ) : (
+        <div className="liar-forgive-execute-buttons">
+          <button className="liar-forgive-btn" onClick={() => onForgiveExecute('forgive')}>사면하기</button>
+          <button className="liar-execute-btn" onClick={() => onForgiveExecute('execute')}>처형하기</button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function MafiaResult({ winner, data, userId, onReturnToWaiting, onLeave }) {
+  const players = data.players || [];
+
+  return (
+    <div className="liar-result mafia-result">
+      <h3>{winner === 'mafia' ? '🔪 마피아 승리!' : '🎉 시민 승리!'}</h3>
+      <ul className="mafia-player-list">
+        {players.map((p) => (
+          <li key={p.id} className={`${p.eliminated ? 'mafia-player-dead' : ''} ${p.id === userId ? 'mafia-player-self' : ''}`}>
+            {p.name} – {ROLE_LABELS[p.role]}
+            {p.eliminated && ` (${p.eliminated.round}일차 ${p.eliminated.cause === 'night' ? '밤에 사망' : '처형'})`}
+          </li>
+        ))}
+      </ul>
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React from 'react';
+
+function RankingList({ ranking, userId }) {
+  if (!ranking || ranking.length === 0) {
+    return <p className="most-likely-empty">표를 받은 사람이 없습니다.</p>;
+  }
+  const top = ranking[0].voteCount;
+  return (
+    <ol className="most-likely-ranking">
+      {ranking.map((r) => (
+        <li key={r.id} className={`${r.voteCount === top ? 'most-likely-top' : ''} ${r.id === userId ? 'liar-voter-self' : ''}`}>
+          <span className="most-likely-name">{r.name}</span>
+          <span className="most-likely-count">{r.voteCount}표</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function MostLikelyVote({ prompt, round, rounds, players, votedUserIds, myVote, canVote, isMaster, onVote, onSkip, userId }) {
+  const notVotedList = players.filter((u) => !votedUserIds.includes(u.id));
+
+  return (
+    <div className="most-likely-vote">
+      <p className="most-likely-round">질문 {round}/{rounds}</p>
+      <h3 className="most-likely-prompt">{prompt}</h3>
+      <p className="liar-vote-header">{canVote ? '가장 그럴 것 같은 사람에게 투표하세요 (익명)' : '참가자들이 투표 중입니다...'}</p>
+      <div className="liar-vote-list">
+        {players.map((u) => (
+          <button
+            key={u.id}
+            className={`liar-vote-option ${myVote === u.id ? 'selected' : ''} ${u.id === userId ? 'liar-vote-self' : ''}`}
+            onClick={() => onVote(u.id)}
+            disabled={!canVote}
+          >
+            {u.displayName || u.nickname}{u.id === userId ? ' (나)' : ''}
+          </button>
+        ))}
+      </div>
+      <p className="most-likely-progress">투표 완료 {votedUserIds.length}/{players.length}</p>
+      {notVotedList.length > 0 && (
+        <div className="liar-pending-badge">
+          <span className="liar-pending-label">아직 투표하지 않은 사람들</span>
+          <span className="liar-pending-names">
+            {notVotedList.map((u, i) => (
+              <React.Fragment key={u.id}>
+                <span className={u.id === userId ? 'liar-pending-self' : ''}>{u.displayName || u.nickname}</span>
+                {i < notVotedList.length - 1 && ', '}
+              </React.Fragment>
+            ))}
+          </span>
+        </div>
+      )}
+      {isMaster && (
+        <button className="liar-start-vote-btn" onClick={onSkip}>다른 질문</button>
+      )}
+    </div>
+  );
+}
+
+export function MostLikelyReveal({ prompt, round, rounds, ranking, isMaster, onNext, userId }) {
+  const isLast = round >= rounds;
+  return (
+    <div className="most-likely-reveal">
+      <p className="most-likely-round">질문 {round}/{rounds}</p>
+      <h3 className="most-likely-prompt">{prompt}</h3>
+      <RankingList ranking={ranking} userId={userId} />
+      {isMaster ? (
+        <button className="liar-start-vote-btn" onClick={onNext}>{isLast ? '최종 결과 보기' : '다음 질문'}</button>
+      ) : (
+        <p className="waiting-message">방장이 {isLast ? '최종 결과를' : '다음 질문을'} 열 때까지 기다려 주세요.</p>
+      )}
+    </div>
+  );
+}
+
+export function MostLikelyResult({ data, userId, onReturnToWaiting, onLeave }) {
+  const { history = [], totals = [] } = data;
+  return (
+    <div className="liar-result most-likely-result">
+      <h3>최종 결과</h3>
+      <RankingList ranking={totals} userId={userId} />
+      <div className="most-likely-history">
+        {history.map((h) => (
+          <div key={h.round} className="most-likely-history-item">
+            <div className="most-likely-history-prompt">{h.round}. {h.prompt}</div>
+            <div className="most-likely-history-winner">
+              {h.ranking.length > 0
+                ? h.ranking.filter((r) => r.voteCount === h.ranking[0].voteCount).map((r) => r.name).join(', ')
+                : '-'}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
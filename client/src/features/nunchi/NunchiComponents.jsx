@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+
+const NUNCHI_REASONS = {
+  collision: '같은 숫자를 동시에 외쳤습니다',
+  last: '마지막까지 숫자를 외치지 못했습니다',
+  timeout: '시간 안에 숫자를 외치지 못했습니다'
+};
+
+// Countdown to the start; ticks faster than the timers of the other games so "시작!" shows on time
+function useStarted(startsAt) {
+  const [msLeft, setMsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!startsAt) {
+      setMsLeft(null);
+      return;
+    }
+    const tick = () => setMsLeft(Math.max(0, startsAt - Date.now()));
+    tick();
+    const id = setInterval(tick, 100);
+    return () => clearInterval(id);
+  }, [startsAt]);
+
+  return msLeft;
+}
+
+function ClaimList({ claims, nameOf, userId }) {
+  if (claims.length === 0) return null;
+  return (
+    <ol className="nunchi-claims">
+      {claims.map((c) => (
+        <li key={c.number} className={c.userIds.length > 1 ? 'nunchi-collision' : ''}>
+          <span className="nunchi-claim-number">{c.number}</span>
+          {c.userIds.map((id, i) => (
+            <span key={id} className={id === userId ? 'liar-voter-self' : ''}>
+              {nameOf(id)}{i < c.userIds.length - 1 ? ', ' : ''}
+            </span>
+          ))}
+          {c.userIds.length > 1 && ' 💥'}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function NunchiPlay({ startsAt, claims, players, canTap, onTap, windowMs, userId }) {
+  const msLeft = useStarted(startsAt);
+  const started = msLeft === 0;
+  const myClaim = claims.find((c) => c.userIds.includes(userId));
+  const nextNumber = claims.length + 1;
+  const nameOf = (id) => {
+    const u = players.find((p) => p.id === id);
+    return u ? (u.displayName || u.nickname) : '?';
+  };
+
+  return (
+    <div className="nunchi-play">
+      <p className="liar-vote-header">
+        {started ? '다음 숫자를 외치세요! 겹치면 둘 다 걸립니다' : `${Math.ceil((msLeft || 0) / 1000)}초 후 시작`}
+      </p>
+      {/* pointerdown instead of click: the tap is sent the moment the finger lands */}
+      {canTap && (
+        <button
+          className={`nunchi-tap ${myClaim ? 'nunchi-tap-done' : ''}`}
+          onPointerDown={() => started && !myClaim && onTap()}
+          disabled={!started || !!myClaim}
+        >
+          {myClaim ? `${myClaim.number}!` : started ? nextNumber : '준비'}
+        </button>
+      )}
+      <ClaimList claims={claims} nameOf={nameOf} userId={userId} />
+      <p className="liar-setting-note">{windowMs}ms 안에 함께 누르면 같은 숫자로 판정됩니다 · 마지막까지 남은 사람도 걸립니다 · 15초 동안 아무도 외치지 않으면 못 외친 사람이 모두 걸립니다</p>
+    </div>
+  );
+}
+
+export function NunchiResult({ data, userId, onReturnToWaiting, onLeave }) {
+  const { reason, losers = [], claims = [] } = data;
+
+  return (
+    <div className="liar-result nunchi-result">
+      <h3>결과</h3>
+      <p className="nunchi-verdict">
+        {losers.length > 0 ? `🍺 ${losers.map((l) => l.name).join(', ')} 마시세요!` : '아무도 걸리지 않았습니다'}
+      </p>
+      <p className="nunchi-reason">{NUNCHI_REASONS[reason] || NUNCHI_REASONS.last}</p>
+      <ol className="nunchi-claims">
+        {claims.map((c) => (
+          <li key={c.number} className={c.taps.length > 1 ? 'nunchi-collision' : ''}>
+            <span className="nunchi-claim-number">{c.number}</span>
+            {c.taps.map((t, i) => (
+              <span key={t.id} className={t.id === userId ? 'liar-voter-self' : ''}>
+                {t.name} <span className="nunchi-elapsed">{(t.elapsedMs / 1000).toFixed(2)}초</span>{i < c.taps.length - 1 ? ', ' : ''}
+              </span>
+            ))}
+          </li>
+        ))}
+      </ol>
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
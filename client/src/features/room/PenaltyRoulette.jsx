@@ -0,0 +1,50 @@
+import React, { useState, useEffect } from 'react';
+
+const LAPS = 3;
+
+// Option lit at `now`: LAPS laps around the wheel, slowing down onto the server's pick at endsAt
+function litIndex(spin, now) {
+  const progress = Math.min(1, Math.max(0, (now - spin.startedAt) / (spin.endsAt - spin.startedAt)));
+  const steps = LAPS * spin.options.length + spin.index;
+  return Math.floor(steps * (1 - Math.pow(1 - progress, 3))) % spin.options.length;
+}
+
+// Penalty roulette for the losers of the round (api/games/penalty.js); the master spins, every phone
+// plays the same spin onto the penalty the server picked
+export function PenaltyRoulette({ roomData, isMaster, onSpin }) {
+  const spin = roomData?.penaltySpin || null;
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!spin) return undefined;
+    const tick = () => setNow(Date.now());
+    tick();
+    const id = setInterval(tick, 60);
+    return () => clearInterval(id);
+  }, [spin]);
+
+  const losers = roomData?.penaltyLosers || [];
+  if (losers.length === 0) return null;
+
+  const options = spin ? spin.options : roomData.penaltyList || [];
+  const done = spin && now >= spin.endsAt;
+  const lit = spin ? (done ? spin.index : litIndex(spin, now)) : -1;
+
+  return (
+    <div className="penalty-roulette">
+      <h3>벌칙 룰렛</h3>
+      <p className="penalty-roulette-losers">🍺 {losers.map((l) => l.name).join(', ')}</p>
+      <ul className="penalty-roulette-options">
+        {options.map((option, i) => (
+          <li key={i} className={i === lit ? (done ? 'picked' : 'lit') : ''}>{option}</li>
+        ))}
+      </ul>
+      {done && <p className="penalty-roulette-result">벌칙: <strong>{spin.penalty}</strong></p>}
+      {!spin && (isMaster ? (
+        <button className="penalty-roulette-spin" onClick={onSpin}>룰렛 돌리기</button>
+      ) : (
+        <p className="liar-setting-note">방장이 룰렛을 돌리기를 기다리는 중...</p>
+      ))}
+    </div>
+  );
+}
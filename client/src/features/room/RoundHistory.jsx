@@ -0,0 +1,88 @@
+import React from 'react';
+
+const LIAR_SCENARIOS = {
+  A: '라이어가 제시어를 맞혔습니다',
+  B: '라이어를 모두 잡았습니다',
+  C: '무고한 시민이 처형되었습니다',
+  D: '선 넘은 단어로 중단되었습니다',
+  E: '라이어 일부가 빠져나갔습니다'
+};
+
+const MAFIA_ROLES = { mafia: '마피아', doctor: '의사', police: '경찰', citizen: '시민' };
+
+function formatTime(iso) {
+  const date = new Date(iso);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+function VoteList({ votes }) {
+  return (
+    <ul className="round-history-votes">
+      {votes.map((v, i) => <li key={i}>{v.from} → {v.to}{v.rank && ` (${v.rank}순위)`}</li>)}
+    </ul>
+  );
+}
+
+// What a round's game logged (api/games/<type>.js history())
+function RoundDetails({ round }) {
+  switch (round.gameType) {
+    case 'telepathy':
+      return (
+        <>
+          <p>{round.pairs.length > 0 ? `💞 ${round.pairs.map(([a, b]) => `${a} ↔ ${b}`).join(', ')}` : '서로 고른 사람이 없습니다'}</p>
+          <VoteList votes={round.picks} />
+        </>
+      );
+    case 'liar':
+      return (
+        <>
+          <p>{LIAR_SCENARIOS[round.scenario] || round.scenario}</p>
+          <p>
+            {round.mode === '장소' ? '장소' : '제시어'}: <strong>{round.secretWord}</strong>
+            {round.decoyWord && ` · 라이어의 단어: ${round.decoyWord}`}
+          </p>
+          <p>라이어: {round.liars}{round.caught && ` (잡힘: ${round.caught})`}</p>
+          {round.votes.length > 0 && <VoteList votes={round.votes} />}
+        </>
+      );
+    case 'mafia':
+      return (
+        <>
+          <p>{round.winner === 'mafia' ? '마피아 승리' : '시민 승리'}</p>
+          <p className="round-history-roles">
+            {round.roles.map((r) => `${r.name} ${MAFIA_ROLES[r.role] || r.role}${r.eliminated ? '(사망)' : ''}`).join(' · ')}
+          </p>
+        </>
+      );
+    case 'chosung':
+      return <p>{round.winners.length > 0 ? `🏆 ${round.winners.join(', ')}` : '맞힌 사람이 없습니다'}</p>;
+    default:
+      return null;
+  }
+}
+
+// Finished rounds of the room, newest first (GET /api/room/:roomId/history)
+export function RoundHistory({ rounds, gameLabel, onClose }) {
+  return (
+    <div className="game-select-modal-overlay" onClick={onClose}>
+      <div className="game-select-modal round-history-modal" onClick={(e) => e.stopPropagation()}>
+        <h3>라운드 기록</h3>
+        {rounds.length === 0 && <p className="liar-setting-note">아직 끝난 라운드가 없습니다</p>}
+        <ol className="round-history-list">
+          {rounds.map((round) => (
+            <li key={round.round}>
+              <div className="round-history-header">
+                <strong>{round.round}라운드 · {gameLabel(round.gameType)}</strong>
+                <span>{formatTime(round.endedAt)}</span>
+              </div>
+              <p className="round-history-participants">{round.participants.join(', ')}</p>
+              <RoundDetails round={round} />
+              {round.penalty && <p className="round-history-penalty">🍺 {round.penalty.losers.join(', ')} · {round.penalty.penalty}</p>}
+            </li>
+          ))}
+        </ol>
+        <button className="game-select-cancel" onClick={onClose}>닫기</button>
+      </div>
+    </div>
+  );
+}
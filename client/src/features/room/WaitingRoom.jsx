@@ -1,5 +1,172 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
+import { RoundHistory } from './RoundHistory.jsx';
+
+// Games the master can pick (minPlayers mirrors each game module's minPlayers in api/games)
+const GAME_OPTIONS = [
+  { type: 'telepathy', label: '텔레파시 게임', minPlayers: 2, minPlayersMessage: '참가자는 최소 2명 이상 필요합니다.' },
+  { type: 'liar', label: '라이어 게임', minPlayers: 3, minPlayersMessage: '라이어 게임은 참가자 3명 이상 필요합니다.' },
+  { type: 'mafia', label: '마피아 게임', minPlayers: 4, minPlayersMessage: '마피아 게임은 참가자 4명 이상 필요합니다.' },
+  { type: 'balance', label: '밸런스 게임', minPlayers: 2, minPlayersMessage: '밸런스 게임은 참가자 2명 이상 필요합니다.' },
+  { type: 'mostLikely', label: '~할 것 같은 사람', minPlayers: 3, minPlayersMessage: '~할 것 같은 사람 게임은 참가자 3명 이상 필요합니다.' },
+  { type: 'nunchi', label: '눈치 게임', minPlayers: 3, minPlayersMessage: '눈치 게임은 참가자 3명 이상 필요합니다.' },
+  { type: 'upDown', label: '업다운', minPlayers: 3, minPlayersMessage: '업다운 게임은 참가자 3명 이상 필요합니다.' },
+  { type: 'br31', label: '베스킨라빈스 31', minPlayers: 2, minPlayersMessage: '31 게임은 참가자 2명 이상 필요합니다.' },
+  { type: 'chosung', label: '초성 퀴즈', minPlayers: 2, minPlayersMessage: '초성 퀴즈는 참가자 2명 이상 필요합니다.' }
+];
+
+const gameLabel = (type) => GAME_OPTIONS.find((g) => g.type === type)?.label || type;
+
+const RESULT_STATES = ['completed', 'liarResult', 'mafiaResult', 'balanceResult', 'mostLikelyResult', 'nunchiResult', 'upDownResult', 'br31Result', 'chosungResult'];
+const CHOSUNG_CATEGORIES = ['랜덤', '영화', '드라마', '인물', '물건', '동물', '스포츠', '요리', '장소', '직업', '국가', '과일', '채소'];
+const BALANCE_OPTION_MAX = 30;
+
+// Points across every round played in the room (api/games/scoreboard.js); hidden until someone scores
+function RoomScoreboard({ scoreboard, userId, isMaster, onReset }) {
+  if (!scoreboard || scoreboard.length === 0) return null;
+
+  return (
+    <div className="room-scoreboard">
+      <div className="room-scoreboard-header">
+        <h3>점수판</h3>
+        {isMaster && <button className="room-scoreboard-reset" onClick={onReset}>초기화</button>}
+      </div>
+      <ol className="room-scoreboard-list">
+        {scoreboard.map((entry) => (
+          <li key={entry.id} className={entry.inRoom ? '' : 'room-scoreboard-left'}>
+            <span className={entry.id === userId ? 'liar-voter-self' : ''}>{entry.name}{!entry.inRoom && ' (나감)'}</span>
+            <span className="room-scoreboard-games">
+              {Object.entries(entry.byGame).map(([type, points]) => `${gameLabel(type)} ${points}`).join(' · ')}
+            </span>
+            <span className="room-scoreboard-points">{entry.points}점</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Drink tally as a CSV file (opens in a spreadsheet; the BOM keeps Korean names readable in Excel)
+function exportTally(roomName, tally) {
+  const rows = [['순위', '이름', '벌칙 횟수'], ...tally.map((entry, i) => [i + 1, entry.name, entry.count])];
+  const csv = rows.map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+  const url = URL.createObjectURL(new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${roomName || 'link-station'}-벌칙기록.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Penalties each player took over the evening (api/games/tally.js); hidden from players until someone drank
+function DrinkTally({ tally, roomName, userId, isMaster, onAdjust }) {
+  if (!tally || (!isMaster && !tally.some((entry) => entry.count > 0))) return null;
+
+  return (
+    <div className="room-scoreboard drink-tally">
+      <div className="room-scoreboard-header">
+        <h3>벌칙 기록</h3>
+        <button className="room-scoreboard-reset" onClick={() => exportTally(roomName, tally)}>내보내기</button>
+      </div>
+      <ol className="room-scoreboard-list">
+        {tally.map((entry) => (
+          <li key={entry.id} className={entry.inRoom ? '' : 'room-scoreboard-left'}>
+            <span className={entry.id === userId ? 'liar-voter-self' : ''}>{entry.name}{!entry.inRoom && ' (나감)'}</span>
+            <span className="room-scoreboard-games" />
+            {isMaster && <button className="drink-tally-adjust" onClick={() => onAdjust(entry.id, -1)} disabled={entry.count === 0}>−</button>}
+            <span className="room-scoreboard-points">🍺 {entry.count}</span>
+            {isMaster && <button className="drink-tally-adjust" onClick={() => onAdjust(entry.id, 1)}>+</button>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+// Penalties of the roulette after each round (api/games/penalty.js), one per line; saved on blur
+function PenaltySettings({ roomData, onSetPenalties }) {
+  const listed = roomData?.penaltyIsDefault ? '' : (roomData?.penaltyList || []).join('\n');
+  const [draft, setDraft] = useState(listed);
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    if (!editing) setDraft(listed);
+  }, [editing, listed]);
+
+  return (
+    <div className="liar-settings penalty-settings">
+      <h4>벌칙 룰렛</h4>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onFocus={() => setEditing(true)}
+        onBlur={() => {
+          setEditing(false);
+          const penalties = draft.split('\n').map((p) => p.trim()).filter(Boolean);
+          onSetPenalties(penalties.length > 0 ? penalties : null);
+        }}
+        placeholder={(roomData?.penaltyList || []).join('\n')}
+        rows={4}
+      />
+      <p className="liar-setting-note">한 줄에 하나씩 (2~12개, 20자 이내) · 비워 두면 기본 벌칙을 씁니다</p>
+    </div>
+  );
+}
+
+// Balance question typed by the master: drafts are local and saved on blur, so polling doesn't overwrite typing
+function BalanceSettings({ roomData, onSetGameSettings }) {
+  const method = roomData?.balanceMethod || '랜덤';
+  const [draftA, setDraftA] = useState(roomData?.balanceCustomA || '');
+  const [draftB, setDraftB] = useState(roomData?.balanceCustomB || '');
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    if (editing) return;
+    setDraftA(roomData?.balanceCustomA || '');
+    setDraftB(roomData?.balanceCustomB || '');
+  }, [editing, roomData?.balanceCustomA, roomData?.balanceCustomB]);
+
+  const save = (changes) => onSetGameSettings('balance', {
+    balanceMethod: method,
+    balanceCustomA: draftA.trim() || null,
+    balanceCustomB: draftB.trim() || null,
+    ...changes
+  });
+
+  return (
+    <div className="liar-settings balance-settings">
+      <h4>밸런스 게임 설정</h4>
+      <div className="liar-setting-row">
+        <label>방식</label>
+        <select value={method} onChange={(e) => save({ balanceMethod: e.target.value })}>
+          <option value="랜덤">랜덤 (기본 질문)</option>
+          <option value="커스텀">커스텀 (직접 입력)</option>
+        </select>
+      </div>
+      {method === '커스텀' && (
+        <>
+          {[['A', draftA, setDraftA], ['B', draftB, setDraftB]].map(([side, value, setValue]) => (
+            <div className="liar-setting-row" key={side}>
+              <label>{side} (최대 {BALANCE_OPTION_MAX}자)</label>
+              <input
+                type="text"
+                value={value}
+                onChange={(e) => setValue(e.target.value.slice(0, BALANCE_OPTION_MAX))}
+                onFocus={() => setEditing(true)}
+                onBlur={() => {
+                  setEditing(false);
+                  save({});
+                }}
+                placeholder={side === 'A' ? '예: 평생 여름' : '예: 평생 겨울'}
+                maxLength={BALANCE_OPTION_MAX}
+              />
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
 
 export function WaitingRoom({
   roomData,
@@ -25,15 +192,58 @@ export function WaitingRoom({
   onKickUserClick,
   onSetGameType,
   onSetLiarSettings,
+  onSetGameSettings,
   onStartGame,
+  onResetScoreboard,
+  onSetPenalties,
+  onAdjustTally,
+  roundHistory,
+  onShowRoundHistory,
+  onCloseRoundHistory,
   onLeaveRoom
 }) {
+  const currentGame = GAME_OPTIONS.find((g) => g.type === gameType) || GAME_OPTIONS[0];
+  const notEnoughPlayers = attenderCount < currentGame.minPlayers;
+  const telepathySettings = {
+    telepathyMode: roomData?.telepathyMode ?? '한 명',
+    telepathyPicks: roomData?.telepathyPicks ?? 3
+  };
+  const setTelepathySetting = (field, value) => onSetGameSettings('telepathy', { ...telepathySettings, [field]: value });
+  const mafiaSettings = {
+    mafiaCount: roomData?.mafiaCount ?? 1,
+    mafiaDoctor: roomData?.mafiaDoctor ?? true,
+    mafiaPolice: roomData?.mafiaPolice ?? true,
+    mafiaDayMinutes: roomData?.mafiaDayMinutes ?? 3
+  };
+  const setMafiaSetting = (field, value) => onSetGameSettings('mafia', { ...mafiaSettings, [field]: value });
+  const liarMode = roomData?.liarMode ?? '단어';
+  const liarCount = roomData?.liarCount ?? 1;
+  const upDownSettings = {
+    upDownMax: roomData?.upDownMax ?? 100,
+    upDownTurnSeconds: roomData?.upDownTurnSeconds ?? 15,
+    upDownLoserRule: roomData?.upDownLoserRule ?? '맞힌 사람'
+  };
+  const setUpDownSetting = (field, value) => onSetGameSettings('upDown', { ...upDownSettings, [field]: value });
+  const br31Settings = {
+    br31Target: roomData?.br31Target ?? 31,
+    br31MaxStep: roomData?.br31MaxStep ?? 3,
+    br31Bot: roomData?.br31Bot ?? false,
+    br31TurnSeconds: roomData?.br31TurnSeconds ?? 15
+  };
+  const setBr31Setting = (field, value) => onSetGameSettings('br31', { ...br31Settings, [field]: value });
+  const chosungSettings = {
+    chosungCategory: roomData?.chosungCategory ?? '랜덤',
+    chosungTargetScore: roomData?.chosungTargetScore ?? 3,
+    chosungRoundSeconds: roomData?.chosungRoundSeconds ?? 30
+  };
+  const setChosungSetting = (field, value) => onSetGameSettings('chosung', { ...chosungSettings, [field]: value });
+
   return (
     <div className="waitingroom-container">
       <div className="waitingroom-header">
         <h2>🔗 링크 스테이션</h2>
         <p>방: {roomData?.roomName} | 참여자: {users.length}/{roomData?.memberLimit ?? '?'}명</p>
-        <p className="current-game-badge">현재 게임: {gameType === 'telepathy' ? '텔레파시 게임' : '라이어 게임'}</p>
+        <p className="current-game-badge">현재 게임: {currentGame.label}</p>
         {isMaster && <span className="master-badge">방장</span>}
       </div>
 
@@ -65,18 +275,21 @@ export function WaitingRoom({
         </div>
       </div>
 
+      <RoomScoreboard scoreboard={roomData?.roomScoreboard} userId={userId} isMaster={isMaster} onReset={onResetScoreboard} />
+      <DrinkTally tally={roomData?.roomTally} roomName={roomData?.roomName} userId={userId} isMaster={isMaster} onAdjust={onAdjustTally} />
+
       <div className="attenders-list">
         <h3>참가자 목록</h3>
         <div className="users-grid">
           {users.filter((u) => u.role === 'attender').map((user) => (
             <div
               key={user.id}
-              className={`user-card ${user.id === userId ? 'user-card-you' : ''} ${(gameState === 'completed' || gameState === 'liarResult') && !user.hasReturnedToWaiting ? 'user-card-still-in-result' : ''}`}
+              className={`user-card ${user.id === userId ? 'user-card-you' : ''} ${RESULT_STATES.includes(gameState) && !user.hasReturnedToWaiting ? 'user-card-still-in-result' : ''}`}
             >
               <div className="user-info">
                 <span className="user-nickname">{user.displayName || user.nickname}</span>
                 {user.isMaster && <span className="master-badge">방장</span>}
-                {(gameState === 'completed' || gameState === 'liarResult') && !user.hasReturnedToWaiting && (
+                {RESULT_STATES.includes(gameState) && !user.hasReturnedToWaiting && (
                   <span className="viewing-results-badge" title="결과 화면을 보고 있습니다">결과 확인 중</span>
                 )}
               </div>
@@ -116,115 +329,316 @@ export function WaitingRoom({
         <div className="master-controls">
           <div className="game-select-row">
             <button className="game-select-button" onClick={() => setShowGameSelect(true)} title="게임 선택">
-              게임 선택: {gameType === 'telepathy' ? '텔레파시 게임' : '라이어 게임'}
+              게임 선택: {currentGame.label}
             </button>
           </div>
           {showGameSelect && (
             <div className="game-select-modal-overlay" onClick={() => setShowGameSelect(false)}>
               <div className="game-select-modal" onClick={(e) => e.stopPropagation()}>
                 <h3>게임 선택</h3>
-                <button
-                  className={`game-option ${gameType === 'telepathy' ? 'active' : ''}`}
-                  onClick={() => { setShowGameSelect(false); onSetGameType('telepathy'); }}
-                >
-                  텔레파시 게임
-                </button>
-                <button
-                  className={`game-option ${gameType === 'liar' ? 'active' : ''}`}
-                  onClick={() => { setShowGameSelect(false); onSetGameType('liar'); }}
-                >
-                  라이어 게임
-                </button>
+                {GAME_OPTIONS.map((game) => (
+                  <button
+                    key={game.type}
+                    className={`game-option ${gameType === game.type ? 'active' : ''}`}
+                    onClick={() => { setShowGameSelect(false); onSetGameType(game.type); }}
+                  >
+                    {game.label}
+                  </button>
+                ))}
                 <button className="game-select-cancel" onClick={() => setShowGameSelect(false)}>취소</button>
               </div>
             </div>
           )}
+          {gameType === 'telepathy' && (
+            <div className="liar-settings telepathy-settings">
+              <h4>텔레파시 게임 설정</h4>
+              <div className="liar-setting-row">
+                <label>방식</label>
+                <select value={telepathySettings.telepathyMode} onChange={(e) => setTelepathySetting('telepathyMode', e.target.value)}>
+                  <option value="한 명">한 명 고르기</option>
+                  <option value="순위">순위 매기기</option>
+                </select>
+              </div>
+              {telepathySettings.telepathyMode === '순위' && (
+                <div className="liar-setting-row">
+                  <label>순위 수</label>
+                  <select value={telepathySettings.telepathyPicks} onChange={(e) => setTelepathySetting('telepathyPicks', Number(e.target.value))}>
+                    {[2, 3, 4, 5].map((n) => <option key={n} value={n}>{n}위까지</option>)}
+                  </select>
+                </div>
+              )}
+              {telepathySettings.telepathyMode === '순위' && (
+                <p className="liar-setting-note">서로 높은 순위로 고를수록 점수가 높고, 가장 많이 뽑힌 사람도 공개됩니다</p>
+              )}
+            </div>
+          )}
           {gameType === 'liar' && (
             <div className="liar-settings">
               <h4>라이어 게임 설정</h4>
               <div className="liar-setting-row">
-                <label>주제</label>
+                <label>모드</label>
                 <select
-                  value={liarSubject}
-                  onChange={(e) => {
-                    const newSubj = e.target.value;
-                    onSetLiarSettings(newSubj, newSubj === '커스텀주제' ? '커스텀' : liarMethod, newSubj === '커스텀주제' ? liarCustomSubject : null);
-                  }}
+                  value={liarMode}
+                  onChange={(e) => onSetLiarSettings(liarSubject, liarMethod, liarSubject === '커스텀주제' ? liarCustomSubject : null, e.target.value)}
                 >
-                  <option value="물건">물건</option>
-                  <option value="동물">동물</option>
-                  <option value="스포츠">스포츠</option>
-                  <option value="요리">요리</option>
-                  <option value="장소">장소</option>
-                  <option value="직업">직업</option>
-                  <option value="국가">국가</option>
-                  <option value="인물">인물</option>
-                  <option value="영화">영화</option>
-                  <option value="드라마">드라마</option>
-                  <option value="과일">과일</option>
-                  <option value="채소">채소</option>
-                  <option value="커스텀주제">커스텀주제</option>
-                </select>
-              </div>
-              {liarSubject === '커스텀주제' ? (
-                <div className="liar-setting-row">
-                  <label>커스텀 주제 (최대 16자)</label>
-                  <input
-                    type="text"
-                    value={liarCustomSubject}
-                    onChange={(e) => setLiarCustomSubject(e.target.value.slice(0, 16))}
-                    onFocus={() => { liarCustomSubjectInputFocusedRef.current = true; }}
-                    onBlur={(e) => {
-                      liarCustomSubjectInputFocusedRef.current = false;
-                      onSetLiarSettings('커스텀주제', '커스텀', e.target.value.trim().slice(0, 16));
-                    }}
-                    placeholder="주제를 입력하세요"
-                    maxLength={16}
-                  />
-                  <p className="liar-setting-note">방식은 커스텀으로 고정됩니다</p>
-                </div>
+                  <option value="단어">단어</option>
+                  <option value="장소">장소 (역할 카드)</option>
+                  <option value="바보">바보 라이어</option>
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>라이어 수</label>
+                <select
+                  value={liarCount}
+                  onChange={(e) => onSetLiarSettings(liarSubject, liarMethod, liarSubject === '커스텀주제' ? liarCustomSubject : null, liarMode, Number(e.target.value))}
+                >
+                  {[1, 2, 3].map((n) => <option key={n} value={n}>{n}명</option>)}
+                </select>
+              </div>
+              {liarCount > 1 && (
+                <p className="liar-setting-note">참가자 {liarCount * 2 + 1}명 이상 필요 · 잡힌 라이어가 단어를 못 맞히면 남은 라이어를 다시 찾습니다</p>
+              )}
+              {liarMode === '장소' ? (
+                <p className="liar-setting-note">시민은 같은 장소와 각자 다른 역할을 받고, 라이어는 언제든 장소를 맞혀 승부할 수 있습니다</p>
               ) : (
-                <div className="liar-setting-row">
-                  <label>방식</label>
-                  <select
-                    value={liarMethod}
-                    onChange={(e) => onSetLiarSettings(liarSubject, e.target.value, null)}
-                  >
-                    <option value="랜덤">랜덤</option>
-                    <option value="커스텀">커스텀</option>
-                  </select>
-                </div>
+                <>
+                  {liarMode === '바보' && (
+                    <p className="liar-setting-note">라이어도 같은 주제의 다른 단어를 받아, 자신이 라이어인 줄 모릅니다</p>
+                  )}
+                  <div className="liar-setting-row">
+                    <label>주제</label>
+                    <select
+                      value={liarSubject}
+                      onChange={(e) => {
+                        const newSubj = e.target.value;
+                        onSetLiarSettings(newSubj, newSubj === '커스텀주제' ? '커스텀' : liarMethod, newSubj === '커스텀주제' ? liarCustomSubject : null);
+                      }}
+                    >
+                      <option value="물건">물건</option>
+                      <option value="동물">동물</option>
+                      <option value="스포츠">스포츠</option>
+                      <option value="요리">요리</option>
+                      <option value="장소">장소</option>
+                      <option value="직업">직업</option>
+                      <option value="국가">국가</option>
+                      <option value="인물">인물</option>
+                      <option value="영화">영화</option>
+                      <option value="드라마">드라마</option>
+                      <option value="과일">과일</option>
+                      <option value="채소">채소</option>
+                      <option value="커스텀주제">커스텀주제</option>
+                    </select>
+                  </div>
+                  {liarSubject === '커스텀주제' ? (
+                    <div className="liar-setting-row">
+                      <label>커스텀 주제 (최대 16자)</label>
+                      <input
+                        type="text"
+                        value={liarCustomSubject}
+                        onChange={(e) => setLiarCustomSubject(e.target.value.slice(0, 16))}
+                        onFocus={() => { liarCustomSubjectInputFocusedRef.current = true; }}
+                        onBlur={(e) => {
+                          liarCustomSubjectInputFocusedRef.current = false;
+                          onSetLiarSettings('커스텀주제', '커스텀', e.target.value.trim().slice(0, 16));
+                        }}
+                        placeholder="주제를 입력하세요"
+                        maxLength={16}
+                      />
+                      <p className="liar-setting-note">방식은 커스텀으로 고정됩니다</p>
+                    </div>
+                  ) : (
+                    <div className="liar-setting-row">
+                      <label>방식</label>
+                      <select
+                        value={liarMethod}
+                        onChange={(e) => onSetLiarSettings(liarSubject, e.target.value, null)}
+                      >
+                        <option value="랜덤">랜덤</option>
+                        <option value="커스텀">커스텀</option>
+                      </select>
+                    </div>
+                  )}
+                </>
               )}
               {!isMaster && (
                 <p className="liar-settings-display">
-                  주제: {liarSubject === '커스텀주제' ? (liarCustomSubject || '(입력 대기)') : liarSubject} | 방식: {liarSubject === '커스텀주제' ? '커스텀' : liarMethod}
+                  {liarMode === '장소'
+                    ? '모드: 장소 (역할 카드)'
+                    : <>{liarMode === '바보' && '모드: 바보 라이어 | '}주제: {liarSubject === '커스텀주제' ? (liarCustomSubject || '(입력 대기)') : liarSubject} | 방식: {liarSubject === '커스텀주제' ? '커스텀' : liarMethod}</>}
+                  {liarCount > 1 && ` | 라이어: ${liarCount}명`}
                 </p>
               )}
             </div>
           )}
+          {gameType === 'mafia' && (
+            <div className="liar-settings mafia-settings">
+              <h4>마피아 게임 설정</h4>
+              <div className="liar-setting-row">
+                <label>마피아 수</label>
+                <select value={mafiaSettings.mafiaCount} onChange={(e) => setMafiaSetting('mafiaCount', Number(e.target.value))}>
+                  {[1, 2, 3].map((n) => <option key={n} value={n}>{n}명</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row mafia-role-toggles">
+                <label>
+                  <input type="checkbox" checked={mafiaSettings.mafiaDoctor} onChange={(e) => setMafiaSetting('mafiaDoctor', e.target.checked)} />
+                  의사
+                </label>
+                <label>
+                  <input type="checkbox" checked={mafiaSettings.mafiaPolice} onChange={(e) => setMafiaSetting('mafiaPolice', e.target.checked)} />
+                  경찰
+                </label>
+              </div>
+              <div className="liar-setting-row">
+                <label>낮 토론 시간</label>
+                <select value={mafiaSettings.mafiaDayMinutes} onChange={(e) => setMafiaSetting('mafiaDayMinutes', Number(e.target.value))}>
+                  {[1, 2, 3, 4, 5, 7, 10].map((n) => <option key={n} value={n}>{n}분</option>)}
+                </select>
+              </div>
+              <p className="liar-setting-note">마피아 수의 2배보다 참가자가 많아야 시작할 수 있습니다</p>
+            </div>
+          )}
+          {gameType === 'balance' && <BalanceSettings roomData={roomData} onSetGameSettings={onSetGameSettings} />}
+          {gameType === 'mostLikely' && (
+            <div className="liar-settings most-likely-settings">
+              <h4>~할 것 같은 사람 설정</h4>
+              <div className="liar-setting-row">
+                <label>질문 수</label>
+                <select
+                  value={roomData?.mostLikelyRounds ?? 5}
+                  onChange={(e) => onSetGameSettings('mostLikely', { mostLikelyRounds: Number(e.target.value) })}
+                >
+                  {[3, 5, 7, 10, 15, 20].map((n) => <option key={n} value={n}>{n}개</option>)}
+                </select>
+              </div>
+              <p className="liar-setting-note">투표는 익명이고, 질문마다 받은 표 수만 공개됩니다</p>
+            </div>
+          )}
+          {gameType === 'nunchi' && (
+            <div className="liar-settings nunchi-settings">
+              <h4>눈치 게임 설정</h4>
+              <div className="liar-setting-row">
+                <label>동시 판정 시간</label>
+                <select
+                  value={roomData?.nunchiWindowMs ?? 500}
+                  onChange={(e) => onSetGameSettings('nunchi', { nunchiWindowMs: Number(e.target.value) })}
+                >
+                  {[200, 300, 500, 700, 1000].map((ms) => <option key={ms} value={ms}>{ms / 1000}초</option>)}
+                </select>
+              </div>
+              <p className="liar-setting-note">이 시간 안에 함께 누르면 같은 숫자를 외친 것으로 보고 모두 걸립니다</p>
+            </div>
+          )}
+          {gameType === 'upDown' && (
+            <div className="liar-settings up-down-settings">
+              <h4>업다운 설정</h4>
+              <div className="liar-setting-row">
+                <label>숫자 범위</label>
+                <select value={upDownSettings.upDownMax} onChange={(e) => setUpDownSetting('upDownMax', Number(e.target.value))}>
+                  {[50, 100, 500, 1000].map((n) => <option key={n} value={n}>1~{n}</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>차례 시간</label>
+                <select value={upDownSettings.upDownTurnSeconds} onChange={(e) => setUpDownSetting('upDownTurnSeconds', Number(e.target.value))}>
+                  {[10, 15, 20, 30, 60].map((n) => <option key={n} value={n}>{n}초</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>벌칙</label>
+                <select value={upDownSettings.upDownLoserRule} onChange={(e) => setUpDownSetting('upDownLoserRule', e.target.value)}>
+                  <option value="맞힌 사람">맞힌 사람이 마시기</option>
+                  <option value="앞 사람">맞힌 사람 앞 차례가 마시기</option>
+                </select>
+              </div>
+              <p className="liar-setting-note">숫자를 정할 사람은 시작할 때 무작위로 뽑힙니다</p>
+            </div>
+          )}
+          {gameType === 'br31' && (
+            <div className="liar-settings br31-settings">
+              <h4>31 게임 설정</h4>
+              <div className="liar-setting-row">
+                <label>목표 숫자</label>
+                <select value={br31Settings.br31Target} onChange={(e) => setBr31Setting('br31Target', Number(e.target.value))}>
+                  {[21, 31, 41, 51, 99].map((n) => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>한 번에 부르기</label>
+                <select value={br31Settings.br31MaxStep} onChange={(e) => setBr31Setting('br31MaxStep', Number(e.target.value))}>
+                  {[2, 3, 4, 5].map((n) => <option key={n} value={n}>1~{n}개</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>차례 시간</label>
+                <select value={br31Settings.br31TurnSeconds} onChange={(e) => setBr31Setting('br31TurnSeconds', Number(e.target.value))}>
+                  {[10, 15, 20, 30, 60].map((n) => <option key={n} value={n}>{n}초</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>
+                  <input type="checkbox" checked={br31Settings.br31Bot} onChange={(e) => setBr31Setting('br31Bot', e.target.checked)} />
+                  봇 참가
+                </label>
+              </div>
+              <p className="liar-setting-note">차례는 시작할 때 무작위로 정해지고, 봇도 그 안에 한 자리를 차지합니다</p>
+            </div>
+          )}
+          {gameType === 'chosung' && (
+            <div className="liar-settings chosung-settings">
+              <h4>초성 퀴즈 설정</h4>
+              <div className="liar-setting-row">
+                <label>주제</label>
+                <select value={chosungSettings.chosungCategory} onChange={(e) => setChosungSetting('chosungCategory', e.target.value)}>
+                  {CHOSUNG_CATEGORIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>목표 점수</label>
+                <select value={chosungSettings.chosungTargetScore} onChange={(e) => setChosungSetting('chosungTargetScore', Number(e.target.value))}>
+                  {[1, 2, 3, 5, 7, 10].map((n) => <option key={n} value={n}>{n}점</option>)}
+                </select>
+              </div>
+              <div className="liar-setting-row">
+                <label>문제당 시간</label>
+                <select value={chosungSettings.chosungRoundSeconds} onChange={(e) => setChosungSetting('chosungRoundSeconds', Number(e.target.value))}>
+                  {[15, 30, 45, 60, 90].map((n) => <option key={n} value={n}>{n}초</option>)}
+                </select>
+              </div>
+              <p className="liar-setting-note">라이어 게임 단어 중에서 출제되고, 가장 먼저 맞힌 사람이 1점을 얻습니다</p>
+            </div>
+          )}
+          <PenaltySettings roomData={roomData} onSetPenalties={onSetPenalties} />
           <button
             className="start-game-button"
             onClick={onStartGame}
             disabled={
               gameState !== 'waiting' ||
               isLoading ||
-              (gameType === 'telepathy' && attenderCount < 2) ||
-              (gameType === 'liar' && attenderCount < 3)
+              notEnoughPlayers
             }
           >
             {isLoading ? '게임 시작 중...' : `게임 시작 (참가자 ${attenderCount}명)`}
           </button>
           {gameState !== 'waiting' && <p className="waiting-message">모든 사용자가 대기실로 돌아올 때까지 기다려주세요.</p>}
-          {gameState === 'waiting' && gameType === 'telepathy' && attenderCount < 2 && (
-            <p className="waiting-message">참가자는 최소 2명 이상 필요합니다.</p>
-          )}
-          {gameState === 'waiting' && gameType === 'liar' && attenderCount < 3 && (
-            <p className="waiting-message">라이어 게임은 참가자 3명 이상 필요합니다.</p>
+          {gameState === 'waiting' && notEnoughPlayers && (
+            <p className="waiting-message">{currentGame.minPlayersMessage}</p>
           )}
         </div>
       )}
 
+      {roundHistory && (
+        <RoundHistory
+          rounds={roundHistory}
+          gameLabel={gameLabel}
+          onClose={onCloseRoundHistory}
+        />
+      )}
+
       <div className="room-actions">
+        <button className="round-history-button" onClick={onShowRoundHistory}>
+          라운드 기록
+        </button>
         <button className="leave-room-button" onClick={onLeaveRoom}>
           방 나가기
         </button>
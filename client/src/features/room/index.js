@@ -4,3 +4,4 @@ export { JoinRoom } from './JoinRoom.jsx';
 export { CheckPassword } from './CheckPassword.jsx';
 export { JoinRoomWithQR } from './JoinRoomWithQR.jsx';
 export { WaitingRoom } from './WaitingRoom.jsx';
+export { PenaltyRoulette } from './PenaltyRoulette.jsx';
@@ -1,22 +1,40 @@
-import React from 'react';
+import React, { useState } from 'react';
 
+const RANKED_MODE = '순위';
+
+const nameOf = (user) => user.displayName || user.nickname;
+
+// In 순위 mode players tap up to maxPicks others in order and submit the ranking (selectedUser is then
+// the submitted ids, best first)
 export function TelepathyPlay({
   users,
   userId,
   hasVoted,
   selectedUser,
   userRole,
+  mode,
+  maxPicks,
   onSelectUser,
   isLoading
 }) {
   const attenders = users.filter((u) => (u.role || 'attender') === 'attender');
+  const ranked = mode === RANKED_MODE;
+  const [ranking, setRanking] = useState([]);
+  const myRanking = hasVoted ? [].concat(selectedUser || []) : ranking;
+
+  const toggleRank = (id) => setRanking((prev) => {
+    if (prev.includes(id)) return prev.filter((picked) => picked !== id);
+    return prev.length < maxPicks ? [...prev, id] : prev;
+  });
 
   return (
     <div className="telepathy-container">
       <div className="telepathy-header">
         <h2>🔗 텔레파시 게임</h2>
         <p>
-          {userRole === 'observer' ? '투표 상황을 관전하세요' : '연결하고 싶은 사람을 선택하세요'}
+          {userRole === 'observer'
+            ? '투표 상황을 관전하세요'
+            : ranked ? `연결하고 싶은 사람을 ${maxPicks}위까지 순서대로 고르세요` : '연결하고 싶은 사람을 선택하세요'}
         </p>
         <p className="role-indicator">
           현재 역할: {userRole === 'attender' ? '참가자' : '관전자'}
@@ -39,11 +57,16 @@ export function TelepathyPlay({
                     <span>👑 방장</span>
                   </div>
                 )}
-                {hasVoted && selectedUser === user.id && (
+                {!ranked && hasVoted && selectedUser === user.id && (
                   <div className="selected-indicator">
                     <span>🎯 당신의 선택</span>
                   </div>
                 )}
+                {ranked && myRanking.includes(user.id) && (
+                  <div className="selected-indicator">
+                    <span>🎯 {myRanking.indexOf(user.id) + 1}순위</span>
+                  </div>
+                )}
                 {user.hasVoted ? (
                   <div className="completed-indicator">
                     <span>✅ 투표완료</span>
@@ -57,10 +80,10 @@ export function TelepathyPlay({
               {!hasVoted && user.id !== userId && userRole === 'attender' && (
                 <button
                   className="select-button"
-                  onClick={() => onSelectUser(user.id)}
-                  disabled={isLoading}
+                  onClick={() => (ranked ? toggleRank(user.id) : onSelectUser(user.id))}
+                  disabled={isLoading || (ranked && !ranking.includes(user.id) && ranking.length >= maxPicks)}
                 >
-                  선택
+                  {ranked && ranking.includes(user.id) ? '취소' : '선택'}
                 </button>
               )}
             </div>
@@ -68,6 +91,16 @@ export function TelepathyPlay({
         </div>
       </div>
 
+      {ranked && !hasVoted && userRole === 'attender' && (
+        <button
+          className="start-game-button telepathy-ranking-submit"
+          onClick={() => onSelectUser(ranking)}
+          disabled={isLoading || ranking.length === 0}
+        >
+          순위 제출 ({ranking.length}/{maxPicks})
+        </button>
+      )}
+
       {hasVoted && (
         <div className="voted-message">
           <p>투표가 완료되었습니다. 다른 참여자들의 선택을 기다리는 중...</p>
@@ -77,7 +110,13 @@ export function TelepathyPlay({
   );
 }
 
-export function TelepathyResult({ matches, unmatched, onReturnToWaiting, onLeave }) {
+// details: the rest of matchResult – mode, one-sided picks and the most wanted player (rooms from
+// before the 순위 mode have none of them)
+export function TelepathyResult({ matches, unmatched, details, onReturnToWaiting, onLeave }) {
+  const ranked = details?.mode === RANKED_MODE;
+  const oneSided = details?.oneSided || [];
+  const mostWanted = details?.mostWanted;
+
   return (
     <div className="telepathy-result-container">
       <div className="telepathy-result-header">
@@ -91,11 +130,15 @@ export function TelepathyResult({ matches, unmatched, onReturnToWaiting, onLeave
           {matches.map((match, index) => (
             <div key={index} className="match-card success">
               <div className="match-pair">
-                <span className="user-name">{match.user1.displayName || match.user1.nickname}</span>
+                <span className="user-name">{nameOf(match.user1)}</span>
                 <span className="match-arrow">↔️</span>
-                <span className="user-name">{match.user2.displayName || match.user2.nickname}</span>
+                <span className="user-name">{nameOf(match.user2)}</span>
               </div>
-              <p className="match-message">축하합니다! 텔레파시가 통했습니다!! 🎊</p>
+              {ranked ? (
+                <p className="match-message">서로 {match.rank1}순위 ↔ {match.rank2}순위 · {match.points}점</p>
+              ) : (
+                <p className="match-message">축하합니다! 텔레파시가 통했습니다!! 🎊</p>
+              )}
             </div>
           ))}
         </div>
@@ -106,13 +149,36 @@ export function TelepathyResult({ matches, unmatched, onReturnToWaiting, onLeave
           <h3>😔 매칭 실패</h3>
           {unmatched.map((user, index) => (
             <div key={index} className="match-card fail">
-              <span className="user-name">{user.displayName || user.nickname}</span>
+              <span className="user-name">{nameOf(user)}</span>
               <p className="match-message">아쉽네요. 텔레파시 신호가 약했습니다..</p>
             </div>
           ))}
         </div>
       )}
 
+      {mostWanted && mostWanted.users.length > 0 && (
+        <div className="most-wanted-section">
+          <h3>💘 인기 스타</h3>
+          <p>
+            <strong>{mostWanted.users.map(nameOf).join(', ')}</strong>
+            {ranked ? ` · ${mostWanted.points}점` : ` · ${mostWanted.points}표`}
+          </p>
+        </div>
+      )}
+
+      {oneSided.length > 0 && (
+        <div className="one-sided-section">
+          <h3>💔 짝사랑</h3>
+          <ul>
+            {oneSided.map((pick, index) => (
+              <li key={index}>
+                {nameOf(pick.from)} → {nameOf(pick.to)}{ranked && ` (${pick.rank}순위)`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="result-actions">
         <button className="return-to-waiting-button" onClick={onReturnToWaiting}>
           대기실로 돌아가기
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+
+const HINT_LABELS = {
+  up: '업 ⬆️',
+  down: '다운 ⬇️',
+  hit: '정답! 🎯',
+  timeout: '시간 초과'
+};
+
+function useSecondsLeft(endsAt) {
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  useEffect(() => {
+    if (!endsAt) {
+      setSecondsLeft(null);
+      return;
+    }
+    const tick = () => setSecondsLeft(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  return secondsLeft;
+}
+
+// Number input that submits on Enter; cleared after an accepted submit
+function NumberForm({ min, max, label, onSubmit }) {
+  const [value, setValue] = useState('');
+  const submit = async () => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || value === '') return;
+    const ok = await onSubmit(number);
+    if (ok) setValue('');
+  };
+
+  return (
+    <div className="up-down-form">
+      <input
+        type="number"
+        inputMode="numeric"
+        min={min}
+        max={max}
+        value={value}
+        placeholder={`${min}~${max}`}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => e.key === 'Enter' && submit()}
+      />
+      <button className="liar-start-vote-btn" onClick={submit} disabled={value === ''}>{label}</button>
+    </div>
+  );
+}
+
+function HintHistory({ history, nameOf, userId }) {
+  if (history.length === 0) return null;
+  return (
+    <ol className="up-down-history">
+      {history.map((h, i) => (
+        <li key={i} className={`up-down-hint-${h.hint}`}>
+          <span className={h.userId === userId ? 'liar-voter-self' : ''}>{h.name || nameOf(h.userId)}</span>
+          <span className="up-down-guess">{h.number ?? '-'}</span>
+          <span className="up-down-hint">{HINT_LABELS[h.hint]}</span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export function UpDownPick({ pickerName, isPicker, low, high, pickEndsAt, onPickNumber }) {
+  const secondsLeft = useSecondsLeft(pickEndsAt);
+
+  return (
+    <div className="up-down-pick">
+      {isPicker ? (
+        <>
+          <p className="liar-vote-header">비밀 숫자를 고르세요 ({low}~{high})</p>
+          <NumberForm min={low} max={high} label="결정" onSubmit={onPickNumber} />
+          <p className="liar-setting-note">{secondsLeft ?? '--'}초 안에 고르지 않으면 무작위로 정해집니다</p>
+        </>
+      ) : (
+        <p className="waiting-message">{pickerName}님이 비밀 숫자를 고르는 중입니다... ({secondsLeft ?? '--'}초)</p>
+      )}
+    </div>
+  );
+}
+
+export function UpDownGuess({ pickerName, mySecret, low, high, turnUserId, turnEndsAt, order, history, nameOf, onGuess, userId }) {
+  const secondsLeft = useSecondsLeft(turnEndsAt);
+  const isMyTurn = turnUserId === userId;
+
+  return (
+    <div className="up-down-guess-phase">
+      {mySecret !== null && mySecret !== undefined && (
+        <p className="up-down-secret">내 비밀 숫자: <strong>{mySecret}</strong></p>
+      )}
+      <div className="up-down-range">
+        <span>{low}</span>
+        <span className="up-down-range-sep">~</span>
+        <span>{high}</span>
+      </div>
+      <p className="liar-vote-header">
+        {isMyTurn ? '내 차례! 숫자를 말하세요' : `${nameOf(turnUserId)}님 차례`} · {secondsLeft ?? '--'}초
+      </p>
+      {isMyTurn && <NumberForm min={low} max={high} label="말하기" onSubmit={onGuess} />}
+      <div className="up-down-order">
+        {order.map((id) => (
+          <span key={id} className={`up-down-order-item ${id === turnUserId ? 'up-down-current' : ''}`}>{nameOf(id)}</span>
+        ))}
+      </div>
+      <HintHistory history={history} nameOf={nameOf} userId={userId} />
+      <p className="liar-setting-note">숫자를 정한 사람: {pickerName}</p>
+    </div>
+  );
+}
+
+export function UpDownResult({ data, userId, onReturnToWaiting, onLeave }) {
+  const { secret, picker, hitter, loser, loserRule, history = [] } = data;
+
+  return (
+    <div className="liar-result up-down-result">
+      <h3>결과</h3>
+      <p className="up-down-answer">정답은 <strong>{secret}</strong> ({picker?.name}님이 정한 숫자)</p>
+      <p className="up-down-verdict">
+        🍺 {loser?.name} 마시세요!
+        <span className="up-down-rule">
+          {loserRule === '앞 사람' ? ` (${hitter?.name}님이 맞혀서 앞 사람이 걸렸습니다)` : ' (맞힌 사람이 걸렸습니다)'}
+        </span>
+      </p>
+      <HintHistory history={history} nameOf={() => '?'} userId={userId} />
+      <div className="result-actions">
+        <button className="return-to-waiting-button" onClick={onReturnToWaiting}>대기실로 돌아가기</button>
+        <button className="leave-room-button" onClick={onLeave}>방 나가기</button>
+      </div>
+    </div>
+  );
+}
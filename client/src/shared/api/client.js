@@ -1,3 +1,18 @@
+import { getSessionToken } from '../session/index.js';
+
 export const API_URL = process.env.NODE_ENV === 'production'
   ? window.location.origin
   : 'http://localhost:3000';
+
+export const SESSION_TOKEN_HEADER = 'x-session-token';
+
+// JSON headers plus the player's session token (the server takes the acting user from it)
+export const sessionHeaders = () => {
+  const token = getSessionToken();
+  return token
+    ? { 'Content-Type': 'application/json', [SESSION_TOKEN_HEADER]: token }
+    : { 'Content-Type': 'application/json' };
+};
+
+// Player action of the room's current game (the server dispatches by room game type)
+export const gameActionUrl = (action) => `${API_URL}/api/game/${action}`;
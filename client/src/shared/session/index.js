@@ -25,3 +25,9 @@ export const clearSession = () => {
     console.error('Failed to clear session:', e);
   }
 };
+
+// Signed player token issued on create/join; sent with every player action
+export const getSessionToken = () => {
+  const session = loadSession();
+  return session ? session.sessionToken || null : null;
+};
@@ -0,0 +1,113 @@
+/**
+ * Shared fixtures for the game unit tests in scripts/.
+ *
+ * Requiring this module switches storage to the in-memory store, so the tests
+ * require it before anything under api/. No API needed.
+ */
+delete process.env.UPSTASH_REDIS_KV_REST_API_URL; // always the in-memory store
+
+const games = require('../../api/games');
+
+// Fixed clock for rounds that run on phase timers
+const T0 = 1760000000000;
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function expectEqual(actual, expected, label) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    fail(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+function user(id, role = 'attender') {
+  return { id, username: id, displayName: id, role };
+}
+
+// The ctx.reject the game routes hand to the modules
+function reject(status, message) {
+  return { save: false, status, body: { success: false, message } };
+}
+
+// A waiting room shaped like the one /api/create-room makes, with the players,
+// the observers (u_watch unless told otherwise) and every game's default settings
+function createRoom(id, { gameType, players, observers = ['u_watch'], masterId = players[0], settings = {} }) {
+  const users = [...players.map((uid) => user(uid)), ...observers.map((uid) => user(uid, 'observer'))];
+  return {
+    id,
+    roomName: id,
+    memberLimit: 12,
+    users: new Map(users.map((u) => [u.id, u])),
+    selections: new Map(),
+    returnedToWaiting: new Set(),
+    masterId,
+    gameType,
+    gameState: 'waiting',
+    ...games.defaultSettings(),
+    roomScores: new Map(),
+    roomHistory: [],
+    penaltyList: null,
+    roomTally: new Map(),
+    ...settings,
+    lastActivity: T0
+  };
+}
+
+function attendersOf(room) {
+  return Array.from(room.users.values()).filter((u) => u.role === 'attender');
+}
+
+// createRoom, then the game's start(); a refused start fails the test
+function startRoom(id, { now = T0, ...options }) {
+  const room = createRoom(id, options);
+  const refused = games.getGame(room.gameType).start(room, { attenders: attendersOf(room), now, reject });
+  if (refused) fail(`start refused: ${refused.body.message}`);
+  return room;
+}
+
+// What /api/start-game does around game.start
+function startGame(room, gameType, settings = {}) {
+  Object.assign(room, settings, { gameType });
+  room.selections.clear();
+  room.matchResult = null;
+  const refused = games.getGame(gameType).start(room, { attenders: attendersOf(room), now: T0, reject });
+  if (refused) fail(`start refused: ${refused.body.message}`);
+  games.startRound(room);
+}
+
+// What /api/return-to-waiting does once everyone is back
+function backToWaiting(room) {
+  room.gameState = 'waiting';
+  room.matchResult = null;
+  room.selections.clear();
+  const game = games.getRoomGame(room);
+  if (game.reset) game.reset(room);
+}
+
+// Every player in a liar round votes for the target, then its voters execute
+function condemn(room, targetId, now = T0 + 1000) {
+  const liar = games.getGame('liar');
+  const ctx = { attenders: attendersOf(room), now, reject };
+  const voters = ctx.attenders.map((u) => u.id);
+  liar.actions['start-vote'](room, { ...ctx, userId: room.masterId });
+  for (const voter of voters) {
+    const targetUserId = voter === targetId ? voters.find((id) => id !== targetId) : targetId;
+    liar.actions.vote(room, { ...ctx, userId: voter, body: { targetUserId } });
+  }
+  for (const voter of voters.filter((id) => id !== targetId)) liar.actions['forgive-execute'](room, { ...ctx, userId: voter, body: { choice: 'execute' } });
+}
+
+module.exports = {
+  T0,
+  fail,
+  expectEqual,
+  user,
+  reject,
+  createRoom,
+  attendersOf,
+  startRoom,
+  startGame,
+  backToWaiting,
+  condemn
+};
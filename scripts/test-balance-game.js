@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the Balance game module (api/games/balance.js) and its question deck.
+ *   - the deck CSV loads; random questions avoid the ones the room already had
+ *   - custom questions need both sides
+ *   - picks stay secret until everyone picked (or the master reveals); the result snapshot holds
+ *     the split, who picked what and the minority side
+ *
+ * Run: node scripts/test-balance-game.js
+ */
+const { fail, expectEqual, reject, createRoom, attendersOf } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const games = require('../api/games');
+const { loadQuestions, questionKey } = require('../api/balanceQuestions');
+const { buildRoomView } = require('../api/roomView');
+
+const balance = games.getGame('balance');
+
+function act(room, action, userId, body = {}) {
+  const outcome = balance.actions[action](room, { userId, body, now: Date.now(), reject });
+  if (outcome.save === false) fail(`${action} by ${userId} refused: ${outcome.body.message}`);
+  return outcome;
+}
+
+async function main() {
+  console.log('=== Balance Game Test ===\n');
+
+  console.log('1. Question deck loads and random questions avoid repeats...');
+  const deck = loadQuestions();
+  if (deck.length < 20) fail(`deck too small: ${deck.length}`);
+  if (!deck.every((q) => q.a && q.b)) fail('every question needs both sides');
+  const room = createRoom('room_balance', { gameType: 'balance', players: ['u_a', 'u_b', 'u_c', 'u_d'] });
+  room.balanceAskedKeys = deck.slice(1).map(questionKey);
+  if (balance.start(room, { attenders: attendersOf(room), reject })) fail('start refused');
+  expectEqual(room.balanceQuestion, deck[0], 'only unasked question');
+  expectEqual(room.gameState, 'balancePick', 'gameState');
+  console.log('   OK');
+
+  console.log('\n2. Custom question needs both sides...');
+  const custom = createRoom('room_custom', { gameType: 'balance', players: ['u_a', 'u_b'] });
+  const settingsOutcome = balance.settings.apply(custom, { balanceMethod: '커스텀', balanceCustomA: '  산  ', balanceCustomB: '' }, { reject });
+  expectEqual([settingsOutcome.body.balanceCustomA, settingsOutcome.body.balanceCustomB], ['산', null], 'trimmed settings');
+  const refused = balance.start(custom, { attenders: attendersOf(custom), reject });
+  if (!refused || refused.status !== 400) fail('custom question without B should be refused');
+  balance.settings.apply(custom, { balanceMethod: '커스텀', balanceCustomA: '산', balanceCustomB: '바다' }, { reject });
+  if (balance.start(custom, { attenders: attendersOf(custom), reject })) fail('custom start refused');
+  expectEqual(custom.balanceQuestion, { a: '산', b: '바다' }, 'custom question');
+  console.log('   OK');
+
+  console.log('\n3. Picks are secret while picking...');
+  act(room, 'pick', 'u_a', { choice: 'A' });
+  act(room, 'pick', 'u_b', { choice: 'B' });
+  act(room, 'pick', 'u_b', { choice: 'A' }); // changed their mind
+  const viewC = buildRoomView(room, 'u_c').room;
+  expectEqual([viewC.balanceMyPick, viewC.balancePickedUserIds, viewC.balanceResultData], [null, ['u_a', 'u_b'], null], 'view of a player who has not picked');
+  expectEqual(buildRoomView(room, 'u_b').room.balanceMyPick, 'A', 'own pick');
+  const observerPick = balance.actions.pick(room, { userId: 'u_watch', body: { choice: 'B' }, reject });
+  if (observerPick.status !== 403) fail('observer pick should be refused');
+  const notMaster = balance.actions.reveal(room, { userId: 'u_b', body: {}, reject });
+  if (notMaster.status !== 403) fail('only the master reveals');
+  console.log('   OK');
+
+  console.log('\n4. Last pick reveals the split and the minority side...');
+  act(room, 'pick', 'u_c', { choice: 'B' });
+  act(room, 'pick', 'u_d', { choice: 'A' });
+  expectEqual(room.gameState, 'balanceResult', 'result after every pick');
+  await storage.saveRoom(room);
+  const loaded = await storage.getRoomById('room_balance');
+  const result = buildRoomView(loaded, 'u_watch').room.balanceResultData;
+  expectEqual(result.counts, { A: 3, B: 1 }, 'split');
+  expectEqual(result.minority, 'B', 'minority side');
+  expectEqual(result.sides.B, [{ id: 'u_c', name: 'u_c' }], 'minority pickers');
+  if (games.getRoomPhase(loaded) !== 'result') fail('balance room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n5. Master reveals early; an even split has no minority...');
+  act(custom, 'pick', 'u_a', { choice: 'A' });
+  act(custom, 'reveal', 'u_a');
+  expectEqual([custom.gameState, custom.balanceResultData.minority, custom.balanceResultData.counts], ['balanceResult', null, { A: 1, B: 0 }], 'early reveal');
+  balance.reset(custom);
+  if (custom.balanceState !== null || custom.balancePicks !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n✅ All balance game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the 31 game module (api/games/br31.js) and the shared turn order (api/games/turns.js).
+ *   - only the seat whose turn it is may call, 1 to maxStep numbers, never past the target
+ *   - whoever says the target loses; players who left lose their seat
+ *   - the bot seat moves on a phase timer and plays the two-player strategy
+ *   - a player who runs out of turn time calls 1
+ *
+ * Run: node scripts/test-br31-game.js
+ */
+const { T0, fail, expectEqual, reject, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { seatFrom, currentSeat } = require('../api/games/turns');
+const { buildRoomView } = require('../api/roomView');
+
+const br31 = games.getGame('br31');
+const BOT_ID = 'br31-bot';
+
+function callAs(room, userId, count, now = T0) {
+  return br31.actions.call(room, { userId, body: { count }, now, reject });
+}
+
+function expectCall(room, userId, count, now = T0) {
+  const outcome = callAs(room, userId, count, now);
+  if (outcome.save === false) fail(`call ${count} by ${userId} refused: ${outcome.body.message}`);
+  return outcome;
+}
+
+function turnOf(room) {
+  return buildRoomView(room, 'u_watch').room.br31TurnId;
+}
+
+async function main() {
+  console.log('=== 31 Game Test ===\n');
+
+  console.log('1. Shared turn order skips seats that left...');
+  const seated = (id) => id !== 'b';
+  expectEqual([seatFrom(['a', 'b', 'c'], 0, seated), seatFrom(['a', 'b', 'c'], 2, seated, -1), currentSeat(['a', 'b', 'c'], 1, seated)], [2, 0, 2], 'seats');
+  expectEqual(seatFrom(['b'], 0, seated), null, 'nobody seated');
+  console.log('   OK');
+
+  console.log('\n2. Settings and moves are validated...');
+  const room = startRoom('room_31', { gameType: 'br31', players: ['u_a', 'u_b', 'u_c'], settings: { br31Target: 10 } });
+  expectEqual(br31.settings.apply(room, { br31Target: 5, br31MaxStep: 3, br31Bot: false }, { reject }).status, 400, 'target too small');
+  expectEqual(br31.settings.apply(room, { br31Target: 10, br31MaxStep: 6, br31Bot: false }, { reject }).status, 400, 'step too large');
+  const [first, second, third] = room.br31Order;
+  expectEqual([room.gameState, room.br31Order.length, turnOf(room)], ['br31Play', 3, first], 'turn order');
+  expectEqual(callAs(room, second, 1).status, 403, 'out of turn');
+  expectEqual(callAs(room, first, 4).status, 400, 'more than maxStep');
+  expectEqual(callAs(room, first, 0).status, 400, 'no numbers');
+  console.log('   OK');
+
+  console.log('\n3. Turns go around; whoever says the target loses...');
+  expectCall(room, first, 3); // 1 2 3
+  expectCall(room, second, 3); // 4 5 6
+  expectCall(room, third, 2); // 7 8
+  expectEqual([room.br31Count, turnOf(room)], [8, first], 'back to the first seat');
+  expectEqual(callAs(room, first, 3).status, 400, 'calling past the target');
+  expectCall(room, first, 1); // 9
+  room.users.delete(second); // left: their seat is skipped
+  expectEqual(turnOf(room), third, 'seat of a player who left is skipped');
+  expectCall(room, third, 1); // 10
+  const result = buildRoomView(room, 'u_watch').room.br31ResultData;
+  expectEqual([room.gameState, result.loser.id, result.history.map((h) => h.numbers.length)], ['br31Result', third, [3, 3, 2, 1, 1]], 'loser and history');
+  if (games.getRoomPhase(room) !== 'result') fail('room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n4. The bot plays through the scheduler and never loses a two-seat game...');
+  const duel = startRoom('room_bot', { gameType: 'br31', players: ['u_a', 'u_b'], settings: { br31Bot: true } });
+  duel.users.delete('u_b'); // one human against the bot
+  duel.br31Order = ['u_a', 'u_b', BOT_ID];
+  duel.br31TurnIndex = 0;
+  duel.br31BotMovesAt = null;
+  await storage.saveRoom(duel);
+  let now = T0;
+  const botCounts = [];
+  for (let turn = 0; turn < 40; turn++) {
+    const current = await storage.getRoomById('room_bot');
+    if (current.br31State !== 'play') break;
+    now += 2000;
+    if (turnOf(current) === 'u_a') {
+      await storage.updateRoom('room_bot', (r) => {
+        callAs(r, 'u_a', 1, now);
+        return {};
+      });
+    } else {
+      const { fired, room: after } = await scheduler.advanceRoom('room_bot', now);
+      expectEqual(fired, ['bot'], 'bot timer');
+      if (after.br31State === 'play') botCounts.push(after.br31Count);
+    }
+  }
+  const finished = await storage.getRoomById('room_bot');
+  expectEqual(finished.br31ResultData.loser.id, 'u_a', 'human says 31');
+  if (!botCounts.every((count) => count % 4 === 2)) fail(`bot should end on 2, 6, 10, …: ${botCounts}`);
+  expectEqual(buildRoomView(finished, 'u_a').room.br31Seats.map((s) => [s.isBot, s.left]), [[false, false], [false, true], [true, false]], 'seats view');
+  console.log('   OK');
+
+  console.log('\n5. The bot moves first when it holds the first seat...');
+  const botFirst = startRoom('room_bot_first', { gameType: 'br31', players: ['u_a', 'u_b'], settings: { br31Bot: true } });
+  botFirst.br31Order = [BOT_ID, 'u_a', 'u_b'];
+  botFirst.br31BotMovesAt = T0 + 1200;
+  scheduler.applyDueTimers(botFirst, T0 + 1200);
+  expectEqual([botFirst.br31Count, turnOf(botFirst)], [2, 'u_a'], 'bot opened with 1 2');
+  br31.reset(botFirst);
+  if (botFirst.br31State !== null || botFirst.br31Order !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n6. A player who runs out of time calls 1...');
+  expectEqual(br31.settings.apply(room, { br31Target: 31, br31MaxStep: 3, br31Bot: false, br31TurnSeconds: 3 }, { reject }).status, 400, 'turn too short');
+  const idle = startRoom('room_idle', { gameType: 'br31', players: ['u_a', 'u_b'], settings: { br31TurnSeconds: 10 } });
+  const [idler, next] = idle.br31Order;
+  expectEqual([buildRoomView(idle, 'u_watch').room.br31TurnEndsAt, scheduler.applyDueTimers(idle, T0 + 9999)], [T0 + 10000, []], 'turn clock');
+  expectEqual(scheduler.applyDueTimers(idle, T0 + 10000), ['turn'], 'turn timer fired');
+  expectEqual([idle.br31Count, idle.br31History[0], turnOf(idle), idle.br31TurnEndsAt], [1, { seatId: idler, numbers: [1], timeout: true }, next, T0 + 20000], 'called 1, next turn on its own clock');
+  expectCall(idle, next, 2, T0 + 12000);
+  expectEqual(idle.br31TurnEndsAt, T0 + 22000, 'clock restarts on every call');
+  console.log('   OK');
+
+  console.log('\n✅ All 31 game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the chosung quiz module (api/games/chosung.js) and its Hangul helpers (api/games/hangul.js).
+ *   - words come from the liar word deck and are shown only as their initial consonants
+ *   - the first correct answer scores (decomposed input and spaces still match); the word stays hidden until then
+ *   - question and reveal timers move the rounds on until someone reaches the target score
+ *
+ * Run: node scripts/test-chosung-game.js
+ */
+const { T0, fail, expectEqual, reject, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { initialsOf, isSameAnswer } = require('../api/games/hangul');
+const { loadWords } = require('../api/liarWords');
+const { buildRoomView } = require('../api/roomView');
+
+const chosung = games.getGame('chosung');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c'];
+const ROOM = { gameType: 'chosung', players: PLAYERS };
+
+function answerAs(room, userId, text, now = T0) {
+  return chosung.actions.answer(room, { userId, body: { text }, now, reject });
+}
+
+function viewOf(room) {
+  return buildRoomView(room, 'u_watch').room;
+}
+
+async function main() {
+  console.log('=== Chosung Quiz Test ===\n');
+
+  console.log('1. Initial consonants and answer matching...');
+  expectEqual([initialsOf('극한직업'), initialsOf('까치'), initialsOf('7번방의선물'), initialsOf('응답하라1988')], ['ㄱㅎㅈㅇ', 'ㄲㅊ', '7ㅂㅂㅇㅅㅁ', 'ㅇㄷㅎㄹ1988'], 'initials');
+  if (!isSameAnswer('극한 직업'.normalize('NFD'), '극한직업')) fail('decomposed input with spaces should match');
+  if (isSameAnswer('ㄱㅎㅈㅇ', '극한직업') || isSameAnswer('  ', '극한직업')) fail('initials or blanks are not the answer');
+  console.log('   OK');
+
+  console.log('\n2. Settings are validated...');
+  const room = startRoom('room_chosung', { ...ROOM, settings: { chosungCategory: '영화', chosungTargetScore: 2 } });
+  expectEqual(chosung.settings.apply(room, { chosungCategory: '없는주제', chosungTargetScore: 3, chosungRoundSeconds: 30 }, { reject }).status, 400, 'unknown category');
+  expectEqual(chosung.settings.apply(room, { chosungCategory: '랜덤', chosungTargetScore: 11, chosungRoundSeconds: 30 }, { reject }).status, 400, 'target score');
+  expectEqual(chosung.settings.apply(room, { chosungCategory: '영화', chosungTargetScore: 2, chosungRoundSeconds: 5 }, { reject }).status, 400, 'round seconds');
+  console.log('   OK');
+
+  console.log('\n3. Only the initials are shown; wrong answers go to the feed...');
+  const word = room.chosungWord;
+  const view = viewOf(room);
+  expectEqual([room.gameState, view.chosungRoundCategory, view.chosungHint, view.chosungAnswer, view.chosungEndsAt], ['chosungQuestion', '영화', initialsOf(word), null, T0 + 30000], 'question view');
+  if (!loadWords()['영화'].includes(word)) fail('word should come from the category');
+  if (JSON.stringify(view).includes(word)) fail('word leaked before the answer');
+  expectEqual(answerAs(room, 'u_watch', word).status, 403, 'observers do not answer');
+  expectEqual(answerAs(room, 'u_b', '   ').status, 400, 'blank answer');
+  expectEqual(answerAs(room, 'u_b', '아무말').body.correct, false, 'wrong answer');
+  expectEqual(viewOf(room).chosungGuesses.map((g) => [g.name, g.text, g.fitsHint]), [['u_b', '아무말', false]], 'guess feed');
+  console.log('   OK');
+
+  console.log('\n4. The first correct answer scores; later ones are too late...');
+  expectEqual(answerAs(room, 'u_c', ` ${word.normalize('NFD')} `, T0 + 5000).body.correct, true, 'correct answer');
+  expectEqual(answerAs(room, 'u_a', word, T0 + 5100).status, 400, 'round already won');
+  const revealed = viewOf(room);
+  expectEqual([room.gameState, revealed.chosungAnswer, revealed.chosungWinnerId, revealed.chosungScoreboard[0]], ['chosungReveal', word, 'u_c', { id: 'u_c', name: 'u_c', score: 1 }], 'reveal');
+  console.log('   OK');
+
+  console.log('\n5. Timers: next word after the reveal, no point when time runs out, result at the target score...');
+  await storage.saveRoom(room);
+  const { room: second, fired } = await scheduler.advanceRoom('room_chosung', T0 + 9000);
+  expectEqual([fired, second.gameState, second.chosungRound], [['reveal'], 'chosungQuestion', 2], 'next question');
+  if (second.chosungWord === word) fail('words should not repeat');
+  const { room: missed, fired: fired2 } = await scheduler.advanceRoom('room_chosung', T0 + 9000 + 30000);
+  expectEqual([fired2, missed.chosungWinnerId, missed.chosungHistory[1].winner], [['question'], null, null], 'nobody answered');
+  scheduler.applyDueTimers(missed, T0 + 43000);
+  answerAs(missed, 'u_c', missed.chosungWord, T0 + 44000);
+  scheduler.applyDueTimers(missed, T0 + 48000);
+  expectEqual(missed.gameState, 'chosungResult', 'target score reached');
+  const result = viewOf(missed).chosungResultData;
+  expectEqual([result.winners.map((w) => w.id), result.scoreboard.map((s) => s.score), result.history.length], [['u_c'], [2, 0, 0], 3], 'result');
+  if (games.getRoomPhase(missed) !== 'result') fail('room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n6. The game ends when the category runs out of words...');
+  const short = startRoom('room_short', { ...ROOM, settings: { chosungCategory: '과일' } });
+  short.chosungUsedWords = loadWords()['과일'].slice(); // every word asked already
+  answerAs(short, 'u_a', short.chosungWord, T0 + 1000);
+  scheduler.applyDueTimers(short, T0 + 5000);
+  expectEqual([short.gameState, short.chosungResultData.winners.map((w) => w.id)], ['chosungResult', ['u_a']], 'out of words');
+  chosung.reset(short);
+  if (short.chosungState !== null || short.chosungScores !== null) fail('reset should clear the game');
+  console.log('   OK');
+
+  console.log('\n✅ All chosung quiz checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Stress test for concurrent room writes (optimistic concurrency in storage.updateRoom).
+ * 8 players fire their votes at the same instant; every vote must be counted.
+ *   - Telepathy: simultaneous /api/select (3 rounds, with simultaneous return-to-waiting)
+ *   - Liar: simultaneous /api/liar-vote
+ *
+ * Run: node scripts/test-concurrent-votes.js
+ * Or:  BASE_URL=https://lsta.app node scripts/test-concurrent-votes.js
+ *
+ * Requires: API running (local: node dev-server.js, or use live URL)
+ * Locally, start the API with STORAGE_LATENCY_MS=20 so the in-memory store interleaves
+ * concurrent requests like Redis does (otherwise every request runs to completion in turn).
+ */
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
+const PLAYER_COUNT = 8;
+const TELEPATHY_ROUNDS = 3;
+
+// options.token: player session token (sent as x-session-token)
+async function fetchJSON(path, options = {}) {
+  const url = path.startsWith('http') ? path : `${BASE_URL}${path}`;
+  const { token, ...fetchOptions } = options;
+  const sessionHeader = token ? { 'x-session-token': token } : {};
+  const res = await fetch(url, {
+    ...fetchOptions,
+    headers: { 'Content-Type': 'application/json', ...sessionHeader, ...options.headers },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  return res.json();
+}
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+async function getRoom(roomId, username) {
+  const data = await fetchJSON(`/api/room/${roomId}?username=${encodeURIComponent(username)}`);
+  if (!data.success || !data.room) fail(`room poll: ${data.message}`);
+  return data;
+}
+
+async function main() {
+  console.log('=== Concurrent Votes Stress Test ===\n');
+  console.log(`BASE_URL: ${BASE_URL}\n`);
+
+  // 1. Create room and fill it
+  console.log(`1. Create room with ${PLAYER_COUNT} players...`);
+  const createRes = await fetchJSON('/api/create-room', {
+    method: 'POST',
+    body: { username: 'Stress1', roomName: 'StressVoteRoom', memberLimit: PLAYER_COUNT },
+  });
+  if (!createRes.success) fail(`create-room: ${createRes.message}`);
+  const { roomId } = createRes;
+  const players = [{ username: 'Stress1', userId: createRes.userId, token: createRes.sessionToken }];
+  for (let i = 2; i <= PLAYER_COUNT; i++) {
+    const username = `Stress${i}`;
+    const joinRes = await fetchJSON('/api/join-room-qr', { method: 'POST', body: { roomId, username } });
+    if (!joinRes.success) fail(`${username} join: ${joinRes.message}`);
+    players.push({ username, userId: joinRes.userId, token: joinRes.sessionToken });
+  }
+  const masterId = players[0].userId;
+  const masterToken = players[0].token;
+  console.log('   OK - Room:', roomId);
+
+  try {
+    // 2. Telepathy rounds: everyone selects at once
+    for (let round = 1; round <= TELEPATHY_ROUNDS; round++) {
+      console.log(`\n2.${round} Telepathy round ${round} - ${PLAYER_COUNT} simultaneous selections...`);
+      const startRes = await fetchJSON('/api/start-game', { method: 'POST', token: masterToken, body: { roomId, userId: masterId } });
+      if (!startRes.success) fail(`start-game: ${startRes.message}`);
+
+      const results = await Promise.all(players.map((p, i) => fetchJSON('/api/select', {
+        method: 'POST',
+        token: p.token,
+        body: { roomId, userId: p.userId, selectedUserId: players[(i + 1) % players.length].userId },
+      })));
+      const rejected = results.filter((r) => !r.success);
+      if (rejected.length > 0) fail(`select rejected: ${rejected.map((r) => r.message).join(', ')}`);
+
+      const data = await getRoom(roomId, 'Stress1');
+      if (data.room.gameState !== 'completed') fail(`Expected completed, got ${data.room.gameState} (votes lost)`);
+      const counted = data.matchResult.matches.length * 2 + data.matchResult.unmatched.length;
+      if (counted !== PLAYER_COUNT) fail(`Expected ${PLAYER_COUNT} counted selections, got ${counted}`);
+      console.log(`   OK - all ${counted} selections counted`);
+
+      const returns = await Promise.all(players.map((p) => fetchJSON('/api/return-to-waiting', {
+        method: 'POST',
+        token: p.token,
+        body: { roomId, userId: p.userId },
+      })));
+      if (returns.some((r) => !r.success)) fail('return-to-waiting rejected');
+      const afterReturn = await getRoom(roomId, 'Stress1');
+      if (afterReturn.room.gameState !== 'waiting') fail(`Expected waiting after all returned, got ${afterReturn.room.gameState}`);
+      console.log('   OK - all returns counted, room back to waiting');
+    }
+
+    // 3. Liar: everyone but one votes at once (the last vote would resolve the round)
+    console.log(`\n3. Liar vote - ${PLAYER_COUNT - 1} simultaneous votes...`);
+    await fetchJSON('/api/set-game-type', { method: 'POST', token: masterToken, body: { roomId, userId: masterId, gameType: 'liar' } });
+    const setLiar = await fetchJSON('/api/set-liar-settings', {
+      method: 'POST',
+      token: masterToken,
+      body: { roomId, userId: masterId, liarSubject: '물건', liarMethod: '랜덤' },
+    });
+    if (!setLiar.success) fail(`set-liar-settings: ${setLiar.message}`);
+    const startLiar = await fetchJSON('/api/start-game', { method: 'POST', token: masterToken, body: { roomId, userId: masterId } });
+    if (!startLiar.success) fail(`start-game (liar): ${startLiar.message}`);
+    const startVote = await fetchJSON('/api/liar-start-vote', { method: 'POST', token: masterToken, body: { roomId, userId: masterId } });
+    if (!startVote.success) fail(`liar-start-vote: ${startVote.message}`);
+
+    const voters = players.slice(0, PLAYER_COUNT - 1);
+    const votes = await Promise.all(voters.map((p) => fetchJSON('/api/liar-vote', {
+      method: 'POST',
+      token: p.token,
+      body: { roomId, userId: p.userId, targetUserId: players[PLAYER_COUNT - 1].userId },
+    })));
+    if (votes.some((r) => !r.success)) fail(`liar-vote rejected: ${votes.filter((r) => !r.success).map((r) => r.message).join(', ')}`);
+
+    const liarData = await getRoom(roomId, 'Stress1');
+    const voteCount = Object.keys(liarData.room.liarVotes || {}).length;
+    if (voteCount !== voters.length) fail(`Expected ${voters.length} liar votes, got ${voteCount}`);
+    console.log(`   OK - all ${voteCount} votes counted`);
+  } finally {
+    // Free usernames so the test can be re-run against the same server
+    for (const p of players) {
+      await fetchJSON('/api/remove-user', {
+        method: 'POST',
+        token: p.token,
+        body: { username: p.username, roomId, userId: p.userId, immediate: true },
+      });
+    }
+  }
+
+  console.log('\n✅ All concurrent vote checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
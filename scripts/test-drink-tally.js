@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the drink tally (api/games/tally.js).
+ *   - each loser of a settled round counts one, once per round, adding up over the evening
+ *   - the master's +1/-1 corrections (never below 0)
+ *   - kept through storage, and handed back to a player who rejoins under the same name
+ *
+ * Run: node scripts/test-drink-tally.js
+ */
+const { expectEqual, user, reject, createRoom, attendersOf, startGame } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const storage = require('../api/storage');
+const tally = require('../api/games/tally');
+
+const telepathy = games.getGame('telepathy');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+
+// A telepathy round from start to result, settled after every pick like the game routes do
+function playTelepathy(room, picks) {
+  startGame(room, 'telepathy');
+  for (const id of PLAYERS) {
+    telepathy.actions.select(room, { userId: id, user: room.users.get(id), attenders: attendersOf(room), body: { selectedUserId: picks[id] }, reject });
+    games.settleRound(room);
+  }
+  games.settleRound(room);
+}
+
+function counts(room) {
+  return Object.fromEntries(tally.buildTallyView(room).map((row) => [row.id, row.count]));
+}
+
+async function main() {
+  console.log('=== Drink Tally Test ===\n');
+
+  console.log('1. Losers of each round count one, once, adding up over the evening...');
+  const room = createRoom('room_tally', { gameType: 'telepathy', players: PLAYERS, observers: [] });
+  expectEqual(counts(room), { u_a: 0, u_b: 0, u_c: 0, u_d: 0 }, 'everyone listed at 0');
+  playTelepathy(room, { u_a: 'u_b', u_b: 'u_a', u_c: 'u_a', u_d: 'u_c' });
+  expectEqual(counts(room), { u_c: 1, u_d: 1, u_a: 0, u_b: 0 }, 'unmatched counted once');
+  playTelepathy(room, { u_a: 'u_c', u_b: 'u_a', u_c: 'u_a', u_d: 'u_c' });
+  expectEqual(tally.buildTallyView(room)[0], { id: 'u_d', name: 'u_d', count: 2, inRoom: true }, 'most first');
+  console.log('   OK');
+
+  console.log('\n2. The master corrects by one, never below 0...');
+  expectEqual(tally.adjustTally(room, 'u_a', 1, { reject }).body.roomTally.find((row) => row.id === 'u_a').count, 1, '+1');
+  tally.adjustTally(room, 'u_b', -1, { reject });
+  expectEqual(counts(room).u_b, 0, 'not below 0');
+  expectEqual(tally.adjustTally(room, 'u_a', 5, { reject }).status, 400, 'one at a time');
+  expectEqual(tally.adjustTally(room, 'u_nobody', 1, { reject }).status, 404, 'unknown player');
+  console.log('   OK');
+
+  console.log('\n3. Kept through storage; a player who leaves keeps the count and gets it back under the same name...');
+  const stored = storage.fromSerializableRoom(JSON.parse(JSON.stringify({ ...storage.toSerializableRoom(room), schemaVersion: storage.ROOM_SCHEMA_VERSION })));
+  expectEqual(tally.buildTallyView(stored), tally.buildTallyView(room), 'tally stored with the room');
+  room.users.delete('u_d');
+  expectEqual(tally.buildTallyView(room)[0], { id: 'u_d', name: 'u_d', count: 2, inRoom: false }, 'left with the count');
+  room.users.set('u_d2', { ...user('u_d2'), username: 'u_d', displayName: 'u_d' });
+  tally.reclaimTally(room, 'u_d2', 'u_d');
+  expectEqual(tally.buildTallyView(room)[0], { id: 'u_d2', name: 'u_d', count: 2, inRoom: true }, 'rejoined');
+  room.users.set('u_e', user('u_e'));
+  tally.reclaimTally(room, 'u_e', 'u_e');
+  expectEqual([counts(room).u_e, tally.buildTallyView(room).length], [0, 5], 'a new name starts at 0');
+  console.log('   OK');
+
+  console.log('\n✅ All drink tally checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the game registry (api/games).
+ *   - the built-in games (telepathy, liar, mafia, balance, mostLikely, nunchi, upDown, br31, chosung) are registered with the full module interface
+ *   - registering a new game is enough for storage, the scheduler and the room view to handle it
+ *     (Map/Set fields survive a save, timers fire, settings and per-viewer fields reach the payload)
+ *
+ * Run: node scripts/test-game-registry.js
+ *
+ * No API needed – runs against the in-memory store.
+ */
+delete process.env.UPSTASH_REDIS_KV_REST_API_URL; // always the in-memory store
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { buildRoomView } = require('../api/roomView');
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function user(id) {
+  return { id, username: id, displayName: id, role: 'attender' };
+}
+
+// Minimal game: every attender flips a coin; the round ends when the master calls it
+const coinGame = {
+  type: 'coin',
+  minPlayers: { count: 2, message: '2명 이상 필요합니다.' },
+  roomFields: { maps: ['coinFlips'], sets: ['coinPeeked'] },
+  settings: {
+    defaults: { coinRounds: 1 },
+    apply(room, body, { reject }) {
+      if (!Number.isInteger(body.coinRounds)) return reject(400, '잘못된 설정입니다.');
+      room.coinRounds = body.coinRounds;
+      return { body: { success: true } };
+    },
+    view: (room) => ({ coinRounds: room.coinRounds || 1 })
+  },
+  start(room, { now }) {
+    room.gameState = 'coinFlip';
+    room.coinFlips = new Map();
+    room.coinPeeked = new Set();
+    room.coinEndsAt = now + 1000;
+  },
+  actions: {
+    flip(room, { userId }) {
+      room.coinFlips.set(userId, 'heads');
+      return { body: { success: true } };
+    }
+  },
+  timers: [{
+    name: 'flip',
+    deadline: (room) => (room.gameState === 'coinFlip' ? room.coinEndsAt : null),
+    expire: (room) => {
+      room.gameState = 'coinResult';
+      return true;
+    }
+  }],
+  view: (room, viewer) => ({ coinMine: viewer && room.coinFlips ? room.coinFlips.get(viewer.id) || null : null }),
+  privateView: () => ({}),
+  resultStates: ['coinResult'],
+  reset(room) {
+    room.coinFlips = null;
+    room.coinPeeked = null;
+  }
+};
+
+async function main() {
+  console.log('=== Game Registry Test ===\n');
+
+  // 1. Built-in games
+  console.log('1. Built-in games are registered...');
+  for (const type of ['telepathy', 'liar', 'mafia', 'balance', 'mostLikely', 'nunchi', 'upDown', 'br31', 'chosung']) {
+    const game = games.getGame(type);
+    if (!game) fail(`${type} not registered`);
+    if (!game.minPlayers || typeof game.start !== 'function' || !game.actions) fail(`${type}: incomplete module`);
+  }
+  if (!games.getGame('liar').actions.vote) fail('liar vote action missing');
+  if (!games.getGame('telepathy').actions.select) fail('telepathy select action missing');
+  if (games.defaultSettings().liarSubject !== '물건') fail('liar default settings missing');
+  console.log('   OK -', games.listGameTypes().join(', '));
+
+  // 2. A new game registers once and every layer picks it up
+  console.log('\n2. Register a new game...');
+  games.registerGame(coinGame);
+  if (!games.listGameTypes().includes('coin')) fail('coin not listed');
+  if (games.defaultSettings().coinRounds !== 1) fail('coin defaults not merged');
+  console.log('   OK');
+
+  // 3. Map/Set state survives storage
+  console.log('\n3. Game Map/Set fields survive a save...');
+  const now = Date.now();
+  const room = {
+    id: 'room_coin',
+    roomName: 'CoinRoom',
+    memberLimit: 8,
+    users: new Map([user('u_a'), user('u_b')].map((u) => [u.id, u])),
+    selections: new Map(),
+    returnedToWaiting: new Set(),
+    masterId: 'u_a',
+    gameType: 'coin',
+    gameState: 'waiting',
+    ...games.defaultSettings(),
+    lastActivity: now,
+  };
+  coinGame.start(room, { now });
+  coinGame.actions.flip(room, { userId: 'u_a' });
+  room.coinPeeked.add('u_b');
+  await storage.saveRoom(room);
+  const loaded = await storage.getRoomById('room_coin');
+  if (!(loaded.coinFlips instanceof Map) || loaded.coinFlips.get('u_a') !== 'heads') fail('coinFlips not restored as a Map');
+  if (!(loaded.coinPeeked instanceof Set) || !loaded.coinPeeked.has('u_b')) fail('coinPeeked not restored as a Set');
+  console.log('   OK');
+
+  // 4. Room view: settings of every game, per-viewer fields of the room's game
+  console.log('\n4. Room view carries the game\'s fields...');
+  const viewA = buildRoomView(loaded, 'u_a').room;
+  if (viewA.coinRounds !== 1 || viewA.liarSubject !== '물건') fail('settings views missing');
+  if (viewA.coinMine !== 'heads') fail('coin view missing');
+  if (buildRoomView(loaded, 'u_b').room.coinMine !== null) fail('coin view is not per viewer');
+  if (games.getRoomPhase(loaded) !== 'playing') fail('coin room should be playing');
+  console.log('   OK');
+
+  // 5. Phase timers fire through the scheduler
+  console.log('\n5. Game timers fire through the scheduler...');
+  await scheduler.runDueTimers(now + 1000);
+  const expired = await storage.getRoomById('room_coin');
+  if (expired.gameState !== 'coinResult') fail(`Expected coinResult, got ${expired.gameState}`);
+  if (games.getRoomPhase(expired) !== 'result') fail('coin room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n✅ All game registry checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
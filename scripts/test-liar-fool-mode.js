@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the liar game's 바보 mode (api/games/liar.js).
+ *   - the liar gets a decoy word of the same subject instead of "당신은 라이어입니다", with the random and custom methods
+ *   - nothing in the liar's payload tells them apart until they are condemned or the round is over
+ *   - the result carries the decoy word; other modes never deal one
+ *
+ * Run: node scripts/test-liar-fool-mode.js
+ */
+const { T0, fail, expectEqual, reject, attendersOf, startRoom, condemn } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const scheduler = require('../api/scheduler');
+const { loadWords } = require('../api/liarWords');
+const { buildRoomView } = require('../api/roomView');
+
+const liar = games.getGame('liar');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'liar', players: PLAYERS };
+
+// What a player's client gets: [liarAmILiar, liarMyWord]
+function seenBy(room, viewer) {
+  const view = buildRoomView(room, viewer);
+  return [view.room.liarAmILiar, view.privateFields.liarMyWord];
+}
+
+async function main() {
+  console.log('=== Liar Fool Mode Test ===\n');
+
+  console.log('1. Mode setting...');
+  const base = { liarSubject: '동물', liarMethod: '랜덤', liarCustomSubject: null };
+  const waiting = { users: new Map() };
+  expectEqual(liar.settings.apply(waiting, { ...base, liarMode: '바보' }, { reject }).body.liarMode, '바보', 'fool mode set');
+  console.log('   OK');
+
+  console.log('\n2. Random method: the liar holds a decoy of the same subject and looks like everyone else...');
+  const room = startRoom('room_fool', { ...ROOM, settings: { liarMode: '바보', liarSubject: '동물', liarMethod: '랜덤' } });
+  const { liarSecretWord: secret, liarDecoyWord: decoy } = room;
+  const [liarId] = room.liarLiarUserIds;
+  if (!decoy || decoy === secret || !loadWords()['동물'].includes(decoy)) fail(`decoy should be another 동물 word: ${decoy} / ${secret}`);
+  const citizen = PLAYERS.find((id) => id !== liarId);
+  expectEqual([seenBy(room, liarId), seenBy(room, citizen)], [[false, decoy], [false, secret]], 'cards');
+  expectEqual(Object.keys(buildRoomView(room, liarId).room), Object.keys(buildRoomView(room, citizen).room), 'same payload shape');
+  if (JSON.stringify(buildRoomView(room, 'u_watch').room).includes(decoy)) fail('decoy leaked to the table');
+  console.log('   OK');
+
+  console.log('\n3. The liar can press "difficult word" without giving themselves away, but it does not count...');
+  const difficult = (userId) => liar.actions['difficult-word'](room, { userId, attenders: attendersOf(room), reject });
+  expectEqual(difficult(liarId).body.success, true, 'liar click accepted');
+  expectEqual(room.liarState, 'play', 'liar click alone does not end the round');
+  console.log('   OK');
+
+  console.log('\n4. Condemned, the liar finds out and gets the usual guess...');
+  condemn(room, liarId);
+  expectEqual([room.liarState, seenBy(room, liarId)[0], seenBy(room, citizen)[0]], ['identify', true, false], 'liar learns it when condemned');
+  liar.actions.guess(room, { userId: liarId, body: { guessedWord: decoy }, now: T0 + 2000, reject });
+  for (const id of PLAYERS.filter((p) => p !== liarId)) liar.actions['identify-vote'](room, { userId: id, attenders: attendersOf(room), body: { choice: '노인정' }, reject });
+  const result = buildRoomView(room, liarId);
+  expectEqual([result.room.liarResultScenario, result.room.liarResultData.decoyWord, result.room.liarResultData.guessedWord, result.privateFields.liarMyWord], ['B', decoy, decoy, decoy], 'result B');
+  liar.reset(room);
+  if (room.liarDecoyWord !== null) fail('reset should clear the decoy');
+  console.log('   OK');
+
+  console.log('\n5. Custom method: the decoy is another player\'s word, and a liar who is never caught learns it on the result...');
+  const custom = startRoom('room_fool_custom', { ...ROOM, settings: { liarMode: '바보', liarSubject: '물건', liarMethod: '커스텀' } });
+  const ctx = { attenders: attendersOf(custom), now: T0 + 500, reject };
+  const written = { u_a: '연필', u_b: '우산', u_c: '시계', u_d: '컵' };
+  for (const id of PLAYERS) liar.actions['submit-word'](custom, { ...ctx, userId: id, user: custom.users.get(id), body: { word: written[id] } });
+  const [customLiar] = custom.liarLiarUserIds;
+  const customDecoy = custom.liarDecoyWord;
+  if (!Object.values(written).includes(customDecoy) || customDecoy === custom.liarSecretWord || customDecoy === written[customLiar]) fail(`decoy should be someone else's word: ${customDecoy}`);
+  expectEqual(seenBy(custom, customLiar), [false, customDecoy], 'custom liar card');
+  const innocent = PLAYERS.find((id) => id !== customLiar);
+  condemn(custom, innocent);
+  expectEqual([custom.liarState, seenBy(custom, customLiar)[0]], ['identify', false], 'an innocent condemned tells the liar nothing');
+  scheduler.applyDueTimers(custom, T0 + 20000);
+  expectEqual([custom.liarResultScenario, seenBy(custom, customLiar)[0]], ['C', true], 'result C reveals the liar');
+  console.log('   OK');
+
+  console.log('\n6. 단어 mode deals no decoy...');
+  const plain = startRoom('room_plain', { ...ROOM, settings: { liarMode: '단어', liarMethod: '랜덤' } });
+  const [plainLiar] = plain.liarLiarUserIds;
+  expectEqual([plain.liarDecoyWord, seenBy(plain, plainLiar)], [null, [true, null]], 'classic liar');
+  expectEqual(liar.actions['difficult-word'](plain, { userId: plainLiar, attenders: attendersOf(plain), reject }).status, 400, 'classic liar cannot press');
+  console.log('   OK');
+
+  console.log('\n✅ All liar fool mode checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
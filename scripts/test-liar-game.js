@@ -11,11 +11,14 @@
  */
 const BASE_URL = process.env.BASE_URL || 'http://localhost:5000';
 
+// options.token: player session token (sent as x-session-token)
 async function fetchJSON(path, options = {}) {
   const url = path.startsWith('http') ? path : `${BASE_URL}${path}`;
+  const { token, ...fetchOptions } = options;
+  const sessionHeader = token ? { 'x-session-token': token } : {};
   const res = await fetch(url, {
-    ...options,
-    headers: { 'Content-Type': 'application/json', ...options.headers },
+    ...fetchOptions,
+    headers: { 'Content-Type': 'application/json', ...sessionHeader, ...options.headers },
     body: options.body ? JSON.stringify(options.body) : undefined,
   });
   return res.json();
@@ -25,15 +28,21 @@ function fail(msg) {
   throw new Error(msg);
 }
 
-async function pollRoom(roomId, username, maxAttempts = 20) {
+const sessionTokens = {}; // username -> session token from create/join
+
+async function pollRoomStatus(roomId, username, maxAttempts = 20) {
   for (let i = 0; i < maxAttempts; i++) {
-    const data = await fetchJSON(`/api/room/${roomId}?username=${encodeURIComponent(username)}`);
-    if (data.success && data.room) return data.room;
+    const data = await fetchJSON(`/api/room/${roomId}?username=${encodeURIComponent(username)}`, { token: sessionTokens[username] });
+    if (data.success && data.room) return data;
     await new Promise((r) => setTimeout(r, 300));
   }
   fail('Room poll timeout');
 }
 
+async function pollRoom(roomId, username, maxAttempts = 20) {
+  return (await pollRoomStatus(roomId, username, maxAttempts)).room;
+}
+
 async function main() {
   console.log('=== Liar Game API Test ===\n');
   console.log(`BASE_URL: ${BASE_URL}\n`);
@@ -47,6 +56,8 @@ async function main() {
   if (!createRes.success) fail(`create-room: ${createRes.message}`);
   const { roomId, userId: masterId } = createRes;
   if (!roomId || !masterId) fail('Missing roomId or userId');
+  if (!createRes.sessionToken) fail('Missing sessionToken');
+  sessionTokens.TestMaster = createRes.sessionToken;
   console.log('   OK - Room:', roomId, 'Master:', masterId);
 
   // 2. P2 and P3 join
@@ -57,6 +68,7 @@ async function main() {
   });
   if (!join2.success) fail(`P2 join: ${join2.message}`);
   const p2Id = join2.userId;
+  sessionTokens.TestP2 = join2.sessionToken;
 
   const join3 = await fetchJSON('/api/join-room-qr', {
     method: 'POST',
@@ -64,16 +76,19 @@ async function main() {
   });
   if (!join3.success) fail(`P3 join: ${join3.message}`);
   const p3Id = join3.userId;
+  sessionTokens.TestP3 = join3.sessionToken;
   console.log('   OK - P2:', p2Id, 'P3:', p3Id);
 
   // 3. Set Liar game and settings
   console.log('\n3. Set game type Liar...');
   await fetchJSON('/api/set-game-type', {
     method: 'POST',
+    token: sessionTokens.TestMaster,
     body: { roomId, userId: masterId, gameType: 'liar' },
   });
   const setLiar = await fetchJSON('/api/set-liar-settings', {
     method: 'POST',
+    token: sessionTokens.TestMaster,
     body: { roomId, userId: masterId, liarSubject: '물건', liarMethod: '랜덤' },
   });
   if (!setLiar.success) fail(`set-liar-settings: ${setLiar.message}`);
@@ -83,6 +98,7 @@ async function main() {
   console.log('\n4. Start Liar game...');
   const startRes = await fetchJSON('/api/start-game', {
     method: 'POST',
+    token: sessionTokens.TestMaster,
     body: { roomId, userId: masterId },
   });
   if (!startRes.success) fail(`start-game: ${startRes.message}`);
@@ -94,10 +110,24 @@ async function main() {
   if (!roomAfterStart.liarPlayStartedAt) fail('liarPlayStartedAt missing (30s button fix)');
   console.log('\n5. Verify liarPlayStartedAt present:', !!roomAfterStart.liarPlayStartedAt);
 
+  // 5b. Each player sees only their own part: exactly one liar, the word only for citizens, no identity leak
+  console.log('\n5b. Verify per-player views during play...');
+  const views = await Promise.all(['TestMaster', 'TestP2', 'TestP3'].map((name) => pollRoomStatus(roomId, name)));
+  const liarViews = views.filter((v) => v.room.liarAmILiar);
+  if (liarViews.length !== 1) fail(`Expected exactly one player to be told they are the liar, got ${liarViews.length}`);
+  if (liarViews[0].liarMyWord) fail('Liar received the secret word');
+  if (views.some((v) => v.room.liarLiarUserIds || v.room.liarUserWords || v.room.liarChosenWordAuthor || v.room.liarSecretWord)) {
+    fail('Liar identity or words leaked during play');
+  }
+  const secretWord = views.find((v) => !v.room.liarAmILiar).liarMyWord;
+  if (!secretWord) fail('Citizen did not receive the secret word');
+  console.log('   OK - one liar, citizens see the word, nothing leaked');
+
   // 6. Extend time (P2) - verify liarLastTimeChange (fix #7)
   console.log('\n6. P2 extends time...');
   const extRes = await fetchJSON('/api/liar-extend-time', {
     method: 'POST',
+    token: sessionTokens.TestP2,
     body: { roomId, userId: p2Id, action: 'extend' },
   });
   if (!extRes.success) fail(`extend: ${extRes.message}`);
@@ -108,28 +138,59 @@ async function main() {
   if (roomAfterExt.liarLastTimeChange.action !== 'extend') fail('Wrong action in lastTimeChange');
   console.log('   OK - liarLastTimeChange:', roomAfterExt.liarLastTimeChange.nickname, roomAfterExt.liarLastTimeChange.action);
 
-  // 7. Master starts vote
-  console.log('\n7. Master starts vote...');
-  const voteStart = await fetchJSON('/api/liar-start-vote', {
+  // 6b. Acting user comes from the session token, not the body
+  console.log('\n6b. Verify P2 cannot act as master...');
+  const forged = await fetchJSON('/api/liar-start-vote', {
+    method: 'POST',
+    token: sessionTokens.TestP2,
+    body: { roomId, userId: masterId },
+  });
+  if (forged.success) fail('P2 started the vote with the master\'s userId');
+  const noSession = await fetchJSON('/api/liar-start-vote', {
     method: 'POST',
     body: { roomId, userId: masterId },
   });
+  if (noSession.success) fail('Vote started without a session token');
+  console.log('   OK - forged and token-less requests rejected');
+
+  // 7. Master starts vote (generic game action route)
+  console.log('\n7. Master starts vote via /api/game/start-vote...');
+  const wrongGame = await fetchJSON('/api/game/select', {
+    method: 'POST',
+    token: sessionTokens.TestMaster,
+    body: { roomId, userId: masterId, selectedUserId: p2Id },
+  });
+  if (wrongGame.success) fail('Telepathy action accepted in a liar room');
+  const midRoundSwitch = await fetchJSON('/api/set-game-type', {
+    method: 'POST',
+    token: sessionTokens.TestMaster,
+    body: { roomId, userId: masterId, gameType: 'telepathy' },
+  });
+  if (midRoundSwitch.success) fail('Game type switched during a round');
+  const voteStart = await fetchJSON('/api/game/start-vote', {
+    method: 'POST',
+    token: sessionTokens.TestMaster,
+    body: { roomId, userId: masterId },
+  });
   if (!voteStart.success) fail(`start-vote: ${voteStart.message}`);
-  console.log('   OK');
+  console.log('   OK - other games\' actions and a mid-round switch rejected, vote started');
 
   // 8. All vote for P3 (condemn P3)
   const condemnId = p3Id;
   console.log('\n8. All vote for P3 (condemn)...');
   await fetchJSON('/api/liar-vote', {
     method: 'POST',
+    token: sessionTokens.TestMaster,
     body: { roomId, userId: masterId, targetUserId: condemnId },
   });
   await fetchJSON('/api/liar-vote', {
     method: 'POST',
+    token: sessionTokens.TestP2,
     body: { roomId, userId: p2Id, targetUserId: condemnId },
   });
   await fetchJSON('/api/liar-vote', {
     method: 'POST',
+    token: sessionTokens.TestP3,
     body: { roomId, userId: p3Id, targetUserId: condemnId },
   });
 
@@ -142,6 +203,7 @@ async function main() {
   console.log('\n9. Verify condemned cannot choose forgive/execute...');
   const condemnedForbid = await fetchJSON('/api/liar-forgive-execute', {
     method: 'POST',
+    token: sessionTokens.TestP3,
     body: { roomId, userId: condemnId, choice: 'forgive' },
   });
   if (condemnedForbid.success) fail('Condemned should be forbidden to choose');
@@ -152,10 +214,12 @@ async function main() {
   console.log('\n10. Voters choose execute (immediate execution, fix #11)...');
   await fetchJSON('/api/liar-forgive-execute', {
     method: 'POST',
+    token: sessionTokens.TestMaster,
     body: { roomId, userId: masterId, choice: 'execute' },
   });
   await fetchJSON('/api/liar-forgive-execute', {
     method: 'POST',
+    token: sessionTokens.TestP2,
     body: { roomId, userId: p2Id, choice: 'execute' },
   });
   const afterExecute = await pollRoom(roomId, 'TestMaster');
@@ -164,13 +228,15 @@ async function main() {
 
   // 11. If condemned was liar: guess. If not: wait for identify timeout. Check result.
   const roomIdent = await pollRoom(roomId, 'TestMaster');
-  const condemnedIsLiar = roomIdent.liarCondemnedUserId === roomIdent.liarLiarUserId;
+  if (roomIdent.liarLiarUserIds) fail('Liar identity leaked during identify');
+  const condemnedIsLiar = roomIdent.liarCondemnedIsLiar;
 
   if (condemnedIsLiar) {
     console.log('\n11. Condemned is liar - submit guess...');
     const guessRes = await fetchJSON('/api/liar-guess', {
       method: 'POST',
-      body: { roomId, userId: roomIdent.liarLiarUserId, guessedWord: roomIdent.liarSecretWord },
+      token: sessionTokens.TestP3,
+      body: { roomId, userId: condemnId, guessedWord: secretWord },
     });
     if (!guessRes.success) fail(`guess: ${guessRes.message}`);
   } else {
@@ -182,6 +248,7 @@ async function main() {
   if (roomFinal.gameState !== 'liarResult') fail(`Expected liarResult, got ${roomFinal.gameState}`);
   if (!roomFinal.liarResultScenario) fail('liarResultScenario missing');
   if (!roomFinal.liarResultData) fail('liarResultData missing');
+  if (!roomFinal.liarLiarUserIds || roomFinal.liarLiarUserIds.length !== 1) fail('liarLiarUserIds should be revealed on the result screen');
   console.log('   OK - result scenario:', roomFinal.liarResultScenario);
 
   console.log('\n✅ All Liar Game API checks passed.');
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the liar game's 장소 mode (api/games/liar.js, api/liarLocations.js).
+ *   - citizens get the same location and each a different role card; the liar gets neither
+ *   - the liar can interrupt during play, vote or argument to guess the location: right wins, wrong loses
+ *   - 단어 mode (and clients that don't send liarMode) keep working as before
+ *
+ * Run: node scripts/test-liar-location-mode.js
+ */
+const { T0, fail, expectEqual, reject, createRoom, startRoom } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const { loadLocations, getLocationNames } = require('../api/liarLocations');
+const { buildRoomView } = require('../api/roomView');
+
+const liar = games.getGame('liar');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d', 'u_e'];
+const ROOM = { gameType: 'liar', players: PLAYERS };
+
+function guessAs(room, userId, guessedWord) {
+  return liar.actions.guess(room, { userId, body: { guessedWord }, now: T0 + 1000, reject });
+}
+
+async function main() {
+  console.log('=== Liar Location Mode Test ===\n');
+
+  console.log('1. Mode setting...');
+  const waiting = createRoom('room_settings', ROOM);
+  const base = { liarSubject: '동물', liarMethod: '랜덤', liarCustomSubject: null };
+  expectEqual(liar.settings.apply(waiting, { ...base, liarMode: '스파이' }, { reject }).status, 400, 'unknown mode');
+  expectEqual(liar.settings.apply(waiting, { ...base, liarMode: '장소' }, { reject }).body.liarMode, '장소', 'location mode set');
+  expectEqual(liar.settings.apply(waiting, base, { reject }).body.liarMode, '장소', 'older clients keep the mode');
+  if (getLocationNames().length < 20 || !getLocationNames().every((name) => loadLocations()[name].length >= 6)) fail('location deck too small');
+  console.log('   OK');
+
+  console.log('\n2. Same location, a different role for each citizen, nothing for the liar...');
+  const room = startRoom('room_location', { ...ROOM, settings: { liarMode: '장소', liarMethod: '커스텀' } });
+  const location = room.liarSecretWord;
+  const [liarId] = room.liarLiarUserIds;
+  const citizens = PLAYERS.filter((id) => id !== liarId);
+  expectEqual([room.gameState, getLocationNames().includes(location)], ['liarPlay', true], 'no word input in 장소 mode');
+  const cards = citizens.map((id) => buildRoomView(room, id).privateFields);
+  if (!cards.every((card) => card.liarMyWord === location)) fail('every citizen should see the location');
+  const roles = cards.map((card) => card.liarMyRole);
+  if (new Set(roles).size !== citizens.length || !roles.every((role) => loadLocations()[location].includes(role))) fail(`roles should be distinct roles of ${location}: ${roles}`);
+  const cardOf = (viewer) => {
+    const { liarMyWord, liarMyRole } = buildRoomView(room, viewer).privateFields;
+    return [liarMyWord, liarMyRole];
+  };
+  expectEqual(cardOf(liarId), [null, null], 'liar card');
+  expectEqual(cardOf('u_watch'), [location, null], 'observer card');
+  const publicView = buildRoomView(room, liarId).room;
+  if (JSON.stringify(publicView).includes(roles[0]) || publicView.liarLocationNames.length !== getLocationNames().length) fail('roles leaked or location list missing');
+  expectEqual(liar.actions['difficult-word'](room, { userId: citizens[0], attenders: [], reject }).status, 400, 'no difficult-word in 장소 mode');
+  console.log('   OK');
+
+  console.log('\n3. The liar interrupts during the vote with a wrong location and loses...');
+  liar.actions['start-vote'](room, { userId: 'u_a', reject });
+  expectEqual(guessAs(room, citizens[0], location).status, 403, 'citizens cannot interrupt');
+  const wrong = getLocationNames().find((name) => name !== location);
+  expectEqual(guessAs(room, liarId, wrong).body.correct, false, 'wrong guess');
+  const lost = buildRoomView(room, 'u_watch').room;
+  expectEqual([lost.liarResultScenario, lost.liarResultData.interrupted, lost.liarResultData.guessedWord], ['B', true, wrong], 'result B');
+  expectEqual(lost.liarResultData.locationRoles.map((r) => r.role).sort(), roles.slice().sort(), 'roles revealed on the result');
+  console.log('   OK');
+
+  console.log('\n4. A right guess during play wins for the liar...');
+  const second = startRoom('room_location_2', { ...ROOM, settings: { liarMode: '장소' } });
+  expectEqual(guessAs(second, [...second.liarLiarUserIds][0], ` ${second.liarSecretWord} `).body.correct, true, 'right guess');
+  expectEqual([second.liarResultScenario, second.liarResultData.secretWord], ['A', second.liarSecretWord], 'result A');
+  liar.reset(second);
+  if (second.liarLocationRoles !== null) fail('reset should clear the role cards');
+  console.log('   OK');
+
+  console.log('\n5. 단어 mode is unchanged: no role cards, no guessing before the verdict...');
+  const wordRoom = startRoom('room_word', { ...ROOM, settings: { liarMode: '단어', liarMethod: '랜덤', liarSubject: '동물' } });
+  expectEqual([wordRoom.liarLocationRoles, buildRoomView(wordRoom, 'u_watch').room.liarLocationNames], [null, null], 'no cards');
+  expectEqual(guessAs(wordRoom, [...wordRoom.liarLiarUserIds][0], '사자').status, 400, 'guess only in identify');
+  expectEqual(wordRoom.liarState, 'play', 'still playing');
+  console.log('   OK');
+
+  console.log('\n✅ All liar location mode checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
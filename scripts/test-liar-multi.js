@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Unit test for several liars per round (api/games/liar.js).
+ *   - 라이어 수 1~3, with enough players for it; last round's liars are not picked again while others are left
+ *   - a caught liar who misses the word is out and the table votes again for the rest
+ *   - results: every liar caught (B), none caught (C), some caught before an innocent was executed (E)
+ *   - 바보 mode with two liars: the liar still in the dark votes 인정/노인정 like anyone, but it doesn't count
+ *
+ * Run: node scripts/test-liar-multi.js
+ */
+const { T0, fail, expectEqual, reject, createRoom, attendersOf, startRoom } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const scheduler = require('../api/scheduler');
+const { buildRoomView } = require('../api/roomView');
+
+const liar = games.getGame('liar');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d', 'u_e', 'u_f', 'u_g'];
+
+// Room options for a random 동물 round with two liars
+function liarRoom(settings = {}, players = PLAYERS) {
+  return { gameType: 'liar', players, settings: { liarMethod: '랜덤', liarSubject: '동물', liarCount: 2, ...settings } };
+}
+
+function liarsOf(room) {
+  return Array.from(room.liarLiarUserIds);
+}
+
+// Every player still in the game votes for the target, then its voters execute
+function condemn(room, targetId, now = T0 + 1000) {
+  const ctx = { attenders: attendersOf(room), now, reject };
+  if (room.liarState === 'play') liar.actions['start-vote'](room, { ...ctx, userId: 'u_a' });
+  const voters = PLAYERS.filter((id) => !room.liarCaughtUserIds.has(id));
+  for (const voter of voters) {
+    const targetUserId = voter === targetId ? voters.find((id) => id !== targetId) : targetId;
+    liar.actions.vote(room, { ...ctx, userId: voter, body: { targetUserId } });
+  }
+  for (const voter of voters.filter((id) => id !== targetId)) liar.actions['forgive-execute'](room, { ...ctx, userId: voter, body: { choice: 'execute' } });
+  expectEqual([room.liarState, room.liarCondemnedUserId], ['identify', targetId], 'condemned');
+}
+
+// The condemned liar names a wrong word and the citizens refuse it
+function missGuess(room, liarId) {
+  liar.actions.guess(room, { userId: liarId, body: { guessedWord: '틀린단어' }, now: T0 + 2000, reject });
+  for (const id of PLAYERS.filter((p) => !room.liarLiarUserIds.has(p))) {
+    liar.actions['identify-vote'](room, { userId: id, attenders: attendersOf(room), body: { choice: '노인정' }, reject });
+  }
+}
+
+async function main() {
+  console.log('=== Liar Multiple Liars Test ===\n');
+
+  console.log('1. 라이어 수 setting and player count...');
+  const base = { liarSubject: '동물', liarMethod: '랜덤', liarCustomSubject: null };
+  const waiting = createRoom('room_settings', liarRoom({ liarCount: 1 }));
+  expectEqual(liar.settings.apply(waiting, { ...base, liarCount: 4 }, { reject }).status, 400, 'too many liars');
+  expectEqual(liar.settings.apply(waiting, { ...base, liarCount: 3 }, { reject }).body.liarCount, 3, 'three liars');
+  expectEqual(liar.settings.apply(waiting, base, { reject }).body.liarCount, 3, 'older clients keep the count');
+  const small = createRoom('room_small', liarRoom({}, PLAYERS.slice(0, 4)));
+  expectEqual(liar.start(small, { attenders: attendersOf(small), now: T0, reject }).status, 400, '2 liars need 5 players');
+  console.log('   OK');
+
+  console.log('\n2. Two liars, both told, nobody picked twice in a row while others are left...');
+  const room = startRoom('room_multi', liarRoom());
+  const [liar1, liar2] = liarsOf(room);
+  expectEqual(liarsOf(room).length, 2, 'two liars');
+  expectEqual(PLAYERS.map((id) => buildRoomView(room, id).room.liarAmILiar).filter(Boolean).length, 2, 'both liars told');
+  if (buildRoomView(room, 'u_watch').room.liarLiarUserIds !== null) fail('liars leaked before the result');
+  let previous = liarsOf(room);
+  for (let round = 0; round < 10; round++) {
+    const next = startRoom(`room_repeat_${round}`, liarRoom({ liarPreviousLiarIds: previous }));
+    if (liarsOf(next).some((id) => previous.includes(id))) fail(`round ${round}: ${liarsOf(next)} picked again after ${previous}`);
+    previous = liarsOf(next);
+  }
+  console.log('   OK');
+
+  console.log('\n3. A caught liar who misses is out; the table votes again...');
+  condemn(room, liar1);
+  expectEqual(buildRoomView(room, liar2).room.liarCondemnedIsLiar, true, 'condemned revealed as a liar');
+  expectEqual(liar.actions.guess(room, { userId: liar2, body: { guessedWord: '사자' }, now: T0 + 2000, reject }).status, 403, 'only the condemned liar guesses');
+  missGuess(room, liar1);
+  const revote = buildRoomView(room, 'u_watch').room;
+  expectEqual([revote.liarState, revote.liarCaughtUserIds, revote.liarCondemnedUserId, revote.liarVotes], ['vote', [liar1], null, {}], 'back to the vote');
+  const ctx = { attenders: attendersOf(room), now: T0 + 3000, reject };
+  expectEqual(liar.actions.vote(room, { ...ctx, userId: liar1, body: { targetUserId: 'u_a' } }).status, 400, 'caught liar does not vote');
+  expectEqual(liar.actions.vote(room, { ...ctx, userId: 'u_a', body: { targetUserId: liar1 } }).status, 400, 'caught liar is not a target');
+  console.log('   OK');
+
+  console.log('\n4. Partial catch: an innocent executed next → E, the other liar escapes...');
+  const innocent = PLAYERS.find((id) => !room.liarLiarUserIds.has(id));
+  condemn(room, innocent, T0 + 4000);
+  scheduler.applyDueTimers(room, T0 + 20000);
+  const partial = buildRoomView(room, 'u_watch').room;
+  expectEqual([partial.liarResultScenario, partial.liarResultData.caughtNicknames, partial.liarResultData.escapedNicknames], ['E', liar1, liar2], 'partial catch');
+  expectEqual([partial.liarLiarUserIds.slice().sort(), partial.liarResultData.liarCount], [[liar1, liar2].sort(), 2], 'liars revealed');
+  console.log('   OK');
+
+  console.log('\n5. Every liar caught → B (a liar who runs out of time counts as caught)...');
+  const allCaught = startRoom('room_all_caught', liarRoom());
+  const [first, second] = liarsOf(allCaught);
+  condemn(allCaught, first);
+  scheduler.applyDueTimers(allCaught, T0 + 40000);
+  expectEqual([allCaught.liarState, Array.from(allCaught.liarCaughtUserIds)], ['vote', [first]], 'no guess: caught');
+  condemn(allCaught, second, T0 + 41000);
+  missGuess(allCaught, second);
+  expectEqual([allCaught.liarResultScenario, allCaught.liarResultData.caughtNicknames], ['B', `${first}, ${second}`], 'all caught');
+  console.log('   OK');
+
+  console.log('\n6. No liar caught → C; a liar naming the word still wins → A...');
+  const noneCaught = startRoom('room_none_caught', liarRoom());
+  condemn(noneCaught, PLAYERS.find((id) => !noneCaught.liarLiarUserIds.has(id)));
+  scheduler.applyDueTimers(noneCaught, T0 + 20000);
+  expectEqual([noneCaught.liarResultScenario, noneCaught.liarResultData.caughtNicknames], ['C', null], 'none caught');
+  const guessed = startRoom('room_guessed', liarRoom());
+  const [guesser] = liarsOf(guessed);
+  condemn(guessed, guesser);
+  liar.actions.guess(guessed, { userId: guesser, body: { guessedWord: guessed.liarSecretWord }, now: T0 + 2000, reject });
+  expectEqual(guessed.liarResultScenario, 'A', 'right guess');
+  liar.reset(guessed);
+  if (guessed.liarLiarUserIds !== null || guessed.liarCaughtUserIds !== null) fail('reset should clear the liars');
+  if (guessed.liarPreviousLiarIds.length !== 2) fail('last round\'s liars are kept for the next pick');
+  console.log('   OK');
+
+  console.log('\n7. Custom words: the secret is never a liar\'s word...');
+  const custom = startRoom('room_custom', liarRoom({ liarMethod: '커스텀' }));
+  const wordCtx = { attenders: attendersOf(custom), now: T0 + 500, reject };
+  for (const id of PLAYERS) liar.actions['submit-word'](custom, { ...wordCtx, userId: id, user: custom.users.get(id), body: { word: `단어_${id}` } });
+  if (liarsOf(custom).some((id) => custom.liarSecretWord === `단어_${id}`)) fail('secret word written by a liar');
+  expectEqual([custom.liarState, liarsOf(custom).length], ['play', 2], 'custom round started');
+  console.log('   OK');
+
+  console.log('\n8. 바보 mode, two liars: the other liar\'s 인정/노인정 is taken but not counted...');
+  const fool = startRoom('room_fool', liarRoom({ liarMode: '바보' }));
+  const [condemned, unaware] = liarsOf(fool);
+  condemn(fool, condemned);
+  liar.actions.guess(fool, { userId: condemned, body: { guessedWord: '틀린단어' }, now: T0 + 2000, reject });
+  expectEqual(buildRoomView(fool, unaware).room.liarAmILiar, false, 'still in the dark');
+  const citizens = PLAYERS.filter((id) => !fool.liarLiarUserIds.has(id));
+  const identify = (id, choice) => liar.actions['identify-vote'](fool, { userId: id, attenders: attendersOf(fool), body: { choice }, reject });
+  expectEqual(identify(unaware, '인정').body, { success: true }, 'accepted like any vote');
+  expectEqual(identify(condemned, '인정').status, 403, 'the condemned liar does not vote');
+  identify(citizens[0], '인정');
+  identify(citizens[1], '인정');
+  expectEqual(fool.liarState, 'identify', '2 of 5 citizens + the liar is no 인정 majority');
+  for (const id of citizens.slice(2)) identify(id, '노인정');
+  expectEqual([fool.liarState, Array.from(fool.liarCaughtUserIds)], ['vote', [condemned]], 'citizens decide: caught');
+  console.log('   OK');
+
+  console.log('\n✅ All multiple liar checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
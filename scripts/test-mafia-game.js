@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the Mafia game module (api/games/mafia.js).
+ *   - roles are dealt from the settings and refused when they don't fit the players
+ *   - secrets (roles, night picks, police checks) reach only the living players who hold them
+ *   - night kill / doctor save, day → vote, tie re-vote, forgive/execute, win conditions
+ *   - night, day and argument timers advance the room through the scheduler
+ *
+ * Run: node scripts/test-mafia-game.js
+ */
+const { fail, expectEqual, reject, createRoom, attendersOf, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { buildRoomView } = require('../api/roomView');
+
+const mafia = games.getGame('mafia');
+
+// Start a round, then deal fixed roles so the checks below are deterministic
+function startWithRoles(id, roles, now) {
+  const room = startRoom(id, { gameType: 'mafia', players: Object.keys(roles), now });
+  room.mafiaRoles = new Map(Object.entries(roles));
+  return room;
+}
+
+function act(room, action, userId, body, now) {
+  const outcome = mafia.actions[action](room, { userId, user: room.users.get(userId), body, now, reject });
+  if (outcome.save === false) fail(`${action} by ${userId} refused: ${outcome.body.message}`);
+  return outcome;
+}
+
+function expectRefused(room, action, userId, body, now, label) {
+  const outcome = mafia.actions[action](room, { userId, body, now, reject });
+  if (outcome.save !== false) fail(`${label}: should be refused`);
+}
+
+const ROLES = {
+  u_m1: 'mafia',
+  u_doc: 'doctor',
+  u_cop: 'police',
+  u_c1: 'citizen',
+  u_c2: 'citizen',
+  u_c3: 'citizen'
+};
+
+async function main() {
+  console.log('=== Mafia Game Test ===\n');
+  const now = Date.now();
+
+  console.log('1. Roles follow the settings; impossible setups are refused...');
+  const dealt = createRoom('room_deal', { gameType: 'mafia', players: ['u_1', 'u_2', 'u_3', 'u_4', 'u_5', 'u_6', 'u_7'], settings: { mafiaCount: 2 } });
+  if (mafia.start(dealt, { attenders: attendersOf(dealt), now, reject })) fail('7 players with 2 mafia should start');
+  const counts = {};
+  for (const role of dealt.mafiaRoles.values()) counts[role] = (counts[role] || 0) + 1;
+  expectEqual(counts, { mafia: 2, doctor: 1, police: 1, citizen: 3 }, 'dealt roles');
+  expectEqual([dealt.gameState, dealt.mafiaRound], ['mafiaNight', 1], 'game starts at night 1');
+  if (dealt.mafiaRoles.has('u_watch')) fail('observer must not get a role');
+  const tooMany = createRoom('room_too_many', { gameType: 'mafia', players: ['u_1', 'u_2', 'u_3', 'u_4'], settings: { mafiaCount: 2 } });
+  const refused = mafia.start(tooMany, { attenders: attendersOf(tooMany), now, reject });
+  if (!refused || refused.status !== 400) fail('2 mafia among 4 players should be refused');
+  const badSettings = mafia.settings.apply(createRoom('room_settings', { gameType: 'mafia', players: ['u_1'] }), { mafiaCount: 5, mafiaDoctor: true, mafiaPolice: true, mafiaDayMinutes: 3 }, { reject });
+  if (badSettings.save !== false) fail('5 mafia should be refused by the settings');
+  console.log('   OK');
+
+  console.log('\n2. Night secrets reach only their holders...');
+  const room = startWithRoles('room_mafia', ROLES, now);
+  act(room, 'night-action', 'u_cop', { targetUserId: 'u_m1' }, now);
+  act(room, 'night-action', 'u_m1', { targetUserId: 'u_c1' }, now);
+  const mafiaView = buildRoomView(room, 'u_m1').room;
+  expectEqual([mafiaView.mafiaMyRole, mafiaView.mafiaTeamPicks], ['mafia', { u_m1: 'u_c1' }], 'mafia view');
+  const copView = buildRoomView(room, 'u_cop').room;
+  expectEqual(copView.mafiaPoliceChecks, [{ round: 1, targetUserId: 'u_m1', isMafia: true }], 'police check');
+  const citizenView = buildRoomView(room, 'u_c1').room;
+  expectEqual([citizenView.mafiaMyRole, citizenView.mafiaTeamPicks, citizenView.mafiaPoliceChecks], ['citizen', {}, []], 'citizen view');
+  const watchView = buildRoomView(room, 'u_watch').room;
+  expectEqual([watchView.mafiaMyRole, watchView.mafiaTeammateIds, watchView.mafiaRoles], [null, [], undefined], 'observer view');
+  if (JSON.stringify(watchView).includes('"police"') || JSON.stringify(watchView).includes('"doctor"')) fail('observer sees a role');
+  expectRefused(room, 'night-action', 'u_c1', { targetUserId: 'u_m1' }, now, 'citizen night action');
+  expectRefused(room, 'night-action', 'u_cop', { targetUserId: 'u_c2' }, now, 'second police check');
+  console.log('   OK');
+
+  console.log('\n3. Doctor saves the target; the night ends once every night role acted...');
+  act(room, 'night-action', 'u_doc', { targetUserId: 'u_c1' }, now);
+  expectEqual([room.mafiaState, room.mafiaLastNight, room.mafiaEliminated.size], ['day', { round: 1, killedUserId: null }, 0], 'saved night');
+  act(room, 'start-vote', 'u_m1', {}, now);
+  expectEqual(room.gameState, 'mafiaVote', 'master starts the vote');
+  console.log('   OK');
+
+  console.log('\n4. A tied vote is voted again among the tied players...');
+  const tie = { u_m1: 'u_c1', u_doc: 'u_c1', u_cop: 'u_m1', u_c1: 'u_m1', u_c2: 'u_c3', u_c3: 'u_c2' };
+  for (const [voter, target] of Object.entries(tie)) act(room, 'vote', voter, { targetUserId: target }, now);
+  expectEqual([room.mafiaState, room.mafiaVoteTieTargets.sort()], ['vote', ['u_c1', 'u_m1']], 'tie re-vote');
+  expectRefused(room, 'vote', 'u_c2', { targetUserId: 'u_c3' }, now, 'vote outside the tie');
+  const revote = { u_m1: 'u_c1', u_doc: 'u_m1', u_cop: 'u_m1', u_c1: 'u_m1', u_c2: 'u_m1', u_c3: 'u_c1' };
+  for (const [voter, target] of Object.entries(revote)) act(room, 'vote', voter, { targetUserId: target }, now);
+  expectEqual([room.mafiaState, room.mafiaCondemnedUserId], ['argument', 'u_m1'], 'condemned after re-vote');
+  console.log('   OK');
+
+  console.log('\n5. Forgiven: night falls again, nobody is eliminated...');
+  expectRefused(room, 'forgive-execute', 'u_c3', { choice: 'forgive' }, now, 'non-voter choice');
+  act(room, 'forgive-execute', 'u_doc', { choice: 'forgive' }, now);
+  act(room, 'forgive-execute', 'u_cop', { choice: 'forgive' }, now);
+  expectEqual([room.mafiaState, room.mafiaRound, room.mafiaLastExecution], ['night', 2, { round: 1, userId: 'u_m1', executed: false }], 'forgiven');
+  console.log('   OK');
+
+  console.log('\n6. Night kill; the dead spectate without secrets...');
+  act(room, 'night-action', 'u_m1', { targetUserId: 'u_cop' }, now);
+  act(room, 'night-action', 'u_doc', { targetUserId: 'u_doc' }, now);
+  act(room, 'night-action', 'u_cop', { targetUserId: 'u_c2' }, now);
+  expectEqual([room.mafiaState, room.mafiaLastNight], ['day', { round: 2, killedUserId: 'u_cop' }], 'killed at night');
+  const deadView = buildRoomView(room, 'u_cop').room;
+  expectEqual([deadView.mafiaAmIAlive, deadView.mafiaPoliceChecks], [false, []], 'dead police view');
+  expectRefused(room, 'vote', 'u_cop', { targetUserId: 'u_m1' }, now, 'dead player vote');
+  console.log('   OK');
+
+  console.log('\n7. Day timer → vote; argument timer executes; the town wins...');
+  await storage.saveRoom(room);
+  await scheduler.runDueTimers(room.mafiaDayEndsAt);
+  const voting = await storage.getRoomById('room_mafia');
+  expectEqual(voting.gameState, 'mafiaVote', 'day timer');
+  for (const voter of ['u_m1', 'u_doc', 'u_c1', 'u_c2', 'u_c3']) {
+    act(voting, 'vote', voter, { targetUserId: voter === 'u_m1' ? 'u_c1' : 'u_m1' }, now);
+  }
+  act(voting, 'forgive-execute', 'u_doc', { choice: 'execute' }, now);
+  await storage.saveRoom(voting);
+  await scheduler.runDueTimers(voting.mafiaArgumentEndsAt);
+  const finished = await storage.getRoomById('room_mafia');
+  expectEqual([finished.gameState, finished.mafiaWinner], ['mafiaResult', 'citizens'], 'town wins');
+  const resultView = buildRoomView(finished, 'u_watch').room;
+  expectEqual(resultView.mafiaResultData.players.map((p) => [p.id, p.role]), Object.entries(ROLES), 'roles revealed on the result screen');
+  if (games.getRoomPhase(finished) !== 'result') fail('mafia room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n8. Mafia win once they are half of the living; the night timer resolves a missing pick...');
+  const late = startWithRoles('room_mafia_win', { u_m1: 'mafia', u_m2: 'mafia', u_doc: 'doctor', u_c1: 'citizen', u_c2: 'citizen' }, now);
+  act(late, 'night-action', 'u_m1', { targetUserId: 'u_c1' }, now);
+  act(late, 'night-action', 'u_m2', { targetUserId: 'u_c2' }, now);
+  await storage.saveRoom(late);
+  await scheduler.runDueTimers(late.mafiaNightEndsAt);
+  const won = await storage.getRoomById('room_mafia_win');
+  expectEqual([won.mafiaLastNight.killedUserId, won.mafiaWinner], ['u_c1', 'mafia'], 'first pick wins the tie, mafia win');
+  mafia.reset(won);
+  if (won.mafiaState !== null || won.mafiaRoles !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n✅ All mafia game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
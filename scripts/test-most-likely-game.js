@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the "Most likely to" game module (api/games/mostLikely.js).
+ *   - prompts come from the deck without repeats; the master can skip a prompt
+ *   - votes are anonymous: nobody sees who voted for whom, not even on the ranking
+ *   - rounds cycle until the configured number of prompts, then the totals are shown
+ *   - the shared ranking (api/games/voting.js) still gives the liar result its voter names
+ *
+ * Run: node scripts/test-most-likely-game.js
+ */
+const { fail, expectEqual, user, reject, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const games = require('../api/games');
+const { loadPrompts } = require('../api/mostLikelyPrompts');
+const { buildVoteRanking } = require('../api/games/voting');
+const { buildRoomView } = require('../api/roomView');
+
+const mostLikely = games.getGame('mostLikely');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+
+function act(room, action, userId, body = {}) {
+  const outcome = mostLikely.actions[action](room, { userId, body, now: Date.now(), reject });
+  if (outcome.save === false) fail(`${action} by ${userId} refused: ${outcome.body.message}`);
+  return outcome;
+}
+
+function voteAll(room, votes) {
+  for (const [voter, target] of Object.entries(votes)) act(room, 'vote', voter, { targetUserId: target });
+}
+
+async function main() {
+  console.log('=== Most Likely Game Test ===\n');
+
+  console.log('1. Shared ranking keeps voter names unless anonymous...');
+  const users = new Map(PLAYERS.map((id) => [id, user(id)]));
+  const votes = new Map([['u_a', 'u_b'], ['u_c', 'u_b'], ['u_b', 'u_d']]);
+  expectEqual(buildVoteRanking(users, votes)[0], { id: 'u_b', name: 'u_b', voteCount: 2, voterNames: ['u_a', 'u_c'], voterIds: ['u_a', 'u_c'] }, 'named ranking');
+  expectEqual(buildVoteRanking(users, votes, { anonymous: true }), [{ id: 'u_b', name: 'u_b', voteCount: 2 }, { id: 'u_d', name: 'u_d', voteCount: 1 }], 'anonymous ranking');
+  console.log('   OK');
+
+  console.log('\n2. Game starts on a prompt from the deck; the master can skip it...');
+  const deck = loadPrompts();
+  if (deck.length < 20) fail(`deck too small: ${deck.length}`);
+  const room = startRoom('room_likely', { gameType: 'mostLikely', players: PLAYERS, settings: { mostLikelyRounds: 2 } });
+  expectEqual(room.gameState, 'mostLikelyVote', 'gameState');
+  if (!deck.includes(room.mostLikelyPrompt)) fail('prompt not from the deck');
+  const firstPrompt = room.mostLikelyPrompt;
+  act(room, 'vote', 'u_b', { targetUserId: 'u_c' });
+  const notMaster = mostLikely.actions.skip(room, { userId: 'u_b', body: {}, reject });
+  if (notMaster.status !== 403) fail('only the master skips');
+  act(room, 'skip', 'u_a');
+  if (room.mostLikelyPrompt === firstPrompt) fail('skip should change the prompt');
+  expectEqual([room.mostLikelyRound, room.mostLikelyVotes.size], [1, 0], 'skip keeps the round and drops the votes');
+  console.log('   OK');
+
+  console.log('\n3. Votes stay anonymous while voting and on the ranking...');
+  act(room, 'vote', 'u_a', { targetUserId: 'u_b' });
+  act(room, 'vote', 'u_b', { targetUserId: 'u_b' }); // voting for yourself is fine
+  const viewC = buildRoomView(room, 'u_c').room;
+  expectEqual([viewC.mostLikelyVotedUserIds, viewC.mostLikelyMyVote], [['u_a', 'u_b'], null], 'view while voting');
+  if ('mostLikelyVotes' in viewC || viewC.mostLikelyRanking !== null) fail('votes leaked while voting');
+  const observerVote = mostLikely.actions.vote(room, { userId: 'u_watch', body: { targetUserId: 'u_a' }, reject });
+  if (observerVote.save !== false) fail('observer vote should be refused');
+  voteAll(room, { u_c: 'u_d', u_d: 'u_b' });
+  expectEqual(room.gameState, 'mostLikelyReveal', 'reveal after every vote');
+  await storage.saveRoom(room);
+  const revealed = buildRoomView(await storage.getRoomById('room_likely'), 'u_watch').room;
+  expectEqual(revealed.mostLikelyRanking, [{ id: 'u_b', name: 'u_b', voteCount: 3 }, { id: 'u_d', name: 'u_d', voteCount: 1 }], 'ranking');
+  if (JSON.stringify(revealed).includes('voterNames') || JSON.stringify(revealed).includes('voterIds')) fail('ranking reveals voters');
+  console.log('   OK');
+
+  console.log('\n4. Next prompt, then the totals after the last round...');
+  act(room, 'next', 'u_a');
+  expectEqual([room.gameState, room.mostLikelyRound], ['mostLikelyVote', 2], 'second round');
+  voteAll(room, { u_a: 'u_d', u_b: 'u_d', u_c: 'u_b', u_d: 'u_a' });
+  act(room, 'next', 'u_a');
+  expectEqual(room.gameState, 'mostLikelyResult', 'final result');
+  const result = buildRoomView(room, 'u_a').room.mostLikelyResultData;
+  expectEqual(result.history.length, 2, 'rounds in history');
+  expectEqual(result.totals.map((t) => [t.id, t.voteCount]), [['u_b', 4], ['u_d', 3], ['u_a', 1]], 'totals');
+  if (games.getRoomPhase(room) !== 'result') fail('room should be on the result screen');
+  mostLikely.reset(room);
+  if (room.mostLikelyState !== null || room.mostLikelyVotes !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n✅ All most-likely game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
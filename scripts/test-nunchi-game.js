@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the Nunchi game module (api/games/nunchi.js).
+ *   - taps before the countdown ends are refused; each player claims one number
+ *   - taps are judged by server arrival time (ctx.receivedAt): taps within the collision window claim the
+ *     same number (also when they commit out of arrival order), and everyone in the collision loses
+ *   - without a collision the player left without a number loses once the last window closes
+ *   - the round ends through the phase scheduler, so nobody has to poll for it
+ *   - players leaving can end the round; a round where nobody taps times out
+ *
+ * Run: node scripts/test-nunchi-game.js
+ */
+const { T0, fail, expectEqual, reject, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { buildRoomView } = require('../api/roomView');
+
+const nunchi = games.getGame('nunchi');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'nunchi', players: PLAYERS };
+
+// Tap that arrived at the server `ms` after the countdown ended
+function tapAt(room, userId, ms) {
+  return nunchi.actions.tap(room, { userId, body: {}, now: Date.now(), receivedAt: room.nunchiStartsAt + ms, reject });
+}
+
+function expectTap(room, userId, ms, number) {
+  const outcome = tapAt(room, userId, ms);
+  if (outcome.save === false) fail(`tap by ${userId} at +${ms}ms refused: ${outcome.body.message}`);
+  expectEqual(outcome.body.number, number, `number claimed by ${userId}`);
+}
+
+function expectRefused(outcome, status, label) {
+  if (outcome.save !== false || outcome.status !== status) fail(`${label}: expected ${status}, got ${JSON.stringify(outcome)}`);
+}
+
+async function main() {
+  console.log('=== Nunchi Game Test ===\n');
+
+  console.log('1. Settings and countdown...');
+  const settingsRoom = startRoom('room_settings', ROOM);
+  expectRefused(nunchi.settings.apply(settingsRoom, { nunchiWindowMs: 50 }, { reject }), 400, 'window too short');
+  expectEqual(nunchi.settings.apply(settingsRoom, { nunchiWindowMs: 300 }, { reject }).body.nunchiWindowMs, 300, 'window saved');
+  const room = startRoom('room_nunchi', ROOM);
+  expectEqual([room.gameState, room.nunchiStartsAt - T0], ['nunchiPlay', 3000], 'countdown');
+  expectRefused(tapAt(room, 'u_a', -10), 400, 'tap before the start');
+  expectRefused(tapAt(room, 'u_watch', 100), 403, 'observer tap');
+  console.log('   OK');
+
+  console.log('\n2. Taps further apart than the window claim the next numbers...');
+  expectTap(room, 'u_a', 100, 1);
+  expectTap(room, 'u_b', 900, 2);
+  expectRefused(tapAt(room, 'u_a', 2000), 400, 'second tap of the same player');
+  expectEqual(room.nunchiSettleAt, null, 'nothing to settle yet');
+  const view = buildRoomView(room, 'u_watch').room;
+  expectEqual(view.nunchiClaims, [{ number: 1, userIds: ['u_a'] }, { number: 2, userIds: ['u_b'] }], 'public claims');
+  console.log('   OK');
+
+  console.log('\n3. Last player left: loses once the window of the last claim closes...');
+  expectTap(room, 'u_c', 2000, 3);
+  expectEqual(room.nunchiSettleAt, room.nunchiStartsAt + 2500, 'settle at the end of the window');
+  expectRefused(tapAt(room, 'u_d', 2500), 400, 'tap after the window closed');
+  await storage.saveRoom(room);
+  const early = await scheduler.advanceRoom('room_nunchi', room.nunchiStartsAt + 2400);
+  expectEqual(early.fired, [], 'timer not due yet');
+  const { room: settled, fired } = await scheduler.advanceRoom('room_nunchi', room.nunchiStartsAt + 2500);
+  expectEqual([fired, settled.gameState], [['settle'], 'nunchiResult'], 'scheduler ends the round');
+  const result = buildRoomView(settled, 'u_a').room.nunchiResultData;
+  expectEqual([result.reason, result.losers], ['last', [{ id: 'u_d', name: 'u_d' }]], 'last player loses');
+  expectEqual(result.claims[2].taps, [{ id: 'u_c', name: 'u_c', elapsedMs: 2000 }], 'timeline');
+  if (games.getRoomPhase(settled) !== 'result') fail('room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n4. Taps within the window collide – everyone in it loses...');
+  const clash = startRoom('room_clash', ROOM);
+  expectTap(clash, 'u_a', 0, 1);
+  expectTap(clash, 'u_b', 1000, 2);
+  expectTap(clash, 'u_c', 1400, 2); // 400ms after u_b, window 500ms
+  expectEqual(clash.nunchiSettleAt, clash.nunchiStartsAt + 1500, 'collision settles when its window closes');
+  expectTap(clash, 'u_d', 1450, 2); // still inside the window: joins the collision
+  expectEqual(buildRoomView(clash, 'u_a').room.nunchiResultData, null, 'result hidden until settled');
+  scheduler.applyDueTimers(clash, clash.nunchiSettleAt);
+  expectEqual([clash.nunchiResultData.reason, clash.nunchiResultData.losers.map((l) => l.id)], ['collision', ['u_b', 'u_c', 'u_d']], 'collision losers');
+  console.log('   OK');
+
+  console.log('\n5. Out-of-order commits still collide by arrival time...');
+  const late = startRoom('room_late', { ...ROOM, settings: { nunchiWindowMs: 300 } });
+  expectTap(late, 'u_b', 500, 1);
+  expectTap(late, 'u_a', 350, 1); // arrived first, committed second
+  expectEqual(late.nunchiClaims[0].at, late.nunchiStartsAt + 350, 'collision starts at the earliest tap');
+  expectEqual(late.nunchiSettleAt, late.nunchiStartsAt + 650, 'window counted from the earliest tap');
+  expectRefused(tapAt(late, 'u_c', 660), 400, 'tap after the collision window');
+  nunchi.reset(late);
+  if (late.nunchiState !== null || late.nunchiClaims !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n6. A player leaving or nobody tapping still ends the round...');
+  const left = startRoom('room_left', ROOM);
+  expectTap(left, 'u_a', 100, 1);
+  expectTap(left, 'u_b', 900, 2);
+  left.users.delete('u_d'); // u_c is now the only one without a number
+  scheduler.applyDueTimers(left, left.nunchiStartsAt + 1400); // window of u_b's claim
+  expectEqual([left.nunchiResultData.reason, left.nunchiResultData.losers.map((l) => l.id)], ['last', ['u_c']], 'last one left after a leave');
+  const idle = startRoom('room_idle', ROOM);
+  expectTap(idle, 'u_a', 100, 1);
+  expectEqual(scheduler.applyDueTimers(idle, idle.nunchiStartsAt + 15099), [], 'not timed out yet');
+  expectRefused(tapAt(idle, 'u_b', 15100), 400, 'tap after the timeout');
+  expectEqual(scheduler.applyDueTimers(idle, idle.nunchiStartsAt + 15100), ['settle'], 'times out 15s after the last claim');
+  expectEqual([idle.nunchiResultData.reason, idle.nunchiResultData.losers.map((l) => l.id)], ['timeout', ['u_b', 'u_c', 'u_d']], 'everyone without a number loses');
+  console.log('   OK');
+
+  console.log('\n✅ All nunchi game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
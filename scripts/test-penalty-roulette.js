@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the penalty roulette (api/games/penalty.js and each game's losers()).
+ *   - the master's penalty list (or the defaults), with its limits
+ *   - losers per game: telepathy players without a mutual pick; liar scenarios A/B/C/D; no bot seat in 31
+ *   - one server-picked spin per round, the same for every viewer, added to the round history
+ *
+ * Run: node scripts/test-penalty-roulette.js
+ */
+const { T0, fail, expectEqual, reject, createRoom, attendersOf, startGame, backToWaiting, condemn } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const scheduler = require('../api/scheduler');
+const penalty = require('../api/games/penalty');
+const { buildRoomView } = require('../api/roomView');
+
+const liar = games.getGame('liar');
+const telepathy = games.getGame('telepathy');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'telepathy', players: PLAYERS, settings: { liarMethod: '랜덤', liarSubject: '동물' } };
+
+function losersOf(room) {
+  return buildRoomView(room, 'u_watch').room.penaltyLosers.map((l) => l.id);
+}
+
+async function main() {
+  console.log('=== Penalty Roulette Test ===\n');
+
+  console.log('1. Penalty list: defaults, the master\'s own list and its limits...');
+  const room = createRoom('room_penalty', ROOM);
+  expectEqual([buildRoomView(room, 'u_a').room.penaltyList, buildRoomView(room, 'u_a').room.penaltyIsDefault], [penalty.DEFAULT_PENALTIES, true], 'defaults');
+  expectEqual(penalty.applyPenaltyList(room, 'a', { reject }).status, 400, 'not a list');
+  expectEqual(penalty.applyPenaltyList(room, ['원샷'], { reject }).status, 400, 'one penalty is no roulette');
+  expectEqual(penalty.applyPenaltyList(room, Array(penalty.MAX_PENALTIES + 1).fill('원샷'), { reject }).status, 400, 'too many');
+  expectEqual(penalty.applyPenaltyList(room, ['가'.repeat(21), '원샷'], { reject }).status, 400, 'too long');
+  expectEqual(penalty.applyPenaltyList(room, [' 원샷 ', '', '노래'], { reject }).body.penaltyList, ['원샷', '노래'], 'trimmed list');
+  expectEqual(penalty.applyPenaltyList(room, [], { reject }).body.penaltyIsDefault, true, 'empty list = defaults');
+  penalty.applyPenaltyList(room, ['원샷', '노래', '춤'], { reject });
+  console.log('   OK');
+
+  console.log('\n2. Telepathy: players without a mutual pick spin; one outcome for everyone, once...');
+  startGame(room, 'telepathy');
+  const picks = { u_a: 'u_b', u_b: 'u_a', u_c: 'u_a', u_d: 'u_c' };
+  for (const id of PLAYERS) {
+    telepathy.actions.select(room, { userId: id, user: room.users.get(id), attenders: attendersOf(room), body: { selectedUserId: picks[id] }, reject });
+    games.settleRound(room);
+  }
+  expectEqual([games.getRoomPhase(room), losersOf(room)], ['result', ['u_c', 'u_d']], 'unmatched lose');
+  const spun = penalty.spin(room, { now: T0, reject }).body.penaltySpin;
+  if (!['원샷', '노래', '춤'].includes(spun.penalty) || spun.options[spun.index] !== spun.penalty) fail(`penalty off the wheel: ${JSON.stringify(spun)}`);
+  expectEqual([spun.losers, spun.endsAt - spun.startedAt], [['u_c', 'u_d'], penalty.SPIN_MS], 'spin');
+  expectEqual(PLAYERS.map((id) => buildRoomView(room, id).room.penaltySpin.penalty), PLAYERS.map(() => spun.penalty), 'same outcome on every phone');
+  expectEqual(penalty.spin(room, { now: T0 + 1, reject }).status, 400, 'spun once per round');
+  expectEqual(room.roomHistory[room.roomHistory.length - 1].penalty, { penalty: spun.penalty, losers: ['u_c', 'u_d'] }, 'in the round history');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n3. Liar: the executed innocent (C), every liar (B), the table (A)...');
+  startGame(room, 'liar');
+  expectEqual([room.penaltySpin, losersOf(room)], [null, []], 'a new round clears the spin');
+  const [liarId] = room.liarLiarUserIds;
+  const innocent = PLAYERS.find((id) => id !== liarId);
+  condemn(room, innocent);
+  scheduler.applyDueTimers(room, T0 + 20000);
+  expectEqual([room.liarResultScenario, losersOf(room)], ['C', [innocent]], 'innocent executed');
+  backToWaiting(room);
+  startGame(room, 'liar');
+  const [caughtLiar] = room.liarLiarUserIds;
+  condemn(room, caughtLiar);
+  liar.actions.guess(room, { userId: caughtLiar, body: { guessedWord: '틀린단어' }, now: T0 + 2000, reject });
+  for (const id of PLAYERS.filter((p) => p !== caughtLiar)) liar.actions['identify-vote'](room, { userId: id, attenders: attendersOf(room), body: { choice: '노인정' }, reject });
+  games.settleRound(room);
+  expectEqual([room.liarResultScenario, losersOf(room)], ['B', [caughtLiar]], 'liar caught');
+  backToWaiting(room);
+  startGame(room, 'liar');
+  const [winner] = room.liarLiarUserIds;
+  condemn(room, winner);
+  liar.actions.guess(room, { userId: winner, body: { guessedWord: room.liarSecretWord }, now: T0 + 2000, reject });
+  games.settleRound(room);
+  expectEqual([room.liarResultScenario, losersOf(room)], ['A', PLAYERS.filter((id) => id !== winner)], 'liar named the word');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n4. Nobody to spin: a random word stopped as too hard (D), or the 31 bot losing...');
+  startGame(room, 'liar');
+  for (const id of PLAYERS.filter((p) => !room.liarLiarUserIds.has(p))) liar.actions['difficult-word'](room, { userId: id, attenders: attendersOf(room), reject });
+  games.settleRound(room);
+  expectEqual([room.liarResultScenario, losersOf(room)], ['D', []], 'no author');
+  expectEqual(penalty.spin(room, { now: T0, reject }).status, 400, 'no losers, no spin');
+  expectEqual(games.getGame('br31').losers({ br31ResultData: { loser: { id: 'br31-bot', isBot: true } } }), [], 'the bot does not drink');
+  console.log('   OK');
+
+  console.log('\n✅ All penalty roulette checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the phase scheduler (api/scheduler.js) with the Liar phase timers.
+ * Runs against the in-memory store - no API needed, nobody polls:
+ *   - every Liar deadline (play, argument, identify, guess) advances the room on its own
+ *   - a transition is applied exactly once, even when several "instances" race on it
+ *   - rooms without a pending deadline leave the due index
+ *
+ * Run: node scripts/test-phase-timers.js
+ */
+process.env.STORAGE_LATENCY_MS = process.env.STORAGE_LATENCY_MS || '10'; // interleave concurrent advances
+delete process.env.UPSTASH_REDIS_KV_REST_API_URL; // always the in-memory store
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+require('../api/game'); // registers the Liar phase timers
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function user(id) {
+  return { id, username: id, displayName: id, role: 'attender' };
+}
+
+async function createLiarRoom(id, fields) {
+  const users = [user('u_master'), user('u_liar'), user('u_citizen')];
+  const room = {
+    id,
+    roomName: id,
+    memberLimit: 8,
+    users: new Map(users.map((u) => [u.id, u])),
+    selections: new Map(),
+    returnedToWaiting: new Set(),
+    masterId: 'u_master',
+    gameType: 'liar',
+    liarLiarUserIds: new Set(['u_liar']),
+    liarSecretWord: '냉장고',
+    liarVotes: new Map(),
+    liarArgumentChoices: new Map(),
+    liarIdentifyVotes: new Map(),
+    lastActivity: Date.now(),
+    ...fields,
+  };
+  await storage.saveRoom(room);
+  return room;
+}
+
+async function expectState(roomId, liarState, label) {
+  const room = await storage.getRoomById(roomId);
+  if (room.liarState !== liarState) fail(`${label}: expected ${liarState}, got ${room.liarState}`);
+  return room;
+}
+
+async function main() {
+  console.log('=== Phase Scheduler Test ===\n');
+  const now = Date.now();
+
+  // 1. Deadline in the future: indexed, not due yet
+  console.log('1. Pending deadline is indexed but not fired early...');
+  await createLiarRoom('room_play', { liarState: 'play', gameState: 'liarPlay', liarMainTimerEndsAt: now + 60 * 1000 });
+  if (!(await storage.listDueRoomIds(now + 60 * 1000)).includes('room_play')) fail('play deadline not indexed');
+  await scheduler.runDueTimers(now);
+  await expectState('room_play', 'play', 'before deadline');
+  console.log('   OK');
+
+  // 2. Play timer expires → vote, exactly once across racing instances
+  console.log('\n2. Play timer expires → vote (5 racing advances, one transition)...');
+  const before = await storage.getRoomById('room_play');
+  const results = await Promise.all(Array.from({ length: 5 }, () => scheduler.advanceRoom('room_play', now + 61 * 1000)));
+  const fired = results.filter((r) => r.fired.length > 0).length;
+  if (fired !== 1) fail(`Expected exactly 1 transition, got ${fired}`);
+  const afterPlay = await expectState('room_play', 'vote', 'play expired');
+  if (afterPlay.version !== before.version + 1) fail(`Expected one save, version went ${before.version} → ${afterPlay.version}`);
+  if ((await storage.listDueRoomIds(now + 10 * 60 * 1000)).includes('room_play')) fail('vote phase should have no deadline');
+  console.log('   OK');
+
+  // 3. Argument window closes → identify (condemned is not the liar) → result C after 10s
+  console.log('\n3. Argument → identify → result C, driven only by the tick...');
+  await createLiarRoom('room_c', {
+    liarState: 'argument',
+    gameState: 'liarArgument',
+    liarVotes: new Map([['u_master', 'u_citizen'], ['u_liar', 'u_citizen']]),
+    liarCondemnedUserId: 'u_citizen',
+    liarArgumentEndsAt: now - 1,
+  });
+  await scheduler.runDueTimers(now);
+  const identify = await expectState('room_c', 'identify', 'argument expired');
+  if (!identify.liarIdentifyEndsAt) fail('identify deadline not set');
+  await scheduler.runDueTimers(identify.liarIdentifyEndsAt);
+  const resultC = await expectState('room_c', 'result', 'identify expired');
+  if (resultC.liarResultScenario !== 'C') fail(`Expected scenario C, got ${resultC.liarResultScenario}`);
+  console.log('   OK');
+
+  // 4. Liar condemned and never guesses → result B
+  console.log('\n4. Guess timer expires without a guess → result B...');
+  await createLiarRoom('room_b', {
+    liarState: 'identify',
+    gameState: 'liarIdentify',
+    liarCondemnedUserId: 'u_liar',
+    liarGuessEndsAt: now - 1,
+  });
+  await scheduler.runDueTimers(now);
+  const resultB = await expectState('room_b', 'result', 'guess expired');
+  if (resultB.liarResultScenario !== 'B' || !resultB.liarResultData.liarNoGuess) fail('Expected scenario B without a guess');
+  console.log('   OK');
+
+  // 5. A guess was submitted: the guess timer no longer applies (players vote 인정/노인정 instead)
+  console.log('\n5. Guess submitted → guess timer does not fire...');
+  await createLiarRoom('room_guessed', {
+    liarState: 'identify',
+    gameState: 'liarIdentify',
+    liarCondemnedUserId: 'u_liar',
+    liarGuessEndsAt: now - 1,
+    liarGuessedWord: '세탁기',
+  });
+  await scheduler.runDueTimers(now);
+  await expectState('room_guessed', 'identify', 'after guess');
+  if ((await storage.listDueRoomIds(now + 10 * 60 * 1000)).includes('room_guessed')) fail('guessed room should leave the due index');
+  console.log('   OK');
+
+  // 6. Deleted rooms leave the index
+  console.log('\n6. Deleted room leaves the due index...');
+  await createLiarRoom('room_deleted', { liarState: 'play', gameState: 'liarPlay', liarMainTimerEndsAt: now + 1000 });
+  await storage.deleteRoom('room_deleted');
+  if ((await storage.listDueRoomIds(now + 10 * 60 * 1000)).includes('room_deleted')) fail('deleted room still indexed');
+  console.log('   OK');
+
+  console.log('\n✅ All phase scheduler checks passed.');
+}
+
+main()
+  .then(() => process.exit(0)) // api/game.js keeps its cleanup/scheduler intervals running
+  .catch((e) => {
+    console.error('\n❌ FAIL:', e.message);
+    process.exit(1);
+  });
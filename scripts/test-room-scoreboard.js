@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the room scoreboard (api/games/scoreboard.js and each game's score()).
+ *   - telepathy: mutual picks; liar: escaping liars, catching every liar, votes for a liar; mafia and
+ *     chosung: the winners
+ *   - a round is scored once, whether an action or a timer ended it, and points add up across rounds
+ *     and game switches (players who left keep theirs) until the board is reset
+ *
+ * Run: node scripts/test-room-scoreboard.js
+ */
+const { T0, fail, expectEqual, reject, createRoom, attendersOf, startGame, backToWaiting, condemn } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const scheduler = require('../api/scheduler');
+const storage = require('../api/storage');
+const scoreboard = require('../api/games/scoreboard');
+const { buildRoomView } = require('../api/roomView');
+
+const liar = games.getGame('liar');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'telepathy', players: PLAYERS, settings: { liarMethod: '랜덤', liarSubject: '동물' } };
+
+function pointsOf(room) {
+  return Object.fromEntries(buildRoomView(room, 'u_watch').room.roomScoreboard.map((s) => [s.id, s.points]));
+}
+
+async function main() {
+  console.log('=== Room Scoreboard Test ===\n');
+
+  console.log('1. Telepathy: a point for each player of a mutual pick, scored once...');
+  const room = createRoom('room_scores', ROOM);
+  startGame(room, 'telepathy');
+  const picks = { u_a: 'u_b', u_b: 'u_a', u_c: 'u_a', u_d: 'u_c' };
+  for (const id of PLAYERS) {
+    games.getGame('telepathy').actions.select(room, { userId: id, user: room.users.get(id), attenders: attendersOf(room), body: { selectedUserId: picks[id] }, reject });
+    games.settleRound(room);
+  }
+  expectEqual(room.gameState, 'completed', 'round over');
+  if (games.settleRound(room)) fail('a round must be scored only once');
+  expectEqual(pointsOf(room), { u_a: 1, u_b: 1 }, 'telepathy points');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n2. Liar: a liar who escapes gets 2, citizens who voted for them get 1 (scored by the timer)...');
+  startGame(room, 'liar');
+  const [liarId] = room.liarLiarUserIds;
+  const innocent = PLAYERS.find((id) => id !== liarId);
+  condemn(room, innocent);
+  scheduler.applyDueTimers(room, T0 + 20000);
+  expectEqual(room.liarResultScenario, 'C', 'innocent executed');
+  // The innocent voted for the first other player, everyone else for the innocent
+  const liarPoints = (id) => (room.roomScores.get(id) ? room.roomScores.get(id).byGame.liar || 0 : 0);
+  const innocentVotedLiar = PLAYERS.find((id) => id !== innocent) === liarId;
+  expectEqual(PLAYERS.map(liarPoints), PLAYERS.map((id) => (id === liarId ? 2 : id === innocent && innocentVotedLiar ? 1 : 0)), 'liar escaped');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n3. Liar: every liar caught gives each citizen 1, plus 1 for voting for the liar...');
+  const caught = createRoom('room_caught', ROOM);
+  startGame(caught, 'liar');
+  const [caughtLiar] = caught.liarLiarUserIds;
+  condemn(caught, caughtLiar);
+  liar.actions.guess(caught, { userId: caughtLiar, body: { guessedWord: '틀린단어' }, now: T0 + 2000, reject });
+  for (const id of PLAYERS.filter((p) => p !== caughtLiar)) liar.actions['identify-vote'](caught, { userId: id, attenders: attendersOf(caught), body: { choice: '노인정' }, reject });
+  games.settleRound(caught);
+  expectEqual(caught.liarResultScenario, 'B', 'liar caught');
+  const citizenPoints = Object.fromEntries(PLAYERS.filter((id) => id !== caughtLiar).map((id) => [id, 2]));
+  expectEqual(pointsOf(caught), citizenPoints, 'citizens scored');
+  console.log('   OK');
+
+  console.log('\n4. Mafia and chosung: the winners score 2...');
+  startGame(room, 'mafia');
+  room.mafiaRoles = new Map([['u_a', 'mafia'], ['u_b', 'citizen'], ['u_c', 'doctor'], ['u_d', 'police']]);
+  room.mafiaWinner = 'citizens';
+  room.gameState = 'mafiaResult';
+  games.settleRound(room);
+  expectEqual(PLAYERS.map((id) => room.roomScores.get(id).byGame.mafia || 0), [0, 2, 2, 2], 'citizens won');
+  backToWaiting(room);
+  startGame(room, 'chosung');
+  room.gameState = 'chosungResult';
+  room.chosungResultData = { winners: [{ id: 'u_c', name: 'u_c', score: 3 }] };
+  games.settleRound(room);
+  expectEqual(room.roomScores.get('u_c').byGame.chosung, 2, 'chosung winner');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n5. Points survive game switches, players leaving and storage; the master can reset...');
+  const before = pointsOf(room);
+  room.users.delete('u_c');
+  const stored = storage.fromSerializableRoom(JSON.parse(JSON.stringify(storage.toSerializableRoom(room))));
+  const board = buildRoomView(stored, 'u_a').room.roomScoreboard;
+  expectEqual(pointsOf(stored), before, 'points kept');
+  expectEqual(board.find((s) => s.id === 'u_c').inRoom, false, 'player who left keeps their points');
+  startGame(stored, 'balance');
+  if (stored.roundSettled) fail('a new round must be scored again');
+  scoreboard.resetScores(stored);
+  expectEqual(buildRoomView(stored, 'u_a').room.roomScoreboard, [], 'reset');
+  console.log('   OK');
+
+  console.log('\n✅ All room scoreboard checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the per-player room view builder (api/roomView.js).
+ * Builds a Liar room in every phase and checks what each viewer (liar, citizen, observer,
+ * master, outsider) receives: no hidden field may leak before the result screen.
+ * Also checks that telepathy picks stay private until the round is revealed.
+ *
+ * Run: node scripts/test-room-view.js
+ *
+ * No API needed – runs against the module directly.
+ */
+const { buildRoomView, VIEWER_ROLES } = require('../api/roomView');
+
+const LIAR_PHASES = ['wordInput', 'play', 'vote', 'argument', 'identify', 'result'];
+const SECRET_WORD = '냉장고';
+const LIAR_WORD = '세탁기';
+
+// Fields that must never be part of the payload, whatever the phase
+const NEVER_SENT = ['liarSecretWord', 'liarUserWords', 'roomPassword'];
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function user(id, username, role = 'attender') {
+  return { id, username, nickname: username, displayName: username, role };
+}
+
+function makeLiarRoom(liarState, { condemnLiar = false } = {}) {
+  const users = [
+    user('u_master', 'Master'),
+    user('u_liar', 'Liar'),
+    user('u_citizen', 'Citizen'),
+    user('u_observer', 'Observer', 'observer'),
+  ];
+  const condemnedUserId = condemnLiar ? 'u_liar' : 'u_citizen';
+  const pastVote = ['argument', 'identify', 'result'].includes(liarState);
+  return {
+    id: 'room_test',
+    version: 7,
+    roomName: 'ViewRoom',
+    roomPassword: 'secret',
+    memberLimit: 8,
+    users: new Map(users.map((u) => [u.id, u])),
+    selections: new Map(),
+    gameState: `liar${liarState[0].toUpperCase()}${liarState.slice(1)}`,
+    gameType: 'liar',
+    liarSubject: '물건',
+    liarMethod: '커스텀',
+    returnedToWaiting: new Set(),
+    masterId: 'u_master',
+    liarState,
+    liarLiarUserIds: new Set(['u_liar']),
+    liarSecretWord: liarState === 'wordInput' ? null : SECRET_WORD,
+    // Once the word is drawn only its author's entry is kept (submitWord)
+    liarUserWords: liarState === 'wordInput'
+      ? new Map([['u_master', SECRET_WORD], ['u_liar', LIAR_WORD], ['u_citizen', '전자레인지']])
+      : new Map([['u_master', SECRET_WORD]]),
+    liarChosenWordAuthor: liarState === 'wordInput' ? null : 'u_master',
+    liarVotes: pastVote || liarState === 'vote'
+      ? new Map([['u_master', condemnedUserId], ['u_citizen', condemnedUserId]])
+      : new Map(),
+    liarCondemnedUserId: pastVote ? condemnedUserId : null,
+    liarArgumentChoices: new Map(),
+    liarIdentifyVotes: new Map(),
+    liarResultScenario: liarState === 'result' ? 'A' : null,
+    liarResultData: liarState === 'result'
+      ? { liarNickname: 'Liar', secretWord: SECRET_WORD, voteRankingSnapshot: [] }
+      : null,
+  };
+}
+
+const VIEWERS = [
+  { username: 'Liar', roles: [VIEWER_ROLES.LIAR] },
+  { username: 'Citizen', roles: [VIEWER_ROLES.CITIZEN] },
+  { username: 'Master', roles: [VIEWER_ROLES.CITIZEN, VIEWER_ROLES.MASTER] },
+  { username: 'Observer', roles: [VIEWER_ROLES.OBSERVER] },
+  { username: 'Stranger', roles: [VIEWER_ROLES.OBSERVER] },
+  { username: null, roles: [VIEWER_ROLES.OBSERVER] },
+];
+
+function checkLiarView(liarState, options) {
+  const room = makeLiarRoom(liarState, options);
+  const isResult = liarState === 'result';
+  for (const viewer of VIEWERS) {
+    const label = `${liarState}/${viewer.username || '(anonymous)'}`;
+    const view = buildRoomView(room, viewer.username);
+    const payload = view.room;
+    const json = JSON.stringify(view);
+
+    if (JSON.stringify(view.viewerRoles) !== JSON.stringify(viewer.roles)) {
+      fail(`${label}: expected roles ${viewer.roles}, got ${view.viewerRoles}`);
+    }
+    for (const field of NEVER_SENT) {
+      if (field in payload) fail(`${label}: ${field} must never be sent`);
+    }
+    // The liar's own (decoy) word only ever lived in liarUserWords
+    if (json.includes(LIAR_WORD)) fail(`${label}: submitted words leaked`);
+
+    const isLiar = viewer.roles.includes(VIEWER_ROLES.LIAR);
+    if (payload.liarAmILiar !== isLiar) fail(`${label}: liarAmILiar should be ${isLiar}`);
+
+    if (isResult) {
+      if (JSON.stringify(payload.liarLiarUserIds) !== '["u_liar"]') fail(`${label}: liar should be revealed on the result screen`);
+      if (payload.liarChosenWordAuthor !== 'u_master') fail(`${label}: word author should be revealed on the result screen`);
+      if (!payload.liarResultData) fail(`${label}: liarResultData missing`);
+    } else {
+      if (payload.liarLiarUserIds !== null) fail(`${label}: liarLiarUserIds leaked`);
+      if (payload.liarChosenWordAuthor !== null) fail(`${label}: liarChosenWordAuthor leaked`);
+      if (payload.liarResultData !== null) fail(`${label}: liarResultData leaked`);
+      // The author wrote the secret word, so they are a citizen; only the votes (public) may name them
+      const liarFields = Object.entries(payload).filter(([key]) => key.startsWith('liar') && key !== 'liarVotes');
+      if (liarState !== 'wordInput' && JSON.stringify(liarFields).includes('u_master')) fail(`${label}: word author leaked`);
+    }
+
+    const expectsCondemnedReveal = liarState === 'identify' || isResult;
+    if (expectsCondemnedReveal) {
+      const expected = Boolean(options && options.condemnLiar);
+      if (payload.liarCondemnedIsLiar !== expected) fail(`${label}: liarCondemnedIsLiar should be ${expected}`);
+    } else if (payload.liarCondemnedIsLiar !== null) {
+      fail(`${label}: liarCondemnedIsLiar revealed before identify`);
+    }
+
+    const inRoom = viewer.username && viewer.username !== 'Stranger';
+    const expectsWord = !isLiar && inRoom && (liarState === 'play' || isResult);
+    if (expectsWord && view.privateFields.liarMyWord !== SECRET_WORD) fail(`${label}: should see the secret word`);
+    if (!expectsWord && view.privateFields.liarMyWord !== null) fail(`${label}: secret word leaked`);
+    if (!expectsWord && !isResult && json.includes(SECRET_WORD)) fail(`${label}: secret word appears in the payload`);
+  }
+}
+
+function checkTelepathySelections() {
+  const users = [user('u_a', 'A'), user('u_b', 'B'), user('u_c', 'C')];
+  const room = {
+    id: 'room_tele',
+    roomName: 'TeleRoom',
+    memberLimit: 8,
+    users: new Map(users.map((u) => [u.id, u])),
+    selections: new Map([['u_a', 'u_b'], ['u_b', 'u_a']]),
+    gameState: 'linking',
+    gameType: 'telepathy',
+    returnedToWaiting: new Set(),
+    masterId: 'u_a',
+  };
+
+  const viewA = buildRoomView(room, 'A').room;
+  if (JSON.stringify(viewA.selections) !== JSON.stringify({ u_a: 'u_b' })) fail('linking: A should only see their own pick');
+  if (!viewA.users.find((u) => u.id === 'u_b').hasVoted) fail('linking: hasVoted should stay visible');
+  const viewC = buildRoomView(room, 'C').room;
+  if (Object.keys(viewC.selections).length !== 0) fail('linking: C has not picked and should see no picks');
+  if ('liarState' in viewC) fail('telepathy room should carry no liar fields');
+
+  room.gameState = 'completed';
+  const viewDone = buildRoomView(room, 'C').room;
+  if (Object.keys(viewDone.selections).length !== 2) fail('completed: all picks should be revealed');
+}
+
+function main() {
+  console.log('=== Room View Builder Test ===\n');
+
+  let step = 1;
+  for (const liarState of LIAR_PHASES) {
+    console.log(`${step}. Liar phase "${liarState}" - every viewer...`);
+    checkLiarView(liarState);
+    if (liarState === 'identify' || liarState === 'result') checkLiarView(liarState, { condemnLiar: true });
+    console.log('   OK');
+    step++;
+  }
+
+  console.log(`\n${step}. Telepathy picks stay private until reveal...`);
+  checkTelepathySelections();
+  console.log('   OK');
+
+  console.log('\n✅ All room view checks passed.');
+}
+
+try {
+  main();
+} catch (e) {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the room round history (api/games/roundHistory.js and each game's history()).
+ *   - a finished round is logged once, whether an action or a timer ended it; rounds still playing are not
+ *   - telepathy picks and pairs; liar scenario, words, liars and the last vote voter by voter; mafia roles
+ *   - capped at MAX_ROUNDS (newest first in the view), kept through storage and the return to the waiting room
+ *
+ * Run: node scripts/test-round-history.js
+ */
+const { T0, expectEqual, reject, createRoom, attendersOf, startGame, backToWaiting, condemn } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const scheduler = require('../api/scheduler');
+const storage = require('../api/storage');
+const roundHistory = require('../api/games/roundHistory');
+
+const liar = games.getGame('liar');
+const telepathy = games.getGame('telepathy');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'telepathy', players: PLAYERS, settings: { liarMethod: '랜덤', liarSubject: '동물' } };
+
+function playTelepathy(room, picks) {
+  startGame(room, 'telepathy');
+  for (const id of PLAYERS) {
+    telepathy.actions.select(room, { userId: id, user: room.users.get(id), attenders: attendersOf(room), body: { selectedUserId: picks[id] }, reject });
+    games.settleRound(room, T0);
+  }
+  backToWaiting(room);
+}
+
+function lastRound(room) {
+  return roundHistory.buildHistoryView(room)[0];
+}
+
+async function main() {
+  console.log('=== Round History Test ===\n');
+
+  console.log('1. Telepathy: every pick and the pairs, logged once when the round ends...');
+  const room = createRoom('room_history', ROOM);
+  startGame(room, 'telepathy');
+  telepathy.actions.select(room, { userId: 'u_a', user: room.users.get('u_a'), attenders: attendersOf(room), body: { selectedUserId: 'u_b' }, reject });
+  games.settleRound(room);
+  expectEqual(room.roomHistory, [], 'nothing logged mid-round');
+  playTelepathy(room, { u_a: 'u_b', u_b: 'u_a', u_c: 'u_a', u_d: 'u_c' });
+  expectEqual(room.roomHistory.length, 1, 'logged once');
+  const first = lastRound(room);
+  expectEqual([first.round, first.gameType, first.participants, first.endedAt], [1, 'telepathy', PLAYERS, new Date(T0).toISOString()], 'round header');
+  expectEqual(first.pairs, [['u_a', 'u_b']], 'pairs');
+  expectEqual(first.picks.find((p) => p.from === 'u_d').to, 'u_c', 'picks');
+  console.log('   OK');
+
+  console.log('\n2. Liar: the scenario, word, liar and last vote survive the return to the waiting room...');
+  startGame(room, 'liar', { liarMode: '바보' });
+  const [liarId] = room.liarLiarUserIds;
+  const innocent = PLAYERS.find((id) => id !== liarId);
+  const { liarSecretWord: secret, liarDecoyWord: decoy } = room;
+  condemn(room, innocent);
+  scheduler.applyDueTimers(room, T0 + 20000);
+  backToWaiting(room);
+  const liarRound = lastRound(room);
+  expectEqual(
+    [liarRound.round, liarRound.scenario, liarRound.mode, liarRound.secretWord, liarRound.decoyWord, liarRound.liars, liarRound.caught],
+    [2, 'C', '바보', secret, decoy, liarId, null],
+    'liar round'
+  );
+  expectEqual(liarRound.votes.filter((v) => v.to === innocent).map((v) => v.from), PLAYERS.filter((id) => id !== innocent), 'who voted for whom');
+  console.log('   OK');
+
+  console.log('\n3. A liar round stopped by a difficult word (D) is logged without votes...');
+  startGame(room, 'liar', { liarMode: '단어' });
+  for (const id of PLAYERS.filter((p) => !room.liarLiarUserIds.has(p))) liar.actions['difficult-word'](room, { userId: id, attenders: attendersOf(room), reject });
+  games.settleRound(room);
+  expectEqual([lastRound(room).scenario, lastRound(room).votes], ['D', []], 'difficult word');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log('\n4. Mafia: the winning side and every role...');
+  startGame(room, 'mafia');
+  room.mafiaWinner = 'mafia';
+  room.mafiaResultData = { players: [{ id: 'u_a', name: 'u_a', role: 'mafia', eliminated: null }, { id: 'u_b', name: 'u_b', role: 'doctor', eliminated: { cause: 'vote', round: 1 } }] };
+  room.gameState = 'mafiaResult';
+  games.settleRound(room);
+  expectEqual([lastRound(room).winner, lastRound(room).roles], ['mafia', [{ name: 'u_a', role: 'mafia', eliminated: false }, { name: 'u_b', role: 'doctor', eliminated: true }]], 'mafia round');
+  backToWaiting(room);
+  console.log('   OK');
+
+  console.log(`\n5. Capped at ${roundHistory.MAX_ROUNDS} rounds, newest first, kept through storage...`);
+  for (let i = 0; i < roundHistory.MAX_ROUNDS; i++) playTelepathy(room, { u_a: 'u_b', u_b: 'u_c', u_c: 'u_d', u_d: 'u_a' });
+  const rounds = roundHistory.buildHistoryView(room).map((r) => r.round);
+  expectEqual([rounds.length, rounds[0], rounds[rounds.length - 1]], [roundHistory.MAX_ROUNDS, 34, 5], 'oldest rounds dropped');
+  const stored = storage.fromSerializableRoom(JSON.parse(JSON.stringify({ ...storage.toSerializableRoom(room), schemaVersion: storage.ROOM_SCHEMA_VERSION })));
+  expectEqual(roundHistory.buildHistoryView(stored), roundHistory.buildHistoryView(room), 'history stored with the room');
+  console.log('   OK');
+
+  console.log('\n✅ All round history checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
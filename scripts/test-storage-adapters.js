@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+/**
+ * Conformance suite for the storage adapters (api/storageAdapters).
+ * Runs the same checks against every adapter:
+ *   - key/value, set and sorted-set primitives, SET NX, versioned compare-and-swap
+ *   - TTL semantics (expired keys read as missing, ttl() -2 / -1 / seconds left)
+ *   - api/storage.js on top of the adapter: rooms, CAS conflicts, markers, admin tokens,
+ *     deleted-room records and pending removals expire after the same TTLs
+ * The file adapter is also reopened to check that state (and expiry times) survive a restart.
+ *
+ * Run: node scripts/test-storage-adapters.js
+ * The redis-tcp adapter runs against an in-process fake RESP server (backed by the memory adapter),
+ * plus protocol checks: reply parsing, AUTH/SELECT handshake, pipelining, bulk reads, reconnects.
+ *
+ * Redis: set UPSTASH_REDIS_KV_REST_API_URL/TOKEN to include the Upstash adapter and REDIS_URL to
+ * include a real Redis over TCP (only test keys are written; TTL expiry is checked with real time
+ * there, so long TTLs are only checked by value).
+ *
+ * No API needed.
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { createMemoryAdapter, createFileAdapter, createRedisRestAdapter, createRedisTcpAdapter } = require('../api/storageAdapters');
+const { encodeCommand, createReplyParser, RedisReplyError } = require('../api/storageAdapters/redisTcp');
+const { SET_IF_VERSION_SCRIPT } = require('../api/storageAdapters/redisScripts');
+const storage = require('../api/storage');
+
+function fail(msg) {
+  throw new Error(msg);
+}
+
+function expectEqual(actual, expected, label) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    fail(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+// Controllable clock for the in-process adapters (Redis keeps its own time)
+function createClock() {
+  let offsetMs = 0;
+  return {
+    now: () => Date.now() + offsetMs,
+    advance: (ms) => {
+      offsetMs += ms;
+    }
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function checkPrimitives(db, clock, prefix) {
+  const key = (name) => `${prefix}${name}`;
+
+  // Strings
+  expectEqual(await db.get(key('missing')), null, 'get missing');
+  await db.set(key('a'), 'alpha');
+  expectEqual(await db.get(key('a')), 'alpha', 'get after set');
+  expectEqual(await db.mget([key('a'), key('missing')]), ['alpha', null], 'mget');
+  expectEqual(await db.set(key('a'), 'other', { onlyIfAbsent: true }), false, 'SET NX on existing key');
+  expectEqual(await db.get(key('a')), 'alpha', 'SET NX must not overwrite');
+  expectEqual(await db.set(key('nx'), 'first', { onlyIfAbsent: true }), true, 'SET NX on new key');
+  await db.del(key('a'));
+  expectEqual(await db.get(key('a')), null, 'get after del');
+
+  // TTLs
+  expectEqual(await db.ttl(key('missing')), -2, 'ttl of missing key');
+  expectEqual(await db.ttl(key('nx')), -1, 'ttl of key without expiry');
+  await db.set(key('short'), 'x', { ttlSeconds: 1 });
+  await db.set(key('long'), 'y', { ttlSeconds: 600 });
+  const longTtl = await db.ttl(key('long'));
+  if (longTtl < 598 || longTtl > 600) fail(`ttl of 600s key: ${longTtl}`);
+  const [missingTtl, noExpiryTtl, shortTtl] = await db.mttl([key('missing'), key('nx'), key('short')]);
+  expectEqual([missingTtl, noExpiryTtl], [-2, -1], 'mttl of missing key and key without expiry');
+  if (shortTtl !== 1) fail(`mttl of 1s key: ${shortTtl}`);
+  expectEqual(await db.mttl([]), [], 'mttl of no keys');
+  if (clock) clock.advance(1100);
+  else await sleep(1200);
+  expectEqual(await db.get(key('short')), null, 'expired key');
+  expectEqual(await db.ttl(key('short')), -2, 'ttl of expired key');
+  expectEqual(await db.set(key('short'), 'again', { onlyIfAbsent: true }), true, 'SET NX on expired key');
+  expectEqual(await db.get(key('long')), 'y', 'unexpired key');
+
+  // Sets
+  await db.sadd(key('set'), 'u1');
+  await db.sadd(key('set'), 'u2');
+  await db.sadd(key('set'), 'u1');
+  expectEqual((await db.smembers(key('set'))).sort(), ['u1', 'u2'], 'smembers');
+  await db.srem(key('set'), 'u1');
+  expectEqual(await db.smembers(key('set')), ['u2'], 'smembers after srem');
+  expectEqual(await db.smembers(key('noset')), [], 'smembers of missing set');
+
+  // Sorted sets
+  await db.zadd(key('z'), 300, 'late');
+  await db.zadd(key('z'), 100, 'early');
+  await db.zadd(key('z'), 200, 'mid');
+  expectEqual(await db.zrangebyscore(key('z'), 200), ['early', 'mid'], 'zrangebyscore');
+  await db.zadd(key('z'), 50, 'late');
+  expectEqual(await db.zrangebyscore(key('z'), 100), ['late', 'early'], 'zadd updates the score');
+  await db.zrem(key('z'), 'late');
+  expectEqual(await db.zrangebyscore(key('z'), 1000), ['early', 'mid'], 'zrem');
+
+  // Versioned compare-and-swap (+ index entry in the same step)
+  const doc = (version) => JSON.stringify({ version, body: `v${version}` });
+  expectEqual(await db.setIfVersion(key('doc'), 0, doc(1), { key: key('idx'), member: 'doc', score: 500 }), true, 'CAS create');
+  expectEqual(await db.zrangebyscore(key('idx'), 1000), ['doc'], 'CAS indexes');
+  expectEqual(await db.setIfVersion(key('doc'), 0, doc(9)), false, 'CAS with stale version');
+  expectEqual(JSON.parse(await db.get(key('doc'))).version, 1, 'stale CAS must not write');
+  expectEqual(await db.setIfVersion(key('doc'), 1, doc(2), { key: key('idx'), member: 'doc', score: null }), true, 'CAS update');
+  expectEqual(await db.zrangebyscore(key('idx'), 1000), [], 'CAS removes the index entry');
+
+  for (const name of ['nx', 'short', 'long', 'set', 'z', 'doc', 'idx']) await db.del(key(name));
+}
+
+function makeRoom(id) {
+  return {
+    id,
+    roomName: id,
+    memberLimit: 4,
+    users: new Map([['u1', { id: 'u1', username: `${id}_user`, displayName: 'U1', role: 'attender' }]]),
+    selections: new Map([['u1', 'u2']]),
+    returnedToWaiting: new Set(['u1']),
+    masterId: 'u1',
+    gameState: 'waiting',
+    lastActivity: Date.now()
+  };
+}
+
+async function checkStorage(db, clock, prefix, { appState }) {
+  storage.setStorageAdapter(db);
+  const roomId = `${prefix}room`;
+  const username = `${prefix}user`;
+
+  // Rooms
+  await storage.saveRoom(makeRoom(roomId));
+  const room = await storage.getRoomById(roomId);
+  if (!(room.users instanceof Map) || !(room.returnedToWaiting instanceof Set)) fail('room Maps/Sets not restored');
+  expectEqual(room.version, 1, 'room version after first save');
+  expectEqual((await storage.getRoomByName(roomId.toLowerCase())).id, roomId, 'room by name');
+  if (!(await storage.listRoomIds()).includes(roomId)) fail('room not listed');
+  const listed = (await storage.listRooms()).find((r) => r.id === roomId);
+  if (!listed || !(listed.selections instanceof Map) || listed.version !== 1) fail('room not in bulk listing');
+  expectEqual(await storage.saveRoom(room, { expectedVersion: 0 }), false, 'save with stale version');
+  await storage.updateRoom(roomId, (r) => {
+    r.gameState = 'linking';
+    return {};
+  });
+  expectEqual((await storage.getRoomById(roomId)).gameState, 'linking', 'updateRoom');
+
+  // Active users
+  await storage.saveActiveUser(username, { roomId, userId: 'u1', lastActivity: 1 });
+  expectEqual((await storage.getActiveUser(username)).roomId, roomId, 'active user');
+  if (!(await storage.listActiveUsers()).some((u) => u.username === username)) fail('active user not listed');
+  await storage.deleteActiveUser(username);
+  expectEqual(await storage.getActiveUser(username), null, 'deleted active user');
+
+  // Markers: priority and 60s TTL
+  await storage.setUserKickMarker(username, storage.KICK_REASONS.ADMIN);
+  await storage.setUserKickMarker(username, storage.KICK_REASONS.MASTER);
+  expectEqual((await storage.getUserKickMarker(username)).reason, 'ADMIN', 'lower-priority marker must not replace');
+  await storage.setRoomDeleteMarker(roomId, storage.ROOM_DELETE_REASONS.EMPTY);
+  await storage.setRoomDeleteMarker(roomId, storage.ROOM_DELETE_REASONS.ADMIN);
+  expectEqual((await storage.getRoomDeleteMarker(roomId)).reason, 'ADMIN', 'higher-priority marker replaces');
+  await storage.setPendingRemoval(username, roomId, 'u1');
+  if (!(await storage.listPendingRemovals()).some((p) => p.username === username && p.roomId === roomId)) fail('pending removal not listed');
+
+  // Admin tokens: 30 min TTL
+  const adminToken = `${prefix}admintoken`;
+  await storage.storeAdminToken(adminToken);
+  if (!(await storage.isAdminTokenValid(adminToken))) fail('admin token not valid');
+  const tokenTtl = await storage.getAdminTokenTtlSeconds(adminToken);
+  if (tokenTtl < 1795 || tokenTtl > 1800) fail(`admin token ttl: ${tokenTtl}`);
+  if (!(await storage.listAdminSessions()).some((s) => s.token === adminToken)) fail('admin session not listed');
+
+  // Deleted rooms: 10 min record
+  await storage.deleteRoom(roomId);
+  expectEqual(await storage.getRoomById(roomId), null, 'deleted room');
+  expectEqual(await storage.getRoomByName(roomId.toLowerCase()), null, 'deleted room name');
+  if (!(await storage.wasRoomDeleted(roomId))) fail('deleted-room record missing');
+
+  if (clock) {
+    clock.advance(61 * 1000);
+    expectEqual(await storage.getUserKickMarker(username), null, 'kick marker after 60s');
+    expectEqual(await storage.getRoomDeleteMarker(roomId), null, 'room delete marker after 60s');
+    expectEqual(await storage.getPendingRemoval(username), null, 'pending removal after 60s');
+    if (!(await storage.wasRoomDeleted(roomId))) fail('deleted-room record expired too early');
+    clock.advance(10 * 60 * 1000);
+    if (await storage.wasRoomDeleted(roomId)) fail('deleted-room record after 10 min');
+    if (!(await storage.isAdminTokenValid(adminToken))) fail('admin token expired too early');
+    clock.advance(20 * 60 * 1000);
+    if (await storage.isAdminTokenValid(adminToken)) fail('admin token after 30 min');
+    expectEqual(await storage.getAdminTokenTtlSeconds(adminToken), 0, 'expired admin token ttl');
+    if ((await storage.listAdminSessions()).some((s) => s.token === adminToken)) fail('expired admin session listed');
+  } else {
+    await storage.clearUserKickMarker(username);
+    await storage.deletePendingRemoval(username);
+  }
+  await storage.deleteAdminToken(adminToken);
+
+  // App state (in-process adapters only - never flip a shared deployment's shutdown switch)
+  if (appState) {
+    expectEqual(await storage.getAppShutdown(), false, 'shutdown default');
+    await storage.setAppShutdown(true);
+    expectEqual(await storage.getAppShutdown(), true, 'shutdown set');
+    const secret = await storage.getOrCreateSessionSecret(() => 'first');
+    expectEqual(await storage.getOrCreateSessionSecret(() => 'second'), secret, 'session secret is created once');
+  }
+}
+
+async function checkFilePersistence(filePath) {
+  const clock = createClock();
+  const first = createFileAdapter({ filePath, now: clock.now });
+  storage.setStorageAdapter(first);
+  await storage.saveRoom(makeRoom('persisted'));
+  await storage.setUserKickMarker('persisted_user', storage.KICK_REASONS.MASTER);
+  await first.close();
+
+  const reopened = createFileAdapter({ filePath, now: clock.now });
+  storage.setStorageAdapter(reopened);
+  const room = await storage.getRoomById('persisted');
+  if (!room || room.version !== 1 || !(room.selections instanceof Map)) fail('room lost on reopen');
+  expectEqual((await storage.getUserKickMarker('persisted_user')).reason, 'MASTER', 'marker lost on reopen');
+  clock.advance(61 * 1000);
+  expectEqual(await storage.getUserKickMarker('persisted_user'), null, 'marker TTL after reopen');
+  await reopened.close();
+}
+
+// ---------- RESP fake server (redis-tcp adapter without a Redis install) ----------
+// Speaks the subset of the protocol the adapter uses, backed by the memory adapter
+// (so the fake clock drives TTLs), and records what arrived on the wire.
+function encodeReply(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+async function startFakeRedis({ now, password = '' } = {}) {
+  const store = createMemoryAdapter({ now });
+  const stats = { connections: 0, commands: [], largestBatch: 0 };
+  const sockets = new Set();
+  let scriptLoaded = false;
+  const OK = { status: 'OK' };
+
+  const setIfVersion = ([, key, indexKey, version, value, member, score]) => store
+    .setIfVersion(key, Number(version), value, indexKey ? { key: indexKey, member, score: score ? Number(score) : null } : null)
+    .then((swapped) => (swapped ? 1 : 0));
+
+  const handlers = {
+    GET: ([key]) => store.get(key),
+    MGET: (keys) => store.mget(keys),
+    SET: async ([key, value, ...flags]) => {
+      const ex = flags.indexOf('EX');
+      const set = await store.set(key, value, { ttlSeconds: ex >= 0 ? Number(flags[ex + 1]) : undefined, onlyIfAbsent: flags.includes('NX') });
+      return set ? OK : null;
+    },
+    DEL: ([key]) => store.del(key).then(() => 1),
+    TTL: ([key]) => store.ttl(key),
+    SADD: ([key, member]) => store.sadd(key, member).then(() => 1),
+    SREM: ([key, member]) => store.srem(key, member).then(() => 1),
+    SMEMBERS: ([key]) => store.smembers(key),
+    ZADD: ([key, score, member]) => store.zadd(key, Number(score), member).then(() => 1),
+    ZREM: ([key, member]) => store.zrem(key, member).then(() => 1),
+    ZRANGEBYSCORE: ([key, , max]) => store.zrangebyscore(key, Number(max)),
+    EVALSHA: ([, ...args]) => (scriptLoaded ? setIfVersion(args) : new Error('NOSCRIPT No matching script. Please use EVAL.')),
+    EVAL: ([script, ...args]) => {
+      if (script !== SET_IF_VERSION_SCRIPT) return new Error('ERR unknown script');
+      scriptLoaded = true;
+      return setIfVersion(args);
+    },
+    AUTH: (args) => (args[args.length - 1] === password ? OK : new Error('WRONGPASS invalid password')),
+    SELECT: () => OK,
+    QUIT: () => OK
+  };
+
+  const server = net.createServer((socket) => {
+    stats.connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let authed = !password;
+    let queue = Promise.resolve();
+    const parser = createReplyParser((args) => {
+      stats.commands.push(args);
+      queue = queue.then(async () => {
+        const name = args[0].toUpperCase();
+        let reply;
+        if (!authed && name !== 'AUTH') reply = new Error('NOAUTH Authentication required.');
+        else if (!handlers[name]) reply = new Error(`ERR unknown command '${args[0]}'`);
+        else reply = await Promise.resolve(handlers[name](args.slice(1))).catch((err) => err);
+        if (name === 'AUTH' && reply === OK) authed = true;
+        if (!socket.destroyed) socket.write(encodeReply(reply));
+        if (name === 'QUIT') socket.end();
+      });
+    });
+    socket.on('data', (chunk) => {
+      const before = stats.commands.length;
+      parser.push(chunk);
+      stats.largestBatch = Math.max(stats.largestBatch, stats.commands.length - before);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    stats,
+    commandCount: (name) => stats.commands.filter((args) => args[0] === name).length,
+    dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+    close: () => new Promise((resolve) => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+async function checkRespProtocol() {
+  // Parser: replies split at every byte, including inside a multi-byte UTF-8 character
+  const replies = [];
+  const parser = createReplyParser((value) => replies.push(value));
+  const wire = Buffer.from('+OK\r\n:42\r\n$-1\r\n$6\r\n방장\r\n*3\r\n$1\r\na\r\n*1\r\n:7\r\n$-1\r\n-ERR boom\r\n');
+  for (let i = 0; i < wire.length; i++) parser.push(wire.subarray(i, i + 1));
+  if (!(replies[5] instanceof RedisReplyError) || replies[5].message !== 'ERR boom') fail('error reply not parsed');
+  expectEqual(replies.slice(0, 5), ['OK', 42, null, '방장', ['a', [7], null]], 'RESP replies');
+  expectEqual(encodeCommand(['SET', 'k', '방']), '*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\n방\r\n', 'RESP command encoding');
+
+  const server = await startFakeRedis({ password: 's3cret' });
+  try {
+    // Handshake: AUTH and SELECT from the URL go first on the connection
+    const db = createRedisTcpAdapter({ url: server.url.replace('//', '//:s3cret@') + '/3' });
+    await db.set('k', 'v');
+    expectEqual(server.stats.commands.slice(0, 3).map((args) => args[0]), ['AUTH', 'SELECT', 'SET'], 'handshake order');
+
+    // Pipelining: concurrent commands share one connection and go out together
+    const keys = Array.from({ length: 50 }, (_, i) => `k${i}`);
+    await Promise.all(keys.map((key) => db.set(key, key)));
+    const values = await Promise.all(keys.map((key) => db.get(key)));
+    expectEqual(values, keys, 'pipelined replies matched in order');
+    expectEqual(server.stats.connections, 1, 'connections after pipelined commands');
+    if (server.stats.largestBatch < 10) fail(`commands were not pipelined (largest batch ${server.stats.largestBatch})`);
+
+    // Bulk listings: one MGET / one TTL batch instead of a GET per key
+    storage.setStorageAdapter(db);
+    for (let i = 0; i < 20; i++) await storage.saveRoom(makeRoom(`bulk${i}`));
+    for (let i = 0; i < 5; i++) await storage.storeAdminToken(`bulktoken${i}`);
+    const getsBefore = server.commandCount('GET');
+    const mgetsBefore = server.commandCount('MGET');
+    expectEqual((await storage.listRooms()).length, 20, 'bulk room listing');
+    expectEqual((await storage.listAdminSessions()).length, 5, 'bulk admin session listing');
+    expectEqual(server.commandCount('GET') - getsBefore, 0, 'GETs during bulk listing');
+    expectEqual(server.commandCount('MGET') - mgetsBefore, 1, 'MGETs during bulk listing');
+
+    // An error reply fails only its own command
+    await db.set('str', 'x');
+    const wrongType = await db.sadd('str', 'm').then(() => null, (err) => err);
+    if (!(wrongType instanceof RedisReplyError) || !wrongType.message.includes('WRONGTYPE')) fail('error reply not surfaced');
+    expectEqual(await db.get('str'), 'x', 'connection usable after an error reply');
+
+    // A dropped connection fails what was in flight; the next command reconnects
+    server.dropConnections();
+    await sleep(20);
+    expectEqual(await db.get('k'), 'v', 'command after reconnect');
+    expectEqual(server.stats.connections, 2, 'connections after reconnect');
+    await db.close();
+
+    // Wrong password: commands are rejected instead of hanging
+    const denied = createRedisTcpAdapter({ url: server.url.replace('//', '//:wrong@') });
+    if (!(await denied.get('k').then(() => false, () => true))) fail('command with wrong password should fail');
+    await denied.close();
+  } finally {
+    await server.close();
+  }
+}
+
+async function main() {
+  console.log('=== Storage Adapter Conformance Test ===\n');
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-station-storage-'));
+
+  const fakeServers = [];
+  const adapters = [
+    { label: 'memory', appState: true, create: (clock) => createMemoryAdapter({ now: clock.now }) },
+    { label: 'file', appState: true, create: (clock) => createFileAdapter({ filePath: path.join(tmpDir, 'conformance.json'), now: clock.now }) },
+    {
+      label: 'redis-tcp (fake RESP server)',
+      appState: true,
+      create: async (clock) => {
+        const server = await startFakeRedis({ now: clock.now });
+        fakeServers.push(server);
+        return createRedisTcpAdapter({ url: server.url });
+      }
+    }
+  ];
+  const { UPSTASH_REDIS_KV_REST_API_URL: url, UPSTASH_REDIS_KV_REST_API_TOKEN: token, REDIS_URL: redisUrl } = process.env;
+  if (url && token) {
+    adapters.push({ label: 'redis', appState: false, realTime: true, create: () => createRedisRestAdapter({ url, token }) });
+  }
+  if (redisUrl) {
+    adapters.push({ label: 'redis-tcp', appState: false, realTime: true, create: () => createRedisTcpAdapter({ url: redisUrl }) });
+  }
+
+  try {
+    let step = 1;
+    for (const { label, appState, realTime, create } of adapters) {
+      const prefix = `conformance_${Date.now()}_`;
+      console.log(`${step}. ${label}: primitives and TTLs...`);
+      const clock = realTime ? null : createClock();
+      const db = await create(clock);
+      await checkPrimitives(db, clock, prefix);
+      console.log('   OK');
+
+      console.log(`\n${step + 1}. ${label}: storage.js semantics...`);
+      await checkStorage(db, clock, prefix, { appState });
+      if (db.close) await db.close();
+      console.log('   OK\n');
+      step += 2;
+    }
+    if (!(url && token)) console.log('   (redis skipped - Upstash env vars not set)');
+    if (!redisUrl) console.log('   (redis-tcp against a real server skipped - REDIS_URL not set)');
+    console.log('');
+
+    console.log(`${step}. redis-tcp: RESP parsing, handshake, pipelining, bulk reads, reconnect...`);
+    await checkRespProtocol();
+    console.log('   OK\n');
+    step += 1;
+
+    console.log(`${step}. file: state and expiry times survive a restart...`);
+    await checkFilePersistence(path.join(tmpDir, 'persist.json'));
+    console.log('   OK');
+  } finally {
+    await Promise.all(fakeServers.map((server) => server.close()));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('\n✅ All storage adapter checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
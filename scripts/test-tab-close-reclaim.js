@@ -49,8 +49,32 @@ async function main() {
   const userBId = joinRes.userId;
   console.log('   OK - UserB joined, userBId:', userBId);
 
-  // 3. Simulate tab-close beacon for both users (pending removal)
-  console.log('\n3. Simulate tab-close beacon (pending removal) for both users...');
+  // 3. Only UserB's own session frees UserB; the heartbeat renews a session token
+  console.log('\n3. remove-user without the matching session frees nothing; ping renews the token...');
+  await fetchJSON('/api/remove-user', { method: 'POST', body: { username: 'TestUserB', immediate: true } });
+  await fetchJSON('/api/remove-user', {
+    method: 'POST',
+    headers: { 'x-session-token': createRes.sessionToken },
+    body: { username: 'TestUserB', immediate: true },
+  });
+  const stillTaken = await fetchJSON('/api/check-username', { method: 'POST', body: { username: 'TestUserB' } });
+  if (!stillTaken.duplicate) {
+    console.error('   FAIL: TestUserB was freed by another session');
+    return;
+  }
+  const ping = await fetchJSON('/api/ping', {
+    method: 'POST',
+    headers: { 'x-session-token': createRes.sessionToken },
+    body: { username: 'TestUserA', userId: userAId },
+  });
+  if (typeof ping.sessionToken !== 'string') {
+    console.error('   FAIL: ping did not renew the session token');
+    return;
+  }
+  console.log('   OK - TestUserB kept, token renewed');
+
+  // 4. Simulate tab-close beacon for both users (pending removal; beacon carries the session token in the body)
+  console.log('\n4. Simulate tab-close beacon (pending removal) for both users...');
   await fetch(`${BASE_URL}/api/remove-user`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -58,6 +82,7 @@ async function main() {
       username: 'TestUserA',
       roomId,
       userId: userAId,
+      sessionToken: createRes.sessionToken,
       immediate: false,
     }),
   });
@@ -68,13 +93,14 @@ async function main() {
       username: 'TestUserB',
       roomId,
       userId: userBId,
+      sessionToken: joinRes.sessionToken,
       immediate: false,
     }),
   });
   console.log('   OK - Pending removals queued');
 
-  // 4. Immediately try to reclaim: check username TestUserA
-  console.log('\n4. Check if TestUserA is available (should reclaim from pending)...');
+  // 5. Immediately try to reclaim: check username TestUserA
+  console.log('\n5. Check if TestUserA is available (should reclaim from pending)...');
   const checkUser = await fetchJSON('/api/check-username', {
     method: 'POST',
     body: { username: 'TestUserA' },
@@ -85,8 +111,8 @@ async function main() {
   }
   console.log('   OK - TestUserA available');
 
-  // 5. Try to create room TestRoomReclaim (should reclaim - all users had pending)
-  console.log('\n5. Create room TestRoomReclaim with TestUserA (should reclaim room name)...');
+  // 6. Try to create room TestRoomReclaim (should reclaim - all users had pending)
+  console.log('\n6. Create room TestRoomReclaim with TestUserA (should reclaim room name)...');
   const create2 = await fetchJSON('/api/create-room', {
     method: 'POST',
     body: {
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Unit test for telepathy matching (api/games/matching.js) and the 순위 mode of api/games/telepathy.js.
+ *   - one pick each: mutual pairs with odd player counts, a triangle with no pair at all
+ *   - self-picks, repeats and extra places ignored by the matching, refused by the select action
+ *   - ranked picks: 1st↔1st scores highest, one-sided picks, the most wanted player (ties kept)
+ *   - a full 순위 round: settings (fixed at start), ranked selections, the result, history, penalty losers and
+ *     the room scoreboard (each pair's points)
+ *
+ * Run: node scripts/test-telepathy-matching.js
+ */
+const { fail, expectEqual, reject, createRoom, attendersOf, startGame } = require('./lib/gameTestKit');
+
+const games = require('../api/games');
+const { matchRankings } = require('../api/games/matching');
+
+const telepathy = games.getGame('telepathy');
+
+// { a: ['b', 'c'] } -> Map a -> [b, c]
+function rankings(picks) {
+  return new Map(Object.entries(picks).map(([from, to]) => [from, [].concat(to)]));
+}
+
+function pairsOf(result) {
+  return result.pairs.map((pair) => `${pair.ids.join('↔')}:${pair.points}`);
+}
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d', 'u_e'];
+
+// A round started after the master saved the settings
+function makeRoom(id, settings) {
+  const room = createRoom(id, { gameType: 'telepathy', players: PLAYERS });
+  const applied = telepathy.settings.apply(room, { ...telepathy.settings.view(room), ...settings }, { reject });
+  if (applied.save === false) fail(`settings refused: ${applied.body.message}`);
+  startGame(room, 'telepathy');
+  return room;
+}
+
+function select(room, userId, body) {
+  const outcome = telepathy.actions.select(room, { userId, user: room.users.get(userId), attenders: attendersOf(room), body, reject });
+  games.settleRound(room);
+  return outcome;
+}
+
+async function main() {
+  console.log('=== Telepathy Matching Test ===\n');
+
+  console.log('1. One pick each: mutual pairs, with odd player counts...');
+  const three = matchRankings(rankings({ a: 'b', b: 'a', c: 'a' }), 1);
+  expectEqual([pairsOf(three), three.unmatched, three.oneSided], [['a↔b:2'], ['c'], [{ from: 'c', to: 'a', rank: 1 }]], 'three players');
+  expectEqual(three.mostWanted, { ids: ['a'], points: 2 }, 'most picked');
+  const five = matchRankings(rankings({ a: 'e', b: 'c', c: 'b', d: 'c', e: 'a' }), 1);
+  expectEqual([pairsOf(five), five.unmatched], [['a↔e:2', 'b↔c:2'], ['d']], 'five players: pairs in the order they were picked');
+  console.log('   OK');
+
+  console.log('\n2. A triangle (a→b→c→a) makes no pair; the most wanted is a three-way tie...');
+  const triangle = matchRankings(rankings({ a: 'b', b: 'c', c: 'a' }), 1);
+  expectEqual([triangle.pairs, triangle.unmatched, triangle.oneSided.length], [[], ['a', 'b', 'c'], 3], 'no pair');
+  expectEqual(triangle.mostWanted, { ids: ['b', 'c', 'a'], points: 1 }, 'tie kept');
+  const rankedTriangle = matchRankings(rankings({ a: ['b', 'c'], b: ['c', 'a'], c: ['a', 'b'] }), 2);
+  expectEqual([pairsOf(rankedTriangle), rankedTriangle.unmatched], [['a↔b:3', 'a↔c:3', 'b↔c:3'], []], 'ranked triangle: everyone pairs twice');
+  console.log('   OK');
+
+  console.log('\n3. Self-picks, repeats and extra places don\'t count...');
+  const self = matchRankings(rankings({ a: 'a', b: 'c', c: 'b' }), 1);
+  expectEqual([pairsOf(self), self.unmatched, self.oneSided], [['b↔c:2'], ['a'], []], 'self-pick is no pair');
+  const repeats = matchRankings(rankings({ a: ['b', 'b', 'a', 'c', 'd'], b: ['a'] }), 2);
+  expectEqual([pairsOf(repeats), repeats.oneSided], [['a↔b:4'], [{ from: 'a', to: 'c', rank: 2 }]], 'repeats and places past maxPicks dropped');
+  expectEqual(matchRankings(new Map(), 3), { pairs: [], oneSided: [], unmatched: [], mostWanted: null }, 'nobody picked');
+  const room = makeRoom('room_single', {});
+  expectEqual(select(room, 'u_a', { selectedUserId: 'u_a' }).status, 400, 'select refuses a self-pick');
+  expectEqual(select(room, 'u_a', { selectedUserId: 'u_gone' }).status, 404, 'unknown player');
+  expectEqual(select(room, 'u_a', { selectedUserIds: ['u_b'] }).status, 404, 'a ranking is no pick in the one-pick mode');
+  console.log('   OK');
+
+  console.log('\n4. Ranked picks: 1st↔1st scores highest, one-sided picks and the most wanted...');
+  const ranked = matchRankings(rankings({ a: ['c', 'b', 'd'], b: ['a', 'c'], c: ['b', 'd', 'a'], d: ['c'] }), 3);
+  expectEqual(pairsOf(ranked), ['a↔b:5', 'b↔c:5', 'c↔d:5', 'a↔c:4'], 'pair points');
+  const top = matchRankings(rankings({ a: ['b', 'c'], b: ['a', 'c'], c: ['a', 'b'] }), 2);
+  expectEqual([top.pairs[0].ids, top.pairs[0].ranks, top.pairs[0].points], [['a', 'b'], [1, 1], 4], '1st↔1st first');
+  expectEqual(ranked.oneSided, [{ from: 'a', to: 'd', rank: 3 }], 'not returned');
+  expectEqual(ranked.mostWanted, { ids: ['c'], points: 8 }, 'weighted by place');
+  console.log('   OK');
+
+  console.log('\n5. A 순위 round: ranked selections, result, history, who spins the roulette and the scoreboard...');
+  expectEqual(telepathy.settings.apply(room, { telepathyMode: '순위', telepathyPicks: 9 }, { reject }).status, 400, 'too many places');
+  expectEqual(telepathy.settings.apply(room, { telepathyMode: '여러 명', telepathyPicks: 3 }, { reject }).status, 400, 'unknown mode');
+  const round = makeRoom('room_ranked', { telepathyMode: '순위', telepathyPicks: 3 });
+  telepathy.settings.apply(round, { telepathyMode: '한 명', telepathyPicks: 2 }, { reject }); // the round keeps its mode
+  expectEqual(select(round, 'u_a', { selectedUserIds: ['u_b', 'u_c', 'u_d', 'u_e'] }).status, 400, 'more than telepathyPicks');
+  expectEqual(select(round, 'u_a', { selectedUserIds: ['u_b', 'u_b'] }).status, 400, 'same player twice');
+  expectEqual(select(round, 'u_a', { selectedUserIds: ['u_b', 'u_a'] }).status, 400, 'self in the ranking');
+  const picks = { u_a: ['u_b', 'u_c'], u_b: ['u_a'], u_c: ['u_b', 'u_d', 'u_a'], u_d: ['u_b'], u_e: ['u_b', 'u_a', 'u_c'] };
+  for (const id of PLAYERS) select(round, id, { selectedUserIds: picks[id] });
+  const { mode, matches, unmatched, oneSided, mostWanted } = round.matchResult;
+  expectEqual(
+    [mode, matches.map((m) => [m.user1.id, m.user2.id, m.rank1, m.rank2, m.points]), unmatched.map((u) => u.id)],
+    ['순위', [['u_a', 'u_b', 1, 1, 6], ['u_a', 'u_c', 2, 3, 3]], ['u_d', 'u_e']],
+    'ranked result'
+  );
+  expectEqual([oneSided.length, mostWanted.users.map((u) => u.id), mostWanted.points], [6, ['u_b'], 12], 'one-sided and most wanted');
+  expectEqual(round.roomHistory[0].picks.filter((p) => p.from === 'u_c').map((p) => `${p.rank}:${p.to}`), ['1:u_b', '2:u_d', '3:u_a'], 'history keeps the places');
+  expectEqual(round.penaltyLoserIds, ['u_d', 'u_e'], 'no mutual ranking spins');
+  expectEqual(Array.from(round.roomScores, ([id, entry]) => [id, entry.points]), [['u_a', 9], ['u_b', 6], ['u_c', 3]], 'the pair\'s points for each mutual ranking: 1st↔1st counts most');
+  console.log('   OK');
+
+  console.log('\n✅ All telepathy matching checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});
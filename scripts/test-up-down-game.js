@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Unit test for the Up-and-down game module (api/games/upDown.js).
+ *   - one attender is the picker; only they see the secret number (privateView) until the result
+ *   - the others guess in turn order; the server answers up/down and narrows the range
+ *   - turn and pick timers fire through the phase scheduler; the turn timer stops when every guesser left
+ *   - the house rule decides who drinks: the hitter or the guesser before them
+ *
+ * Run: node scripts/test-up-down-game.js
+ */
+const { T0, fail, expectEqual, reject, startRoom } = require('./lib/gameTestKit');
+
+const storage = require('../api/storage');
+const scheduler = require('../api/scheduler');
+const games = require('../api/games');
+const { buildRoomView } = require('../api/roomView');
+
+const upDown = games.getGame('upDown');
+
+const PLAYERS = ['u_a', 'u_b', 'u_c', 'u_d'];
+const ROOM = { gameType: 'upDown', players: PLAYERS };
+
+function act(room, action, userId, body = {}, now = T0) {
+  const outcome = upDown.actions[action](room, { userId, body, now, reject });
+  if (outcome.save === false) fail(`${action} by ${userId} refused: ${outcome.body.message}`);
+  return outcome;
+}
+
+function turnOf(room) {
+  return buildRoomView(room, 'u_watch').room.upDownTurnUserId;
+}
+
+async function main() {
+  console.log('=== Up-and-down Game Test ===\n');
+
+  console.log('1. A random picker, the others in a turn order...');
+  const room = startRoom('room_updown', { ...ROOM, settings: { upDownMax: 50 } });
+  const picker = room.upDownPickerId;
+  const guessers = room.upDownOrder;
+  expectEqual([room.gameState, PLAYERS.includes(picker), guessers.length, guessers.includes(picker)], ['upDownPick', true, 3, false], 'picker and order');
+  const outsider = guessers[0];
+  if (upDown.actions['pick-number'](room, { userId: outsider, body: { number: 7 }, now: T0, reject }).status !== 403) fail('only the picker picks');
+  if (upDown.actions['pick-number'](room, { userId: picker, body: { number: 51 }, now: T0, reject }).status !== 400) fail('number out of range');
+  act(room, 'pick-number', picker, { number: 30 });
+  expectEqual([room.gameState, turnOf(room), room.upDownTurnEndsAt], ['upDownGuess', guessers[0], T0 + 15000], 'first turn');
+  console.log('   OK');
+
+  console.log('\n2. Only the picker sees the secret...');
+  expectEqual(buildRoomView(room, picker).privateFields.upDownMySecret, 30, 'picker sees the number');
+  for (const viewer of [...guessers, 'u_watch']) {
+    const { room: payload, privateFields } = buildRoomView(room, viewer);
+    if (privateFields.upDownMySecret !== null || 'upDownSecret' in payload) fail(`secret leaked to ${viewer}`);
+  }
+  console.log('   OK');
+
+  console.log('\n3. Guesses in turn narrow the range...');
+  if (upDown.actions.guess(room, { userId: guessers[1], body: { number: 10 }, now: T0, reject }).status !== 403) fail('out of turn');
+  expectEqual(act(room, 'guess', guessers[0], { number: 10 }, T0 + 1000).body.hint, 'up', 'hint up');
+  expectEqual(act(room, 'guess', guessers[1], { number: 40 }, T0 + 2000).body.hint, 'down', 'hint down');
+  expectEqual([room.upDownLow, room.upDownHigh, turnOf(room)], [11, 39, guessers[2]], 'range and turn');
+  if (upDown.actions.guess(room, { userId: guessers[2], body: { number: 40 }, now: T0, reject }).status !== 400) fail('guess outside the range');
+  console.log('   OK');
+
+  console.log('\n4. A turn that runs out passes to the next guesser...');
+  await storage.saveRoom(room);
+  const { room: timedOut, fired } = await scheduler.advanceRoom('room_updown', T0 + 2000 + 15000);
+  expectEqual([fired, buildRoomView(timedOut, 'u_watch').room.upDownTurnUserId], [['turn'], guessers[0]], 'turn passed around the order');
+  expectEqual(timedOut.upDownHistory[2], { userId: guessers[2], number: null, hint: 'timeout' }, 'timeout recorded');
+  console.log('   OK');
+
+  console.log('\n5. The hit ends the round; the hitter drinks by default...');
+  act(timedOut, 'guess', guessers[0], { number: 30 }, T0 + 20000);
+  expectEqual(timedOut.gameState, 'upDownResult', 'result');
+  const result = buildRoomView(timedOut, 'u_watch').room.upDownResultData;
+  expectEqual([result.secret, result.hitter.id, result.loser.id, result.history.length], [30, guessers[0], guessers[0], 4], 'hitter drinks');
+  if (games.getRoomPhase(timedOut) !== 'result') fail('room should be on the result screen');
+  console.log('   OK');
+
+  console.log('\n6. House rule 앞 사람: the guesser before the hitter drinks; the pick timer picks for a slow picker...');
+  const rule = startRoom('room_rule', { ...ROOM, settings: { upDownLoserRule: '앞 사람' } });
+  const fired2 = scheduler.applyDueTimers(rule, T0 + 30000);
+  expectEqual([fired2, rule.gameState], [['pick'], 'upDownGuess'], 'pick timer');
+  if (!(rule.upDownSecret >= 1 && rule.upDownSecret <= 100)) fail('random secret out of range');
+  rule.users.delete(rule.upDownOrder[2]); // the last guesser left: the first guesser's "before" skips them
+  act(rule, 'guess', rule.upDownOrder[0], { number: rule.upDownSecret }, T0 + 31000);
+  expectEqual([rule.upDownResultData.hitter.id, rule.upDownResultData.loser.id], [rule.upDownOrder[0], rule.upDownOrder[1]], 'guesser before drinks');
+  expectEqual(upDown.settings.apply(rule, { upDownMax: 70, upDownTurnSeconds: 15, upDownLoserRule: '앞 사람' }, { reject }).status, 400, 'range option');
+  upDown.reset(rule);
+  if (rule.upDownState !== null || rule.upDownSecret !== null) fail('reset should clear the round');
+  console.log('   OK');
+
+  console.log('\n7. Every guesser left: no turn timer keeps firing...');
+  const empty = startRoom('room_empty', ROOM);
+  scheduler.applyDueTimers(empty, T0 + 30000);
+  for (const id of empty.upDownOrder) empty.users.delete(id);
+  expectEqual(scheduler.applyDueTimers(empty, T0 + 120000), [], 'no timer due');
+  expectEqual([turnOf(empty), empty.upDownHistory], [null, []], 'nobody on turn, nothing recorded');
+  console.log('   OK');
+
+  console.log('\n✅ All up-and-down game checks passed.');
+}
+
+main().catch((e) => {
+  console.error('\n❌ FAIL:', e.message);
+  process.exit(1);
+});